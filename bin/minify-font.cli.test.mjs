@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest'
 import { execSync } from 'node:child_process'
-import { existsSync, rmSync, readFileSync, mkdirSync } from 'node:fs'
+import { existsSync, rmSync, readFileSync, mkdirSync, writeFileSync, copyFileSync } from 'node:fs'
 import { resolve, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
 
@@ -174,6 +174,64 @@ describe('CLI Character Mode Tests', () => {
     })
   })
 
+  describe('Scan Mode (--scan)', () => {
+    it('should extract characters from source files', () => {
+      const outputPath = resolve(outputDir, 'scanned.ttf')
+      writeFileSync(resolve(outputDir, 'page.html'), '<h1 class="title">你好</h1><!-- 注释 -->')
+      writeFileSync(resolve(outputDir, 'zh.json'), '{ "greeting": "世界" }')
+
+      const output = execSync(
+        `node ${resolve(__dirname, 'minify-font.mjs')} "${testFontPath}" --scan "${outputDir}/*.{html,json}" -f ttf -o "${outputPath}"`,
+        { encoding: 'utf8' }
+      )
+
+      expect(output).toContain('Scanned 2 file(s)')
+      expect(output).toMatch(/page\.html: 3 chars/)
+      expect(output).toMatch(/zh\.json: 2 chars/)
+      expect(output).toContain('Using specified scanned text only: 5 unique chars')
+      expect(existsSync(outputPath)).toBe(true)
+    })
+  })
+
+  describe('Multiple Inputs', () => {
+    it('should process every font matched by a glob', () => {
+      copyFileSync(testFontPath, resolve(outputDir, 'first.ttf'))
+      copyFileSync(testFontPath, resolve(outputDir, 'second.ttf'))
+      const distDir = resolve(outputDir, 'dist')
+
+      const output = execSync(
+        `node ${resolve(__dirname, 'minify-font.mjs')} "${outputDir}/*.ttf" -w "ABC" -f woff2 -o "${distDir}"`,
+        { encoding: 'utf8' }
+      )
+
+      expect(output).toContain('Processing 2 fonts')
+      expect(output).toContain('Generated 2 of 2 font(s)')
+      expect(output.match(/@font-face {/g)).toHaveLength(2)
+      expect(existsSync(resolve(distDir, 'first.min.woff2'))).toBe(true)
+      expect(existsSync(resolve(distDir, 'second.min.woff2'))).toBe(true)
+    })
+
+    it('should exit with a non-zero code when one font fails', () => {
+      copyFileSync(testFontPath, resolve(outputDir, 'good.ttf'))
+      writeFileSync(resolve(outputDir, 'broken.ttf'), 'not a font')
+
+      let error
+      try {
+        execSync(
+          `node ${resolve(__dirname, 'minify-font.mjs')} "${outputDir}/good.ttf" "${outputDir}/broken.ttf" -w "ABC" -f woff2 -o "${outputDir}/dist"`,
+          { encoding: 'utf8', stdio: 'pipe' }
+        )
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.status).toBe(1)
+      expect(error.stdout).toContain('Generated 1 of 2 font(s)')
+      expect(error.stderr).toContain('broken.ttf')
+      expect(existsSync(resolve(outputDir, 'dist/good.min.woff2'))).toBe(true)
+    })
+  })
+
   describe('Edge Cases', () => {
     it('should handle empty string in specified mode', () => {
       const outputPath = resolve(outputDir, 'empty.ttf')
@@ -212,6 +270,19 @@ describe('CLI Character Mode Tests', () => {
       expect(existsSync(outputPath)).toBe(true)
     })
 
+    it('should count and deduplicate astral characters by code point', () => {
+      const outputPath = resolve(outputDir, 'astral.ttf')
+
+      const output = execSync(
+        `node ${resolve(__dirname, 'minify-font.mjs')} "${testFontPath}" -w "𠮷𠮷😀A" -f ttf -o "${outputPath}"`,
+        { encoding: 'utf8' }
+      )
+
+      // "𠮷𠮷😀A" is 7 UTF-16 code units but only 3 unique code points
+      expect(output).toContain('Using specified words only: 3 unique chars')
+      expect(existsSync(outputPath)).toBe(true)
+    })
+
     it('should deduplicate characters when combining with collection', () => {
       const outputPath = resolve(outputDir, 'deduped-combo.ttf')
 
@@ -1,18 +1,57 @@
 #!/usr/bin/env node
 
 import { minifyFont } from '../src/minify-font.mjs'
-import { extname, dirname } from 'node:path'
-import { mkdir } from 'node:fs/promises'
+import { minifyFonts } from '../src/minify-fonts.mjs'
+import { inspectFont } from '../src/inspect-font.mjs'
+import { clearCache, DEFAULT_CACHE_DIR } from '../src/font-cache.mjs'
+import { createFontSlices } from '../src/slice-font.mjs'
+import { scanText } from '../src/scan-text.mjs'
+import { expandGlob, getGlobBase, globToRegExp } from '../src/glob.mjs'
+import { readFontMeta } from '../src/font-meta.mjs'
+import { loadConfig, resolveJobs } from '../src/load-config.mjs'
+import { createFontFaceCSS, FONT_DISPLAY_VALUES } from '../src/font-face-css.mjs'
+import { uniqueChars, countChars } from '../src/code-points.mjs'
+import { groupByUnicodeBlock } from '../src/unicode-blocks.mjs'
+import { COLLECTIONS } from '../src/collections.mjs'
+import { resolveLayoutFeatures } from '../src/layout-subset.mjs'
+import { getAxesWeight } from '../src/variable-font.mjs'
+import { detectFontType } from '../src/detect-font-type.mjs'
+import { readCollectionOffsets } from '../src/font-collection.mjs'
+import { resolveNameOptions } from '../src/font-names.mjs'
+import { extname, dirname, relative, resolve, join, sep } from 'node:path'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
 import { fileURLToPath } from 'node:url'
-import { realpathSync } from 'node:fs'
-import { TOP_USED_500_CHARS, TOP_USED_2500_CHARS, COMMONLY_USED_CHARS } from 'top-used-chars'
+import { realpathSync, existsSync, readdirSync, statSync, watch } from 'node:fs'
 import pkg from '../package.json' with { type: 'json' }
 
-// Character collection mapping
-const COLLECTIONS = {
-  top500: TOP_USED_500_CHARS,
-  top2500: TOP_USED_2500_CHARS,
-  commonlyUsed: COMMONLY_USED_CHARS,
+// With --json, stdout only carries the JSON report and progress goes to stderr
+let jsonOutput = false
+
+// During --watch rebuilds only the summary line of each job is printed
+let quietOutput = false
+
+// Missing characters listed per Unicode block before truncating
+const MISSING_CHARS_SHOWN = 50
+
+// Wait after the last file change before rebuilding, so a burst of saves triggers one build
+const WATCH_DEBOUNCE_MS = 200
+
+// Directory names not watched when every directory is watched on its own, as expandGlob skips them
+const WATCH_IGNORE = ['node_modules', '.git']
+
+/**
+ * Print a progress message, to stderr in --json mode
+ * @param {...*} args - Values to print
+ */
+function log(...args) {
+  if (quietOutput) {
+    return
+  }
+  if (jsonOutput) {
+    console.error(...args)
+  } else {
+    console.log(...args)
+  }
 }
 
 /**
@@ -21,112 +60,1444 @@ const COLLECTIONS = {
 async function runCLI() {
   const args = process.argv.slice(2)
 
-  // Show help if no arguments provided
-  if (args.length === 0) {
-    showHelp()
-    process.exit(0)
+  if (args[0] === 'slice') {
+    return runSlice(args.slice(1))
+  }
+  if (args[0] === 'info') {
+    return runInfo(args.slice(1))
+  }
+  if (args[0] === 'cache') {
+    return runCache(args.slice(1))
+  }
+
+  // Parse command-line arguments
+  const options = parseArguments(args)
+
+  if (options.config && options.inputs.length > 0) {
+    console.error('Error: Input fonts cannot be combined with --config')
+    process.exit(1)
+    return
+  }
+
+  if (options.watch) {
+    return runWatch(options)
+  }
+
+  // Without input fonts, run the jobs of the project config
+  if (options.config || options.inputs.length === 0) {
+    let loaded
+    try {
+      loaded = await loadConfig({ configFile: options.config || undefined })
+    } catch (error) {
+      handleError(error)
+      return
+    }
+
+    if (loaded) {
+      return runConfig(loaded, options)
+    }
+
+    // Show help if no arguments and no config provided
+    if (args.length === 0) {
+      showHelp()
+      process.exit(0)
+      return
+    }
+    console.error('Error: Input font path is required')
+    process.exit(1)
+    return
+  }
+
+  jsonOutput = options.json
+
+  try {
+    const inputs = await resolveInputs(options)
+
+    log(inputs.length === 1 ? `\nProcessing: ${inputs[0]}` : `\nProcessing ${inputs.length} fonts`)
+
+    // Determine character text, shared by every font
+    const text = await selectCharacters(options)
+
+    // Determine output formats
+    const outputFormats = determineOutputFormats(options.formats, options.output)
+
+    // Every face of a collection is generated as a separate font
+    if (inputs.length > 1 || options.face === '*') {
+      const reports = await processFonts(inputs, text, outputFormats, options)
+      printJSONReport(reports)
+      if (reports.some(report => report.error) || failsOnMissing(reports, options)) {
+        process.exit(1)
+      }
+      return
+    }
+
+    // Generate fonts for all formats
+    const outputs = await processFont(inputs[0], text, outputFormats, options)
+    const generatedFiles = outputs.map(output => output.path)
+
+    // Output success message and file paths
+    log('\n✓ Generated successfully:')
+    generatedFiles.forEach(file => log(`  ${file}`))
+
+    const report = createFontReport(inputs[0], outputs)
+    printSizeReport(report)
+    printMissingChars(report)
+
+    // Generate and display @font-face CSS
+    const face = await readFontFace(inputs[0], options.face)
+    const css = generateFontFaceCSS(generatedFiles, face, options)
+    log(`
+-----------------------------
+CSS @font-face: ${options.family || face.family}
+-----------------------------
+`)
+    log(css)
+
+    if (options.css) {
+      await writeStylesheet(options.css, css)
+    }
+
+    printJSONReport([report])
+    if (failsOnMissing([report], options)) {
+      process.exit(1)
+    }
+  } catch (error) {
+    handleError(error)
+  }
+}
+
+/**
+ * Run every job of a project config, continuing past failed jobs
+ * Exits with code 1 if any job or font failed
+ * @param {{config: Object|Array, path: string}} loaded - Loaded config
+ * @param {Object} options - Parsed CLI options, which override the job values
+ */
+async function runConfig(loaded, options) {
+  jsonOutput = options.json
+
+  let jobs
+  try {
+    jobs = resolveJobs(loaded.config, { configPath: loaded.path })
+  } catch (error) {
+    handleError(error)
+    return
+  }
+
+  log(`\nUsing config: ${relative(process.cwd(), loaded.path)} (${jobs.length} job(s))`)
+
+  // Resolve the fonts and characters of every job first so all of their fonts share one worker pool
+  const reports = []
+  const groups = []
+  for (const [index, job] of jobs.entries()) {
+    log(`\n[Job ${index + 1}/${jobs.length}] ${job.inputs.join(', ')}`)
+    try {
+      const jobOptions = mergeJobOptions(job, options)
+      const inputs = await resolveInputs(jobOptions)
+      const text = await selectCharacters(jobOptions)
+      const outputFormats = determineOutputFormats(jobOptions.formats, jobOptions.output)
+      groups.push({ inputs, text, outputFormats, options: jobOptions })
+    } catch (error) {
+      console.error(`\n✗ Job ${index + 1} failed: ${error.message}`)
+      reports.push({ input: job.inputs.join(', '), error: error.message })
+    }
+  }
+
+  if (groups.length > 0) {
+    // Concurrency is only set at the top level of the config, every job carries the same value
+    reports.push(...(await processFontGroups(groups, groups[0].options.concurrency)).flat())
+  }
+
+  printJSONReport(reports)
+  if (reports.some(report => report.error) || failsOnMissing(reports, options)) {
+    process.exit(1)
+  }
+}
+
+/**
+ * Build the fonts, then rebuild them whenever an input font, a scanned source or the config changes
+ * A job is only rebuilt when its characters, options or input fonts actually changed,
+ * and failed builds are reported without stopping the watcher
+ * @param {Object} options - Parsed CLI options
+ */
+async function runWatch(options) {
+  jsonOutput = options.json
+
+  const state = {
+    // Fingerprint and characters of the last successful build of each job
+    builds: new Map(),
+    // Absolute paths written by the builds, changes to them never trigger a rebuild
+    generated: new Set(),
+    patterns: [],
+  }
+  const watchers = new Map()
+  let timer = null
+  let building = false
+  let pending = false
+
+  const rebuild = async () => {
+    if (building) {
+      pending = true
+      return
+    }
+    building = true
+    try {
+      await buildChangedJobs(options, state, false)
+      watchPatterns(state.patterns, watchers, onChange)
+    } finally {
+      building = false
+    }
+    if (pending) {
+      pending = false
+      await rebuild()
+    }
+  }
+
+  const onChange = file => {
+    if (state.generated.has(file) || !state.patterns.some(pattern => matchesPattern(file, pattern))) {
+      return
+    }
+    clearTimeout(timer)
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS)
+  }
+
+  try {
+    await buildChangedJobs(options, state, true)
+  } catch (error) {
+    // Without a config or inputs there is nothing to watch
+    handleError(error)
+    return
+  }
+
+  watchPatterns(state.patterns, watchers, onChange)
+  log(`\nWatching ${watchers.size} director${watchers.size === 1 ? 'y' : 'ies'} for changes (Ctrl+C to stop)`)
+}
+
+/**
+ * Resolve the jobs of a watch build: the CLI inputs, or the jobs of the project config
+ * The config is read again on every build so edits to it apply
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<{jobs: Array<Object>, configPath: string|null}>} Jobs in the shape returned by parseArguments
+ * @throws {Error} When there are no inputs and no config, or the config is invalid
+ */
+async function loadWatchJobs(options) {
+  if (options.inputs.length > 0) {
+    return { jobs: [options], configPath: null }
+  }
+
+  const loaded = await loadConfig({ configFile: options.config || undefined })
+  if (!loaded) {
+    throw new Error('Input font path is required')
+  }
+  const jobs = resolveJobs(loaded.config, { configPath: loaded.path }).map(job =>
+    mergeJobOptions(job, options)
+  )
+  return { jobs, configPath: loaded.path }
+}
+
+/**
+ * Build the jobs whose characters, options or input fonts changed since their last successful build
+ * The first build prints the full output, later builds one summary line per job
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} state - Watch state: last builds, generated files and watched patterns, updated in place
+ * @param {boolean} initial - Whether this is the first build
+ * @throws {Error} When the jobs of the first build cannot be loaded
+ */
+async function buildChangedJobs(options, state, initial) {
+  let loaded
+  try {
+    loaded = await loadWatchJobs(options)
+  } catch (error) {
+    if (initial) {
+      throw error
+    }
+    console.error(`[${timestamp()}] ✗ ${error.message}`)
+    return
+  }
+
+  const { jobs, configPath } = loaded
+  if (initial && configPath) {
+    log(`\nUsing config: ${relative(process.cwd(), configPath)} (${jobs.length} job(s))`)
+  }
+  state.patterns = [...(configPath ? [configPath] : []), ...jobs.flatMap(job => [...job.inputs, ...job.scan])]
+
+  let changed = 0
+  for (const job of jobs) {
+    const label = job.inputs.join(', ')
+    const previous = state.builds.get(label)
+    const started = Date.now()
+    quietOutput = !initial
+    try {
+      const inputs = await resolveInputs(job)
+      const text = await selectCharacters(job)
+      const outputFormats = determineOutputFormats(job.formats, job.output)
+      const fingerprint = JSON.stringify({
+        job,
+        inputs: inputs.map(input => [input, getFileSignature(input)]),
+        outputFormats,
+        // Reordered characters produce the same subset
+        chars: [...new Set(text)].sort(),
+      })
+
+      if (previous && previous.fingerprint === fingerprint) {
+        continue
+      }
+
+      changed++
+      const reports = await processFonts(inputs, text, outputFormats, job)
+      reports
+        .flatMap(report => report.outputs || [])
+        .forEach(output => state.generated.add(resolve(output.path)))
+      if (job.css) {
+        state.generated.add(resolve(job.css))
+      }
+
+      // A failed build keeps its characters for the next summary but is always retried
+      const failed = reports.filter(report => report.error).length
+      state.builds.set(label, { fingerprint: failed > 0 ? null : fingerprint, text })
+
+      quietOutput = false
+      if (!initial) {
+        const status = failed > 0 ? `✗ ${label}: ${failed} of ${reports.length} font(s) failed` : `✓ ${label}`
+        const chars = `${countChars(text)} chars${previous ? formatCharsDiff(previous.text, text) : ''}`
+        log(`[${timestamp()}] ${status} (${chars}, ${Date.now() - started}ms)`)
+      }
+      printJSONReport(reports)
+      failsOnMissing(reports, options)
+    } catch (error) {
+      changed++
+      if (previous) {
+        previous.fingerprint = null
+      }
+      console.error(`[${timestamp()}] ✗ ${label}: ${error.message}`)
+    } finally {
+      quietOutput = false
+    }
+  }
+
+  if (!initial && changed === 0) {
+    log(`[${timestamp()}] No changes to the characters, options or fonts, skipped`)
+  }
+}
+
+/**
+ * Watch the directories the patterns match in, adding watchers for new directories
+ * @param {string[]} patterns - Input, scan and config paths or glob patterns
+ * @param {Map<string, FSWatcher>} watchers - Active watchers by directory, updated in place
+ * @param {Function} onChange - Called with the absolute path of a changed file
+ */
+function watchPatterns(patterns, watchers, onChange) {
+  for (const pattern of patterns) {
+    const { base, maxDepth } = getGlobBase(pattern)
+    const recursive = maxDepth > 0
+    const key = recursive ? join(base, '**') : base
+    if (watchers.has(key) || !existsSync(base)) {
+      continue
+    }
+    try {
+      watchers.set(
+        key,
+        watch(base, { recursive }, (event, file) => onChange(file ? join(base, file.toString()) : base))
+      )
+    } catch (error) {
+      // Recursive watching is only supported on Linux from Node 20
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error
+      }
+      watchTree(base, maxDepth, watchers, onChange)
+    }
+  }
+}
+
+/**
+ * Watch a directory and the directories below it one by one, for platforms without recursive watching
+ * Directories created later are watched when they appear
+ * @param {string} dir - Absolute directory path
+ * @param {number} maxDepth - Directory levels below it to watch
+ * @param {Map<string, FSWatcher>} watchers - Active watchers by directory, updated in place
+ * @param {Function} onChange - Called with the absolute path of a changed file
+ */
+function watchTree(dir, maxDepth, watchers, onChange) {
+  if (!watchers.has(dir)) {
+    watchers.set(
+      dir,
+      watch(dir, (event, file) => {
+        const changed = file ? join(dir, file.toString()) : dir
+        if (event === 'rename' && maxDepth > 0 && isDirectory(changed)) {
+          watchTree(changed, maxDepth - 1, watchers, onChange)
+        }
+        onChange(changed)
+      })
+    )
+  }
+  if (maxDepth > 0) {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !WATCH_IGNORE.includes(entry.name)) {
+        watchTree(join(dir, entry.name), maxDepth - 1, watchers, onChange)
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} file - Absolute path
+ * @returns {boolean} True if the path is a directory
+ */
+function isDirectory(file) {
+  try {
+    return statSync(file).isDirectory()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check whether a changed file is matched by a watched pattern
+ * @param {string} file - Absolute file path
+ * @param {string} pattern - Path or glob pattern
+ * @returns {boolean} True if the pattern matches the file
+ */
+function matchesPattern(file, pattern) {
+  const absolute = resolve(pattern)
+  if (!/[*?[{]/.test(pattern)) {
+    return file === absolute
+  }
+  const { base } = getGlobBase(pattern)
+  const toPosix = path => relative(base, path).split(sep).join('/')
+  return globToRegExp(toPosix(absolute)).test(toPosix(file))
+}
+
+/**
+ * Get a signature of a file that changes when its content is replaced
+ * @param {string} file - File path
+ * @returns {string|null} Size and modification time, or null when the file cannot be read
+ */
+function getFileSignature(file) {
+  try {
+    const stats = statSync(file)
+    return `${stats.size}:${stats.mtimeMs}`
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Describe how a character set changed between two builds
+ * @param {string} previous - Characters of the previous build
+ * @param {string} text - Characters of this build
+ * @returns {string} Added and removed counts such as ", +3 -1", empty when unchanged
+ */
+function formatCharsDiff(previous, text) {
+  const before = new Set(previous)
+  const after = new Set(text)
+  const added = [...after].filter(char => !before.has(char)).length
+  const removed = [...before].filter(char => !after.has(char)).length
+  return added || removed ? `, +${added} -${removed}` : ''
+}
+
+/**
+ * Get the current time for watch summaries
+ * @returns {string} Time as HH:MM:SS
+ */
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8)
+}
+
+/**
+ * Merge a config job with the CLI options, flags given on the command line win
+ * @param {Object} job - Resolved config job
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Options in the shape returned by parseArguments
+ * @throws {Error} When the job names an unknown collection or font-display
+ */
+function mergeJobOptions(job, options) {
+  const collection = options.collectionSpecified ? options.collection : job.collection || 'top2500'
+  if (!COLLECTIONS[collection]) {
+    throw new Error(`Invalid collection "${collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`)
+  }
+  const display = options.display ?? job.display
+  if (display && !FONT_DISPLAY_VALUES.includes(display)) {
+    throw new Error(`Invalid font-display "${display}". Available: ${FONT_DISPLAY_VALUES.join(', ')}`)
+  }
+
+  return {
+    inputs: job.inputs,
+    words: options.words ?? job.words,
+    collection,
+    collectionSpecified: options.collectionSpecified || Boolean(job.collection),
+    scan: options.scan.length > 0 ? options.scan : job.scan,
+    output: options.output ?? job.output,
+    formats: options.formats ?? (job.formats ? job.formats.join(',') : null),
+    css: options.css ?? job.css,
+    family: options.family ?? job.family,
+    weight: options.weight ?? job.weight,
+    style: options.style ?? job.style,
+    display,
+    urlPrefix: options.urlPrefix ?? job.urlPrefix,
+    inputOptions: { ...job.inputOptions, ...options.inputOptions },
+    outputOptions: { ...job.outputOptions, ...options.outputOptions },
+    layout: options.layout ?? job.layout,
+    axes: options.axes ?? job.axes,
+    face: options.face ?? job.face,
+    // --no-cache and --force only switch the config value one way
+    cache: options.cache && (job.cache ?? true),
+    concurrency: options.concurrency ?? job.concurrency ?? undefined,
+    force: options.force || Boolean(job.force),
+  }
+}
+
+/**
+ * Expand the input patterns and check they can be written to the output
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<string[]>} Input font file paths
+ * @throws {Error} When no font matched or several fonts would share one output file
+ */
+async function resolveInputs(options) {
+  const inputs = await expandInputs(options.inputs)
+  if (inputs.length === 0) {
+    throw new Error(`No fonts matched ${options.inputs.join(', ')}`)
+  }
+  if ((inputs.length > 1 || options.face === '*') && options.output && extname(options.output)) {
+    throw new Error('Output must be a directory when processing multiple fonts')
+  }
+  return inputs
+}
+
+/**
+ * Scan the sources and pick the characters to include, printing the mode used
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<string>} Characters to include
+ */
+async function selectCharacters(options) {
+  const scannedText = await scanSources(options.scan)
+  const { text, message } = determineCharacterText(
+    options.words,
+    options.collection,
+    options.collectionSpecified,
+    scannedText
+  )
+  log(message)
+  return text
+}
+
+/**
+ * Expand input paths and quoted glob patterns into font files
+ * Plain paths are kept as they are so a missing file is reported for that font,
+ * glob matches skip the .min outputs of earlier runs
+ * @param {string[]} inputs - Input paths or glob patterns
+ * @returns {Promise<string[]>} Input font paths
+ */
+async function expandInputs(inputs) {
+  const files = []
+
+  for (const input of inputs) {
+    if (!/[*?[{]/.test(input)) {
+      files.push(input)
+      continue
+    }
+    const matches = await expandGlob(input)
+    files.push(
+      ...matches.filter(file => !/\.min\.[^/\\.]+$/.test(file)).map(file => relative(process.cwd(), file))
+    )
+  }
+
+  return [...new Set(files)]
+}
+
+/**
+ * Generate every output format of one font
+ * @param {string} input - Input font file path
+ * @param {string} text - Characters to include
+ * @param {string[]} outputFormats - Array of format strings
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Array<{format: string, path: string, stats: Object}>>} Generated files with their statistics
+ */
+async function processFont(input, text, outputFormats, options) {
+  const outputPaths = generateOutputPaths(input, options.output, outputFormats)
+  return generateFonts({
+    input,
+    text,
+    outputPaths,
+    outputFormats,
+    inputOptions: options.inputOptions,
+    outputOptions: options.outputOptions,
+    cache: options.cache,
+    layout: options.layout,
+    axes: options.axes,
+    face: options.face,
+    allowRestricted: options.force,
+  })
+}
+
+/**
+ * List the faces of an input font to generate as separate fonts: every face of a collection with
+ * --face "*", otherwise a single font using the selected face
+ * @param {string} input - Input font file path
+ * @param {number|string|null} face - --face option
+ * @returns {Promise<Array<number|undefined>>} Face indexes, undefined for a single font
+ */
+async function expandFaces(input, face) {
+  if (face !== '*') {
+    return [undefined]
+  }
+  try {
+    const data = await readFile(input)
+    if (detectFontType(data) === 'ttc') {
+      return readCollectionOffsets(data).map((_, index) => index)
+    }
+  } catch {
+    // Unreadable fonts are reported when they are generated
+  }
+  return [undefined]
+}
+
+/**
+ * Describe an input font in progress messages, with the face index of a collection
+ * @param {string} input - Input font file path
+ * @param {number} [face] - Face index from expandFaces
+ * @returns {string} Font label
+ */
+function getFontLabel(input, face) {
+  return face === undefined ? input : `${input} (face ${face})`
+}
+
+/**
+ * Generate several fonts with the same characters, continuing past failures
+ * Prints a size report and one @font-face rule per font, and a summary of the fonts that failed
+ * @param {string[]} inputs - Input font file paths
+ * @param {string} text - Characters to include
+ * @param {string[]} outputFormats - Array of format strings
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Array<Object>>} Report of every font, failed fonts carry an error message
+ */
+async function processFonts(inputs, text, outputFormats, options) {
+  const [reports] = await processFontGroups([{ inputs, text, outputFormats, options }], options.concurrency)
+  return reports
+}
+
+/**
+ * Generate the fonts of several groups in one worker pool, continuing past failures
+ * The fonts of a group share its characters, formats and options, with --face "*" every face of a
+ * collection is a font of its own. Once every font is generated, each group prints its size reports,
+ * @font-face rules and failed fonts as processFonts does
+ * @param {Array<{inputs: string[], text: string, outputFormats: string[], options: Object}>} groups - Fonts to generate
+ * @param {number} [concurrency] - Maximum number of workers, one per CPU by default
+ * @returns {Promise<Array<Array<Object>>>} Reports of every font of each group
+ */
+async function processFontGroups(groups, concurrency) {
+  const fonts = []
+  for (const [groupIndex, group] of groups.entries()) {
+    for (const input of group.inputs) {
+      for (const face of await expandFaces(input, group.options.face)) {
+        fonts.push({
+          groupIndex,
+          input,
+          face,
+          outputPaths: generateOutputPaths(input, group.options.output, group.outputFormats, face),
+        })
+      }
+    }
+  }
+  // One job per font writes every format from a single parse
+  const jobs = fonts.map(({ groupIndex, input, face, outputPaths }) => {
+    const { text, options } = groups[groupIndex]
+    return {
+      input,
+      outputs: outputPaths,
+      text,
+      inputOptions: options.inputOptions,
+      outputOptions: options.outputOptions,
+      layout: options.layout,
+      axes: options.axes,
+      face: face ?? options.face,
+      cache: options.cache,
+      allowRestricted: options.force,
+    }
+  })
+  const outputPaths = jobs.flatMap(job => job.outputs)
+
+  for (const outputDir of new Set(outputPaths.map(output => dirname(output)))) {
+    await mkdir(outputDir, { recursive: true })
+  }
+
+  log(`\nGenerating ${outputPaths.length} file(s) from ${fonts.length} font(s)`)
+  const results = await minifyFonts(jobs, {
+    concurrency,
+    onResult: result =>
+      result.outputs.forEach(output =>
+        log(
+          output.success
+            ? `  ✓ ${output.output}${output.stats && output.stats.cached ? ' (cached)' : ''}`
+            : `  ✗ ${output.output}: ${output.error.message}`
+        )
+      ),
+  })
+
+  const reports = groups.map(() => [])
+  const rules = groups.map(() => [])
+  const failures = groups.map(() => [])
+
+  for (const [fontIndex, { groupIndex, input, face }] of fonts.entries()) {
+    const { outputFormats, options } = groups[groupIndex]
+    const fontResults = results[fontIndex].outputs
+    const label = getFontLabel(input, face)
+
+    log(`\nProcessing: ${label}`)
+    const failed = fontResults.find(result => !result.success)
+    if (failed) {
+      console.error(`\n✗ Failed: ${label}: ${failed.error.message}`)
+      failures[groupIndex].push({ input: label, error: failed.error })
+      reports[groupIndex].push({ input, ...(face !== undefined && { face }), error: failed.error.message })
+      continue
+    }
+
+    const outputs = fontResults.map((result, index) => ({
+      format: outputFormats[index],
+      path: result.output,
+      stats: result.stats,
+    }))
+    const generatedFiles = outputs.map(output => output.path)
+    generatedFiles.forEach(file => log(`  → ${file}`))
+
+    const report = createFontReport(input, outputs, face)
+    printSizeReport(report)
+    printMissingChars(report)
+    reports[groupIndex].push(report)
+
+    const fontFace = await readFontFace(input, face ?? options.face)
+    rules[groupIndex].push(generateFontFaceCSS(generatedFiles, fontFace, options))
+  }
+
+  for (const [groupIndex, { options }] of groups.entries()) {
+    const count = fonts.filter(font => font.groupIndex === groupIndex).length
+    log(`\n✓ Generated ${count - failures[groupIndex].length} of ${count} font(s)`)
+
+    if (rules[groupIndex].length > 0) {
+      log(`
+-----------------------------
+CSS @font-face
+-----------------------------
+`)
+      log(rules[groupIndex].join('\n\n'))
+
+      if (options.css) {
+        await writeStylesheet(options.css, rules[groupIndex].join('\n\n'))
+      }
+    }
+
+    if (failures[groupIndex].length > 0) {
+      console.error(`\n✗ ${failures[groupIndex].length} font(s) failed:`)
+      failures[groupIndex].forEach(({ input, error }) => console.error(`  ${input}: ${error.message}`))
+    }
+  }
+
+  return reports
+}
+
+/**
+ * Collect the statistics of one input font and its outputs
+ * @param {string} input - Input font file path
+ * @param {Array<{format: string, path: string, stats: Object}>} outputs - Generated files
+ * @param {number} [face] - Face index of a collection exported with --face "*"
+ * @returns {Object} Report with input size, glyph and character counts, embedding permissions, license names
+ *   and one entry per output
+ */
+function createFontReport(input, outputs, face) {
+  const measured = outputs.find(output => output.stats)
+  const { inputSize, glyphs, chars, embedding, license } = (measured && measured.stats) || {}
+
+  return {
+    input,
+    ...(face !== undefined && { face }),
+    inputSize,
+    glyphs,
+    chars,
+    embedding,
+    license,
+    outputs: outputs.map(({ format, path, stats }) => ({
+      format,
+      path,
+      size: stats && stats.outputSize,
+      ratio: stats && stats.ratio,
+    })),
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+}
+
+/**
+ * Print the size table of a font report
+ * @param {Object} report - Report from createFontReport
+ */
+function printSizeReport(report) {
+  if (report.inputSize === undefined) {
+    return
+  }
+
+  const rows = report.outputs.map(output => [
+    output.format,
+    formatBytes(output.size),
+    `${(output.ratio * 100).toFixed(1)}%`,
+    `-${((1 - output.ratio) * 100).toFixed(1)}%`,
+  ])
+  const table = [['Format', 'Size', 'Ratio', 'Saved'], ...rows]
+  const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)))
+
+  log(`\nSize report (input: ${formatBytes(report.inputSize)}):`)
+  table.forEach(row =>
+    log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd())
+  )
+  log(`  Glyphs: ${report.glyphs.before} → ${report.glyphs.after}`)
+  log(`  Characters: ${report.chars.covered} of ${report.chars.requested} covered`)
+  if (report.embedding) {
+    log(`  Embedding: ${formatEmbedding(report.embedding)}`)
+  }
+}
+
+/**
+ * Format the embedding permissions of a font for display
+ * @param {Object} embedding - Embedding permissions from inspectFont or minifyFont
+ * @returns {string} Permission with its flags, e.g. "restricted (no subsetting)"
+ */
+function formatEmbedding(embedding) {
+  const flags = [
+    embedding.subsetting ? null : 'no subsetting',
+    embedding.bitmapOnly ? 'bitmap only' : null,
+  ].filter(Boolean)
+  return `${embedding.permission}${flags.length ? ` (${flags.join(', ')})` : ''}`
+}
+
+/**
+ * Format code points for display, invisible characters as U+XXXX
+ * @param {number[]} codePoints - Code points
+ * @returns {string} Characters
+ */
+function formatChars(codePoints) {
+  return codePoints
+    .map(codePoint => {
+      const char = String.fromCodePoint(codePoint)
+      return /[\p{C}\p{Z}]/u.test(char)
+        ? ` U+${codePoint.toString(16).toUpperCase().padStart(4, '0')} `
+        : char
+    })
+    .join('')
+    .trim()
+}
+
+/**
+ * Print the requested characters the font cannot render, grouped by Unicode block
+ * @param {Object} report - Report from createFontReport
+ */
+function printMissingChars(report) {
+  const missing = (report.chars && report.chars.missing) || []
+  if (missing.length === 0) {
+    return
+  }
+
+  log(`\n⚠ ${missing.length} requested character(s) missing from the font:`)
+  for (const { block, codePoints } of groupByUnicodeBlock(missing)) {
+    const shown = formatChars(codePoints.slice(0, MISSING_CHARS_SHOWN))
+    const more =
+      codePoints.length > MISSING_CHARS_SHOWN ? ` … and ${codePoints.length - MISSING_CHARS_SHOWN} more` : ''
+    log(`  ${block} (${codePoints.length}): ${shown}${more}`)
+  }
+}
+
+/**
+ * Check --fail-on-missing against the font reports, printing why the run fails
+ * @param {Array<Object>} reports - Font reports
+ * @param {Object} options - Parsed CLI options
+ * @returns {boolean} Whether the run should fail
+ */
+function failsOnMissing(reports, options) {
+  if (!options.failOnMissing) {
+    return false
+  }
+
+  const incomplete = reports.filter(report => report.chars && report.chars.missing.length > 0)
+  if (incomplete.length === 0) {
+    return false
+  }
+
+  console.error(
+    `\n✗ ${incomplete.length} font(s) cannot render every requested character (--fail-on-missing)`
+  )
+  return true
+}
+
+/**
+ * Print the font reports as JSON to stdout when --json is set
+ * @param {Array<Object>} reports - Reports from createFontReport, or failed fonts with an error message
+ */
+function printJSONReport(reports) {
+  if (jsonOutput) {
+    console.log(JSON.stringify({ fonts: reports }, null, 2))
+  }
+}
+
+/**
+ * Read the family, weight and style of an input font for its @font-face rule
+ * Falls back to the file name when the font metadata cannot be read
+ * @param {string} input - Input font file path
+ * @param {number|string|null} [face] - Face of a font collection
+ * @returns {Promise<{family: string, weight?: number, style?: string}>} Font face descriptors
+ */
+async function readFontFace(input, face) {
+  try {
+    const meta = await readFontMeta(
+      await readFile(input),
+      extname(input).slice(1).toLowerCase(),
+      face ?? undefined
+    )
+    if (meta.family) {
+      return meta
+    }
+  } catch {
+    // Metadata is only used for the CSS output
+  }
+  return { family: getInputFileName(input) }
+}
+
+/**
+ * Display help message
+ */
+function showHelp() {
+  console.log('Usage: minify-font <input-font-path...> [options]')
+  console.log('       minify-font [--config <file>] [options]')
+  console.log('       minify-font slice <input-font-path> [options]')
+  console.log('       minify-font info <font-path> [--json]')
+  console.log('       minify-font cache clean')
+  console.log('')
+  console.log('Commands:')
+  console.log('  slice                     Split a font into unicode-range slices with a CSS file')
+  console.log('                            (run "minify-font slice --help" for its options)')
+  console.log('  info                      Show the names, glyphs, Unicode blocks, tables, metrics,')
+  console.log('                            embedding permissions and license of a font')
+  console.log(`  cache clean               Remove the subsets cached in ${DEFAULT_CACHE_DIR}`)
+  console.log('')
+  console.log('Options:')
+  console.log('  -c, --collection <name>   Use predefined character collection:')
+  console.log('                            top500, top2500 (default), commonlyUsed')
+  console.log('  -w, --words <words>       Custom characters:')
+  console.log('                            - Use alone: only include these characters')
+  console.log('                            - Use with -c: append to collection')
+  console.log('  --scan <glob>             Extract characters from source files (HTML, Vue, JSX/TSX,')
+  console.log('                            Markdown, JSON, CSS, text), repeatable, used like -w')
+  console.log(
+    '  -o, --output <output>     Output file or directory (default: same as input with .min suffix)'
+  )
+  console.log('                            Must be a directory with several input fonts')
+  console.log('  -f, --formats <formats>   Comma-separated formats to generate (default: ttf,woff,woff2)')
+  console.log('  --css <file>              Write the @font-face CSS to a file, with URLs relative to it')
+  console.log('  --family <name>           CSS font-family (default: the font family name)')
+  console.log('  --weight <weight>         CSS font-weight (default: the font weight)')
+  console.log('  --style <style>           CSS font-style (default: the font style)')
+  console.log(`  --display <display>       CSS font-display: ${FONT_DISPLAY_VALUES.join(', ')}`)
+  console.log(
+    '  --url-prefix <prefix>     Public URL of the fonts in the CSS, e.g. https://cdn.example.com/fonts/'
+  )
+  console.log('  --json                    Print the size report as JSON to stdout, progress goes to stderr')
+  console.log('  --fail-on-missing         Exit with code 1 when the font lacks requested characters')
+  console.log('  --watch                   Rebuild when the input fonts, scanned sources or config change')
+  console.log('  --no-cache                Always subset, without reading or writing the on-disk cache')
+  console.log('  --concurrency <count>     Fonts subset in parallel with several inputs or config jobs')
+  console.log('                            (default: the number of CPUs)')
+  console.log('  --config <file>           Run the font jobs of a config file (default without input fonts:')
+  console.log(
+    '                            minify-font.config.{js,mjs,json} or "minifyFont" in package.json),'
+  )
+  console.log('                            other options override the config values')
+  console.log('  --layout                  Keep OpenType layout features (GSUB/GPOS): ligatures, kerning,')
+  console.log('                            vertical forms... Output formats: ttf, woff, woff2, eot')
+  console.log('  --layout-features <tags>  Comma-separated features to keep, "*" for all (implies --layout,')
+  console.log('                            default: the features browsers apply on their own)')
+  console.log('  --drop-layout-features <tags>')
+  console.log('                            Comma-separated features to remove (implies --layout)')
+  console.log('  --axes <axes>             Pin or restrict the axes of a variable font: tag=value pins an')
+  console.log('                            axis, tag=min:max narrows its range, e.g. wght=700,wdth=75:100.')
+  console.log('                            Pinning every axis outputs a smaller static font')
+  console.log('  --face <index|name>       Face of a .ttc/.otc collection by index or PostScript name')
+  console.log('                            (default: 0, list them with "minify-font info"), "*" generates')
+  console.log('                            every face as a separate font named <font>-<index>')
+  console.log('  --names <names>           Rename the output fonts: family, subfamily, fullName,')
+  console.log('                            postScriptName, uniqueId or suffix, e.g. suffix=Subset or')
+  console.log('                            "family=Brand Sans,subfamily=Bold"')
+  console.log('  --strip-names <records>   Remove name records (comma-separated): copyright, license,')
+  console.log('                            description, vendor')
+  console.log('  --force                   Subset fonts whose license (OS/2 fsType) forbids embedding or')
+  console.log('                            subsetting, only when you are licensed to do so')
+  console.log('  --input-options <json>    Input font options as JSON string')
+  console.log('  --output-options <json>   Output font options as JSON string')
+  console.log('  -h, --help                Show this help message')
+  console.log('  -v, --version             Show version')
+  console.log('')
+  console.log('Examples:')
+  console.log('  minify-font font.ttf                              # Use default collection (top2500)')
+  console.log('  minify-font font.ttf -c top500                    # Use top500 collection')
+  console.log(
+    '  minify-font font.ttf -w "Hello World"             # Only include "Hello World" (no collection)'
+  )
+  console.log('  minify-font font.ttf -c top500 -w "额外字符"       # Combine top500 + "额外字符"')
+  console.log('  minify-font font.ttf -w "ABC" -o output/          # Specified words to output directory')
+  console.log('  minify-font font.ttf -f woff2                     # Generate only woff2 format')
+  console.log('  minify-font font.ttf -f ttf,woff -o dist/         # Multiple formats to directory')
+  console.log('  minify-font font.ttf --scan "src/**/*.{vue,tsx}"  # Characters used in the sources')
+  console.log('  minify-font "fonts/*.ttf" -f woff2 -o dist/       # Every weight, one @font-face rule each')
+  console.log('  minify-font font.ttf -o dist/fonts/ --css dist/fonts.css --display swap')
+  console.log('  minify-font                                       # Run the jobs of minify-font.config.js')
+  console.log('  minify-font --config fonts.config.json -f woff2   # Run a config, only generating woff2')
+  console.log('  minify-font font.ttf --scan "src/**/*.vue" --watch # Rebuild while editing the sources')
+  console.log('  minify-font font.ttf -w "office" --layout-features liga,kern,ss01 # Keep ligatures')
+  console.log(
+    '  minify-font brand-vf.ttf -f woff2 --axes wght=700    # Bold static instance of a variable font'
+  )
+  console.log('  minify-font PingFang.ttc -f woff2 --face "*" -o dist/ # Every face of a collection')
+  console.log('  minify-font font.ttf --names suffix=Subset --strip-names license,description # Rename')
+  console.log('  minify-font licensed.ttf -f woff2 --force         # Font licensed for web subsetting')
+}
+
+/**
+ * Display help message for the slice command
+ */
+function showSliceHelp() {
+  console.log('Usage: minify-font slice <input-font-path> [options]')
+  console.log('')
+  console.log('Split a font into unicode-range slices and write one CSS file referencing all of them.')
+  console.log('')
+  console.log('Options:')
+  console.log('  --chunks <count>          Number of slices')
+  console.log('  --chunk-size <size>       Target size per slice, e.g. 50kb (default: 50kb)')
+  console.log('  -o, --output <dir>        Output directory (default: output/ next to the input)')
+  console.log('  -f, --formats <formats>   Comma-separated formats per slice (default: woff2)')
+  console.log('  --family <name>           CSS font-family (default: the font family name)')
+  console.log('  -c, --collection <name>   Only slice a predefined collection: top500, top2500, commonlyUsed')
+  console.log('  -w, --words <words>       Only slice these characters (appended when used with -c)')
+  console.log('  --scan <glob>             Only slice characters found in source files, repeatable')
+  console.log('  --force                   Slice fonts whose license (OS/2 fsType) forbids embedding or')
+  console.log('                            subsetting, only when you are licensed to do so')
+  console.log('  --input-options <json>    Input font options as JSON string')
+  console.log('  --output-options <json>   Output font options as JSON string')
+  console.log('  -h, --help                Show this help message')
+  console.log('')
+  console.log('Examples:')
+  console.log('  minify-font slice font.ttf                        # All characters, ~50kb slices')
+  console.log('  minify-font slice font.ttf --chunks 60 -o dist/   # 60 slices in dist/')
+  console.log('  minify-font slice font.ttf -c commonlyUsed --chunk-size 30kb')
+}
+
+/**
+ * Display help message for the info command
+ */
+function showInfoHelp() {
+  console.log('Usage: minify-font info <font-path> [options]')
+  console.log('')
+  console.log('Show what a font contains before subsetting it.')
+  console.log('')
+  console.log('Options:')
+  console.log('  --face <index|name>       Face of a .ttc/.otc collection to show (default: 0), the faces')
+  console.log('                            of a collection are listed after the font information')
+  console.log('  --json                    Print the font information as JSON')
+  console.log('  -h, --help                Show this help message')
+  console.log('')
+  console.log('Examples:')
+  console.log('  minify-font info font.ttf')
+  console.log('  minify-font info font.woff2 --json')
+  console.log('  minify-font info NotoSansCJK.ttc --face NotoSansCJKsc-Regular')
+}
+
+/**
+ * Display help message for the cache command
+ */
+function showCacheHelp() {
+  console.log('Usage: minify-font cache clean')
+  console.log('')
+  console.log(`Subset fonts are cached in ${DEFAULT_CACHE_DIR}, keyed by the source font content,`)
+  console.log('the characters, the output format and the font options. Unchanged fonts are served')
+  console.log('from the cache instead of being subset again. Pass --no-cache to bypass it.')
+  console.log('')
+  console.log('Commands:')
+  console.log('  clean                     Remove every cached subset')
+  console.log('')
+  console.log('Options:')
+  console.log('  -h, --help                Show this help message')
+}
+
+/**
+ * Display version information
+ */
+function showVersion() {
+  console.log('minify-font version ' + pkg.version)
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Command-line arguments
+ * @returns {Object} Parsed options
+ */
+function parseArguments(args) {
+  const inputs = []
+  let words = null
+  let collection = 'top2500' // default collection
+  let collectionSpecified = false // track if -c was explicitly provided
+  let output = null
+  let formats = null
+  let scan = []
+  let config = null
+  let css = null
+  let family = null
+  let weight = null
+  let style = null
+  let display = null
+  let urlPrefix = null
+  let json = false
+  let failOnMissing = false
+  let watchMode = false
+  let cache = true
+  let concurrency
+  let layout = null
+  let axes = null
+  let face = null
+  let names = null
+  let force = false
+  let inputOptions = {}
+  let outputOptions = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        showHelp()
+        process.exit(0)
+
+      case '-v':
+      case '--version':
+        showVersion()
+        process.exit(0)
+
+      case '-c':
+      case '--collection':
+        collection = args[++i]
+        collectionSpecified = true
+        if (!COLLECTIONS[collection]) {
+          console.error(
+            `Error: Invalid collection "${collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`
+          )
+          process.exit(1)
+        }
+        break
+
+      case '-w':
+      case '--words':
+        words = args[++i]
+        break
+
+      case '--scan':
+        scan.push(args[++i])
+        break
+
+      case '-o':
+      case '--output':
+        output = args[++i]
+        break
+
+      case '-f':
+      case '--formats':
+        formats = args[++i]
+        break
+
+      case '--config':
+        config = args[++i]
+        break
+
+      case '--css':
+        css = args[++i]
+        break
+
+      case '--family':
+        family = args[++i]
+        break
+
+      case '--weight':
+        weight = args[++i]
+        break
+
+      case '--style':
+        style = args[++i]
+        break
+
+      case '--display':
+        display = args[++i]
+        if (!FONT_DISPLAY_VALUES.includes(display)) {
+          console.error(
+            `Error: Invalid font-display "${display}". Available: ${FONT_DISPLAY_VALUES.join(', ')}`
+          )
+          process.exit(1)
+        }
+        break
+
+      case '--url-prefix':
+        urlPrefix = args[++i]
+        break
+
+      case '--json':
+        json = true
+        break
+
+      case '--fail-on-missing':
+        failOnMissing = true
+        break
+
+      case '--watch':
+        watchMode = true
+        break
+
+      case '--no-cache':
+        cache = false
+        break
+
+      case '--force':
+        force = true
+        break
+
+      case '--concurrency':
+        concurrency = Number(args[++i])
+        if (!Number.isInteger(concurrency) || concurrency <= 0) {
+          console.error(`Error: Invalid concurrency "${args[i]}"`)
+          process.exit(1)
+        }
+        break
+
+      case '--layout':
+        layout = { ...layout }
+        break
+
+      case '--layout-features':
+        layout = { ...layout, features: args[++i] === '*' ? '*' : parseFeatureTags(args[i]) }
+        break
+
+      case '--drop-layout-features':
+        layout = { ...layout, dropFeatures: parseFeatureTags(args[++i]) }
+        break
+
+      case '--axes':
+        axes = parseAxes(args[++i])
+        if (!axes) {
+          console.error(
+            `Error: Invalid axes "${args[i]}", use tag=value or tag=min:max, e.g. wght=700,wdth=75:100`
+          )
+          process.exit(1)
+        }
+        break
+
+      case '--face':
+        face = parseFace(args[++i])
+        if (face === null) {
+          console.error('Error: --face requires a face index, a PostScript name or "*"')
+          process.exit(1)
+        }
+        break
+
+      case '--names': {
+        const parsed = parseNames(args[++i])
+        if (!parsed) {
+          console.error(
+            `Error: Invalid names "${args[i]}", use key=value, e.g. family=Brand Sans,suffix=Subset`
+          )
+          process.exit(1)
+        }
+        names = { ...names, ...parsed }
+        break
+      }
+
+      case '--strip-names':
+        names = { ...names, strip: (args[++i] || '').split(',').filter(Boolean) }
+        break
+
+      case '--input-options':
+        try {
+          inputOptions = JSON.parse(args[++i])
+        } catch (e) {
+          console.error('Invalid JSON for --input-options:', e.message)
+          process.exit(1)
+        }
+        break
+
+      case '--output-options':
+        try {
+          outputOptions = JSON.parse(args[++i])
+        } catch (e) {
+          console.error('Invalid JSON for --output-options:', e.message)
+          process.exit(1)
+        }
+        break
+
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`)
+          process.exit(1)
+        }
+        inputs.push(arg)
+        break
+    }
   }
 
-  // Parse command-line arguments
-  const options = parseArguments(args)
-
-  try {
-    console.log(`\nProcessing: ${options.input}`)
+  if (layout) {
+    try {
+      resolveLayoutFeatures(layout)
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      process.exit(1)
+    }
+  }
 
-    // Determine character text based on mode
-    const { text, message } = determineCharacterText(
-      options.words,
-      options.collection,
-      options.collectionSpecified
-    )
-    console.log(message)
+  // Name flags add to the names of --output-options
+  if (names) {
+    outputOptions = { ...outputOptions, names: { ...outputOptions.names, ...names } }
+    try {
+      resolveNameOptions(outputOptions.names)
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      process.exit(1)
+    }
+  }
 
-    // Determine output formats and paths
-    const outputFormats = determineOutputFormats(options.formats, options.output)
-    const outputPaths = generateOutputPaths(options.input, options.output, outputFormats)
+  return {
+    inputs,
+    words,
+    collection,
+    collectionSpecified,
+    output,
+    formats,
+    scan,
+    config,
+    css,
+    family,
+    weight,
+    style,
+    display,
+    urlPrefix,
+    json,
+    failOnMissing,
+    watch: watchMode,
+    cache,
+    concurrency,
+    layout,
+    axes,
+    face,
+    force,
+    inputOptions,
+    outputOptions,
+  }
+}
 
-    // Generate fonts for all formats
-    const generatedFiles = await generateFonts(
-      options.input,
-      text,
-      outputPaths,
-      outputFormats,
-      options.inputOptions,
-      options.outputOptions
-    )
+/**
+ * Split a comma-separated list of OpenType feature tags
+ * @param {string} value - Tags, e.g. "liga,kern"
+ * @returns {string[]} Tags
+ */
+function parseFeatureTags(value) {
+  return (value || '').split(',').filter(Boolean)
+}
 
-    // Output success message and file paths
-    console.log('\n✓ Generated successfully:')
-    generatedFiles.forEach(file => console.log(`  ${file}`))
+/**
+ * Parse the axes of a variable font such as "wght=700,wdth=75:100"
+ * @param {string} value - Comma-separated tag=value or tag=min:max entries
+ * @returns {Object<string, number|number[]>|null} Pinned value or [min, max] range by axis tag, or null when invalid
+ */
+function parseAxes(value) {
+  const entries = (value || '').split(',').filter(Boolean)
+  const axes = {}
+  for (const entry of entries) {
+    const match = /^([^=\s]{1,4})=(-?\d+(?:\.\d+)?)(?::(-?\d+(?:\.\d+)?))?$/.exec(entry.trim())
+    if (!match) {
+      return null
+    }
+    axes[match[1]] = match[3] === undefined ? Number(match[2]) : [Number(match[2]), Number(match[3])]
+  }
+  return entries.length > 0 ? axes : null
+}
 
-    // Generate and display @font-face CSS
-    const inputFileName = getInputFileName(options.input)
-    const css = generateFontFaceCSS(generatedFiles, inputFileName)
-    console.log(`
------------------------------
-CSS @font-face: ${inputFileName}
------------------------------
-`)
-    console.log(css)
-  } catch (error) {
-    handleError(error)
+/**
+ * Parse font names such as "family=Brand Sans,suffix=Subset"
+ * @param {string} value - Comma-separated key=value entries
+ * @returns {Object<string, string>|null} Name by option, or null when invalid
+ */
+function parseNames(value) {
+  const entries = (value || '').split(',').filter(entry => entry.trim())
+  const names = {}
+  for (const entry of entries) {
+    const match = /^\s*(\w+)\s*=(.*\S.*)$/.exec(entry)
+    if (!match) {
+      return null
+    }
+    names[match[1]] = match[2].trim()
   }
+  return entries.length > 0 ? names : null
 }
 
 /**
- * Display help message
+ * Parse the face of a font collection: an index, a PostScript name, or "*" for every face
+ * @param {string} value - Face option value
+ * @returns {number|string|null} Face index or name, or null when missing
  */
-function showHelp() {
-  console.log('Usage: minify-font <input-font-path> [options]')
-  console.log('')
-  console.log('Options:')
-  console.log('  -c, --collection <name>   Use predefined character collection:')
-  console.log('                            top500, top2500 (default), commonlyUsed')
-  console.log('  -w, --words <words>       Custom characters:')
-  console.log('                            - Use alone: only include these characters')
-  console.log('                            - Use with -c: append to collection')
-  console.log(
-    '  -o, --output <output>     Output file or directory (default: same as input with .min suffix)'
-  )
-  console.log('  -f, --formats <formats>   Comma-separated formats to generate (default: ttf,woff,woff2)')
-  console.log('  --input-options <json>    Input font options as JSON string')
-  console.log('  --output-options <json>   Output font options as JSON string')
-  console.log('  -h, --help                Show this help message')
-  console.log('  -v, --version             Show version')
-  console.log('')
-  console.log('Examples:')
-  console.log('  minify-font font.ttf                              # Use default collection (top2500)')
-  console.log('  minify-font font.ttf -c top500                    # Use top500 collection')
-  console.log(
-    '  minify-font font.ttf -w "Hello World"             # Only include "Hello World" (no collection)'
-  )
-  console.log('  minify-font font.ttf -c top500 -w "额外字符"       # Combine top500 + "额外字符"')
-  console.log('  minify-font font.ttf -w "ABC" -o output/          # Specified words to output directory')
-  console.log('  minify-font font.ttf -f woff2                     # Generate only woff2 format')
-  console.log('  minify-font font.ttf -f ttf,woff -o dist/         # Multiple formats to directory')
+function parseFace(value) {
+  const face = (value || '').trim()
+  if (!face) {
+    return null
+  }
+  return /^\d+$/.test(face) ? Number(face) : face
 }
 
 /**
- * Display version information
+ * Parse a byte size such as 50kb, 1.5mb or 20000
+ * @param {string} value - Size string
+ * @returns {number|null} Size in bytes, or null when invalid
  */
-function showVersion() {
-  console.log('minify-font version ' + pkg.version)
+function parseByteSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/i.exec(String(value).trim())
+  if (!match) {
+    return null
+  }
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 }
+  const size = Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()])
+  return size > 0 ? size : null
 }
 
 /**
- * Parse command-line arguments
- * @param {string[]} args - Command-line arguments
+ * Parse command-line arguments of the slice command
+ * @param {string[]} args - Command-line arguments after "slice"
  * @returns {Object} Parsed options
  */
-function parseArguments(args) {
-  let input = null
-  let words = null
-  let collection = 'top2500' // default collection
-  let collectionSpecified = false // track if -c was explicitly provided
-  let output = null
-  let formats = null
-  let inputOptions = {}
-  let outputOptions = {}
+function parseSliceArguments(args) {
+  const options = {
+    input: null,
+    output: null,
+    formats: null,
+    family: null,
+    words: null,
+    collection: null,
+    scan: [],
+    chunkCount: undefined,
+    chunkSize: undefined,
+    force: false,
+    inputOptions: {},
+    outputOptions: {},
+  }
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i]
@@ -134,21 +1505,45 @@ function parseArguments(args) {
     switch (arg) {
       case '-h':
       case '--help':
-        showHelp()
+        showSliceHelp()
         process.exit(0)
 
-      case '-v':
-      case '--version':
-        showVersion()
-        process.exit(0)
+      case '--chunks':
+        options.chunkCount = Number(args[++i])
+        if (!Number.isInteger(options.chunkCount) || options.chunkCount <= 0) {
+          console.error(`Error: Invalid chunk count "${args[i]}"`)
+          process.exit(1)
+        }
+        break
+
+      case '--chunk-size':
+        options.chunkSize = parseByteSize(args[++i])
+        if (!options.chunkSize) {
+          console.error(`Error: Invalid chunk size "${args[i]}", use bytes or a kb/mb suffix`)
+          process.exit(1)
+        }
+        break
+
+      case '-o':
+      case '--output':
+        options.output = args[++i]
+        break
+
+      case '-f':
+      case '--formats':
+        options.formats = args[++i]
+        break
+
+      case '--family':
+        options.family = args[++i]
+        break
 
       case '-c':
       case '--collection':
-        collection = args[++i]
-        collectionSpecified = true
-        if (!COLLECTIONS[collection]) {
+        options.collection = args[++i]
+        if (!COLLECTIONS[options.collection]) {
           console.error(
-            `Error: Invalid collection "${collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`
+            `Error: Invalid collection "${options.collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`
           )
           process.exit(1)
         }
@@ -156,22 +1551,20 @@ function parseArguments(args) {
 
       case '-w':
       case '--words':
-        words = args[++i]
+        options.words = args[++i]
         break
 
-      case '-o':
-      case '--output':
-        output = args[++i]
+      case '--scan':
+        options.scan.push(args[++i])
         break
 
-      case '-f':
-      case '--formats':
-        formats = args[++i]
+      case '--force':
+        options.force = true
         break
 
       case '--input-options':
         try {
-          inputOptions = JSON.parse(args[++i])
+          options.inputOptions = JSON.parse(args[++i])
         } catch (e) {
           console.error('Invalid JSON for --input-options:', e.message)
           process.exit(1)
@@ -180,7 +1573,7 @@ function parseArguments(args) {
 
       case '--output-options':
         try {
-          outputOptions = JSON.parse(args[++i])
+          options.outputOptions = JSON.parse(args[++i])
         } catch (e) {
           console.error('Invalid JSON for --output-options:', e.message)
           process.exit(1)
@@ -192,8 +1585,8 @@ function parseArguments(args) {
           console.error(`Unknown option: ${arg}`)
           process.exit(1)
         }
-        if (!input) {
-          input = arg
+        if (!options.input) {
+          options.input = arg
         } else {
           console.error('Multiple input files not supported')
           process.exit(1)
@@ -202,52 +1595,270 @@ function parseArguments(args) {
     }
   }
 
-  if (!input) {
+  if (!options.input) {
     console.error('Error: Input font path is required')
     process.exit(1)
   }
+  if (options.chunkCount !== undefined && options.chunkSize !== undefined) {
+    console.error('Error: --chunks and --chunk-size cannot be used together')
+    process.exit(1)
+  }
 
-  return {
-    input,
-    words,
-    collection,
-    collectionSpecified,
-    output,
-    formats,
-    inputOptions,
-    outputOptions,
+  return options
+}
+
+/**
+ * Run the slice command
+ * @param {string[]} args - Command-line arguments after "slice"
+ */
+async function runSlice(args) {
+  const options = parseSliceArguments(args)
+
+  try {
+    console.log(`\nSlicing: ${options.input}`)
+
+    // Slice every character in the font unless -w, -c or --scan narrows it down
+    let text
+    const scannedText = await scanSources(options.scan)
+    if (options.words !== null || options.collection !== null || scannedText !== null) {
+      const selection = determineCharacterText(
+        options.words,
+        options.collection || 'top2500',
+        options.collection !== null,
+        scannedText
+      )
+      text = selection.text
+      console.log(selection.message)
+    } else {
+      console.log('Using all characters in the font')
+    }
+
+    const result = await createFontSlices({
+      input: options.input,
+      outputDir: options.output || undefined,
+      family: options.family || undefined,
+      text,
+      formats: options.formats ? options.formats.split(',').map(f => f.trim()) : undefined,
+      chunkCount: options.chunkCount,
+      chunkSize: options.chunkSize,
+      inputOptions: options.inputOptions,
+      outputOptions: options.outputOptions,
+      allowRestricted: options.force,
+    })
+
+    console.log(`\n✓ Generated ${result.slices.length} slice(s) in ${result.outputDir}`)
+    result.slices.forEach(slice => {
+      const sizes = slice.fonts.map(font => `${font.format} ${(font.size / 1024).toFixed(1)} KB`).join(', ')
+      console.log(`  #${slice.index}: ${slice.chars} chars (${sizes})`)
+    })
+    console.log(`\n✓ CSS: ${result.cssPath}`)
+  } catch (error) {
+    handleError(error)
+  }
+}
+
+/**
+ * Parse command-line arguments of the info command
+ * @param {string[]} args - Command-line arguments after "info"
+ * @returns {{input: string, face: number|string|null, json: boolean}} Parsed options
+ */
+function parseInfoArguments(args) {
+  const options = { input: null, face: null, json: false }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    switch (arg) {
+      case '-h':
+      case '--help':
+        showInfoHelp()
+        process.exit(0)
+
+      case '--face':
+        options.face = parseFace(args[++i])
+        if (options.face === null || options.face === '*') {
+          console.error('Error: --face requires a face index or a PostScript name')
+          process.exit(1)
+        }
+        break
+
+      case '--json':
+        options.json = true
+        break
+
+      default:
+        if (arg.startsWith('-')) {
+          console.error(`Unknown option: ${arg}`)
+          process.exit(1)
+        }
+        if (!options.input) {
+          options.input = arg
+        } else {
+          console.error('Multiple input files not supported')
+          process.exit(1)
+        }
+        break
+    }
+  }
+
+  if (!options.input) {
+    console.error('Error: Input font path is required')
+    process.exit(1)
+  }
+
+  return options
+}
+
+/**
+ * Run the info command
+ * @param {string[]} args - Command-line arguments after "info"
+ */
+async function runInfo(args) {
+  const options = parseInfoArguments(args)
+
+  try {
+    const info = await inspectFont(options.input, { face: options.face ?? undefined })
+    if (options.json) {
+      console.log(JSON.stringify(info, null, 2))
+    } else {
+      printFontInfo(options.input, info)
+    }
+  } catch (error) {
+    handleError(error)
+  }
+}
+
+/**
+ * Run the cache command
+ * @param {string[]} args - Command-line arguments after "cache"
+ */
+async function runCache(args) {
+  const [command] = args
+
+  if (!command || command === '-h' || command === '--help') {
+    showCacheHelp()
+    process.exit(0)
+    return
+  }
+  if (command !== 'clean') {
+    console.error(`Unknown cache command: ${command}`)
+    process.exit(1)
+    return
+  }
+
+  try {
+    const { files, size } = await clearCache()
+    if (files === 0) {
+      console.log(`Cache is empty: ${DEFAULT_CACHE_DIR}`)
+    } else {
+      console.log(`✓ Removed ${files} cached file(s) (${formatBytes(size)}) from ${DEFAULT_CACHE_DIR}`)
+    }
+  } catch (error) {
+    handleError(error)
   }
 }
 
+/**
+ * Print the information of a font from inspectFont
+ * @param {string} input - Font file path
+ * @param {Object} info - Font information
+ */
+function printFontInfo(input, info) {
+  const yesNo = value => (value ? 'yes' : 'no')
+  const { metrics, license } = info
+  // License descriptions are often the full license text, only its first line is shown
+  const licenseText = license.url || (license.description && license.description.split('\n')[0])
+
+  const face = info.faces ? `face ${info.face} of ${info.faces.length}, ` : ''
+  console.log(`\n${input} (${face}${info.type}, ${formatBytes(info.size)})`)
+  console.log(`  Family:        ${info.family || '-'}`)
+  console.log(`  Style:         ${info.subfamily || '-'} (weight ${info.weight}, ${info.style})`)
+  console.log(`  Full name:     ${info.fullName || '-'}`)
+  console.log(`  PostScript:    ${info.postScriptName || '-'}`)
+  console.log(`  Version:       ${info.version || '-'}`)
+  console.log(`  Glyphs:        ${info.glyphs}`)
+  console.log(`  Characters:    ${info.chars}`)
+  console.log(`  Units per em:  ${info.unitsPerEm}`)
+  console.log(
+    `  hhea metrics:  ascender ${metrics.ascender}, descender ${metrics.descender}, line gap ${metrics.lineGap}`
+  )
+  console.log(
+    `  typo metrics:  ascender ${metrics.typoAscender}, descender ${metrics.typoDescender}, line gap ${metrics.typoLineGap}`
+  )
+  console.log(`  win metrics:   ascent ${metrics.winAscent}, descent ${metrics.winDescent}`)
+  console.log(`  Hinting:       ${yesNo(info.hinting)}`)
+  console.log(`  Kerning:       ${yesNo(info.kerning)}`)
+  console.log(`  GSUB:          ${yesNo(info.gsub)}`)
+  console.log(`  Embedding:     ${formatEmbedding(info.embedding)}`)
+  console.log(`  Copyright:     ${license.copyright || '-'}`)
+  console.log(`  License:       ${licenseText || '-'}`)
+  console.log(`  Tables:        ${info.tables.join(', ') || '-'}`)
+
+  if (info.faces) {
+    console.log(`\nFaces (${info.faces.length}), select one with --face <index|name>:`)
+    info.faces.forEach(face =>
+      console.log(
+        `  ${face.index === info.face ? '*' : ' '} ${face.index}  ${face.postScriptName || '-'}  (${face.family} ${face.subfamily})`
+      )
+    )
+  }
+
+  console.log(`\nUnicode blocks (${info.blocks.length}):`)
+  const width = Math.max(0, ...info.blocks.map(({ block }) => block.length))
+  info.blocks.forEach(({ block, chars }) => console.log(`  ${block.padEnd(width)}  ${chars}`))
+}
+
+/**
+ * Extract characters from the files matched by --scan and report each file's contribution
+ * @param {string[]} patterns - Glob patterns or file paths
+ * @returns {Promise<string|null>} Unique scanned characters, or null when nothing was requested
+ */
+async function scanSources(patterns) {
+  if (patterns.length === 0) {
+    return null
+  }
+
+  const { text, sources } = await scanText(patterns)
+  if (sources.length === 0) {
+    throw new Error(`No files matched --scan ${patterns.join(', ')}`)
+  }
+
+  log(`Scanned ${sources.length} file(s): ${countChars(text)} unique chars`)
+  sources.forEach(source => log(`  ${relative(process.cwd(), source.file)}: ${source.chars} chars`))
+  return text
+}
+
 /**
  * Determine character text based on mode (specified/append/collection)
  * @param {string|null} words - Custom words provided by user
  * @param {string} collection - Collection name
  * @param {boolean} collectionSpecified - Whether collection was explicitly specified
+ * @param {string|null} [scannedText=null] - Characters extracted by --scan, treated like words
  * @returns {Object} Object containing text and console message
  */
-function determineCharacterText(words, collection, collectionSpecified) {
+function determineCharacterText(words, collection, collectionSpecified, scannedText = null) {
   let text
   let message = ''
 
+  // Scanned characters join the custom words
+  const custom = scannedText === null ? words : (words || '') + scannedText
+  const label = scannedText === null ? 'words' : words === null ? 'scanned text' : 'words and scanned text'
+
   // Option 2 (Pure): Smart mode detection
-  // Note: Use 'words !== null' instead of 'words' to handle empty strings
-  if (words !== null && !collectionSpecified) {
+  // Note: Use 'custom !== null' instead of 'custom' to handle empty strings
+  if (custom !== null && !collectionSpecified) {
     // Specified mode: Only use words (no collection)
-    // Deduplicate characters in words
-    const uniqueWords = Array.from(new Set([...words])).join('')
-    text = uniqueWords
-    message = `Using specified words only: ${text.length} unique chars`
-  } else if (words !== null && collectionSpecified) {
+    // Deduplicate characters in words by code point
+    text = uniqueChars(custom)
+    message = `Using specified ${label} only: ${countChars(text)} unique chars`
+  } else if (custom !== null && collectionSpecified) {
     // Append mode: Combine collection + words
-    const collectionText = COLLECTIONS[collection] || TOP_USED_2500_CHARS
-    const combinedChars = new Set([...collectionText, ...words])
-    text = Array.from(combinedChars).join('')
-    message = `Using collection "${collection}" (${collectionText.length} chars) + custom words\nTotal: ${text.length} unique chars`
+    const collectionText = COLLECTIONS[collection] || COLLECTIONS.top2500
+    text = uniqueChars(collectionText, custom)
+    message = `Using collection "${collection}" (${countChars(collectionText)} chars) + custom ${label}\nTotal: ${countChars(text)} unique chars`
   } else {
     // Collection only (or default)
-    text = COLLECTIONS[collection] || TOP_USED_2500_CHARS
-    message = `Using character collection: ${collection} (${text.length} chars)`
+    text = COLLECTIONS[collection] || COLLECTIONS.top2500
+    message = `Using character collection: ${collection} (${countChars(text)} chars)`
   }
 
   return { text, message }
@@ -279,13 +1890,15 @@ function determineOutputFormats(formats, output) {
  * @param {string} input - Input file path
  * @param {string|null} output - Output path (file or directory)
  * @param {string[]} outputFormats - Array of format strings
+ * @param {number} [face] - Face index of a collection exported with --face "*", appended to the name
  * @returns {string[]} Array of output file paths
  */
-function generateOutputPaths(input, output, outputFormats) {
+function generateOutputPaths(input, output, outputFormats, face) {
   const outputPaths = []
   const hasOutputExtension = output && extname(output)
-  const inputBaseName = input.replace(/\.[^/.]+$/, '')
-  const inputFileName = input.replace(/^.*[\\/]/, '').replace(/\.[^/.]+$/, '')
+  const faceSuffix = face === undefined ? '' : `-${face}`
+  const inputBaseName = input.replace(/\.[^/.]+$/, '') + faceSuffix
+  const inputFileName = input.replace(/^.*[\\/]/, '').replace(/\.[^/.]+$/, '') + faceSuffix
 
   for (const format of outputFormats) {
     let outputPath
@@ -309,15 +1922,33 @@ function generateOutputPaths(input, output, outputFormats) {
 
 /**
  * Generate font files for all formats
- * @param {string} input - Input font file path
- * @param {string} text - Characters to include
- * @param {string[]} outputPaths - Array of output file paths
- * @param {string[]} outputFormats - Array of format strings
- * @param {Object} inputOptions - Font input options
- * @param {Object} outputOptions - Font output options
- * @returns {Promise<string[]>} Array of generated file paths
+ * @param {Object} options - Generation options
+ * @param {string} options.input - Input font file path
+ * @param {string} options.text - Characters to include
+ * @param {string[]} options.outputPaths - Array of output file paths
+ * @param {string[]} options.outputFormats - Array of format strings
+ * @param {Object} options.inputOptions - Font input options
+ * @param {Object} options.outputOptions - Font output options
+ * @param {boolean} options.cache - Whether to reuse subsets from the on-disk cache
+ * @param {Object|null} options.layout - OpenType layout features to keep, null to drop them
+ * @param {Object|null} options.axes - Pinned or restricted axes of a variable font, null to keep them
+ * @param {number|string|null} options.face - Face of a font collection, null for the first face
+ * @param {boolean} options.allowRestricted - Whether to subset fonts whose license forbids it (--force)
+ * @returns {Promise<Array<{format: string, path: string, stats: Object}>>} Generated files with their statistics
  */
-async function generateFonts(input, text, outputPaths, outputFormats, inputOptions, outputOptions) {
+async function generateFonts({
+  input,
+  text,
+  outputPaths,
+  outputFormats,
+  inputOptions,
+  outputOptions,
+  cache,
+  layout,
+  axes,
+  face,
+  allowRestricted,
+}) {
   // Ensure output directories exist for all files
   for (const outputPath of outputPaths) {
     const outputDir = dirname(outputPath)
@@ -325,59 +1956,67 @@ async function generateFonts(input, text, outputPaths, outputFormats, inputOptio
   }
 
   // Generate all formats
-  console.log(`\nGenerating ${outputFormats.length} format(s): ${outputFormats.join(', ')}`)
-  const generatedFiles = []
+  log(`\nGenerating ${outputFormats.length} format(s): ${outputFormats.join(', ')}`)
+  const outputs = []
+  const progress = jsonOutput ? process.stderr : process.stdout
 
   for (let i = 0; i < outputFormats.length; i++) {
     const format = outputFormats[i]
     const outputPath = outputPaths[i]
 
-    process.stdout.write(`  ${format}... `)
-    await minifyFont({
+    if (!quietOutput) {
+      progress.write(`  ${format}... `)
+    }
+    const stats = await minifyFont({
       input,
       output: outputPath,
       text,
       inputOptions,
       outputOptions,
+      cache,
+      layout,
+      axes,
+      face: face ?? undefined,
+      allowRestricted,
     })
-    console.log('✓')
+    log(stats && stats.cached ? '✓ (cached)' : '✓')
 
-    generatedFiles.push(outputPath)
+    outputs.push({ format, path: outputPath, stats })
   }
 
-  return generatedFiles
+  return outputs
 }
 
 /**
  * Generate @font-face CSS block
+ * URLs are relative to the --css file when given, otherwise the generated file paths
  * @param {string[]} generatedFiles - Array of generated file paths
- * @param {string} inputFileName - Input file name (without extension)
+ * @param {Object} face - Family, weight and style read from the font
+ * @param {Object} options - Parsed CLI options, --family, --weight and --style override the font values,
+ *   --axes narrows the weight of a variable font
  * @returns {string} CSS string
  */
-function generateFontFaceCSS(generatedFiles, inputFileName) {
-  const formatMap = {
-    woff2: 'woff2',
-    woff: 'woff',
-    ttf: 'truetype',
-  }
-
-  // Sort files by format preference (woff2 > woff > ttf)
-  const sortedFiles = [...generatedFiles].sort((a, b) => {
-    const order = { woff2: 0, woff: 1, ttf: 2 }
-    const extA = a.split('.').pop()
-    const extB = b.split('.').pop()
-    return (order[extA] || 3) - (order[extB] || 3)
+function generateFontFaceCSS(generatedFiles, face, options) {
+  return createFontFaceCSS({
+    family: options.family || face.family,
+    fonts: generatedFiles.map(file => ({ path: file, format: file.split('.').pop() })),
+    baseDir: options.css ? dirname(options.css) : undefined,
+    urlPrefix: options.urlPrefix,
+    weight: options.weight ?? getAxesWeight(face.weight, options.axes),
+    style: options.style ?? face.style,
+    display: options.display,
   })
+}
 
-  return `@font-face {
-  font-family: '${inputFileName}';
-  src: ${sortedFiles
-    .map(file => {
-      const ext = file.split('.').pop()
-      return `url(${file}) format('${formatMap[ext] || ext}')`
-    })
-    .join(',\n       ')};
-}`
+/**
+ * Write the @font-face CSS to the --css file
+ * @param {string} file - CSS file path
+ * @param {string} css - CSS string
+ */
+async function writeStylesheet(file, css) {
+  await mkdir(dirname(file), { recursive: true })
+  await writeFile(file, `${css}\n`)
+  log(`\n✓ CSS written to ${file}`)
 }
 
 /**
@@ -1,10 +1,40 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { minifyFont } from '../src/minify-font.mjs'
-import { mkdir } from 'node:fs/promises'
+import { minifyFonts } from '../src/minify-fonts.mjs'
+import { createFontSlices } from '../src/slice-font.mjs'
+import { inspectFont } from '../src/inspect-font.mjs'
+import { scanText } from '../src/scan-text.mjs'
+import { expandGlob } from '../src/glob.mjs'
+import { readFontMeta } from '../src/font-meta.mjs'
+import { loadConfig } from '../src/load-config.mjs'
+import { clearCache } from '../src/font-cache.mjs'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { mkdirSync, mkdtempSync, rmSync, watch } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
 
 // Mock dependencies
 vi.mock('../src/minify-font.mjs')
+vi.mock('../src/minify-fonts.mjs')
+vi.mock('../src/slice-font.mjs')
+vi.mock('../src/inspect-font.mjs')
+vi.mock('../src/scan-text.mjs')
+vi.mock('../src/glob.mjs', async importOriginal => ({
+  ...(await importOriginal()),
+  expandGlob: vi.fn(),
+}))
+vi.mock('../src/font-meta.mjs')
+vi.mock('../src/font-cache.mjs')
+vi.mock('../src/load-config.mjs', async importOriginal => ({
+  ...(await importOriginal()),
+  loadConfig: vi.fn(),
+}))
 vi.mock('node:fs/promises')
+vi.mock('node:fs', async importOriginal => ({
+  ...(await importOriginal()),
+  existsSync: vi.fn(() => true),
+  watch: vi.fn(() => ({ close: vi.fn() })),
+}))
 
 describe('minify-font CLI', () => {
   let originalArgv
@@ -31,6 +61,55 @@ describe('minify-font CLI', () => {
     // Mock minifyFont
     vi.mocked(minifyFont).mockResolvedValue(undefined)
 
+    // Run batches in-process so every output of a job goes through the minifyFont mock
+    vi.mocked(minifyFonts).mockImplementation(async (jobs, { onResult } = {}) => {
+      const results = []
+      for (const { outputs, ...job } of jobs) {
+        const outputResults = []
+        for (const output of outputs) {
+          try {
+            outputResults.push({ output, success: true, stats: await minifyFont({ ...job, output }) })
+          } catch (error) {
+            outputResults.push({ output, success: false, error })
+          }
+        }
+        const failed = outputResults.find(output => !output.success)
+        const result = {
+          input: job.input,
+          success: !failed,
+          ...(failed && { error: failed.error }),
+          outputs: outputResults,
+        }
+        results.push(result)
+        if (onResult) {
+          onResult(result, results.length - 1)
+        }
+      }
+      return results
+    })
+
+    // No project config by default
+    vi.mocked(loadConfig).mockResolvedValue(null)
+
+    // Mock scanText
+    vi.mocked(scanText).mockResolvedValue({
+      text: '你好世界',
+      sources: [
+        { file: `${process.cwd()}/index.html`, chars: 3 },
+        { file: `${process.cwd()}/locales/zh.json`, chars: 2 },
+      ],
+    })
+
+    // Mock createFontSlices
+    vi.mocked(createFontSlices).mockResolvedValue({
+      outputDir: 'output',
+      cssPath: 'output/font.css',
+      css: '',
+      slices: [
+        { index: 0, unicodeRange: 'U+41-43', chars: 3, fonts: [{ format: 'woff2', path: 'x', size: 2048 }] },
+      ],
+    })
+
     // Clear module cache and re-import to get fresh instance
     vi.resetModules()
     const module = await import('./minify-font.mjs')
@@ -142,13 +221,21 @@ describe('minify-font CLI', () => {
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Using specified words only'))
     })
 
-    it('should combine collection with custom words', async () => {
-      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-c', 'top500', '-w', '额外字符']
+    it('should pass deduplicated astral words to minifyFont', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-w', '𠮷A𠮷😀']
       await runCLI()
 
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Using collection "top500"')
+        expect.stringContaining('Using specified words only: 3 unique chars')
       )
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ text: '𠮷A😀' }))
+    })
+
+    it('should combine collection with custom words', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-c', 'top500', '-w', '额外字符']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Using collection "top500"'))
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('+ custom words'))
     })
   })
@@ -293,16 +380,6 @@ describe('minify-font CLI', () => {
       expect(process.exit).toHaveBeenCalledWith(1)
     })
 
-    it('should error on multiple input files', async () => {
-      process.argv = ['node', 'minify-font.mjs', 'font1.ttf', 'font2.ttf']
-      await runCLI()
-
-      expect(consoleErrorSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Multiple input files not supported')
-      )
-      expect(process.exit).toHaveBeenCalledWith(1)
-    })
-
     it('should handle minifyFont errors', async () => {
       vi.mocked(minifyFont).mockRejectedValue(new Error('Font processing failed'))
       process.argv = ['node', 'minify-font.mjs', 'font.ttf']
@@ -334,30 +411,1415 @@ describe('minify-font CLI', () => {
     })
   })
 
-  describe('Complex Scenarios', () => {
-    it('should handle all options together', async () => {
+  describe('Size Report', () => {
+    const stats = outputSize => ({
+      inputSize: 200 * 1024,
+      outputSize,
+      ratio: outputSize / (200 * 1024),
+      glyphs: { before: 8000, after: 120 },
+      chars: { requested: 110, covered: 100, missing: [] },
+      embedding: { fsType: 0x0008, permission: 'editable', subsetting: true, bitmapOnly: false },
+      license: { copyright: null, description: null, url: 'https://openfontlicense.org' },
+    })
+    const logged = () => consoleLogSpy.mock.calls.map(([line]) => String(line))
+
+    beforeEach(() => {
+      vi.mocked(minifyFont).mockImplementation(async ({ output }) =>
+        stats(output.endsWith('.woff2') ? 10 * 1024 : 20 * 1024)
+      )
+    })
+
+    it('should print sizes, ratios, glyphs and characters', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2,woff']
+      await runCLI()
+
+      expect(logged()).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining('Size report (input: 200.0 KB)'),
+          expect.stringMatching(/Format\s+Size\s+Ratio\s+Saved/),
+          expect.stringMatching(/woff2\s+10\.0 KB\s+5\.0%\s+-95\.0%/),
+          expect.stringMatching(/woff\s+20\.0 KB\s+10\.0%\s+-90\.0%/),
+          '  Glyphs: 8000 → 120',
+          '  Characters: 100 of 110 covered',
+          '  Embedding: editable',
+        ])
+      )
+    })
+
+    it('should print a JSON report to stdout with --json', async () => {
+      const stdoutSpy = vi.spyOn(process.stdout, 'write').mockImplementation(() => true)
+      const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '-o', 'dist/', '--json']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0])).toEqual({
+        fonts: [
+          {
+            input: 'font.ttf',
+            inputSize: 200 * 1024,
+            glyphs: { before: 8000, after: 120 },
+            chars: { requested: 110, covered: 100, missing: [] },
+            embedding: { fsType: 0x0008, permission: 'editable', subsetting: true, bitmapOnly: false },
+            license: { copyright: null, description: null, url: 'https://openfontlicense.org' },
+            outputs: [{ format: 'woff2', path: 'dist//font.min.woff2', size: 10 * 1024, ratio: 0.05 }],
+          },
+        ],
+      })
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Size report'))
+      expect(stdoutSpy).not.toHaveBeenCalled()
+      expect(stderrSpy).toHaveBeenCalledWith('  woff2... ')
+    })
+
+    it('should report failed fonts in the JSON report', async () => {
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+      vi.mocked(minifyFont).mockImplementation(async ({ input }) => {
+        if (input === 'broken.ttf') {
+          throw new Error('ttf file damaged')
+        }
+        return stats(1024)
+      })
+      process.argv = ['node', 'minify-font.mjs', 'broken.ttf', 'good.ttf', '-f', 'woff2', '--json']
+      await runCLI()
+
+      const { fonts } = JSON.parse(consoleLogSpy.mock.calls[0][0])
+      expect(fonts[0]).toEqual({ input: 'broken.ttf', error: 'ttf file damaged' })
+      expect(fonts[1]).toEqual(expect.objectContaining({ input: 'good.ttf', inputSize: 200 * 1024 }))
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Missing Characters', () => {
+    const missing = [0x4e2d, 0x20bb7, 0x3000, 0x1f600]
+
+    beforeEach(() => {
+      vi.mocked(minifyFont).mockResolvedValue({
+        inputSize: 1024,
+        outputSize: 512,
+        ratio: 0.5,
+        glyphs: { before: 100, after: 10 },
+        chars: { requested: 12, covered: 8, missing },
+      })
+    })
+
+    it('should list missing characters grouped by Unicode block', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-w', '中𠮷\u3000😀ABCDEFGH', '-f', 'woff2']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('4 requested character(s) missing'))
+      expect(consoleLogSpy).toHaveBeenCalledWith('  CJK Symbols and Punctuation (1): U+3000')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  CJK Unified Ideographs (1): 中')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Emoticons (1): 😀')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  CJK Unified Ideographs Extension B (1): 𠮷')
+      expect(process.exit).not.toHaveBeenCalled()
+    })
+
+    it('should truncate long lists', async () => {
+      const many = Array.from({ length: 60 }, (_, index) => 0x4e00 + index)
+      vi.mocked(minifyFont).mockResolvedValue({
+        inputSize: 1024,
+        outputSize: 512,
+        ratio: 0.5,
+        glyphs: { before: 100, after: 10 },
+        chars: { requested: 60, covered: 0, missing: many },
+      })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/^ {2}CJK Unified Ideographs \(60\): 一.{49} … and 10 more$/u)
+      )
+    })
+
+    it('should exit with code 1 with --fail-on-missing', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--fail-on-missing']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('1 font(s) cannot render every requested character (--fail-on-missing)')
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should pass --fail-on-missing when every character is covered', async () => {
+      vi.mocked(minifyFont).mockResolvedValue({
+        inputSize: 1024,
+        outputSize: 512,
+        ratio: 0.5,
+        glyphs: { before: 100, after: 10 },
+        chars: { requested: 8, covered: 8, missing: [] },
+      })
+      process.argv = ['node', 'minify-font.mjs', 'a.ttf', 'b.ttf', '-f', 'woff2', '--fail-on-missing']
+      await runCLI()
+
+      expect(process.exit).not.toHaveBeenCalled()
+    })
+
+    it('should include missing code points in the JSON report', async () => {
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--json']
+      await runCLI()
+
+      const { fonts } = JSON.parse(consoleLogSpy.mock.calls[0][0])
+      expect(fonts[0].chars.missing).toEqual(missing)
+    })
+  })
+
+  describe('CSS Output', () => {
+    const printedCSS = () =>
+      consoleLogSpy.mock.calls.map(([line]) => String(line)).find(line => line.includes('@font-face {'))
+
+    it('should read family, weight and style from the font', async () => {
+      vi.mocked(readFontMeta).mockResolvedValue({ family: 'Brand Sans', weight: 300, style: 'italic' })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(printedCSS()).toContain("font-family: 'Brand Sans';")
+      expect(printedCSS()).toContain('font-weight: 300;')
+      expect(printedCSS()).toContain('font-style: italic;')
+    })
+
+    it('should override the font descriptors and add font-display', async () => {
+      vi.mocked(readFontMeta).mockResolvedValue({ family: 'Brand Sans', weight: 300, style: 'normal' })
       process.argv = [
         'node',
         'minify-font.mjs',
-        'input.ttf',
-        '-c',
-        'commonlyUsed',
-        '-w',
-        'ABC',
+        'font.ttf',
+        '-f',
+        'woff2',
+        '--family',
+        'Brand',
+        '--weight',
+        '100 900',
+        '--style',
+        'oblique',
+        '--display',
+        'swap',
+      ]
+      await runCLI()
+
+      expect(printedCSS()).toBe(`@font-face {
+  font-family: 'Brand';
+  src: url(font.min.woff2) format('woff2');
+  font-weight: 100 900;
+  font-style: oblique;
+  font-display: swap;
+}`)
+    })
+
+    it('should write the CSS file with URLs relative to it', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '-f',
+        'woff2,woff',
+        '-o',
+        'dist/fonts',
+        '--css',
+        'dist/css/font.css',
+      ]
+      await runCLI()
+
+      expect(mkdir).toHaveBeenCalledWith('dist/css', { recursive: true })
+      expect(writeFile).toHaveBeenCalledWith(
+        'dist/css/font.css',
+        expect.stringContaining("src: url(../fonts/font.min.woff2) format('woff2'),")
+      )
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('CSS written to dist/css/font.css'))
+    })
+
+    it('should write one rule per font for several inputs', async () => {
+      vi.mocked(readFontMeta)
+        .mockResolvedValueOnce({ family: 'Brand Sans', weight: 300, style: 'normal' })
+        .mockResolvedValueOnce({ family: 'Brand Sans', weight: 700, style: 'normal' })
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'light.ttf',
+        'bold.ttf',
+        '-f',
+        'woff2',
+        '-o',
+        'dist',
+        '--css',
+        'dist/fonts.css',
+      ]
+      await runCLI()
+
+      const [file, css] = vi.mocked(writeFile).mock.calls[0]
+      expect(file).toBe('dist/fonts.css')
+      expect(css.match(/@font-face {/g)).toHaveLength(2)
+      expect(css).toContain('url(light.min.woff2)')
+      expect(css).toContain('url(bold.min.woff2)')
+    })
+
+    it('should prefix URLs with --url-prefix', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '-f',
+        'woff2',
         '-o',
         'dist/',
+        '--url-prefix',
+        'https://cdn.example.com/fonts',
+      ]
+      await runCLI()
+
+      expect(printedCSS()).toContain("url(https://cdn.example.com/fonts/font.min.woff2) format('woff2')")
+    })
+
+    it('should error on an invalid font-display', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--display', 'fast']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid font-display "fast"'))
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Multiple Input Fonts', () => {
+    beforeEach(() => {
+      vi.mocked(readFontMeta).mockImplementation(async () => ({
+        family: 'Brand Sans',
+        weight: 400,
+        style: 'normal',
+      }))
+    })
+
+    it('should process every positional input with the same characters', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'light.ttf', 'bold.ttf', '-w', 'ABC', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledTimes(2)
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'light.ttf', text: 'ABC' }))
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'bold.ttf', text: 'ABC' }))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Processing 2 fonts'))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Generated 2 of 2 font(s)'))
+      expect(process.exit).not.toHaveBeenCalled()
+    })
+
+    it('should expand quoted glob patterns and skip previous .min outputs', async () => {
+      vi.mocked(expandGlob).mockResolvedValue([
+        `${process.cwd()}/fonts/bold.ttf`,
+        `${process.cwd()}/fonts/bold.min.ttf`,
+        `${process.cwd()}/fonts/light.ttf`,
+      ])
+      process.argv = ['node', 'minify-font.mjs', 'fonts/*.ttf', '-f', 'woff2', '-o', 'dist/']
+      await runCLI()
+
+      expect(expandGlob).toHaveBeenCalledWith('fonts/*.ttf')
+      expect(minifyFont).toHaveBeenCalledTimes(2)
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'fonts/bold.ttf',
+          output: expect.stringContaining('bold.min.woff2'),
+        })
+      )
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'fonts/light.ttf',
+          output: expect.stringContaining('light.min.woff2'),
+        })
+      )
+    })
+
+    it('should print one @font-face rule per weight and style', async () => {
+      vi.mocked(readFontMeta)
+        .mockResolvedValueOnce({ family: 'Brand Sans', weight: 300, style: 'normal' })
+        .mockResolvedValueOnce({ family: 'Brand Sans', weight: 700, style: 'italic' })
+      process.argv = ['node', 'minify-font.mjs', 'light.ttf', 'bold-italic.ttf', '-f', 'woff2']
+      await runCLI()
+
+      const css = consoleLogSpy.mock.calls
+        .map(([line]) => line)
+        .find(line => String(line).includes('@font-face {'))
+      expect(css.match(/@font-face/g)).toHaveLength(2)
+      expect(css).toContain("font-family: 'Brand Sans';")
+      expect(css).toContain('url(light.min.woff2)')
+      expect(css).toContain('font-weight: 300;')
+      expect(css).toContain('font-weight: 700;')
+      expect(css).toContain('font-style: italic;')
+    })
+
+    it('should fall back to the file name when the font metadata cannot be read', async () => {
+      vi.mocked(readFontMeta).mockRejectedValue(new Error('unreadable'))
+      process.argv = ['node', 'minify-font.mjs', 'light.ttf', 'bold.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("font-family: 'light';"))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("font-family: 'bold';"))
+    })
+
+    it('should continue past a failing font and exit with code 1 at the end', async () => {
+      vi.mocked(minifyFont).mockImplementation(async ({ input }) => {
+        if (input === 'broken.ttf') {
+          throw new Error('ttf file damaged')
+        }
+      })
+      process.argv = ['node', 'minify-font.mjs', 'broken.ttf', 'good.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'good.ttf' }))
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Failed: broken.ttf: ttf file damaged')
+      )
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Generated 1 of 2 font(s)'))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('url(good.min.woff2)'))
+      expect(process.exit).toHaveBeenCalledTimes(1)
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should subset every font in one worker pool', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'light.ttf',
+        'bold.ttf',
         '-f',
         'woff2,woff',
-        '--input-options',
-        '{}',
-        '--output-options',
-        '{}',
+        '--concurrency',
+        '2',
       ]
       await runCLI()
 
+      expect(minifyFonts).toHaveBeenCalledTimes(1)
+      const [jobs, options] = vi.mocked(minifyFonts).mock.calls[0]
+      // Each font is parsed once for all of its formats
+      expect(jobs.map(job => job.outputs)).toEqual([
+        ['light.min.woff2', 'light.min.woff'],
+        ['bold.min.woff2', 'bold.min.woff'],
+      ])
+      expect(options).toMatchObject({ concurrency: 2 })
+      expect(consoleLogSpy).toHaveBeenCalledWith('  ✓ bold.min.woff')
+    })
+
+    it('should error on an invalid concurrency', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'light.ttf', 'bold.ttf', '--concurrency', '0']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error: Invalid concurrency "0"')
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should require an output directory for several fonts', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'light.ttf', 'bold.ttf', '-o', 'out.woff2']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('Output must be a directory when processing multiple fonts')
+      )
+      expect(minifyFont).not.toHaveBeenCalled()
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should error when a glob matches no fonts', async () => {
+      vi.mocked(expandGlob).mockResolvedValue([])
+      process.argv = ['node', 'minify-font.mjs', 'fonts/*.otf']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('No fonts matched fonts/*.otf')
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Source Scanning', () => {
+    it('should use only scanned characters without -c', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', '*.html', '--scan', 'locales/*.json']
+      await runCLI()
+
+      expect(scanText).toHaveBeenCalledWith(['*.html', 'locales/*.json'])
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ text: '你好世界' }))
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Using specified scanned text only: 4 unique chars')
+      )
+    })
+
+    it('should report the characters of each source', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', '**/*']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('Scanned 2 file(s): 4 unique chars')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  index.html: 3 chars')
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringMatching(/locales.zh\.json: 2 chars/))
+    })
+
+    it('should combine scanned characters with words', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', '*.html', '-w', 'AB你']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ text: 'AB你好世界' }))
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Using specified words and scanned text only: 6 unique chars')
+      )
+    })
+
+    it('should append scanned characters to a collection', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', '*.html', '-c', 'top500']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('+ custom scanned text'))
+      const { text } = vi.mocked(minifyFont).mock.calls[0][0]
+      expect(text).toContain('界')
+    })
+
+    it('should error when no files match', async () => {
+      vi.mocked(scanText).mockResolvedValue({ text: '', sources: [] })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', 'missing/*.html']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('No files matched --scan missing/*.html')
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+      expect(minifyFont).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Config File', () => {
+    const config = (value, path = `${process.cwd()}/minify-font.config.mjs`) =>
+      vi.mocked(loadConfig).mockResolvedValue({ config: value, path })
+
+    it('should run the config jobs when no input font is given', async () => {
+      config({
+        formats: ['woff2'],
+        output: 'dist/',
+        jobs: [
+          { input: 'fonts/title.ttf', words: '标题' },
+          { input: 'fonts/body.ttf', collection: 'top500' },
+        ],
+      })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Using config: minify-font.config.mjs')
+      )
+      expect(minifyFont).toHaveBeenCalledTimes(2)
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'fonts/title.ttf',
+          text: '标题',
+          output: expect.stringMatching(/^dist\/+title\.min\.woff2$/),
+        })
+      )
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'fonts/body.ttf',
+          output: expect.stringMatching(/^dist\/+body\.min\.woff2$/),
+        })
+      )
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Using collection "commonlyUsed"')
+        expect.stringContaining('Using character collection: top500')
       )
+      expect(process.exit).not.toHaveBeenCalled()
+    })
+
+    it('should subset the fonts of every job in one worker pool', async () => {
+      config({
+        formats: ['woff2'],
+        jobs: [
+          { input: 'title.ttf', words: '标题', css: 'title.css' },
+          { input: 'body.ttf', words: '正文', css: 'body.css' },
+        ],
+      })
+      process.argv = ['node', 'minify-font.mjs', '--concurrency', '3']
+      await runCLI()
+
+      expect(minifyFonts).toHaveBeenCalledTimes(1)
+      const [jobs, options] = vi.mocked(minifyFonts).mock.calls[0]
+      expect(jobs).toEqual([
+        expect.objectContaining({ input: 'title.ttf', text: '标题' }),
+        expect.objectContaining({ input: 'body.ttf', text: '正文' }),
+      ])
+      expect(options).toMatchObject({ concurrency: 3 })
+      expect(writeFile).toHaveBeenCalledWith('title.css', expect.stringContaining('url(title.min.woff2)'))
+      expect(writeFile).toHaveBeenCalledWith('body.css', expect.stringContaining('url(body.min.woff2)'))
+    })
+
+    it('should take cache, force and concurrency from the config unless given on the command line', async () => {
+      config({
+        concurrency: 2,
+        cache: '.cache/fonts',
+        jobs: [
+          { input: 'title.ttf', words: '标题', force: true },
+          { input: 'body.ttf', words: '正文', cache: false },
+        ],
+      })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      let [jobs, options] = vi.mocked(minifyFonts).mock.calls[0]
+      expect(jobs).toEqual([
+        expect.objectContaining({ cache: '.cache/fonts', allowRestricted: true }),
+        expect.objectContaining({ cache: false, allowRestricted: false }),
+      ])
+      expect(options).toMatchObject({ concurrency: 2 })
+
+      process.argv = ['node', 'minify-font.mjs', '--no-cache', '--concurrency', '3']
+      await runCLI()
+
+      ;[jobs, options] = vi.mocked(minifyFonts).mock.calls[1]
+      expect(jobs.map(job => job.cache)).toEqual([false, false])
+      expect(options).toMatchObject({ concurrency: 3 })
+    })
+
+    it('should resolve job paths from the config directory', async () => {
+      config({ input: 'fonts/title.ttf', words: 'A', output: 'dist/' }, `${process.cwd()}/site/package.json`)
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'site/fonts/title.ttf',
+          output: expect.stringMatching(/^site\/dist\/+title\.min\.ttf$/),
+        })
+      )
+    })
+
+    it('should let command-line options override the config', async () => {
+      config({
+        input: 'title.ttf',
+        words: '标题',
+        formats: ['woff', 'woff2'],
+        inputOptions: { hinting: true, kerning: true },
+      })
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        '-w',
+        'ABC',
+        '-f',
+        'ttf',
+        '--input-options',
+        '{"hinting":false}',
+      ]
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledTimes(1)
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          text: 'ABC',
+          output: 'title.min.ttf',
+          inputOptions: { hinting: false, kerning: true },
+        })
+      )
+    })
+
+    it('should load the file given with --config', async () => {
+      config({ input: 'title.ttf', words: 'A' }, `${process.cwd()}/fonts.config.json`)
+      process.argv = ['node', 'minify-font.mjs', '--config', 'fonts.config.json']
+      await runCLI()
+
+      expect(loadConfig).toHaveBeenCalledWith({ configFile: 'fonts.config.json' })
+      expect(minifyFont).toHaveBeenCalledTimes(3)
+    })
+
+    it('should pass scanned characters of a job', async () => {
+      config({ input: 'title.ttf', scan: ['src/**/*.vue'], formats: 'woff2' })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(scanText).toHaveBeenCalledWith(['src/**/*.vue'])
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ text: '你好世界' }))
+    })
+
+    it('should continue past a failing job and exit with code 1', async () => {
+      config([
+        { input: 'title.ttf', collection: 'top1000' },
+        { input: 'body.ttf', words: 'A', formats: ['woff2'] },
+      ])
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Job 1 failed: Invalid collection')
+      )
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'body.ttf' }))
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should error on an invalid config', async () => {
+      config({ input: 'title.ttf', hinting: true })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('unknown option "hinting"')
+      )
+      expect(minifyFont).not.toHaveBeenCalled()
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should error when input fonts are combined with --config', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--config', 'fonts.config.json']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('cannot be combined with --config')
+      )
+      expect(loadConfig).not.toHaveBeenCalled()
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Layout', () => {
+    it('should not keep layout features by default', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ layout: null }))
+    })
+
+    it('should keep the default layout features with --layout', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--layout']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ layout: {} }))
+    })
+
+    it('should pass the layout features to keep and drop', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '--layout-features',
+        'liga,kern,ss01',
+        '--drop-layout-features',
+        'kern',
+      ]
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ layout: { features: ['liga', 'kern', 'ss01'], dropFeatures: ['kern'] } })
+      )
+    })
+
+    it('should keep every layout feature with --layout-features "*"', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--layout-features', '*']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ layout: { features: '*' } }))
+    })
+
+    it('should error on invalid feature tags', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--layout-features', 'ligatures']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error: Invalid layout feature tag: "ligatures"')
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should take the layout option of config jobs', async () => {
+      vi.mocked(loadConfig).mockResolvedValue({
+        config: { input: 'font.ttf', formats: ['woff2'], layout: { features: ['vert'] } },
+        path: path.join(process.cwd(), 'minify-font.config.json'),
+      })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ input: 'font.ttf', layout: { features: ['vert'] } })
+      )
+    })
+  })
+
+  describe('Axes', () => {
+    it('should keep the axes of variable fonts by default', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ axes: null }))
+    })
+
+    it('should pass pinned and restricted axes', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '-f',
+        'woff2',
+        '--axes',
+        'wght=700,wdth=75:100,slnt=-10',
+      ]
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ axes: { wght: 700, wdth: [75, 100], slnt: -10 } })
+      )
+    })
+
+    it('should use the pinned weight in the CSS', async () => {
+      vi.mocked(readFontMeta).mockResolvedValue({ family: 'Brand Sans', weight: '100 900', style: 'normal' })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--axes', 'wght=700']
+      await runCLI()
+
+      const css = consoleLogSpy.mock.calls
+        .map(([line]) => String(line))
+        .find(line => line.includes('@font-face {'))
+      expect(css).toContain('font-weight: 700;')
+    })
+
+    it('should error on invalid axes', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--axes', 'wght:700']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error: Invalid axes "wght:700", use tag=value or tag=min:max, e.g. wght=700,wdth=75:100'
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should take the axes option of config jobs', async () => {
+      vi.mocked(loadConfig).mockResolvedValue({
+        config: { input: 'font.ttf', formats: ['woff2'], axes: { wght: [300, 700] } },
+        path: path.join(process.cwd(), 'minify-font.config.json'),
+      })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ input: 'font.ttf', axes: { wght: [300, 700] } })
+      )
+    })
+  })
+
+  describe('Font Collections', () => {
+    // Collection header of 3 faces, the faces are only counted
+    const ttc = Buffer.alloc(24)
+    ttc.write('ttcf', 0, 'latin1')
+    ttc.writeUInt32BE(3, 8)
+
+    it('should select a face by index or PostScript name', async () => {
+      vi.mocked(readFile).mockResolvedValue(ttc)
+      process.argv = ['node', 'minify-font.mjs', 'brand.ttc', '-f', 'woff2', '--face', '1']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'brand.ttc', face: 1 }))
+      expect(readFontMeta).toHaveBeenCalledWith(ttc, 'ttc', 1)
+
+      process.argv = ['node', 'minify-font.mjs', 'brand.ttc', '-f', 'woff2', '--face', 'BrandSans-Bold']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ face: 'BrandSans-Bold' }))
+    })
+
+    it('should generate every face with --face "*"', async () => {
+      vi.mocked(readFile).mockResolvedValue(ttc)
+      process.argv = ['node', 'minify-font.mjs', 'brand.ttc', '-f', 'woff2', '--face', '*', '-o', 'dist/']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledTimes(3)
+      ;[0, 1, 2].forEach(face =>
+        expect(minifyFont).toHaveBeenCalledWith(
+          expect.objectContaining({ face, output: expect.stringContaining(`brand-${face}.min.woff2`) })
+        )
+      )
+      expect(consoleLogSpy).toHaveBeenCalledWith('\nProcessing: brand.ttc (face 2)')
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Generated 3 of 3 font(s)'))
+    })
+
+    it('should generate a single font with --face "*"', async () => {
+      vi.mocked(readFile).mockResolvedValue(Buffer.from([0, 1, 0, 0]))
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--face', '*']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledTimes(1)
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'font.ttf', face: '*' }))
+    })
+
+    it('should error on a file output with --face "*"', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'brand.ttc', '--face', '*', '-o', 'brand.woff2']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Error'),
+        'Output must be a directory when processing multiple fonts'
+      )
+      expect(minifyFont).not.toHaveBeenCalled()
+    })
+
+    it('should error on a missing face', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'brand.ttc', '--face']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error: --face requires a face index, a PostScript name or "*"'
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should take the face option of config jobs', async () => {
+      vi.mocked(loadConfig).mockResolvedValue({
+        config: { input: 'brand.ttc', formats: ['woff2'], face: 'BrandSans-Bold' },
+        path: path.join(process.cwd(), 'minify-font.config.json'),
+      })
+      process.argv = ['node', 'minify-font.mjs']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ input: 'brand.ttc', face: 'BrandSans-Bold' })
+      )
+    })
+  })
+
+  describe('Font Names', () => {
+    it('should pass the names and the records to strip', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '-f',
+        'woff2',
+        '--names',
+        'family=Brand Sans,suffix=Subset',
+        '--strip-names',
+        'license,description',
+      ]
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          outputOptions: {
+            names: { family: 'Brand Sans', suffix: 'Subset', strip: ['license', 'description'] },
+          },
+        })
+      )
+    })
+
+    it('should add the names to --output-options', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '-f',
+        'woff2',
+        '--names',
+        'suffix=Subset',
+        '--output-options',
+        '{"kerning":true,"names":{"uniqueId":"brand-1"}}',
+      ]
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({
+          outputOptions: { kerning: true, names: { uniqueId: 'brand-1', suffix: 'Subset' } },
+        })
+      )
+    })
+
+    it('should error on invalid names', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--names', 'Brand Sans']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error: Invalid names "Brand Sans", use key=value, e.g. family=Brand Sans,suffix=Subset'
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should error on unknown name records', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--strip-names', 'legal']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error: Unknown name records "legal", use copyright, license, description, vendor'
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Embedding Permissions', () => {
+    it('should not subset restricted fonts by default', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ allowRestricted: false }))
+    })
+
+    it('should subset restricted fonts with --force', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--force']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ allowRestricted: true }))
+    })
+
+    it('should pass --force to config jobs', async () => {
+      vi.mocked(loadConfig).mockResolvedValue({
+        config: { input: 'font.ttf', formats: ['woff2'] },
+        path: path.join(process.cwd(), 'minify-font.config.json'),
+      })
+      process.argv = ['node', 'minify-font.mjs', '--force']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(
+        expect.objectContaining({ input: 'font.ttf', allowRestricted: true })
+      )
+    })
+
+    it('should pass --force to the slice command', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '--force']
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(expect.objectContaining({ allowRestricted: true }))
+    })
+
+    it('should report the license error of a font', async () => {
+      vi.mocked(minifyFont).mockRejectedValue(
+        new Error('The font license does not allow subsetting (OS/2 fsType 0x0100)')
+      )
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('The font license does not allow subsetting (OS/2 fsType 0x0100)')
+      )
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Cache', () => {
+    it('should use the cache by default', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ cache: true }))
+    })
+
+    it('should bypass the cache with --no-cache', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2', '--no-cache']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ cache: false }))
+    })
+
+    it('should bypass the cache for config jobs with --no-cache', async () => {
+      vi.mocked(loadConfig).mockResolvedValue({
+        config: { input: 'font.ttf', formats: ['woff2'] },
+        path: path.join(process.cwd(), 'minify-font.config.json'),
+      })
+      process.argv = ['node', 'minify-font.mjs', '--no-cache']
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledWith(expect.objectContaining({ input: 'font.ttf', cache: false }))
+    })
+
+    it('should mark formats served from the cache', async () => {
+      vi.mocked(minifyFont).mockResolvedValue({ inputSize: 2048, outputSize: 512, ratio: 0.25, cached: true })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '-f', 'woff2']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('✓ (cached)')
+    })
+
+    it('should clean the cache', async () => {
+      vi.mocked(clearCache).mockResolvedValue({ files: 4, size: 3 * 1024 * 1024 })
+      process.argv = ['node', 'minify-font.mjs', 'cache', 'clean']
+      await runCLI()
+
+      expect(clearCache).toHaveBeenCalled()
+      expect(minifyFont).not.toHaveBeenCalled()
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/^✓ Removed 4 cached file\(s\) \(3\.00 MB\) from /)
+      )
+    })
+
+    it('should report an empty cache', async () => {
+      vi.mocked(clearCache).mockResolvedValue({ files: 0, size: 0 })
+      process.argv = ['node', 'minify-font.mjs', 'cache', 'clean']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Cache is empty'))
+    })
+
+    it('should error on unknown cache commands', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'cache', 'purge']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Unknown cache command: purge')
+      expect(clearCache).not.toHaveBeenCalled()
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+  })
+
+  describe('Watch Mode', () => {
+    const cwd = process.cwd()
+
+    // Simulate a change reported by the watcher of a directory, then let the debounced rebuild run
+    const change = async (dir, ...files) => {
+      const call = vi.mocked(watch).mock.calls.find(([watched]) => watched === dir)
+      files.forEach(file => call[2]('change', file))
+      await vi.advanceTimersByTimeAsync(200)
+      await new Promise(resolve => setImmediate(resolve))
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'font.ttf',
+        '--scan',
+        'src/**/*.vue',
+        '-f',
+        'woff2',
+        '--watch',
+      ]
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should build once and watch the input and scanned directories', async () => {
+      await runCLI()
+
+      expect(minifyFont).toHaveBeenCalledTimes(1)
+      expect(watch).toHaveBeenCalledWith(cwd, { recursive: false }, expect.any(Function))
+      expect(watch).toHaveBeenCalledWith(path.join(cwd, 'src'), { recursive: true }, expect.any(Function))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Watching 2 directories'))
+      expect(process.exit).not.toHaveBeenCalled()
+    })
+
+    it('should rebuild once after a burst of changes to the scanned sources', async () => {
+      await runCLI()
+      vi.mocked(scanText).mockResolvedValue({
+        text: '你好世界！',
+        sources: [{ file: `${cwd}/src/App.vue`, chars: 5 }],
+      })
+
+      await change(path.join(cwd, 'src'), 'App.vue', 'App.vue', 'components/Title.vue')
+
+      expect(scanText).toHaveBeenCalledTimes(2)
+      expect(minifyFont).toHaveBeenCalledTimes(2)
+      expect(minifyFont).toHaveBeenLastCalledWith(expect.objectContaining({ text: '你好世界！' }))
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/✓ font\.ttf \(5 chars, \+1 -0, \d+ms\)/)
+      )
+    })
+
+    it('should skip the build when the characters did not change', async () => {
+      await runCLI()
+      vi.mocked(scanText).mockResolvedValue({
+        text: '世界你好',
+        sources: [{ file: `${cwd}/src/App.vue`, chars: 4 }],
+      })
+
+      await change(path.join(cwd, 'src'), 'App.vue')
+
+      expect(minifyFont).toHaveBeenCalledTimes(1)
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No changes'))
+    })
+
+    it('should ignore unwatched files and generated outputs', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'fonts/*.ttf', '-w', 'ABC', '-f', 'ttf', '--watch']
+      vi.mocked(expandGlob).mockResolvedValue([`${cwd}/fonts/light.ttf`])
+      await runCLI()
+
+      await change(path.join(cwd, 'fonts'), 'light.min.ttf', 'notes.md')
+      expect(expandGlob).toHaveBeenCalledTimes(1)
+
+      vi.mocked(expandGlob).mockResolvedValue([`${cwd}/fonts/light.ttf`, `${cwd}/fonts/bold.ttf`])
+      await change(path.join(cwd, 'fonts'), 'bold.ttf')
+      expect(minifyFont).toHaveBeenLastCalledWith(
+        expect.objectContaining({ input: path.join('fonts', 'bold.ttf') })
+      )
+    })
+
+    it('should keep watching after a failed build', async () => {
+      await runCLI()
+
+      vi.mocked(scanText).mockRejectedValue(new Error('Failed to extract text from App.vue'))
+      await change(path.join(cwd, 'src'), 'App.vue')
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/✗ font\.ttf: Failed to extract text from App\.vue/)
+      )
+      expect(process.exit).not.toHaveBeenCalled()
+
+      vi.mocked(scanText).mockResolvedValue({
+        text: '你好世界',
+        sources: [{ file: `${cwd}/src/App.vue`, chars: 4 }],
+      })
+      await change(path.join(cwd, 'src'), 'App.vue')
+
+      expect(minifyFont).toHaveBeenCalledTimes(2)
+    })
+
+    it('should watch every directory without recursive watching', async () => {
+      const dir = mkdtempSync(path.join(tmpdir(), 'minify-font-watch-'))
+      mkdirSync(path.join(dir, 'components'))
+      mkdirSync(path.join(dir, 'node_modules'))
+      vi.mocked(watch).mockImplementation((watched, options) => {
+        if (options.recursive) {
+          throw Object.assign(new Error('recursive watch'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' })
+        }
+        return { close: vi.fn() }
+      })
+      process.argv = ['node', 'minify-font.mjs', 'font.ttf', '--scan', `${dir}/**/*.vue`, '--watch']
+
+      try {
+        await runCLI()
+        expect(watch).toHaveBeenCalledWith(dir, expect.any(Function))
+        expect(watch).toHaveBeenCalledWith(path.join(dir, 'components'), expect.any(Function))
+        expect(watch).not.toHaveBeenCalledWith(path.join(dir, 'node_modules'), expect.any(Function))
+
+        // Directories created while watching are watched too
+        mkdirSync(path.join(dir, 'pages'))
+        vi.mocked(watch).mock.calls.findLast(([watched]) => watched === dir)[1]('rename', 'pages')
+        expect(watch).toHaveBeenCalledWith(path.join(dir, 'pages'), expect.any(Function))
+      } finally {
+        vi.mocked(watch).mockImplementation(() => ({ close: vi.fn() }))
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('Slice Command', () => {
+    it('should slice every character in the font by default', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf']
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: 'font.ttf',
+          text: undefined,
+          chunkCount: undefined,
+          chunkSize: undefined,
+        })
+      )
+      expect(minifyFont).not.toHaveBeenCalled()
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Generated 1 slice(s)'))
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('output/font.css'))
+    })
+
+    it('should pass chunk count, output, formats and family', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'slice',
+        'font.ttf',
+        '--chunks',
+        '60',
+        '-o',
+        'dist/',
+        '-f',
+        'woff2,woff',
+        '--family',
+        'My Font',
+      ]
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(
+        expect.objectContaining({
+          chunkCount: 60,
+          outputDir: 'dist/',
+          formats: ['woff2', 'woff'],
+          family: 'My Font',
+        })
+      )
+    })
+
+    it('should parse chunk sizes with units', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '--chunk-size', '40kb']
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(expect.objectContaining({ chunkSize: 40 * 1024 }))
+    })
+
+    it('should restrict slicing to a collection', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '-c', 'top500']
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(expect.objectContaining({ text: expect.any(String) }))
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Using character collection: top500')
+      )
+    })
+
+    it('should error on an invalid chunk size', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '--chunk-size', 'big']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid chunk size'))
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should error when --chunks and --chunk-size are combined', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '--chunks', '2', '--chunk-size', '1kb']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('cannot be used together'))
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should only slice scanned characters', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', 'font.ttf', '--scan', '*.html']
+      await runCLI()
+
+      expect(createFontSlices).toHaveBeenCalledWith(expect.objectContaining({ text: '你好世界' }))
+    })
+
+    it('should show slice help', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'slice', '--help']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Usage: minify-font slice'))
+      expect(process.exit).toHaveBeenCalledWith(0)
+    })
+  })
+
+  describe('Info Command', () => {
+    const info = {
+      type: 'ttf',
+      size: 2048,
+      family: 'Brand Sans',
+      subfamily: 'Bold',
+      weight: 700,
+      style: 'normal',
+      fullName: 'Brand Sans Bold',
+      postScriptName: 'BrandSans-Bold',
+      version: 'Version 1.000',
+      glyphs: 5,
+      chars: 4,
+      blocks: [
+        { block: 'Basic Latin', chars: 2 },
+        { block: 'CJK Unified Ideographs', chars: 2 },
+      ],
+      tables: ['GSUB', 'cmap', 'glyf', 'head'],
+      hinting: false,
+      kerning: true,
+      gsub: true,
+      unitsPerEm: 1000,
+      metrics: {
+        ascender: 880,
+        descender: -120,
+        lineGap: 0,
+        typoAscender: 800,
+        typoDescender: -200,
+        typoLineGap: 90,
+        winAscent: 900,
+        winDescent: 150,
+      },
+      embedding: { fsType: 0x0102, permission: 'restricted', subsetting: false, bitmapOnly: false },
+      license: {
+        copyright: 'Copyright 2024 Brand',
+        description: 'Licensed for desktop use only.\nWeb embedding requires a separate license.',
+        url: null,
+      },
+    }
+
+    beforeEach(() => {
+      vi.mocked(inspectFont).mockResolvedValue(info)
+    })
+
+    it('should print the font information', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'info', 'font.ttf']
+      await runCLI()
+
+      expect(inspectFont).toHaveBeenCalledWith('font.ttf', { face: undefined })
+      expect(minifyFont).not.toHaveBeenCalled()
+      expect(consoleLogSpy).toHaveBeenCalledWith('\nfont.ttf (ttf, 2.0 KB)')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Family:        Brand Sans')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Glyphs:        5')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  GSUB:          yes')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Embedding:     restricted (no subsetting)')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Copyright:     Copyright 2024 Brand')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  License:       Licensed for desktop use only.')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Tables:        GSUB, cmap, glyf, head')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  CJK Unified Ideographs  2')
+    })
+
+    it('should print the font information as JSON', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'info', 'font.ttf', '--json']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(consoleLogSpy.mock.calls[0][0])).toEqual(info)
+    })
+
+    it('should error without a font', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'info']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error: Input font path is required')
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should handle unreadable fonts', async () => {
+      vi.mocked(inspectFont).mockRejectedValue(new Error('font.ttf is not exists'))
+      process.argv = ['node', 'minify-font.mjs', 'info', 'font.ttf']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Error'), 'font.ttf is not exists')
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should print the faces of a collection', async () => {
+      vi.mocked(inspectFont).mockResolvedValue({
+        ...info,
+        face: 1,
+        faces: [
+          { index: 0, family: 'Brand Sans', subfamily: 'Regular', postScriptName: 'BrandSans-Regular' },
+          { index: 1, family: 'Brand Sans', subfamily: 'Bold', postScriptName: 'BrandSans-Bold' },
+        ],
+      })
+      process.argv = ['node', 'minify-font.mjs', 'info', 'brand.ttc', '--face', 'BrandSans-Bold']
+      await runCLI()
+
+      expect(inspectFont).toHaveBeenCalledWith('brand.ttc', { face: 'BrandSans-Bold' })
+      expect(consoleLogSpy).toHaveBeenCalledWith('\nbrand.ttc (face 1 of 2, ttf, 2.0 KB)')
+      expect(consoleLogSpy).toHaveBeenCalledWith('    0  BrandSans-Regular  (Brand Sans Regular)')
+      expect(consoleLogSpy).toHaveBeenCalledWith('  * 1  BrandSans-Bold  (Brand Sans Bold)')
+    })
+
+    it('should error on --face "*"', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'info', 'brand.ttc', '--face', '*']
+      await runCLI()
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --face requires a face index or a PostScript name')
+      expect(process.exit).toHaveBeenCalledWith(1)
+    })
+
+    it('should show info help', async () => {
+      process.argv = ['node', 'minify-font.mjs', 'info', '--help']
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Usage: minify-font info'))
+      expect(process.exit).toHaveBeenCalledWith(0)
+    })
+  })
+
+  describe('Complex Scenarios', () => {
+    it('should handle all options together', async () => {
+      process.argv = [
+        'node',
+        'minify-font.mjs',
+        'input.ttf',
+        '-c',
+        'commonlyUsed',
+        '-w',
+        'ABC',
+        '-o',
+        'dist/',
+        '-f',
+        'woff2,woff',
+        '--input-options',
+        '{}',
+        '--output-options',
+        '{}',
+      ]
+      await runCLI()
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Using collection "commonlyUsed"'))
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('+ custom words'))
       expect(minifyFont).toHaveBeenCalledTimes(2)
     })
@@ -0,0 +1,115 @@
+import path from 'node:path'
+import { subsetFontCached } from './minify-font.mjs'
+import { resolveFontType, getExtType } from './detect-font-type.mjs'
+import { extractText } from './scan-text.mjs'
+
+/**
+ * Helpers shared by the bundler plugins: find the fonts of @font-face rules in the
+ * emitted CSS, collect the text of the emitted files and subset a font asset.
+ */
+
+// Font formats subset in a bundle, SVG fonts cannot be parsed without a DOM
+const BUNDLE_FONT_TYPES = ['ttf', 'otf', 'woff', 'woff2', 'eot']
+
+// Emitted files whose text can be rendered with the bundled fonts
+const TEXT_ASSET_TYPES = ['html', 'htm', 'js', 'mjs', 'cjs', 'css']
+
+/**
+ * Collect the URLs referenced by the @font-face rules of a stylesheet
+ * @param {string} css - CSS source
+ * @returns {string[]} URLs without query or fragment, data: URLs skipped
+ */
+export function findFontFaceUrls(css) {
+  const urls = []
+  for (const rule of css.matchAll(/@font-face\s*\{([^}]*)\}/gi)) {
+    for (const match of rule[1].matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi)) {
+      const url = match[2].trim()
+      if (!url.startsWith('data:')) {
+        urls.push(url.replace(/[?#].*$/, ''))
+      }
+    }
+  }
+  return urls
+}
+
+/**
+ * Extract the text an emitted file can render
+ * @param {string} fileName - Emitted file name
+ * @param {string|Buffer} source - File content
+ * @returns {string} Extracted text, empty for files that are not HTML, JavaScript or CSS
+ */
+export function extractAssetText(fileName, source) {
+  const ext = getExtType(fileName)
+  return TEXT_ASSET_TYPES.includes(ext) ? extractText(String(source), ext) : ''
+}
+
+/**
+ * Find the font files referenced by the @font-face rules of the emitted CSS
+ * URLs are matched by file name, which bundlers make unique with the content hash
+ * @param {Array<{fileName: string, source: string|Buffer}>} files - Emitted files
+ * @returns {Array<{fileName: string, source: string|Buffer}>} Referenced font files
+ */
+export function findFontAssets(files) {
+  const names = new Set()
+  for (const file of files) {
+    if (getExtType(file.fileName) === 'css') {
+      findFontFaceUrls(String(file.source)).forEach(url => names.add(path.posix.basename(url)))
+    }
+  }
+
+  return files.filter(
+    file =>
+      names.has(path.posix.basename(file.fileName)) && BUNDLE_FONT_TYPES.includes(getExtType(file.fileName))
+  )
+}
+
+/**
+ * Subset an emitted font, keeping its format
+ * @param {string} fileName - Emitted file name
+ * @param {Buffer|Uint8Array} source - Font data
+ * @param {Object} options - Subset options
+ * @param {string} options.text - Characters to keep
+ * @param {Object} [options.inputOptions] - Font read options
+ * @param {Object} [options.outputOptions] - Font write options
+ * @param {boolean|string} [options.cache] - Whether to use the on-disk cache, or the cache directory
+ * @returns {Promise<{data: Buffer, stats: Object}>} Subset font data and statistics
+ */
+export async function subsetFontAsset(fileName, source, { text, inputOptions, outputOptions, cache }) {
+  const data = Buffer.from(source)
+  return subsetFontCached(
+    {
+      data,
+      inputType: resolveFontType(data, getExtType(fileName), `the extension of ${fileName}`),
+      outputType: getExtType(fileName),
+      text,
+      inputOptions,
+      outputOptions,
+    },
+    cache
+  )
+}
+
+/**
+ * Format a byte count for the build log
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+}
+
+/**
+ * Describe a subset font for the build log
+ * @param {string} fileName - Emitted file name
+ * @param {Object} stats - Subset statistics
+ * @returns {string} Log line
+ */
+export function formatSubsetLog(fileName, stats) {
+  return (
+    `[minify-font] ${fileName}: ${formatBytes(stats.inputSize)} → ${formatBytes(stats.outputSize)}, ` +
+    `${stats.glyphs.after} glyphs${stats.cached ? ' (cached)' : ''}`
+  )
+}
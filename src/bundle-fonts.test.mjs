@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { findFontFaceUrls, extractAssetText, findFontAssets, formatSubsetLog } from './bundle-fonts.mjs'
+
+describe('findFontFaceUrls', () => {
+  it('should collect the URLs of @font-face rules', () => {
+    const css = `@font-face {
+  font-family: Brand;
+  src: url('/fonts/brand.woff2?v=2') format('woff2'), url("../fonts/brand.ttf#iefix") format('truetype');
+}
+@font-face{font-family:Icons;src:url(data:font/woff2;base64,AAAA)}
+.logo { background: url(/images/logo.png); }`
+
+    expect(findFontFaceUrls(css)).toEqual(['/fonts/brand.woff2', '../fonts/brand.ttf'])
+  })
+})
+
+describe('extractAssetText', () => {
+  it('should extract the text of HTML, JavaScript and CSS files', () => {
+    expect(extractAssetText('index.html', '<h1>标题</h1>')).toContain('标题')
+    expect(extractAssetText('assets/main.js', 'el.textContent="你好"')).toContain('你好')
+    expect(extractAssetText('assets/main.css', 'q::before{content:"「"}')).toBe('「')
+  })
+
+  it('should ignore other files', () => {
+    expect(extractAssetText('assets/logo.svg', '<text>图标</text>')).toBe('')
+    expect(extractAssetText('assets/font.woff2', Buffer.from('wOF2'))).toBe('')
+  })
+})
+
+describe('findFontAssets', () => {
+  it('should match font files to the @font-face URLs by file name', () => {
+    const files = [
+      { fileName: 'assets/main.css', source: '@font-face{src:url(./brand-a1.woff2)}' },
+      { fileName: 'assets/brand-a1.woff2', source: Buffer.from('font') },
+      { fileName: 'assets/other-b2.woff2', source: Buffer.from('font') },
+      { fileName: 'assets/brand-a1.svg', source: '<svg/>' },
+    ]
+
+    expect(findFontAssets(files).map(file => file.fileName)).toEqual(['assets/brand-a1.woff2'])
+  })
+})
+
+describe('formatSubsetLog', () => {
+  it('should describe the size and glyphs of a subset', () => {
+    const stats = { inputSize: 5 * 1024 * 1024, outputSize: 42 * 1024, glyphs: { after: 862 } }
+
+    expect(formatSubsetLog('assets/a.woff2', stats)).toBe(
+      '[minify-font] assets/a.woff2: 5.00 MB → 42.0 KB, 862 glyphs'
+    )
+    expect(formatSubsetLog('assets/a.woff2', { ...stats, cached: true })).toMatch(/862 glyphs \(cached\)$/)
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Unicode code point helpers
+ *
+ * JavaScript strings are UTF-16, so characters outside the BMP (CJK Extension B+,
+ * emoji, math alphanumerics...) are stored as surrogate pairs. Everything that feeds
+ * a font subset must work on real code points instead of UTF-16 code units.
+ */
+
+/**
+ * Check whether a code point is a lone UTF-16 surrogate
+ * @param {number} codePoint - Code point to check
+ * @returns {boolean} True if the code point is in the surrogate range
+ */
+function isSurrogate(codePoint) {
+  return codePoint >= 0xd800 && codePoint <= 0xdfff
+}
+
+/**
+ * Convert text to an array of code points, in order and keeping duplicates
+ *
+ * Surrogate pairs are combined into a single code point, lone surrogates are dropped.
+ * Variation selectors (U+FE00-FE0F, U+E0100-E01EF), ZWJ and combining marks are kept
+ * as standalone code points so the glyphs a sequence needs survive subsetting.
+ *
+ * @param {string} text - Source text
+ * @returns {number[]} Array of code points
+ *
+ * @example
+ * toCodePoints('A𠮷') // [0x41, 0x20bb7]
+ */
+export function toCodePoints(text) {
+  const codePoints = []
+  for (const char of text || '') {
+    const codePoint = char.codePointAt(0)
+    if (!isSurrogate(codePoint)) {
+      codePoints.push(codePoint)
+    }
+  }
+  return codePoints
+}
+
+/**
+ * Deduplicate the characters of one or more texts by code point
+ * @param {...string} texts - Source texts
+ * @returns {string} Unique characters in first-seen order
+ *
+ * @example
+ * uniqueChars('AAB', 'BC') // 'ABC'
+ */
+export function uniqueChars(...texts) {
+  const seen = new Set()
+  for (const text of texts) {
+    for (const codePoint of toCodePoints(text)) {
+      seen.add(codePoint)
+    }
+  }
+  return Array.from(seen, codePoint => String.fromCodePoint(codePoint)).join('')
+}
+
+/**
+ * Count characters by code point rather than UTF-16 length
+ * @param {string} text - Source text
+ * @returns {number} Number of code points
+ */
+export function countChars(text) {
+  return toCodePoints(text).length
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { toCodePoints, uniqueChars, countChars } from './code-points.mjs'
+
+describe('code points', () => {
+  describe('toCodePoints', () => {
+    it('should convert BMP characters', () => {
+      expect(toCodePoints('A你')).toEqual([0x41, 0x4f60])
+    })
+
+    it('should combine surrogate pairs into a single code point', () => {
+      expect(toCodePoints('𠮷')).toEqual([0x20bb7])
+      expect(toCodePoints('😀')).toEqual([0x1f600])
+      expect(toCodePoints('𝐀')).toEqual([0x1d400])
+    })
+
+    it('should keep duplicates and order', () => {
+      expect(toCodePoints('A𠮷A')).toEqual([0x41, 0x20bb7, 0x41])
+    })
+
+    it('should drop lone surrogates', () => {
+      expect(toCodePoints('A\ud842B\udfb7')).toEqual([0x41, 0x42])
+    })
+
+    it('should keep variation selectors and ZWJ', () => {
+      expect(toCodePoints('☺️')).toEqual([0x263a, 0xfe0f])
+      expect(toCodePoints('葛󠄀')).toEqual([0x845b, 0xe0100])
+      expect(toCodePoints('👩‍💻')).toEqual([0x1f469, 0x200d, 0x1f4bb])
+    })
+
+    it('should keep combining marks', () => {
+      expect(toCodePoints('é')).toEqual([0x65, 0x301])
+    })
+
+    it('should handle empty and undefined text', () => {
+      expect(toCodePoints('')).toEqual([])
+      expect(toCodePoints(undefined)).toEqual([])
+    })
+  })
+
+  describe('uniqueChars', () => {
+    it('should deduplicate by code point', () => {
+      expect(uniqueChars('AAB𠮷𠮷')).toBe('AB𠮷')
+    })
+
+    it('should merge multiple texts in first-seen order', () => {
+      expect(uniqueChars('一二', '二三𠮷')).toBe('一二三𠮷')
+    })
+
+    it('should not merge different astral characters sharing a high surrogate', () => {
+      // 𠮷 (U+20BB7) and 𠮶 (U+20BB6) share the \ud842 high surrogate
+      expect(uniqueChars('𠮷𠮶')).toBe('𠮷𠮶')
+    })
+  })
+
+  describe('countChars', () => {
+    it('should count astral characters once', () => {
+      expect(countChars('𠮷😀A')).toBe(3)
+    })
+  })
+})
@@ -0,0 +1,8 @@
+import { TOP_USED_500_CHARS, TOP_USED_2500_CHARS, COMMONLY_USED_CHARS } from 'top-used-chars'
+
+// Predefined character collections of top-used-chars, by the name used in options and on the command line
+export const COLLECTIONS = {
+  top500: TOP_USED_500_CHARS,
+  top2500: TOP_USED_2500_CHARS,
+  commonlyUsed: COMMONLY_USED_CHARS,
+}
@@ -1,28 +1,190 @@
 import path from 'node:path'
-import { minifyFont } from './minify-font.mjs'
+import { createHash } from 'node:crypto'
+import { existsSync } from 'node:fs'
+import { readFile, writeFile } from 'node:fs/promises'
+import { ensureDir } from './ensure-dir.mjs'
+import { subsetFontToFormats } from './subset-font-buffer.mjs'
+import { COLLECTION_TYPES, resolveFontType, getExtType } from './detect-font-type.mjs'
+import { readCollectionOffsets } from './font-collection.mjs'
+import { readFontMeta } from './font-meta.mjs'
+import { createFontFaceCSS, FONT_DISPLAY_VALUES } from './font-face-css.mjs'
+import { getAxesWeight } from './variable-font.mjs'
+
+// Length of the content hash passed to resolveFileName and used by [hash]
+const HASH_LENGTH = 8
+
+/**
+ * Hash the content of an output font
+ * @param {Buffer} data - Font data
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashContent(data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * Fill a file name template: [name] is the input file name, [ext] the format,
+ * [hash] or [hash:N] the content hash of the output
+ * A failed format has no hash, its placeholder is dropped with the separator before it
+ * @param {string} template - File name template, e.g. '[name].[hash].[ext]'
+ * @param {Object} values - Template values
+ * @param {string} values.name - Input file name without extension
+ * @param {string} values.ext - Output format
+ * @param {string} [values.hash] - Full content hash
+ * @returns {string} File name
+ */
+function renderFileName(template, { name, ext, hash }) {
+  return template
+    .replace(/([.\-_]?)\[hash(?::(\d+))?\]/g, (_, separator, length) =>
+      hash ? separator + hash.slice(0, length ? Number(length) : HASH_LENGTH) : ''
+    )
+    .replace(/\[name\]/g, name)
+    .replace(/\[ext\]/g, ext)
+}
+
+/**
+ * Build the name of a variable font instance from its axes, e.g. "wght700" or "wght300_700-wdth75"
+ * @param {Object<string, number|number[]>} axes - Axes option of the instance
+ * @returns {string} Instance name
+ */
+function getInstanceName(axes) {
+  return Object.entries(axes)
+    .map(([tag, value]) => `${tag.trim()}${Array.isArray(value) ? value.join('_') : value}`)
+    .join('-')
+}
+
+// Pending manifest updates by absolute path, so concurrent calls never overwrite each other's entries
+const manifestUpdates = new Map()
+
+/**
+ * Add the generated files of a font to a manifest, keeping the entries of other fonts
+ * Updates of one manifest run one after the other
+ * @param {string} manifestPath - Absolute manifest file path
+ * @param {string} name - Logical font name
+ * @param {Array<{format: string, path: string}>} fonts - Generated fonts
+ * @returns {Promise<void>}
+ * @throws {Error} When an existing manifest is not valid JSON
+ */
+function writeManifest(manifestPath, name, fonts) {
+  const previous = manifestUpdates.get(manifestPath) || Promise.resolve()
+  const update = previous.then(() => updateManifest(manifestPath, name, fonts))
+  // The next update waits for this one whether it fails or not
+  const settled = update.catch(() => {})
+  manifestUpdates.set(manifestPath, settled)
+  settled.then(() => {
+    if (manifestUpdates.get(manifestPath) === settled) {
+      manifestUpdates.delete(manifestPath)
+    }
+  })
+  return update
+}
+
+/**
+ * Read a manifest, set the entry of a font and write it back
+ * @param {string} manifestPath - Absolute manifest file path
+ * @param {string} name - Logical font name
+ * @param {Array<{format: string, path: string}>} fonts - Generated fonts
+ * @throws {Error} When an existing manifest is not valid JSON
+ */
+async function updateManifest(manifestPath, name, fonts) {
+  let manifest = {}
+  if (existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(await readFile(manifestPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid JSON in manifest ${manifestPath}: ${error.message}`)
+    }
+  }
+
+  const manifestDir = path.dirname(manifestPath)
+  manifest[name] = Object.fromEntries(
+    fonts.map(font => [font.format, path.relative(manifestDir, font.path).split(path.sep).join('/')])
+  )
+
+  ensureDir(manifestDir)
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`)
+}
+
+/**
+ * Read the @font-face descriptors of the input font, falling back to the file name as family
+ * @param {Buffer} data - Input font data
+ * @param {string} inputType - Input font type
+ * @param {string} basename - Input file name without extension
+ * @param {number|string} [face] - Face of a font collection
+ * @returns {Promise<{family: string, weight?: number, style?: string}>} Font face descriptors
+ */
+async function readFontFace(data, inputType, basename, face) {
+  try {
+    const meta = await readFontMeta(data, inputType, face)
+    if (meta.family) {
+      return meta
+    }
+  } catch {
+    // Metadata is only used for the CSS output
+  }
+  return { family: basename }
+}
 
 /**
  * 一次性创建多种 Web 字体格式（ttf, woff2, woff 等）
  *
- * 该函数会并行生成多种字体格式，即使某个格式失败，其他格式也能继续生成。
+ * 输入字体只读取、解析和裁剪一次，再分别输出为各个格式，即使某个格式失败，其他格式也能继续生成。
  * 非常适合用于 Web 项目批量生成字体文件。
  *
  * @param {Object} options - 配置选项
- * @param {string} options.input - 输入的字体文件路径（支持 ttf, otf, woff, woff2 等格式）
+ * @param {string} options.input - 输入的字体文件路径（支持 ttf, otf, woff, woff2 等格式，以及字体集合 ttc、otc）
  * @param {string} options.text - 需要包含的文字内容，只保留这些字符以减小文件体积
  * @param {string} [options.outputDir] - 输出目录，默认为输入文件同级目录下的 output 文件夹
- * @param {Function} [options.resolveFileName] - 自定义文件名函数 resolveFileName({ basename, ext }) => string
+ * @param {string} [options.fileName] - 文件名模板：[name] 为输入文件名，[ext] 为格式，[hash] 为输出内容的哈希（默认 8 位，
+ *   [hash:N] 指定长度），如 '[name].[hash].[ext]'。设置 instances 时 [name] 为输入文件名加实例名，如 font-wght700；
+ *   face 为 '*' 时 [name] 为输入文件名加字体索引，如 font-1
+ * @param {Function} [options.resolveFileName] - 自定义文件名函数 resolveFileName({ basename, ext, hash, axes, face }) => string，
+ *   hash 为输出内容的 8 位哈希，生成失败的格式没有 hash；设置 instances 或 face 为 '*' 时 basename 同 [name]，
+ *   axes 为实例的轴设置，face 为字体集合中的字体索引
  * @param {string[]} [options.formats=['woff2', 'woff', 'ttf']] - 要生成的字体格式数组
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean|Object} [options.layout] - 保留 OpenType 排版特性（GSUB/GPOS），同 minifyFont
+ * @param {Object} [options.axes] - 可变字体的轴固定值或范围，如 { wght: 700 }，同 minifyFont
+ * @param {Object[]} [options.instances] - 从可变字体一次生成多个实例，每项为一个实例的 axes，如 [{ wght: 400 }, { wght: 700 }]。
+ *   字体只读取一次，每个实例生成所有格式，文件名为输入文件名加实例名（轴标签和值，范围用 _ 连接），如 font-wght700.woff2、
+ *   font-wght300_700.woff2；CSS 中每个实例一条 @font-face，不能与 axes 同时使用
+ * @param {number|string} [options.face=0] - 字体集合（.ttc/.otc）中要裁剪的字体，索引或 PostScript 名称，同 minifyFont；
+ *   传入 '*' 时导出集合中的每个字体，文件名为输入文件名加字体索引，如 font-0.woff2、font-1.woff2，CSS 中每个字体一条
+ *   @font-face，字体名称、字重和样式分别读取自各个字体；单个字体忽略此选项
+ * @param {boolean} [options.allowRestricted=false] - 允许处理授权禁止嵌入或裁剪的字体，同 minifyFont
+ * @param {boolean|Object} [options.css] - 生成引用所有字体的 @font-face CSS，传入 true 使用默认值
+ * @param {string} [options.css.file] - 写入的 CSS 文件路径（相对 outputDir），url() 使用相对该文件的路径；不设置时只返回 CSS，url() 相对 outputDir
+ * @param {string} [options.css.family] - font-family，默认使用字体自身的名称
+ * @param {string|number} [options.css.weight] - font-weight，默认读取字体的字重；可变字体为 wght 轴的范围（如 '100 900'），
+ *   固定或收窄 wght 轴时为固定值或收窄后的范围
+ * @param {string} [options.css.style] - font-style，默认读取字体的样式
+ * @param {string} [options.css.display] - font-display，如 'swap'
+ * @param {string} [options.css.urlPrefix] - 字体目录的公开 URL，设置后 url() 为前缀 + 文件名
+ * @param {boolean|string} [options.manifest] - 写入记录各格式文件名的 JSON 清单，传入 true 时为 outputDir 下的
+ *   manifest.json，传入字符串时为清单路径（相对 outputDir）。清单以输入文件名（设置 instances 或 face 为 '*' 时为 [name]）为键，
+ *   已有清单中其他字体的记录会保留
  * @returns {Promise<CreateWebFontsResult>} 生成结果，包含输出目录和每个字体文件的详细信息
  * @returns {string} return.outputDir - 输出目录的绝对路径
  * @returns {Array<Object>} return.fonts - 生成的字体文件信息数组
  * @returns {string} return.fonts[].format - 字体格式（如 'woff2', 'woff', 'ttf'）
  * @returns {string} return.fonts[].path - 字体文件的完整路径
  * @returns {boolean} return.fonts[].success - 是否成功生成
+ * @returns {Object} [return.fonts[].stats] - 成功时的统计信息，同 minifyFont 的返回值
  * @returns {Error} [return.fonts[].error] - 失败时的错误信息
+ * @returns {Object} [return.fonts[].axes] - 设置 instances 时字体所属实例的轴设置
+ * @returns {number} [return.fonts[].face] - face 为 '*' 时字体在集合中的索引
+ * @returns {number[]} return.missing - text 中字体缺少的字符码位，字体无法读取时为空数组
+ * @returns {string} [return.css] - 设置 css 时返回的 CSS，所有格式都失败时为空字符串
+ * @returns {string} [return.cssPath] - 设置 css.file 时写入的 CSS 文件路径
+ * @returns {string} [return.manifestPath] - 设置 manifest 时写入的清单文件路径
  * @throws {Error} 当 input 参数缺失时抛出错误
  * @throws {Error} 当 text 参数缺失时抛出错误
  * @throws {Error} 当 formats 不是非空数组时抛出错误
+ * @throws {Error} 当 css.display 无效时抛出错误
+ * @throws {Error} 当同时设置 fileName 和 resolveFileName 时抛出错误
+ * @throws {Error} 当 instances 不是非空数组，或同时设置 axes 和 instances 时抛出错误
+ * @throws {Error} 当已有的清单文件不是有效的 JSON 时抛出错误
  *
  * @example
  * // 基本用法：生成默认的三种格式
@@ -51,22 +213,80 @@ import { minifyFont } from './minify-font.mjs'
  * // 输出: font.min.woff2, font.min.woff, font.min.ttf
  *
  * @example
+ * // 带内容哈希的文件名和清单，供服务端渲染读取
+ * const result = await createWebFonts({
+ *   input: './font.ttf',
+ *   outputDir: './dist/fonts',
+ *   text: '常用汉字',
+ *   formats: ['woff2', 'woff'],
+ *   fileName: '[name].[hash].[ext]',
+ *   manifest: true
+ * })
+ * // 输出: font.3f9a1c2e.woff2, font.8b0d7f41.woff
+ * // dist/fonts/manifest.json: { "font": { "woff2": "font.3f9a1c2e.woff2", "woff": "font.8b0d7f41.woff" } }
+ *
+ * @example
  * // 检查生成结果
  * const result = await createWebFonts({ input: 'font.ttf', text: 'Hello' })
  * result.fonts.forEach(font => {
  *   if (font.success) {
- *     console.log(`✓ ${font.format}: ${font.path}`)
+ *     console.log(`✓ ${font.format}: ${font.path} (${font.stats.outputSize} bytes)`)
  *   } else {
  *     console.error(`✗ ${font.format} failed:`, font.error.message)
  *   }
  * })
+ *
+ * @example
+ * // 同时生成 CSS 文件，url() 为相对 CSS 文件的路径
+ * const result = await createWebFonts({
+ *   input: './font.ttf',
+ *   outputDir: './dist/fonts',
+ *   text: '常用汉字',
+ *   formats: ['woff2', 'woff'],
+ *   css: { file: '../css/font.css', display: 'swap' }
+ * })
+ * // dist/css/font.css: src: url(../fonts/font.woff2) format('woff2'), url(../fonts/font.woff) format('woff');
+ *
+ * @example
+ * // 从可变字体生成常规和粗体两个静态实例，以及对应的 CSS
+ * const result = await createWebFonts({
+ *   input: './brand-vf.ttf',
+ *   outputDir: './dist/fonts',
+ *   text: '常用汉字',
+ *   formats: ['woff2'],
+ *   instances: [{ wght: 400 }, { wght: 700 }],
+ *   css: { file: 'font.css' }
+ * })
+ * // 输出: brand-vf-wght400.woff2, brand-vf-wght700.woff2
+ * // font.css: 两条 @font-face，font-weight 分别为 400 和 700
+ *
+ * @example
+ * // 导出字体集合中的每个字体
+ * const result = await createWebFonts({
+ *   input: './PingFang.ttc',
+ *   text: '常用汉字',
+ *   formats: ['woff2'],
+ *   face: '*',
+ *   css: true
+ * })
+ * // 输出: PingFang-0.woff2, PingFang-1.woff2, ...，每个字体一条 @font-face
  */
 export async function createWebFonts({
   input,
   outputDir,
   text,
+  fileName,
   resolveFileName,
   formats = ['woff2', 'woff', 'ttf'],
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  instances,
+  face,
+  allowRestricted,
+  css,
+  manifest,
 }) {
   // Input validation
   if (!input) {
@@ -78,53 +298,189 @@ export async function createWebFonts({
   if (!Array.isArray(formats) || formats.length === 0) {
     throw new Error('formats must be a non-empty array')
   }
+  if (css && css.display && !FONT_DISPLAY_VALUES.includes(css.display)) {
+    throw new Error(`Invalid font-display "${css.display}". Available: ${FONT_DISPLAY_VALUES.join(', ')}`)
+  }
+  if (fileName && resolveFileName) {
+    throw new Error('fileName and resolveFileName cannot be used together')
+  }
+  if (instances !== undefined && (!Array.isArray(instances) || instances.length === 0)) {
+    throw new Error('instances must be a non-empty array')
+  }
+  if (instances && axes) {
+    throw new Error('axes and instances cannot be used together')
+  }
 
   const basename = path.basename(input, path.extname(input))
   const targetDir = outputDir || path.resolve(path.dirname(input), './output')
 
-  // Use Promise.allSettled for better error handling
-  const results = await Promise.allSettled(
-    formats.map(targetType =>
-      minifyFont({
-        input,
-        output: path.resolve(
-          targetDir,
-          typeof resolveFileName === 'function'
-            ? resolveFileName({ basename, ext: targetType })
-            : `${basename}.${targetType}`
-        ),
+  // Load the source font once, then subset it for every face and instance and serialize it to every format
+  let inputBuffer
+  let inputType
+  // A collection exports every face with "*", a single font or an unreadable input has one target
+  let faces = [face === '*' ? undefined : face]
+  let readError
+  try {
+    if (!existsSync(input)) {
+      throw new Error(`${input} is not exists`)
+    }
+    inputBuffer = await readFile(input)
+    inputType = resolveFontType(inputBuffer, getExtType(input), `the extension of ${input}`)
+    if (face === '*' && COLLECTION_TYPES.includes(inputType)) {
+      faces = readCollectionOffsets(inputBuffer).map((_, index) => index)
+    }
+  } catch (error) {
+    readError = error
+  }
+
+  // Every face and instance is named after the input file, its face index and axes,
+  // a single output keeps the input name
+  const targets = faces.flatMap(targetFace => {
+    const name = face === '*' && targetFace !== undefined ? `${basename}-${targetFace}` : basename
+    return instances
+      ? instances.map(instanceAxes => ({
+          name: `${name}-${getInstanceName(instanceAxes)}`,
+          face: targetFace,
+          axes: instanceAxes,
+        }))
+      : [{ name, face: targetFace, axes }]
+  })
+
+  // Names can depend on the output content, so they are resolved once each format is generated
+  const resolveFontPath = (target, format, data) => {
+    const hash = data ? hashContent(data) : undefined
+    let name = `${target.name}.${format}`
+    if (typeof resolveFileName === 'function') {
+      name = resolveFileName({
+        basename: target.name,
+        ext: format,
+        hash: hash && hash.slice(0, HASH_LENGTH),
+        axes: target.axes,
+        face: target.face,
+      })
+    } else if (fileName) {
+      name = renderFileName(fileName, { name: target.name, ext: format, hash })
+    }
+    return path.resolve(targetDir, name)
+  }
+
+  const fonts = []
+  for (const target of targets) {
+    let subsetResults
+    try {
+      if (readError) {
+        throw readError
+      }
+      subsetResults = await subsetFontToFormats({
+        data: inputBuffer,
+        inputType,
+        outputTypes: formats,
         text,
+        inputOptions,
+        outputOptions,
+        layout,
+        axes: target.axes,
+        face: target.face,
+        allowRestricted,
+      })
+    } catch (error) {
+      subsetResults = formats.map(format => ({ format, error }))
+    }
+
+    // Write each successfully generated format, keeping per-format errors
+    target.fonts = await Promise.all(
+      subsetResults.map(async ({ format, data, stats, error }) => {
+        const fontPath = resolveFontPath(target, format, data)
+        const font = {
+          format,
+          path: fontPath,
+          ...(instances && { axes: target.axes }),
+          ...(face === '*' && target.face !== undefined && { face: target.face }),
+        }
+        if (error) {
+          return { ...font, success: false, error }
+        }
+        try {
+          ensureDir(path.dirname(fontPath))
+          await writeFile(fontPath, data)
+          return { ...font, success: true, stats }
+        } catch (writeError) {
+          return { ...font, success: false, error: writeError }
+        }
       })
     )
-  )
+    fonts.push(...target.fonts)
+  }
+
+  // Every format shares the subset, so any successful format holds the missing characters
+  const measured = fonts.find(font => font.stats)
+  const missing = measured ? measured.stats.chars.missing : []
+  const generated = fonts.filter(font => font.success)
 
-  // Map results to detailed information
-  const fonts = formats.map((format, index) => {
-    const result = results[index]
-    const filename =
-      typeof resolveFileName === 'function'
-        ? resolveFileName({ basename, ext: format })
-        : `${basename}.${format}`
-    const fontPath = path.resolve(targetDir, filename)
-
-    if (result.status === 'fulfilled') {
-      return {
-        format,
-        path: fontPath,
-        success: true,
+  let manifestPath
+  if (manifest && generated.length > 0) {
+    manifestPath = path.resolve(targetDir, typeof manifest === 'string' ? manifest : 'manifest.json')
+    // Faces and instances share the manifest file, so they are written one after another
+    for (const target of targets) {
+      const targetFonts = target.fonts.filter(font => font.success)
+      if (targetFonts.length > 0) {
+        await writeManifest(manifestPath, target.name, targetFonts)
       }
-    } else {
-      return {
-        format,
-        path: fontPath,
-        success: false,
-        error: result.reason,
+    }
+  }
+
+  if (!css) {
+    return {
+      outputDir: targetDir,
+      fonts,
+      missing,
+      manifestPath,
+    }
+  }
+
+  // Reference every generated format of a face or instance from a single @font-face rule
+  const cssOptions = css === true ? {} : css
+  const cssPath = cssOptions.file ? path.resolve(targetDir, cssOptions.file) : undefined
+  let stylesheet = ''
+  if (generated.length > 0) {
+    // The faces of a collection have their own names, weights and styles
+    const fontFaces = new Map()
+    const rules = []
+    for (const target of targets) {
+      const targetFonts = target.fonts.filter(font => font.success)
+      if (targetFonts.length === 0) {
+        continue
       }
+      if (!fontFaces.has(target.face)) {
+        fontFaces.set(target.face, await readFontFace(inputBuffer, inputType, basename, target.face))
+      }
+      const fontFace = fontFaces.get(target.face)
+      rules.push(
+        createFontFaceCSS({
+          family: cssOptions.family || fontFace.family,
+          fonts: targetFonts,
+          baseDir: cssPath ? path.dirname(cssPath) : path.resolve(targetDir),
+          urlPrefix: cssOptions.urlPrefix,
+          weight: cssOptions.weight ?? getAxesWeight(fontFace.weight, target.axes),
+          style: cssOptions.style ?? fontFace.style,
+          display: cssOptions.display,
+        })
+      )
     }
-  })
+    stylesheet = `${rules.join('\n\n')}\n`
+
+    if (cssPath) {
+      ensureDir(path.dirname(cssPath))
+      await writeFile(cssPath, stylesheet)
+    }
+  }
 
   return {
     outputDir: targetDir,
     fonts,
+    missing,
+    css: stylesheet,
+    cssPath,
+    manifestPath,
   }
 }
@@ -1,8 +1,29 @@
 import { createWebFonts } from '../src/create-web-fonts.mjs'
 import { TOP_USED_500_CHARS } from 'top-used-chars'
-import { rmSync } from 'node:fs'
+import { rmSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { describe, it, expect, afterEach } from 'vitest'
 
+// Font collection holding the font twice, with table offsets moved past the collection header
+function writeCollection(file) {
+  const sfnt = readFileSync('./test/zcool-xiaowei.ttf')
+  const header = Buffer.alloc(20)
+  header.write('ttcf', 0, 'latin1')
+  header.writeUInt32BE(0x00010000, 4)
+  header.writeUInt32BE(2, 8)
+  const faces = [header.length, header.length + sfnt.length].map((offset, index) => {
+    const face = Buffer.from(sfnt)
+    for (let record = 0; record < face.readUInt16BE(4); record++) {
+      const position = 20 + record * 16
+      face.writeUInt32BE(face.readUInt32BE(position) + offset, position)
+    }
+    header.writeUInt32BE(offset, 12 + index * 4)
+    return face
+  })
+  mkdirSync('./test/output', { recursive: true })
+  writeFileSync(file, Buffer.concat([header, ...faces]))
+}
+
 describe('createWebFonts', () => {
   afterEach(() => {
     rmSync('./test/output', { recursive: true, force: true })
@@ -29,4 +50,193 @@ describe('createWebFonts', () => {
     expect(ttfFont.success).toBe(true)
     expect(ttfFont.path).toContain('zcool-xiaowei.ttf')
   })
+
+  it('should write a stylesheet referencing the generated fonts', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output/fonts',
+      text: TOP_USED_500_CHARS,
+      formats: ['woff2', 'woff'],
+      css: { file: '../css/font.css', display: 'swap' },
+    })
+    expect(result.cssPath).toContain('test/output/css/font.css')
+    expect(readFileSync(result.cssPath, 'utf8')).toBe(result.css)
+    expect(result.css).toContain("src: url(../fonts/zcool-xiaowei.woff2) format('woff2'),")
+    expect(result.css).toContain("url(../fonts/zcool-xiaowei.woff) format('woff');")
+    expect(result.css).toMatch(/font-weight: \d+;/)
+    expect(result.css).toContain('font-display: swap;')
+  })
+
+  it('should only return the stylesheet without a css file', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: 'ABC',
+      formats: ['woff2'],
+      css: { family: 'Brand', urlPrefix: '/static/fonts/' },
+    })
+    expect(result.cssPath).toBeUndefined()
+    expect(result.css).toContain("font-family: 'Brand';")
+    expect(result.css).toContain("url(/static/fonts/zcool-xiaowei.woff2) format('woff2')")
+  })
+
+  it('should return the requested characters missing from the font', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: '你好😀',
+      formats: ['woff2'],
+    })
+    expect(result.missing).toEqual([0x1f600])
+    expect(result.fonts[0].stats.chars).toEqual({ requested: 3, covered: 2, missing: [0x1f600] })
+  })
+
+  it('should name fonts by content hash and write a manifest', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output/fonts',
+      text: 'ABC',
+      formats: ['woff2', 'woff'],
+      fileName: '[name].[hash].[ext]',
+      manifest: '../manifest.json',
+    })
+    const [woff2Font, woffFont] = result.fonts
+    const hash = createHash('sha256').update(readFileSync(woff2Font.path)).digest('hex').slice(0, 8)
+    expect(woff2Font.path).toContain(`zcool-xiaowei.${hash}.woff2`)
+    expect(woffFont.path).toMatch(/zcool-xiaowei\.[0-9a-f]{8}\.woff$/)
+    expect(result.manifestPath).toContain('test/output/manifest.json')
+    expect(JSON.parse(readFileSync(result.manifestPath, 'utf8'))).toEqual({
+      'zcool-xiaowei': {
+        woff2: `fonts/zcool-xiaowei.${hash}.woff2`,
+        woff: woffFont.path.replace(/^.*[\\/]/, 'fonts/'),
+      },
+    })
+  })
+
+  it('should keep the hash stable and drop it for failed formats', async () => {
+    const options = {
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: 'ABC',
+      formats: ['woff2', 'pdf'],
+      fileName: '[name]-[hash:12].[ext]',
+    }
+    const first = await createWebFonts(options)
+    const second = await createWebFonts(options)
+    expect(first.fonts[0].path).toMatch(/zcool-xiaowei-[0-9a-f]{12}\.woff2$/)
+    expect(second.fonts[0].path).toBe(first.fonts[0].path)
+    expect(first.fonts[1].path).toMatch(/zcool-xiaowei\.pdf$/)
+    expect(first.fonts[1].success).toBe(false)
+  })
+
+  it('should pass the content hash to resolveFileName', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: 'ABC',
+      formats: ['woff2'],
+      resolveFileName: ({ basename, ext, hash }) => `${basename}-${hash}.${ext}`,
+    })
+    expect(result.fonts[0].path).toMatch(/zcool-xiaowei-[0-9a-f]{8}\.woff2$/)
+    expect(result.manifestPath).toBeUndefined()
+  })
+
+  it('should keep the entries of other fonts in an existing manifest', async () => {
+    mkdirSync('./test/output', { recursive: true })
+    writeFileSync('./test/output/manifest.json', JSON.stringify({ other: { woff2: 'other.woff2' } }))
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: 'ABC',
+      formats: ['woff2'],
+      manifest: true,
+    })
+    expect(JSON.parse(readFileSync(result.manifestPath, 'utf8'))).toEqual({
+      other: { woff2: 'other.woff2' },
+      'zcool-xiaowei': { woff2: 'zcool-xiaowei.woff2' },
+    })
+  })
+
+  it('should keep the entries of fonts written to one manifest at the same time', async () => {
+    mkdirSync('./test/output', { recursive: true })
+    writeFileSync('./test/output/copy.ttf', readFileSync('./test/zcool-xiaowei.ttf'))
+    const [result] = await Promise.all(
+      ['./test/zcool-xiaowei.ttf', './test/output/copy.ttf'].map(input =>
+        createWebFonts({
+          input,
+          outputDir: './test/output/fonts',
+          text: 'ABC',
+          formats: ['woff2'],
+          manifest: true,
+        })
+      )
+    )
+    expect(JSON.parse(readFileSync(result.manifestPath, 'utf8'))).toEqual({
+      copy: { woff2: 'copy.woff2' },
+      'zcool-xiaowei': { woff2: 'zcool-xiaowei.woff2' },
+    })
+  })
+
+  it('should reject fileName combined with resolveFileName', async () => {
+    await expect(
+      createWebFonts({
+        input: './test/zcool-xiaowei.ttf',
+        text: 'ABC',
+        fileName: '[name].[hash].[ext]',
+        resolveFileName: ({ basename, ext }) => `${basename}.${ext}`,
+      })
+    ).rejects.toThrow('fileName and resolveFileName cannot be used together')
+  })
+
+  it('should name the fonts of each instance after its axes', async () => {
+    const result = await createWebFonts({
+      input: './test/zcool-xiaowei.ttf',
+      outputDir: './test/output',
+      text: 'ABC',
+      formats: ['woff2'],
+      instances: [{ wght: 400 }, { wght: [300, 700] }],
+    })
+    expect(result.fonts.map(font => font.path.split(/[\\/]/).pop())).toEqual([
+      'zcool-xiaowei-wght400.woff2',
+      'zcool-xiaowei-wght300_700.woff2',
+    ])
+    expect(result.fonts[1].axes).toEqual({ wght: [300, 700] })
+    // The font is static, so every instance fails
+    expect(result.fonts[0].error.message).toBe('axes can only be set for variable fonts')
+  })
+
+  it('should create the fonts of every face of a collection', async () => {
+    writeCollection('./test/output/zcool-xiaowei.ttc')
+    const result = await createWebFonts({
+      input: './test/output/zcool-xiaowei.ttc',
+      outputDir: './test/output/fonts',
+      text: 'ABC',
+      formats: ['woff2'],
+      face: '*',
+      css: true,
+    })
+    expect(result.fonts.map(font => font.path.split(/[\\/]/).pop())).toEqual([
+      'zcool-xiaowei-0.woff2',
+      'zcool-xiaowei-1.woff2',
+    ])
+    expect(result.fonts.map(font => [font.face, font.success])).toEqual([
+      [0, true],
+      [1, true],
+    ])
+    expect(result.css.match(/@font-face/g)).toHaveLength(2)
+  })
+
+  it('should reject axes combined with instances', async () => {
+    await expect(
+      createWebFonts({
+        input: './test/zcool-xiaowei.ttf',
+        text: 'ABC',
+        axes: { wght: 700 },
+        instances: [{ wght: 400 }],
+      })
+    ).rejects.toThrow('axes and instances cannot be used together')
+    await expect(
+      createWebFonts({ input: './test/zcool-xiaowei.ttf', text: 'ABC', instances: [] })
+    ).rejects.toThrow('instances must be a non-empty array')
+  })
 })
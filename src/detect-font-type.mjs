@@ -0,0 +1,131 @@
+import { extname } from 'node:path'
+
+export const VALID_FONT_TYPES = ['ttf', 'otf', 'eot', 'svg', 'woff', 'woff2']
+
+// TrueType/OpenType collections, read-only: a single face is extracted before subsetting
+export const COLLECTION_TYPES = ['ttc', 'otc']
+
+// Both are sfnt containers, a TrueType-flavoured font named .otf (or the reverse) is parsed by its content
+const SFNT_TYPES = ['ttf', 'otf']
+
+/**
+ * Read a 4-byte tag at the given offset
+ * @param {Uint8Array} bytes - Font data
+ * @param {number} offset - Byte offset
+ * @returns {string} Tag string
+ */
+function readTag(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4))
+}
+
+/**
+ * Check for an Embedded OpenType header
+ * The EOT magic number 0x504C is stored little-endian at offset 34
+ * @param {Uint8Array} bytes - Font data
+ * @returns {boolean} True if the data looks like an EOT font
+ */
+function isEOT(bytes) {
+  if (bytes.length < 36 || bytes[34] !== 0x4c || bytes[35] !== 0x50) {
+    return false
+  }
+  // Version is little-endian at offset 8: 0x00010000, 0x00020001 or 0x00020002
+  const version = bytes[8] | (bytes[9] << 8) | (bytes[10] << 16) | (bytes[11] << 24)
+  return [0x00010000, 0x00020001, 0x00020002].includes(version)
+}
+
+/**
+ * Check for an SVG font document
+ * @param {Uint8Array} bytes - Font data
+ * @returns {boolean} True if the data looks like an SVG document
+ */
+function isSVG(bytes) {
+  const head = Buffer.from(bytes.subarray(0, 4096))
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .trimStart()
+  return head.startsWith('<') && /<svg[\s>]/.test(head)
+}
+
+/**
+ * 根据文件内容（magic bytes）识别字体格式
+ *
+ * 支持 sfnt version (0x00010000 / 'true')、'OTTO'、'wOFF'、'wOF2'、'ttcf'、EOT 文件头和 SVG XML。
+ * 字体集合（.ttc/.otc）都识别为 ttc。
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - 字体数据
+ * @returns {string|null} 字体格式（ttf, otf, woff, woff2, eot, svg, ttc），无法识别时返回 null
+ *
+ * @example
+ * detectFontType(await readFile('./font.bin')) // 'woff2'
+ */
+export function detectFontType(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data
+  if (!bytes || bytes.length < 4) {
+    return null
+  }
+
+  const tag = readTag(bytes, 0)
+  if (tag === '\x00\x01\x00\x00' || tag === 'true') {
+    return 'ttf'
+  }
+  if (tag === 'OTTO') {
+    return 'otf'
+  }
+  if (tag === 'wOFF') {
+    return 'woff'
+  }
+  if (tag === 'wOF2') {
+    return 'woff2'
+  }
+  if (tag === 'ttcf') {
+    return 'ttc'
+  }
+  if (isEOT(bytes)) {
+    return 'eot'
+  }
+  if (isSVG(bytes)) {
+    return 'svg'
+  }
+  return null
+}
+
+/**
+ * Get the font type implied by a file extension
+ * @param {string} file - File path
+ * @returns {string} Lower-cased extension without the dot
+ */
+export function getExtType(file) {
+  return extname(file).slice(1).toLowerCase()
+}
+
+/**
+ * Decide the input font type from its content, using the declared type only as a fallback
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - Font data
+ * @param {string} [declaredType] - Type from the file extension or the caller
+ * @param {string} [declaredBy='inputType'] - Where the declared type comes from, used in error messages
+ * @returns {string} Resolved font type
+ * @throws {Error} When the content and the declared type disagree
+ * @throws {Error} When neither the content nor the declared type identify the font
+ */
+export function resolveFontType(data, declaredType, declaredBy = 'inputType') {
+  const detectedType = detectFontType(data)
+
+  if (!detectedType) {
+    if (!declaredType) {
+      throw new Error('Unable to detect the font type from its content, please specify the input type')
+    }
+    return declaredType
+  }
+
+  // Unknown extensions such as .bin or hashed asset names carry no information
+  const compatible =
+    !VALID_FONT_TYPES.includes(declaredType) ||
+    declaredType === detectedType ||
+    (SFNT_TYPES.includes(declaredType) && SFNT_TYPES.includes(detectedType))
+
+  if (!compatible) {
+    throw new Error(`Font type mismatch: content is ${detectedType} but ${declaredBy} is ${declaredType}`)
+  }
+
+  return detectedType
+}
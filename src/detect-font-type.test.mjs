@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import { detectFontType, resolveFontType, getExtType } from './detect-font-type.mjs'
+
+const bytes = (...values) => Buffer.from(values)
+const tagged = tag => Buffer.concat([Buffer.from(tag, 'latin1'), Buffer.alloc(16)])
+
+function eotHeader(version = 0x00020001) {
+  const header = Buffer.alloc(82)
+  header.writeUInt32LE(82, 0) // EOTSize
+  header.writeUInt32LE(0, 4) // FontDataSize
+  header.writeUInt32LE(version, 8) // Version
+  header.writeUInt16LE(0x504c, 34) // MagicNumber
+  return header
+}
+
+describe('detectFontType', () => {
+  it('should detect TrueType fonts', () => {
+    expect(detectFontType(bytes(0x00, 0x01, 0x00, 0x00, 0x00, 0x0a))).toBe('ttf')
+    expect(detectFontType(tagged('true'))).toBe('ttf')
+  })
+
+  it('should detect CFF OpenType fonts', () => {
+    expect(detectFontType(tagged('OTTO'))).toBe('otf')
+  })
+
+  it('should detect WOFF and WOFF2 fonts', () => {
+    expect(detectFontType(tagged('wOFF'))).toBe('woff')
+    expect(detectFontType(tagged('wOF2'))).toBe('woff2')
+  })
+
+  it('should detect font collections', () => {
+    expect(detectFontType(tagged('ttcf'))).toBe('ttc')
+  })
+
+  it('should detect EOT fonts', () => {
+    expect(detectFontType(eotHeader())).toBe('eot')
+    expect(detectFontType(eotHeader(0x00010000))).toBe('eot')
+    expect(detectFontType(eotHeader(0x00020002))).toBe('eot')
+  })
+
+  it('should not detect EOT with an unknown version', () => {
+    expect(detectFontType(eotHeader(0x12345678))).toBeNull()
+  })
+
+  it('should detect SVG fonts', () => {
+    expect(detectFontType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="x"><font/></svg>'))).toBe('svg')
+    expect(detectFontType(Buffer.from('\uFEFF  <svg><defs><font/></defs></svg>'))).toBe('svg')
+  })
+
+  it('should accept ArrayBuffer and Uint8Array input', () => {
+    expect(detectFontType(new Uint8Array([0x77, 0x4f, 0x46, 0x32]).buffer)).toBe('woff2')
+    expect(detectFontType(new Uint8Array([0x4f, 0x54, 0x54, 0x4f]))).toBe('otf')
+  })
+
+  it('should return null for unknown or too short data', () => {
+    expect(detectFontType(Buffer.from('input-font-data'))).toBeNull()
+    expect(detectFontType(Buffer.from('<html></html>'))).toBeNull()
+    expect(detectFontType(bytes(0x00, 0x01))).toBeNull()
+    expect(detectFontType(undefined)).toBeNull()
+  })
+})
+
+describe('resolveFontType', () => {
+  it('should prefer the detected type', () => {
+    expect(resolveFontType(tagged('wOF2'), undefined)).toBe('woff2')
+    expect(resolveFontType(tagged('wOF2'), 'woff2')).toBe('woff2')
+  })
+
+  it('should ignore unknown declared types such as .bin', () => {
+    expect(resolveFontType(tagged('wOFF'), 'bin')).toBe('woff')
+    expect(resolveFontType(tagged('wOFF'), '')).toBe('woff')
+  })
+
+  it('should fall back to the declared type when content is unknown', () => {
+    expect(resolveFontType(Buffer.from('unknown'), 'ttf')).toBe('ttf')
+    expect(resolveFontType(Buffer.from('unknown'), 'pdf')).toBe('pdf')
+  })
+
+  it('should throw when content and declared type disagree', () => {
+    expect(() => resolveFontType(tagged('wOF2'), 'ttf')).toThrow(
+      'Font type mismatch: content is woff2 but inputType is ttf'
+    )
+    expect(() => resolveFontType(tagged('wOFF'), 'woff2', 'the extension of font.woff2')).toThrow(
+      'Font type mismatch: content is woff but the extension of font.woff2 is woff2'
+    )
+  })
+
+  it('should treat ttf and otf as compatible sfnt containers', () => {
+    expect(resolveFontType(tagged('OTTO'), 'ttf')).toBe('otf')
+    expect(resolveFontType(tagged('true'), 'otf')).toBe('ttf')
+  })
+
+  it('should accept .ttc and .otc for font collections', () => {
+    expect(resolveFontType(tagged('ttcf'), 'ttc')).toBe('ttc')
+    expect(resolveFontType(tagged('ttcf'), 'otc')).toBe('ttc')
+    expect(() => resolveFontType(tagged('ttcf'), 'ttf')).toThrow(
+      'Font type mismatch: content is ttc but inputType is ttf'
+    )
+  })
+
+  it('should throw when the type cannot be determined', () => {
+    expect(() => resolveFontType(Buffer.from('unknown'), undefined)).toThrow('Unable to detect the font type')
+  })
+})
+
+describe('getExtType', () => {
+  it('should return the lower-cased extension', () => {
+    expect(getExtType('font.TTF')).toBe('ttf')
+    expect(getExtType('/path/to/my.font.woff2')).toBe('woff2')
+    expect(getExtType('font')).toBe('')
+  })
+})
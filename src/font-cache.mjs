@@ -0,0 +1,232 @@
+import path from 'node:path'
+import { createHash, randomUUID } from 'node:crypto'
+import { existsSync } from 'node:fs'
+import { readFile, writeFile, readdir, stat, rename, rm, utimes } from 'node:fs/promises'
+import { createRequire } from 'node:module'
+import { threadId } from 'node:worker_threads'
+import pkg from '../package.json' with { type: 'json' }
+import { ensureDir } from './ensure-dir.mjs'
+import { toCodePoints } from './code-points.mjs'
+
+/**
+ * On-disk cache of subset fonts
+ *
+ * Every entry is the output font data ({key}.data) and its statistics ({key}.json).
+ * The key covers everything that decides the output: the source font content, the
+ * requested code point set, the input and output types, the font options, and the
+ * versions of this package and fonteditor-core. The oldest entries are removed once
+ * the cache holds more than MAX_CACHE_ENTRIES of them.
+ */
+
+// Bump when the output for the same key changes, so stale entries are never served
+const CACHE_VERSION = 2
+
+// Default cache directory, relative to the working directory
+export const DEFAULT_CACHE_DIR = path.join('node_modules', '.cache', 'minify-font')
+
+// Entries kept in a cache directory, a CJK subset is typically a few hundred KB
+const MAX_CACHE_ENTRIES = 1000
+
+/**
+ * Read the version of an installed package, found from its entry point since its package.json may not be exported
+ * @param {string} name - Package name
+ * @returns {string|null} Version, or null when the package.json is not found
+ */
+function getInstalledVersion(name) {
+  const require = createRequire(import.meta.url)
+  let dir = path.dirname(require.resolve(name))
+  while (dir !== path.dirname(dir)) {
+    try {
+      const manifest = require(path.join(dir, 'package.json'))
+      if (manifest.name === name) {
+        return manifest.version
+      }
+    } catch {
+      // No package.json in this directory
+    }
+    dir = path.dirname(dir)
+  }
+  return null
+}
+
+// Versions of the code that produces the output, so upgrading either never serves stale entries
+const PACKAGE_VERSIONS = {
+  'minify-font': pkg.version,
+  'fonteditor-core': getInstalledVersion('fonteditor-core'),
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so option order does not change the key
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Check whether options hold functions, such as a custom inflate or deflate, which cannot be part of a key
+ * @param {Object} [options] - Font options
+ * @returns {boolean} True if any option is a function
+ */
+function hasFunctions(options) {
+  return Object.values(options || {}).some(value => typeof value === 'function')
+}
+
+/**
+ * Compute the cache key of a subset
+ * @param {Object} options - Subset options
+ * @param {Buffer} options.data - Source font data
+ * @param {string} options.inputType - Source font type
+ * @param {string} options.outputType - Output font type
+ * @param {string} [options.text] - Requested characters, every character of the font when empty
+ * @param {Object} [options.inputOptions] - Font read options
+ * @param {Object} [options.outputOptions] - Font write options
+ * @param {boolean|Object} [options.layout] - Layout features to keep
+ * @param {Object} [options.axes] - Pinned or restricted axes of a variable font
+ * @param {number|string} [options.face] - Face of a font collection
+ * @returns {string|null} Hex key, or null when the options cannot be cached
+ */
+export function getCacheKey({
+  data,
+  inputType,
+  outputType,
+  text,
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  face,
+}) {
+  if (hasFunctions(inputOptions) || hasFunctions(outputOptions)) {
+    return null
+  }
+
+  const codePoints = text ? [...new Set(toCodePoints(text))].sort((a, b) => a - b) : null
+  return createHash('sha256')
+    .update(
+      stableStringify({
+        version: CACHE_VERSION,
+        packages: PACKAGE_VERSIONS,
+        font: createHash('sha256').update(data).digest('hex'),
+        codePoints,
+        inputType,
+        outputType,
+        inputOptions: inputOptions || {},
+        outputOptions: outputOptions || {},
+        // Left out when unset, so keys of subsets without layout features, axes or faces are unchanged
+        layout: layout || undefined,
+        axes: axes || undefined,
+        face: face ?? undefined,
+      })
+    )
+    .digest('hex')
+}
+
+/**
+ * Read a cache entry
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {Promise<{data: Buffer, stats: Object}|null>} Cached output, or null on a miss
+ */
+export async function readCache(cacheDir, key) {
+  try {
+    const stats = JSON.parse(await readFile(path.join(cacheDir, `${key}.json`), 'utf8'))
+    const data = await readFile(path.join(cacheDir, `${key}.data`))
+    // Mark the entry as recently used, so pruning removes the least recently used entries first
+    const now = new Date()
+    await utimes(path.join(cacheDir, `${key}.json`), now, now).catch(() => {})
+    return { data, stats }
+  } catch {
+    // Missing or partially written entries are misses
+    return null
+  }
+}
+
+/**
+ * Remove the least recently used entries beyond a maximum count
+ * Entries removed by another build at the same time are skipped
+ * @param {string} cacheDir - Cache directory
+ * @param {number} maxEntries - Entries to keep
+ */
+async function pruneCache(cacheDir, maxEntries) {
+  const keys = (await readdir(cacheDir)).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5))
+  if (keys.length <= maxEntries) {
+    return
+  }
+
+  const entries = await Promise.all(
+    keys.map(async key => {
+      const info = await stat(path.join(cacheDir, `${key}.json`)).catch(() => null)
+      return { key, time: info ? info.mtimeMs : 0 }
+    })
+  )
+  entries.sort((a, b) => a.time - b.time)
+  for (const { key } of entries.slice(0, entries.length - maxEntries)) {
+    // The statistics go first, so a reader never sees an entry without its data
+    await rm(path.join(cacheDir, `${key}.json`), { force: true })
+    await rm(path.join(cacheDir, `${key}.data`), { force: true })
+  }
+}
+
+/**
+ * Write a cache entry, then remove the least recently used entries beyond the maximum count
+ * Files are written under a temporary name and renamed, so concurrent builds never read half an entry
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key
+ * @param {{data: Buffer, stats: Object}} entry - Output font data and statistics
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxEntries=MAX_CACHE_ENTRIES] - Entries to keep
+ */
+export async function writeCache(cacheDir, key, { data, stats }, { maxEntries = MAX_CACHE_ENTRIES } = {}) {
+  ensureDir(cacheDir)
+  // Unique across processes, worker threads and writes in the same millisecond
+  const suffix = `${process.pid}-${threadId}-${randomUUID()}.tmp`
+  const files = [
+    [`${key}.data`, data],
+    // The statistics are written last and mark the entry as complete
+    [`${key}.json`, JSON.stringify(stats)],
+  ]
+  for (const [name, content] of files) {
+    const file = path.join(cacheDir, name)
+    await writeFile(`${file}.${suffix}`, content)
+    await rename(`${file}.${suffix}`, file)
+  }
+  await pruneCache(cacheDir, maxEntries)
+}
+
+/**
+ * 清空字体缓存
+ *
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.cacheDir='node_modules/.cache/minify-font'] - 缓存目录
+ * @returns {Promise<{files: number, size: number}>} 删除的文件数和字节数
+ *
+ * @example
+ * const { files, size } = await clearCache()
+ * console.log(`Removed ${files} files (${size} bytes)`)
+ */
+export async function clearCache({ cacheDir = DEFAULT_CACHE_DIR } = {}) {
+  if (!existsSync(cacheDir)) {
+    return { files: 0, size: 0 }
+  }
+
+  const names = await readdir(cacheDir)
+  let size = 0
+  for (const name of names) {
+    size += (await stat(path.join(cacheDir, name))).size
+  }
+  await rm(cacheDir, { recursive: true, force: true })
+
+  return { files: names.length, size }
+}
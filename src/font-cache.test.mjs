@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { getCacheKey, readCache, writeCache, clearCache } from './font-cache.mjs'
+
+describe('getCacheKey', () => {
+  const options = {
+    data: Buffer.from('font-data'),
+    inputType: 'ttf',
+    outputType: 'woff2',
+    text: 'Hello',
+    inputOptions: { hinting: true, kerning: false },
+    outputOptions: {},
+  }
+
+  it('should return a stable key', () => {
+    expect(getCacheKey(options)).toMatch(/^[0-9a-f]{64}$/)
+    expect(getCacheKey({ ...options })).toBe(getCacheKey(options))
+  })
+
+  it('should ignore the order and duplicates of characters', () => {
+    expect(getCacheKey({ ...options, text: 'olleHHH' })).toBe(getCacheKey(options))
+  })
+
+  it('should ignore the order of option keys', () => {
+    expect(getCacheKey({ ...options, inputOptions: { kerning: false, hinting: true } })).toBe(
+      getCacheKey(options)
+    )
+  })
+
+  it('should change with the font, characters, type and options', () => {
+    const key = getCacheKey(options)
+
+    expect(getCacheKey({ ...options, data: Buffer.from('other-font') })).not.toBe(key)
+    expect(getCacheKey({ ...options, text: 'Hello!' })).not.toBe(key)
+    expect(getCacheKey({ ...options, text: '' })).not.toBe(key)
+    expect(getCacheKey({ ...options, outputType: 'woff' })).not.toBe(key)
+    expect(getCacheKey({ ...options, inputOptions: { hinting: false } })).not.toBe(key)
+    expect(getCacheKey({ ...options, outputOptions: { hinting: true } })).not.toBe(key)
+    expect(getCacheKey({ ...options, layout: true })).not.toBe(key)
+    expect(getCacheKey({ ...options, layout: { features: ['liga'] } })).not.toBe(
+      getCacheKey({ ...options, layout: true })
+    )
+    expect(getCacheKey({ ...options, axes: { wght: 700 } })).not.toBe(
+      getCacheKey({ ...options, axes: { wght: 400 } })
+    )
+    expect(getCacheKey({ ...options, face: 1 })).not.toBe(getCacheKey({ ...options, face: 0 }))
+  })
+
+  it('should keep the key of subsets without layout features, axes or faces', () => {
+    expect(getCacheKey({ ...options, layout: null, axes: null, face: null })).toBe(getCacheKey(options))
+  })
+
+  it('should change with the versions of minify-font and fonteditor-core', async () => {
+    const importWithVersions = async (version, fonteditorVersion) => {
+      vi.resetModules()
+      vi.doMock('../package.json', () => ({ default: { version } }))
+      vi.doMock('node:module', async importOriginal => {
+        const { createRequire } = await importOriginal()
+        return {
+          createRequire: url => {
+            const require = createRequire(url)
+            const load = id =>
+              id.endsWith(path.join('fonteditor-core', 'package.json'))
+                ? { name: 'fonteditor-core', version: fonteditorVersion }
+                : require(id)
+            return Object.assign(load, { resolve: require.resolve })
+          },
+        }
+      })
+      const module = await import('./font-cache.mjs')
+      vi.doUnmock('../package.json')
+      vi.doUnmock('node:module')
+      return module.getCacheKey(options)
+    }
+
+    const key = await importWithVersions('1.0.0', '2.0.0')
+    expect(await importWithVersions('1.0.0', '2.0.0')).toBe(key)
+    expect(await importWithVersions('1.0.1', '2.0.0')).not.toBe(key)
+    expect(await importWithVersions('1.0.0', '2.0.1')).not.toBe(key)
+  })
+
+  it('should not cache options holding functions', () => {
+    expect(getCacheKey({ ...options, outputOptions: { deflate: () => [] } })).toBeNull()
+  })
+})
+
+describe('font cache', () => {
+  let cacheDir
+
+  beforeEach(() => {
+    cacheDir = path.join(mkdtempSync(path.join(tmpdir(), 'minify-font-cache-')), 'cache')
+  })
+
+  afterEach(() => {
+    rmSync(path.dirname(cacheDir), { recursive: true, force: true })
+  })
+
+  it('should read back a written entry', async () => {
+    const stats = { inputSize: 10, outputSize: 4 }
+    await writeCache(cacheDir, 'key', { data: Buffer.from('font'), stats })
+
+    expect(await readCache(cacheDir, 'key')).toEqual({ data: Buffer.from('font'), stats })
+    expect(readdirSync(cacheDir).sort()).toEqual(['key.data', 'key.json'])
+  })
+
+  it('should write the same entry concurrently', async () => {
+    const entries = ['a', 'b', 'c'].map(data => ({ data: Buffer.from(data), stats: { data } }))
+    await Promise.all(entries.map(entry => writeCache(cacheDir, 'key', entry)))
+
+    expect(await readCache(cacheDir, 'key')).not.toBeNull()
+    expect(readdirSync(cacheDir).sort()).toEqual(['key.data', 'key.json'])
+  })
+
+  it('should miss unknown and incomplete entries', async () => {
+    expect(await readCache(cacheDir, 'key')).toBeNull()
+
+    await writeCache(cacheDir, 'key', { data: Buffer.from('font'), stats: {} })
+    rmSync(path.join(cacheDir, 'key.data'))
+    expect(await readCache(cacheDir, 'key')).toBeNull()
+
+    writeFileSync(path.join(cacheDir, 'key.json'), '{ broken')
+    expect(await readCache(cacheDir, 'key')).toBeNull()
+  })
+
+  it('should remove the least recently used entries beyond the maximum count', async () => {
+    for (const [index, key] of ['a', 'b', 'c'].entries()) {
+      await writeCache(cacheDir, key, { data: Buffer.from(key), stats: {} })
+      // One second apart, file times may be rounded
+      utimesSync(path.join(cacheDir, `${key}.json`), index, index)
+    }
+    await readCache(cacheDir, 'a')
+
+    await writeCache(cacheDir, 'd', { data: Buffer.from('d'), stats: {} }, { maxEntries: 2 })
+
+    expect(readdirSync(cacheDir).sort()).toEqual(['a.data', 'a.json', 'd.data', 'd.json'])
+  })
+
+  it('should clear the cache directory', async () => {
+    await writeCache(cacheDir, 'a', { data: Buffer.from('font'), stats: {} })
+    await writeCache(cacheDir, 'b', { data: Buffer.from('font'), stats: {} })
+
+    expect(await clearCache({ cacheDir })).toEqual({ files: 4, size: 12 })
+    expect(await readCache(cacheDir, 'a')).toBeNull()
+    expect(await clearCache({ cacheDir })).toEqual({ files: 0, size: 0 })
+  })
+})
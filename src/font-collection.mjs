@@ -0,0 +1,91 @@
+import { readSfntTables, writeSfnt } from './sfnt.mjs'
+import { parseNameTable, readName } from './font-names.mjs'
+
+/**
+ * TrueType/OpenType collections (.ttc/.otc): several faces sharing one file and often the same tables
+ */
+
+// Signatures of the source font do not cover a face extracted on its own
+const DROPPED_TABLES = ['DSIG']
+
+// name table ID of the PostScript name
+const POSTSCRIPT_NAME_ID = 6
+
+/**
+ * Read the table directory offsets of every face of a collection
+ * @param {Buffer} data - Collection data
+ * @returns {number[]} Offset of each face's table directory
+ * @throws {Error} When the data is not a font collection
+ */
+export function readCollectionOffsets(data) {
+  if (data.length < 12 || data.toString('latin1', 0, 4) !== 'ttcf') {
+    throw new Error('Invalid font collection: missing the ttcf header')
+  }
+
+  const numFonts = data.readUInt32BE(8)
+  if (numFonts === 0 || data.length < 12 + numFonts * 4) {
+    throw new Error('Invalid font collection: truncated face offsets')
+  }
+  return Array.from({ length: numFonts }, (_, index) => data.readUInt32BE(12 + index * 4))
+}
+
+/**
+ * Copy one face of a collection into a standalone sfnt
+ * @param {Buffer} data - Collection data
+ * @param {number} offset - Offset of the face's table directory
+ * @returns {Buffer} sfnt data of the face
+ */
+export function extractCollectionFace(data, offset) {
+  const tables = readSfntTables(data, offset)
+  DROPPED_TABLES.forEach(tag => tables.delete(tag))
+  return writeSfnt(tables, data.readUInt32BE(offset))
+}
+
+/**
+ * Read the PostScript name of an sfnt from its name table
+ * @param {Map<string, Buffer>} tables - sfnt tables
+ * @returns {string|null} PostScript name, null when the font has none
+ */
+function readPostScriptName(tables) {
+  const name = tables.get('name')
+  return name && name.length >= 6 ? readName(parseNameTable(name).records, POSTSCRIPT_NAME_ID) : null
+}
+
+/**
+ * Read the PostScript name of every face of a collection
+ * @param {Buffer} data - Collection data
+ * @returns {Array<string|null>} PostScript names by face index
+ */
+export function readCollectionNames(data) {
+  return readCollectionOffsets(data).map(offset => readPostScriptName(readSfntTables(data, offset)))
+}
+
+/**
+ * Extract the face of a collection selected by index or PostScript name
+ * @param {Buffer} data - Collection data
+ * @param {number|string} [face=0] - Face index, or PostScript name
+ * @returns {{sfnt: Buffer, index: number, count: number}} sfnt data of the face, its index and the number of faces
+ * @throws {Error} When the face is "*", outside the collection or not found
+ */
+export function selectCollectionFace(data, face = 0) {
+  const offsets = readCollectionOffsets(data)
+
+  if (face === '*') {
+    throw new Error(
+      'face "*" exports every face, which only createWebFonts and the CLI support, select a single face'
+    )
+  }
+
+  let index = face
+  if (typeof face === 'string') {
+    const names = readCollectionNames(data)
+    index = names.indexOf(face)
+    if (index < 0) {
+      throw new Error(`Unknown face "${face}", the collection has ${names.filter(Boolean).join(', ')}`)
+    }
+  } else if (!Number.isInteger(face) || face < 0 || face >= offsets.length) {
+    throw new Error(`Face ${face} is outside the collection of ${offsets.length} faces`)
+  }
+
+  return { sfnt: extractCollectionFace(data, offsets[index]), index, count: offsets.length }
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import {
+  extractCollectionFace,
+  readCollectionNames,
+  readCollectionOffsets,
+  selectCollectionFace,
+} from './font-collection.mjs'
+import { readSfntTables, writeSfnt } from './sfnt.mjs'
+
+// name table with a single PostScript name record
+function nameTable(postScriptName, platformId = 3) {
+  const string =
+    platformId === 1 ? Buffer.from(postScriptName, 'latin1') : Buffer.from(postScriptName, 'utf16le').swap16()
+  const table = Buffer.alloc(18)
+  table.writeUInt16BE(1, 2)
+  table.writeUInt16BE(18, 4)
+  table.writeUInt16BE(platformId, 6)
+  table.writeUInt16BE(6, 12)
+  table.writeUInt16BE(string.length, 14)
+  return Buffer.concat([table, string])
+}
+
+// sfnt of a face with its own name and a DSIG signature
+function faceSfnt(postScriptName, platformId) {
+  return writeSfnt(
+    new Map([
+      ['DSIG', Buffer.from([0, 0, 0, 1])],
+      ['glyf', Buffer.from(postScriptName)],
+      ['name', nameTable(postScriptName, platformId)],
+    ])
+  )
+}
+
+// Concatenate faces after a ttcf header, moving their table offsets to the start of the collection
+function createCollection(faces) {
+  const header = Buffer.alloc(12 + faces.length * 4)
+  header.write('ttcf', 0, 'latin1')
+  header.writeUInt32BE(0x00010000, 4)
+  header.writeUInt32BE(faces.length, 8)
+
+  let offset = header.length
+  const copies = faces.map((sfnt, index) => {
+    const copy = Buffer.from(sfnt)
+    for (let record = 0; record < copy.readUInt16BE(4); record++) {
+      const position = 12 + record * 16 + 8
+      copy.writeUInt32BE(copy.readUInt32BE(position) + offset, position)
+    }
+    header.writeUInt32BE(offset, 12 + index * 4)
+    offset += copy.length
+    return copy
+  })
+  return Buffer.concat([header, ...copies])
+}
+
+describe('font collections', () => {
+  const data = createCollection([faceSfnt('Brand-Regular'), faceSfnt('Brand-Bold', 1)])
+
+  it('should read the face offsets', () => {
+    const offsets = readCollectionOffsets(data)
+
+    expect(offsets).toHaveLength(2)
+    expect(offsets[0]).toBe(20)
+    expect(data.toString('latin1', offsets[1] + 12, offsets[1] + 16)).toBe('DSIG')
+  })
+
+  it('should throw error for invalid collections', () => {
+    expect(() => readCollectionOffsets(faceSfnt('Brand-Regular'))).toThrow(
+      'Invalid font collection: missing the ttcf header'
+    )
+    expect(() => readCollectionOffsets(data.subarray(0, 16))).toThrow(
+      'Invalid font collection: truncated face offsets'
+    )
+  })
+
+  it('should extract a face without its signature', () => {
+    const [, offset] = readCollectionOffsets(data)
+    const tables = readSfntTables(extractCollectionFace(data, offset))
+
+    expect([...tables.keys()]).toEqual(['glyf', 'name'])
+    expect(tables.get('glyf').toString()).toBe('Brand-Bold')
+  })
+
+  it('should read the PostScript names of Windows and Macintosh records', () => {
+    expect(readCollectionNames(data)).toEqual(['Brand-Regular', 'Brand-Bold'])
+  })
+
+  it('should select faces by index or PostScript name', () => {
+    expect(selectCollectionFace(data)).toMatchObject({ index: 0, count: 2 })
+
+    const { sfnt, index } = selectCollectionFace(data, 'Brand-Bold')
+    expect(index).toBe(1)
+    expect(readSfntTables(sfnt).get('glyf').toString()).toBe('Brand-Bold')
+    expect(selectCollectionFace(data, 1).sfnt).toEqual(sfnt)
+  })
+
+  it('should throw error for unknown faces', () => {
+    expect(() => selectCollectionFace(data, 2)).toThrow('Face 2 is outside the collection of 2 faces')
+    expect(() => selectCollectionFace(data, 'Brand-Light')).toThrow(
+      'Unknown face "Brand-Light", the collection has Brand-Regular, Brand-Bold'
+    )
+    expect(() => selectCollectionFace(data, '*')).toThrow(
+      'face "*" exports every face, which only createWebFonts and the CLI support, select a single face'
+    )
+  })
+})
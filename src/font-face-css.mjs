@@ -0,0 +1,188 @@
+import path from 'node:path'
+
+// CSS format() hints for each font type
+export const CSS_FORMAT_NAMES = {
+  woff2: 'woff2',
+  woff: 'woff',
+  ttf: 'truetype',
+  otf: 'opentype',
+  eot: 'embedded-opentype',
+  svg: 'svg',
+}
+
+// Preferred order of sources in src (woff2 > woff > ttf > ...)
+const FORMAT_ORDER = ['woff2', 'woff', 'ttf', 'otf', 'eot', 'svg']
+
+// Valid font-display values
+export const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional']
+
+/**
+ * Format a code point as a CSS unicode-range hex value
+ * @param {number} codePoint - Code point
+ * @returns {string} Upper-case hex without leading zeros
+ */
+function toHex(codePoint) {
+  return codePoint.toString(16).toUpperCase()
+}
+
+/**
+ * Build a compact CSS unicode-range value from a list of code points
+ * @param {Iterable<number>} codePoints - Code points, in any order and possibly duplicated
+ * @returns {string} unicode-range value, e.g. "U+20-7E, U+4E00"
+ *
+ * @example
+ * toUnicodeRange([0x41, 0x42, 0x43, 0x4e00]) // 'U+41-43, U+4E00'
+ */
+export function toUnicodeRange(codePoints) {
+  const sorted = [...new Set(codePoints)].sort((a, b) => a - b)
+  const ranges = []
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i]
+    while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] + 1) {
+      i++
+    }
+    const end = sorted[i]
+    ranges.push(start === end ? `U+${toHex(start)}` : `U+${toHex(start)}-${toHex(end)}`)
+  }
+
+  return ranges.join(', ')
+}
+
+/**
+ * Build the URL of a font file as referenced from a stylesheet
+ * @param {string} fontPath - Font file path
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseDir] - Directory the URL is relative to, usually the directory of the CSS file
+ * @param {string} [options.urlPrefix] - Public URL of the font directory, prepended to the file name
+ * @returns {string} URL with forward slashes
+ */
+export function toFontUrl(fontPath, { baseDir, urlPrefix } = {}) {
+  if (urlPrefix) {
+    return `${urlPrefix.replace(/\/?$/, '/')}${path.basename(fontPath)}`
+  }
+  const url = baseDir ? path.relative(baseDir, fontPath) : fontPath
+  return url.split(path.sep).join('/')
+}
+
+/**
+ * Quote a url() value when it contains characters that are not allowed unquoted
+ * @param {string} url - URL
+ * @returns {string} url() argument
+ */
+function formatUrl(url) {
+  return /[\s'"()\\]/.test(url) ? `"${url.replace(/["\\]/g, '\\$&')}"` : url
+}
+
+/**
+ * Format the entries of an @font-face src descriptor
+ * @param {Array<{url: string, format: string}>} sources - Font files
+ * @returns {string[]} url() format() entries, sorted by format preference
+ */
+export function formatFontSources(sources) {
+  const rank = format => {
+    const index = FORMAT_ORDER.indexOf(format)
+    return index === -1 ? FORMAT_ORDER.length : index
+  }
+  return [...sources]
+    .sort((a, b) => rank(a.format) - rank(b.format))
+    .map(({ url, format }) => `url(${formatUrl(url)}) format('${CSS_FORMAT_NAMES[format] || format}')`)
+}
+
+/**
+ * Create an @font-face rule
+ * @param {Object} options - Rule options
+ * @param {string} options.family - font-family name
+ * @param {Array<{url: string, format: string}>} options.sources - Font files, sorted by format preference
+ * @param {string} [options.unicodeRange] - unicode-range value
+ * @param {string|number} [options.weight] - font-weight value
+ * @param {string} [options.style] - font-style value
+ * @param {string} [options.display] - font-display value
+ * @returns {string} CSS string
+ */
+export function createFontFaceRule({ family, sources, unicodeRange, weight, style, display }) {
+  const src = formatFontSources(sources).join(',\n       ')
+
+  const declarations = [`  font-family: '${family}';`, `  src: ${src};`]
+  if (weight !== undefined && weight !== null) {
+    declarations.push(`  font-weight: ${weight};`)
+  }
+  if (style) {
+    declarations.push(`  font-style: ${style};`)
+  }
+  if (display) {
+    declarations.push(`  font-display: ${display};`)
+  }
+  if (unicodeRange) {
+    declarations.push(`  unicode-range: ${unicodeRange};`)
+  }
+
+  return `@font-face {\n${declarations.join('\n')}\n}`
+}
+
+/**
+ * 生成引用一组字体文件的 @font-face CSS
+ *
+ * 字体文件按 woff2 > woff > ttf 的顺序写入 src，url() 默认使用相对 baseDir（通常是 CSS 文件所在目录）的路径，
+ * 设置 urlPrefix 时使用前缀 + 文件名，适用于字体部署在 CDN 等其他位置的情况。
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.family - font-family 名称
+ * @param {Array<{format: string, path: string}>} options.fonts - 字体文件，如 createWebFonts 返回的 fonts
+ * @param {string} [options.baseDir] - url() 相对的目录，不设置时直接使用字体文件路径
+ * @param {string} [options.urlPrefix] - 字体目录的公开 URL，如 'https://cdn.example.com/fonts/'
+ * @param {string|number} [options.weight] - font-weight，如 400 或 '100 900'
+ * @param {string} [options.style] - font-style，如 'normal'、'italic'
+ * @param {string} [options.display] - font-display，可选 auto、block、swap、fallback、optional
+ * @param {string} [options.unicodeRange] - unicode-range
+ * @returns {string} @font-face 规则
+ * @throws {Error} 当 fonts 为空或 display 无效时抛出错误
+ *
+ * @example
+ * const css = createFontFaceCSS({
+ *   family: 'MyFont',
+ *   fonts: [
+ *     { format: 'woff2', path: 'dist/fonts/font.woff2' },
+ *     { format: 'woff', path: 'dist/fonts/font.woff' },
+ *   ],
+ *   baseDir: 'dist',
+ *   weight: 400,
+ *   display: 'swap',
+ * })
+ * // @font-face {
+ * //   font-family: 'MyFont';
+ * //   src: url(fonts/font.woff2) format('woff2'),
+ * //        url(fonts/font.woff) format('woff');
+ * //   font-weight: 400;
+ * //   font-display: swap;
+ * // }
+ */
+export function createFontFaceCSS({
+  family,
+  fonts,
+  baseDir,
+  urlPrefix,
+  weight,
+  style,
+  display,
+  unicodeRange,
+}) {
+  if (!family) {
+    throw new Error('family parameter is required')
+  }
+  if (!Array.isArray(fonts) || fonts.length === 0) {
+    throw new Error('fonts must be a non-empty array')
+  }
+  if (display && !FONT_DISPLAY_VALUES.includes(display)) {
+    throw new Error(`Invalid font-display "${display}". Available: ${FONT_DISPLAY_VALUES.join(', ')}`)
+  }
+
+  return createFontFaceRule({
+    family,
+    sources: fonts.map(font => ({ url: toFontUrl(font.path, { baseDir, urlPrefix }), format: font.format })),
+    unicodeRange,
+    weight,
+    style,
+    display,
+  })
+}
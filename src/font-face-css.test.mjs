@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import path from 'node:path'
+import { toUnicodeRange, toFontUrl, createFontFaceRule, createFontFaceCSS } from './font-face-css.mjs'
+
+describe('toUnicodeRange', () => {
+  it('should merge consecutive code points into ranges', () => {
+    expect(toUnicodeRange([0x41, 0x42, 0x43, 0x4e00])).toBe('U+41-43, U+4E00')
+  })
+
+  it('should sort and deduplicate code points', () => {
+    expect(toUnicodeRange([0x4e01, 0x20, 0x4e00, 0x20])).toBe('U+20, U+4E00-4E01')
+  })
+
+  it('should support astral code points', () => {
+    expect(toUnicodeRange([0x20bb7, 0x1f600, 0x1f601])).toBe('U+1F600-1F601, U+20BB7')
+  })
+
+  it('should return an empty string for no code points', () => {
+    expect(toUnicodeRange([])).toBe('')
+  })
+})
+
+describe('createFontFaceRule', () => {
+  it('should sort sources by format preference', () => {
+    const css = createFontFaceRule({
+      family: 'MyFont',
+      sources: [
+        { url: 'font.ttf', format: 'ttf' },
+        { url: 'font.woff2', format: 'woff2' },
+        { url: 'font.woff', format: 'woff' },
+      ],
+    })
+
+    expect(css).toBe(`@font-face {
+  font-family: 'MyFont';
+  src: url(font.woff2) format('woff2'),
+       url(font.woff) format('woff'),
+       url(font.ttf) format('truetype');
+}`)
+  })
+
+  it('should include optional descriptors', () => {
+    const css = createFontFaceRule({
+      family: 'MyFont',
+      sources: [{ url: 'font.0.woff2', format: 'woff2' }],
+      unicodeRange: 'U+4E00-4E05',
+      weight: 400,
+      style: 'normal',
+      display: 'swap',
+    })
+
+    expect(css).toContain('font-weight: 400;')
+    expect(css).toContain('font-style: normal;')
+    expect(css).toContain('font-display: swap;')
+    expect(css).toContain('unicode-range: U+4E00-4E05;')
+  })
+
+  it('should quote URLs with spaces or quotes', () => {
+    const css = createFontFaceRule({
+      family: 'MyFont',
+      sources: [{ url: "fonts/My Font's.woff2", format: 'woff2' }],
+    })
+
+    expect(css).toContain(`url("fonts/My Font's.woff2") format('woff2')`)
+  })
+})
+
+describe('toFontUrl', () => {
+  it('should keep the file path without options', () => {
+    expect(toFontUrl('dist/fonts/font.woff2')).toBe('dist/fonts/font.woff2')
+  })
+
+  it('should make the URL relative to the base directory', () => {
+    expect(toFontUrl(path.join('dist', 'fonts', 'font.woff2'), { baseDir: path.join('dist', 'css') })).toBe(
+      '../fonts/font.woff2'
+    )
+  })
+
+  it('should prepend the URL prefix to the file name', () => {
+    expect(toFontUrl('dist/fonts/font.woff2', { urlPrefix: 'https://cdn.example.com/fonts' })).toBe(
+      'https://cdn.example.com/fonts/font.woff2'
+    )
+    expect(toFontUrl('dist/fonts/font.woff2', { urlPrefix: '/static/', baseDir: 'dist' })).toBe(
+      '/static/font.woff2'
+    )
+  })
+})
+
+describe('createFontFaceCSS', () => {
+  const fonts = [
+    { format: 'woff', path: path.join('dist', 'fonts', 'font.woff') },
+    { format: 'woff2', path: path.join('dist', 'fonts', 'font.woff2') },
+  ]
+
+  it('should create a rule with URLs relative to the base directory', () => {
+    const css = createFontFaceCSS({ family: 'MyFont', fonts, baseDir: 'dist', weight: 700, display: 'swap' })
+
+    expect(css).toBe(`@font-face {
+  font-family: 'MyFont';
+  src: url(fonts/font.woff2) format('woff2'),
+       url(fonts/font.woff) format('woff');
+  font-weight: 700;
+  font-display: swap;
+}`)
+  })
+
+  it('should use the URL prefix', () => {
+    const css = createFontFaceCSS({ family: 'MyFont', fonts, urlPrefix: 'https://cdn.example.com/fonts/' })
+
+    expect(css).toContain("url(https://cdn.example.com/fonts/font.woff2) format('woff2')")
+  })
+
+  it('should validate its options', () => {
+    expect(() => createFontFaceCSS({ fonts })).toThrow('family parameter is required')
+    expect(() => createFontFaceCSS({ family: 'MyFont', fonts: [] })).toThrow(
+      'fonts must be a non-empty array'
+    )
+    expect(() => createFontFaceCSS({ family: 'MyFont', fonts, display: 'fast' })).toThrow(
+      'Invalid font-display "fast"'
+    )
+  })
+})
@@ -0,0 +1,76 @@
+/**
+ * Embedding permissions (OS/2 fsType) and license names of a font
+ */
+
+// OS/2 fsType usage permissions (bits 0-3), the least restrictive set bit applies
+const EMBEDDING_PERMISSIONS = [
+  [0x0008, 'editable'],
+  [0x0004, 'preview-print'],
+  [0x0002, 'restricted'],
+]
+
+// OS/2 fsType flags
+const FS_TYPE_NO_SUBSETTING = 0x0100
+const FS_TYPE_BITMAP_ONLY = 0x0200
+
+/**
+ * Describe the embedding permissions of an OS/2 fsType value
+ * @param {number} fsType - OS/2 fsType
+ * @returns {{fsType: number, permission: string, subsetting: boolean, bitmapOnly: boolean}} Embedding permissions
+ */
+export function getEmbedding(fsType) {
+  const permission = EMBEDDING_PERMISSIONS.find(([bit]) => fsType & bit)
+
+  return {
+    fsType,
+    permission: permission ? permission[1] : 'installable',
+    subsetting: !(fsType & FS_TYPE_NO_SUBSETTING),
+    bitmapOnly: Boolean(fsType & FS_TYPE_BITMAP_ONLY),
+  }
+}
+
+/**
+ * Read the embedding permissions and license names of a parsed font
+ * @param {Object} ttf - Parsed font object
+ * @returns {{embedding: Object, license: {copyright: string|null, description: string|null, url: string|null}}}
+ *   Embedding permissions from getEmbedding, and the copyright notice, license description and URL (name IDs 0, 13, 14)
+ */
+export function getFontLicense(ttf) {
+  const name = ttf.name || {}
+
+  return {
+    embedding: getEmbedding((ttf['OS/2'] && ttf['OS/2'].fsType) || 0),
+    license: {
+      copyright: name.copyright || null,
+      description: name.licence || null,
+      url: name.urlOfLicence || null,
+    },
+  }
+}
+
+/**
+ * Refuse fonts whose license forbids embedding them, or subsetting them when they are subset
+ * @param {Object} embedding - Embedding permissions from getEmbedding
+ * @param {boolean} subset - Whether the font is subset, converting the whole font is not
+ * @param {boolean} [allowRestricted=false] - Skip the check, for fonts licensed separately
+ * @throws {Error} When the font is restricted, or is subset and cannot be
+ */
+export function checkEmbedding(embedding, subset, allowRestricted = false) {
+  if (allowRestricted) {
+    return
+  }
+
+  const fsType = `0x${embedding.fsType.toString(16).padStart(4, '0')}`
+  if (embedding.permission === 'restricted') {
+    throw new Error(
+      `The font license does not allow embedding (OS/2 fsType ${fsType}), ` +
+        'set allowRestricted (--force in the CLI) if you are licensed to embed it'
+    )
+  }
+  if (subset && !embedding.subsetting) {
+    throw new Error(
+      `The font license does not allow subsetting (OS/2 fsType ${fsType}), ` +
+        'set allowRestricted (--force in the CLI) if you are licensed to subset it'
+    )
+  }
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { checkEmbedding, getEmbedding, getFontLicense } from './font-license.mjs'
+
+describe('getEmbedding', () => {
+  it('should describe installable fonts', () => {
+    expect(getEmbedding(0)).toEqual({
+      fsType: 0,
+      permission: 'installable',
+      subsetting: true,
+      bitmapOnly: false,
+    })
+  })
+
+  it('should apply the least restrictive permission and read the flags', () => {
+    expect(getEmbedding(0x0302)).toEqual({
+      fsType: 0x0302,
+      permission: 'restricted',
+      subsetting: false,
+      bitmapOnly: true,
+    })
+    expect(getEmbedding(0x000c).permission).toBe('editable')
+    expect(getEmbedding(0x0006).permission).toBe('preview-print')
+  })
+})
+
+describe('getFontLicense', () => {
+  it('should read the embedding permissions and license names', () => {
+    const ttf = {
+      name: { copyright: 'Copyright 2024 Brand', urlOfLicence: 'https://openfontlicense.org' },
+      'OS/2': { fsType: 0x0008 },
+    }
+
+    expect(getFontLicense(ttf)).toEqual({
+      embedding: { fsType: 0x0008, permission: 'editable', subsetting: true, bitmapOnly: false },
+      license: { copyright: 'Copyright 2024 Brand', description: null, url: 'https://openfontlicense.org' },
+    })
+  })
+
+  it('should treat fonts without OS/2 or name tables as installable and unlicensed', () => {
+    expect(getFontLicense({})).toEqual({
+      embedding: { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false },
+      license: { copyright: null, description: null, url: null },
+    })
+  })
+})
+
+describe('checkEmbedding', () => {
+  it('should refuse restricted fonts even when they are not subset', () => {
+    expect(() => checkEmbedding(getEmbedding(0x0002), false)).toThrow(
+      'The font license does not allow embedding (OS/2 fsType 0x0002), ' +
+        'set allowRestricted (--force in the CLI) if you are licensed to embed it'
+    )
+  })
+
+  it('should only refuse no subsetting fonts when they are subset', () => {
+    expect(() => checkEmbedding(getEmbedding(0x0108), false)).not.toThrow()
+    expect(() => checkEmbedding(getEmbedding(0x0108), true)).toThrow(
+      'The font license does not allow subsetting (OS/2 fsType 0x0108), ' +
+        'set allowRestricted (--force in the CLI) if you are licensed to subset it'
+    )
+  })
+
+  it('should allow other permissions and bitmap only fonts', () => {
+    expect(() => checkEmbedding(getEmbedding(0x0204), true)).not.toThrow()
+    expect(() => checkEmbedding(getEmbedding(0x0008), true)).not.toThrow()
+  })
+
+  it('should allow every font with allowRestricted', () => {
+    expect(() => checkEmbedding(getEmbedding(0x0102), true, true)).not.toThrow()
+  })
+})
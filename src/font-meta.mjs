@@ -0,0 +1,65 @@
+import { prepareInput, parseFont } from './subset-font-buffer.mjs'
+import { readFontAxes } from './variable-font.mjs'
+
+// OS/2 fsSelection bits
+const FS_SELECTION_ITALIC = 0x0001
+const FS_SELECTION_OBLIQUE = 0x0200
+
+// head macStyle bits
+const MAC_STYLE_ITALIC = 0x0002
+
+/**
+ * Derive the CSS font-style of a parsed font
+ * @param {Object} ttf - Parsed font object
+ * @returns {string} 'italic', 'oblique' or 'normal'
+ */
+function getFontStyle(ttf) {
+  const fsSelection = (ttf['OS/2'] && ttf['OS/2'].fsSelection) || 0
+  const macStyle = (ttf.head && ttf.head.macStyle) || 0
+
+  if (fsSelection & FS_SELECTION_OBLIQUE) {
+    return 'oblique'
+  }
+  if (fsSelection & FS_SELECTION_ITALIC || macStyle & MAC_STYLE_ITALIC) {
+    return 'italic'
+  }
+  return 'normal'
+}
+
+/**
+ * Get the family, weight and style of a parsed font
+ * @param {Object} ttf - Parsed font object
+ * @returns {{family: string, subfamily: string, weight: number, style: string}} Font metadata
+ */
+export function getFontMeta(ttf) {
+  const name = ttf.name || {}
+
+  return {
+    family: name.preferredFamily || name.fontFamily,
+    subfamily: name.preferredSubFamily || name.fontSubFamily,
+    weight: (ttf['OS/2'] && ttf['OS/2'].usWeightClass) || 400,
+    style: getFontStyle(ttf),
+  }
+}
+
+/**
+ * Read the family, weight and style of a font, as used by @font-face rules
+ * Only the name, head and OS/2 tables are needed, so no glyphs are parsed
+ * The weight of a variable font with a wght axis is its range, e.g. "100 900"
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - Font data
+ * @param {string} [inputType] - Declared input font type
+ * @param {number|string} [face] - Face index or PostScript name of a font collection
+ * @returns {Promise<{family: string, subfamily: string, weight: number|string, style: string}>} Font metadata
+ */
+export async function readFontMeta(data, inputType, face) {
+  const input = await prepareInput(data, inputType, [], face)
+  // A subset with a single code point skips the glyph outlines of large CJK fonts
+  const meta = getFontMeta(parseFont(input.buffer, input.inputType, ' ').get())
+
+  const axes = readFontAxes(input.buffer, input.inputType)
+  const wght = axes && axes.find(axis => axis.tag === 'wght')
+  if (wght) {
+    meta.weight = `${wght.minValue} ${wght.maxValue}`
+  }
+  return meta
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { readFontMeta } from './font-meta.mjs'
+
+// Mock dependencies
+vi.mock('fonteditor-core', () => ({
+  Font: {
+    create: vi.fn(),
+  },
+  woff2: {
+    init: vi.fn(),
+  },
+}))
+
+vi.mock('./variable-font.mjs', () => ({
+  readFontAxes: vi.fn(() => null),
+}))
+
+import { Font } from 'fonteditor-core'
+import { readFontAxes } from './variable-font.mjs'
+
+describe('readFontMeta', () => {
+  const mockFont = ttf => vi.mocked(Font.create).mockReturnValue({ get: () => ttf })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should read family, weight and style', async () => {
+    mockFont({
+      name: { fontFamily: 'Brand Sans', fontSubFamily: 'Bold' },
+      'OS/2': { usWeightClass: 700, fsSelection: 0 },
+      head: { macStyle: 0 },
+    })
+
+    const meta = await readFontMeta(Buffer.from('x'), 'ttf')
+
+    expect(meta).toEqual({ family: 'Brand Sans', subfamily: 'Bold', weight: 700, style: 'normal' })
+  })
+
+  it('should only parse a single glyph', async () => {
+    mockFont({ name: {} })
+
+    await readFontMeta(Buffer.from('x'), 'ttf')
+
+    expect(Font.create).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ subset: [0x20] }))
+  })
+
+  it('should prefer the typographic family names', async () => {
+    mockFont({
+      name: {
+        fontFamily: 'Brand Sans Light',
+        fontSubFamily: 'Regular',
+        preferredFamily: 'Brand Sans',
+        preferredSubFamily: 'Light',
+      },
+      'OS/2': { usWeightClass: 300 },
+    })
+
+    const meta = await readFontMeta(Buffer.from('x'), 'ttf')
+
+    expect(meta.family).toBe('Brand Sans')
+    expect(meta.subfamily).toBe('Light')
+    expect(meta.weight).toBe(300)
+  })
+
+  it('should detect italic and oblique styles', async () => {
+    mockFont({ name: {}, 'OS/2': { fsSelection: 0x0001 } })
+    expect((await readFontMeta(Buffer.from('x'), 'ttf')).style).toBe('italic')
+
+    mockFont({ name: {}, 'OS/2': { fsSelection: 0 }, head: { macStyle: 0x0002 } })
+    expect((await readFontMeta(Buffer.from('x'), 'ttf')).style).toBe('italic')
+
+    mockFont({ name: {}, 'OS/2': { fsSelection: 0x0201 } })
+    expect((await readFontMeta(Buffer.from('x'), 'ttf')).style).toBe('oblique')
+  })
+
+  it('should default to weight 400 without an OS/2 table', async () => {
+    mockFont({ name: { fontFamily: 'Legacy' } })
+
+    expect(await readFontMeta(Buffer.from('x'), 'ttf')).toEqual({
+      family: 'Legacy',
+      subfamily: undefined,
+      weight: 400,
+      style: 'normal',
+    })
+  })
+
+  it('should read the weight range of variable fonts', async () => {
+    mockFont({ name: { fontFamily: 'Brand Sans' }, 'OS/2': { usWeightClass: 400 } })
+    vi.mocked(readFontAxes).mockReturnValueOnce([
+      { tag: 'wdth', minValue: 75, defaultValue: 100, maxValue: 100 },
+      { tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900 },
+    ])
+
+    expect((await readFontMeta(Buffer.from('x'), 'ttf')).weight).toBe('100 900')
+  })
+})
@@ -0,0 +1,208 @@
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import { readFile, stat } from 'node:fs/promises'
+import { subsetFontCached } from './minify-font.mjs'
+import { resolveFontType, VALID_FONT_TYPES } from './detect-font-type.mjs'
+import { toCodePoints } from './code-points.mjs'
+
+// Content-Type of each output format
+const CONTENT_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject',
+  svg: 'image/svg+xml',
+}
+
+// Source fonts looked up for a requested name, best first
+const SOURCE_TYPES = ['ttf', 'otf', 'woff', 'woff2', 'eot', 'svg']
+
+/**
+ * Find the source font of a requested name in the fonts directory
+ * @param {string} fontsDir - Absolute fonts directory
+ * @param {string} name - Requested path without extension, e.g. 'cjk/brand'
+ * @returns {Promise<{path: string, type: string, mtimeMs: number}|null>} Source font, null when missing
+ */
+async function findSourceFont(fontsDir, name) {
+  for (const type of SOURCE_TYPES) {
+    const fontPath = path.join(fontsDir, `${name}.${type}`)
+    try {
+      const stats = await stat(fontPath)
+      if (stats.isFile()) {
+        return { path: fontPath, type, mtimeMs: stats.mtimeMs }
+      }
+    } catch {
+      // Try the next format
+    }
+  }
+  return null
+}
+
+/**
+ * Sort and deduplicate the characters of a request so equivalent texts share a cache entry
+ * @param {string} text - Requested text
+ * @returns {string} Unique characters in code point order
+ */
+function normalizeText(text) {
+  return Array.from(new Set(toCodePoints(text)))
+    .sort((a, b) => a - b)
+    .map(codePoint => String.fromCodePoint(codePoint))
+    .join('')
+}
+
+/**
+ * Send a plain text response
+ * @param {Object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {string} message - Response body
+ */
+function sendText(res, status, message) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+  res.end(message)
+}
+
+/**
+ * 创建按需裁剪字体的 HTTP 中间件，适用于开发预览和自托管
+ *
+ * 请求 `<base><name>.<format>?text=...` 时，在 fontsDir 中查找同名字体（依次尝试 ttf、otf、woff、woff2、eot、svg），
+ * 裁剪为 text 中的字符并转换为请求的格式返回。name 可以包含子目录，如 /fonts/cjk/brand.woff2。
+ *
+ * - 结果保存在内存 LRU 缓存中，text 中字符的顺序和重复不影响缓存，源字体修改后缓存失效
+ * - 响应带有 ETag，If-None-Match 匹配时返回 304
+ * - 可以直接作为 http.createServer 的处理函数，也可以作为 Connect / Express 中间件：
+ *   不在 base 下或字体不存在的请求交给 next，裁剪失败时调用 next(error)
+ * - 没有 next 时，字体不存在返回 404，裁剪失败返回 500
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.fontsDir - 源字体目录
+ * @param {string} [options.base='/fonts/'] - URL 前缀
+ * @param {number} [options.cacheSize=100] - 内存中最多缓存的字体数量
+ * @param {string} [options.cacheControl='no-cache'] - Cache-Control 响应头，默认每次都通过 ETag 确认
+ * @param {boolean} [options.cors=true] - 添加 Access-Control-Allow-Origin: *，允许其他域名的页面加载字体
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @returns {Function} 处理函数 (req, res, next?) => Promise<void>
+ * @throws {Error} 当 fontsDir 参数缺失时抛出错误
+ *
+ * @example
+ * // 独立服务
+ * import http from 'node:http'
+ * import { createFontMiddleware } from 'minify-font'
+ *
+ * http.createServer(createFontMiddleware({ fontsDir: './fonts' })).listen(3000)
+ * // GET http://localhost:3000/fonts/brand.woff2?text=你好世界
+ *
+ * @example
+ * // Express
+ * app.use(createFontMiddleware({ fontsDir: './fonts', base: '/static/fonts/' }))
+ */
+export function createFontMiddleware({
+  fontsDir,
+  base = '/fonts/',
+  cacheSize = 100,
+  cacheControl = 'no-cache',
+  cors = true,
+  inputOptions,
+  outputOptions,
+}) {
+  if (!fontsDir) {
+    throw new Error('fontsDir parameter is required')
+  }
+
+  const root = path.resolve(fontsDir)
+  const prefix = base.replace(/\/?$/, '/')
+  // Insertion order of a Map is its recency: hits are moved to the end, the first entry is the oldest
+  const cache = new Map()
+
+  const subset = (key, source, outputType, text) => {
+    if (cache.has(key)) {
+      const entry = cache.get(key)
+      cache.delete(key)
+      cache.set(key, entry)
+      return entry
+    }
+
+    const entry = readFile(source.path).then(async data => {
+      const result = await subsetFontCached({
+        data,
+        inputType: resolveFontType(data, source.type, `the extension of ${source.path}`),
+        outputType,
+        text,
+        inputOptions,
+        outputOptions,
+      })
+      return { data: result.data, etag: `"${createHash('sha1').update(result.data).digest('base64url')}"` }
+    })
+    // Concurrent requests share the pending subset, failures are not cached
+    entry.catch(() => {
+      if (cache.get(key) === entry) {
+        cache.delete(key)
+      }
+    })
+
+    cache.set(key, entry)
+    if (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value)
+    }
+    return entry
+  }
+
+  return async function fontMiddleware(req, res, next) {
+    const url = new URL(req.url, 'http://localhost')
+    let pathname
+    try {
+      pathname = decodeURIComponent(url.pathname)
+    } catch {
+      return sendText(res, 400, 'Malformed URL')
+    }
+    const match = pathname.startsWith(prefix) && pathname.slice(prefix.length).match(/^(.+)\.([a-z\d]+)$/i)
+    if (!match || !VALID_FONT_TYPES.includes(match[2].toLowerCase())) {
+      return next ? next() : sendText(res, 404, 'Not Found')
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD')
+      return sendText(res, 405, 'Method Not Allowed')
+    }
+
+    const name = match[1]
+    const outputType = match[2].toLowerCase()
+    // Names escaping the fonts directory are treated as missing fonts
+    const source = path.resolve(root, name).startsWith(root + path.sep) && (await findSourceFont(root, name))
+    if (!source) {
+      return next ? next() : sendText(res, 404, `Font not found: ${name}`)
+    }
+
+    const text = normalizeText(url.searchParams.get('text') || '')
+    if (!text) {
+      return sendText(res, 400, 'text query parameter is required')
+    }
+
+    let font
+    try {
+      font = await subset(`${source.path}:${source.mtimeMs}:${outputType}:${text}`, source, outputType, text)
+    } catch (error) {
+      const wrapped = new Error(`Failed to subset ${source.path}: ${error.message}`)
+      return next ? next(wrapped) : sendText(res, 500, wrapped.message)
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[outputType])
+    res.setHeader('ETag', font.etag)
+    res.setHeader('Cache-Control', cacheControl)
+    if (cors) {
+      res.setHeader('Access-Control-Allow-Origin', '*')
+    }
+
+    const ifNoneMatch = req.headers['if-none-match']
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === font.etag)) {
+      res.statusCode = 304
+      return res.end()
+    }
+
+    res.statusCode = 200
+    res.setHeader('Content-Length', font.data.length)
+    res.end(req.method === 'HEAD' ? undefined : font.data)
+  }
+}
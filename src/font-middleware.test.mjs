@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import http from 'node:http'
+import path from 'node:path'
+import { createFontMiddleware } from './font-middleware.mjs'
+
+vi.mock('./minify-font.mjs', () => ({
+  subsetFontCached: vi.fn(),
+}))
+
+import { subsetFontCached } from './minify-font.mjs'
+
+// sfnt data recognized as a TrueType font
+const TTF = Buffer.from([0x00, 0x01, 0x00, 0x00, 0, 0, 0, 0])
+
+describe('createFontMiddleware', () => {
+  let dir
+  let server
+  let baseUrl
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(subsetFontCached).mockImplementation(async ({ outputType, text }) => ({
+      data: Buffer.from(`${outputType}:${text}`),
+      stats: {},
+    }))
+
+    dir = mkdtempSync(path.join(tmpdir(), 'minify-font-middleware-'))
+    mkdirSync(path.join(dir, 'fonts/cjk'), { recursive: true })
+    writeFileSync(path.join(dir, 'fonts/brand.ttf'), TTF)
+    writeFileSync(path.join(dir, 'fonts/cjk/title.ttf'), TTF)
+    writeFileSync(path.join(dir, 'secret.ttf'), TTF)
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  async function listen(handler) {
+    server = http.createServer(handler)
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  }
+
+  it('should serve a subset of the requested font and format', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts') }))
+
+    const response = await fetch(`${baseUrl}/fonts/brand.woff2?text=${encodeURIComponent('好你好A')}`)
+
+    expect(response.status).toBe(200)
+    expect(response.headers.get('content-type')).toBe('font/woff2')
+    expect(response.headers.get('etag')).toMatch(/^"[\w-]+"$/)
+    expect(response.headers.get('cache-control')).toBe('no-cache')
+    expect(response.headers.get('access-control-allow-origin')).toBe('*')
+    expect(await response.text()).toBe('woff2:A你好')
+    expect(subsetFontCached).toHaveBeenCalledWith(
+      expect.objectContaining({ data: TTF, inputType: 'ttf', outputType: 'woff2', text: 'A你好' })
+    )
+  })
+
+  it('should serve fonts in subdirectories with the Content-Type of each format', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts') }))
+
+    const woff = await fetch(`${baseUrl}/fonts/cjk/title.woff?text=A`)
+    const ttf = await fetch(`${baseUrl}/fonts/cjk/title.ttf?text=A`)
+
+    expect(woff.headers.get('content-type')).toBe('font/woff')
+    expect(ttf.headers.get('content-type')).toBe('font/ttf')
+  })
+
+  it('should cache subsets regardless of the order and duplicates of characters', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts') }))
+
+    const first = await fetch(`${baseUrl}/fonts/brand.woff2?text=ABC`)
+    const second = await fetch(`${baseUrl}/fonts/brand.woff2?text=CBAA`)
+
+    expect(await second.text()).toBe(await first.text())
+    expect(subsetFontCached).toHaveBeenCalledTimes(1)
+  })
+
+  it('should evict the least recently used subset', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts'), cacheSize: 2 }))
+
+    for (const text of ['A', 'B', 'A', 'C', 'A', 'B']) {
+      await fetch(`${baseUrl}/fonts/brand.woff2?text=${text}`)
+    }
+
+    expect(vi.mocked(subsetFontCached).mock.calls.map(([{ text }]) => text)).toEqual(['A', 'B', 'C', 'B'])
+  })
+
+  it('should answer matching ETags with 304 and HEAD requests without a body', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts') }))
+    const url = `${baseUrl}/fonts/brand.woff2?text=A`
+    const { headers } = await fetch(url)
+
+    const notModified = await fetch(url, { headers: { 'If-None-Match': `"other", ${headers.get('etag')}` } })
+    const head = await fetch(url, { method: 'HEAD' })
+
+    expect(notModified.status).toBe(304)
+    expect(head.status).toBe(200)
+    expect(head.headers.get('content-length')).toBe(String('woff2:A'.length))
+    expect(await head.text()).toBe('')
+  })
+
+  it('should reject invalid requests', async () => {
+    await listen(createFontMiddleware({ fontsDir: path.join(dir, 'fonts') }))
+
+    const missingText = await fetch(`${baseUrl}/fonts/brand.woff2`)
+    expect(missingText.status).toBe(400)
+    expect(await missingText.text()).toBe('text query parameter is required')
+
+    expect((await fetch(`${baseUrl}/fonts/missing.woff2?text=A`)).status).toBe(404)
+    expect((await fetch(`${baseUrl}/fonts/..%2Fsecret.woff2?text=A`)).status).toBe(404)
+    expect((await fetch(`${baseUrl}/fonts/brand.png?text=A`)).status).toBe(404)
+
+    const post = await fetch(`${baseUrl}/fonts/brand.woff2?text=A`, { method: 'POST' })
+    expect(post.status).toBe(405)
+    expect(post.headers.get('allow')).toBe('GET, HEAD')
+  })
+
+  it('should pass unmatched requests and errors to next', async () => {
+    vi.mocked(subsetFontCached).mockRejectedValueOnce(new Error('Invalid font'))
+    const middleware = createFontMiddleware({ fontsDir: path.join(dir, 'fonts'), base: '/static/fonts' })
+    const next = vi.fn()
+    await listen((req, res) =>
+      middleware(req, res, error => {
+        next(req.url, error)
+        res.statusCode = error ? 500 : 404
+        res.end()
+      })
+    )
+
+    await fetch(`${baseUrl}/index.html`)
+    await fetch(`${baseUrl}/static/fonts/missing.woff2?text=A`)
+    await fetch(`${baseUrl}/static/fonts/brand.woff2?text=A`)
+    const retry = await fetch(`${baseUrl}/static/fonts/brand.woff2?text=A`)
+
+    expect(next).toHaveBeenCalledWith('/index.html', undefined)
+    expect(next).toHaveBeenCalledWith('/static/fonts/missing.woff2?text=A', undefined)
+    expect(next.mock.calls[2][1].message).toBe(
+      `Failed to subset ${path.join(dir, 'fonts/brand.ttf')}: Invalid font`
+    )
+    // Failures are not cached
+    expect(retry.status).toBe(200)
+  })
+
+  it('should require the fonts directory', () => {
+    expect(() => createFontMiddleware({})).toThrow('fontsDir parameter is required')
+  })
+})
@@ -0,0 +1,347 @@
+/**
+ * Rewriting of the name table: the names browsers and devtools show, and the records that can be stripped
+ *
+ * fonteditor-core only reads and writes the English names it knows, so fonts it serializes are renamed
+ * through its parsed name object. The raw name table copied into variable fonts is rewritten record
+ * by record, which keeps the localized names and the axis and instance names fvar and STAT refer to.
+ */
+
+// Name IDs, see the OpenType name table specification
+const FAMILY = 1
+const SUBFAMILY = 2
+const UNIQUE_ID = 3
+const FULL_NAME = 4
+const POSTSCRIPT_NAME = 6
+const TYPOGRAPHIC_FAMILY = 16
+const TYPOGRAPHIC_SUBFAMILY = 17
+const COMPATIBLE_FULL = 18
+
+// Name IDs removed by each strip category
+export const STRIP_CATEGORIES = {
+  // Copyright notice and trademark
+  copyright: [0, 7],
+  // License description and URL
+  license: [13, 14],
+  // Description and sample text
+  description: [10, 19],
+  // Manufacturer, designer and their URLs
+  vendor: [8, 9, 11, 12],
+}
+
+// Options that set a name
+const NAME_OPTIONS = ['family', 'subfamily', 'fullName', 'postScriptName', 'uniqueId', 'suffix']
+
+// Keys of the name IDs in the name object of fonteditor-core
+const FONTEDITOR_KEYS = {
+  0: 'copyright',
+  1: 'fontFamily',
+  2: 'fontSubFamily',
+  3: 'uniqueSubFamily',
+  4: 'fullName',
+  5: 'version',
+  6: 'postScriptName',
+  7: 'tradeMark',
+  8: 'manufacturer',
+  9: 'designer',
+  10: 'description',
+  11: 'urlOfFontVendor',
+  12: 'urlOfFontDesigner',
+  13: 'licence',
+  14: 'urlOfLicence',
+  16: 'preferredFamily',
+  17: 'preferredSubFamily',
+  18: 'compatibleFull',
+  19: 'sampleText',
+}
+
+// Platform IDs of name records: Unicode, Macintosh, Windows
+const PLATFORM_UNICODE = 0
+const PLATFORM_MACINTOSH = 1
+const PLATFORM_WINDOWS = 3
+
+// Windows English (United States), used for names the font did not have
+const WINDOWS_UNICODE_BMP = 1
+const WINDOWS_ENGLISH = 0x409
+
+/**
+ * Check the names option and fill in its defaults
+ * @param {Object} names - { family, subfamily, fullName, postScriptName, uniqueId, suffix, strip }
+ * @returns {Object} Names option with strip defaulting to an empty array
+ * @throws {Error} When an option is unknown or invalid
+ */
+export function resolveNameOptions(names) {
+  if (!names || typeof names !== 'object' || Array.isArray(names)) {
+    throw new Error('names must be an object of font names')
+  }
+
+  Object.keys(names).forEach(key => {
+    if (key !== 'strip' && !NAME_OPTIONS.includes(key)) {
+      throw new Error(`Unknown name option "${key}", use ${NAME_OPTIONS.join(', ')}, strip`)
+    }
+    if (
+      key !== 'strip' &&
+      names[key] !== undefined &&
+      (typeof names[key] !== 'string' || !names[key].trim())
+    ) {
+      throw new Error(`names.${key} must be a non-empty string`)
+    }
+  })
+
+  const { strip = [] } = names
+  if (!Array.isArray(strip)) {
+    throw new Error('names.strip must be an array of name records to remove')
+  }
+  strip.forEach(category => {
+    if (!STRIP_CATEGORIES[category]) {
+      throw new Error(`Unknown name records "${category}", use ${Object.keys(STRIP_CATEGORIES).join(', ')}`)
+    }
+  })
+
+  return { ...names, strip }
+}
+
+/**
+ * Make a name usable as a PostScript name: printable ASCII without spaces or the characters [](){}<>/%
+ * @param {string} name - Name
+ * @returns {string} PostScript name of at most 63 characters
+ */
+function toPostScriptName(name) {
+  return name.replace(/[^\x21-\x7e]|[[\](){}<>/%]/g, '').slice(0, 63)
+}
+
+/**
+ * Work out the names to change and the records to remove
+ * Setting the family, subfamily or a suffix also updates the full name and the PostScript name unless
+ * they are set too, so the output does not share them with the source font
+ * @param {(nameId: number) => string|null} getName - Current name of a name ID, null when missing
+ * @param {Object} names - Names option, see resolveNameOptions
+ * @returns {Map<number, string|null>} New name by name ID, null for records to remove
+ * @throws {Error} When the names option is invalid
+ */
+function getNameChanges(getName, names) {
+  const { family, subfamily, fullName, postScriptName, uniqueId, suffix, strip } = resolveNameOptions(names)
+  const changes = new Map()
+  const resolve = nameId => (changes.has(nameId) ? changes.get(nameId) : getName(nameId))
+
+  const suffixed = name => (suffix ? `${name} ${suffix}` : name)
+  if (family || suffix) {
+    changes.set(FAMILY, suffixed(family || getName(FAMILY) || ''))
+    if (getName(TYPOGRAPHIC_FAMILY) !== null) {
+      changes.set(TYPOGRAPHIC_FAMILY, suffixed(family || getName(TYPOGRAPHIC_FAMILY)))
+    }
+  }
+  if (subfamily) {
+    changes.set(SUBFAMILY, subfamily)
+    if (getName(TYPOGRAPHIC_SUBFAMILY) !== null) {
+      changes.set(TYPOGRAPHIC_SUBFAMILY, subfamily)
+    }
+  }
+
+  const renamed = Boolean(family || subfamily || suffix)
+  const familyName = resolve(TYPOGRAPHIC_FAMILY) || resolve(FAMILY) || ''
+  const subfamilyName = resolve(TYPOGRAPHIC_SUBFAMILY) || resolve(SUBFAMILY) || ''
+  if (fullName || renamed) {
+    changes.set(FULL_NAME, fullName || `${familyName} ${subfamilyName}`.trim())
+    if (getName(COMPATIBLE_FULL) !== null) {
+      changes.set(COMPATIBLE_FULL, changes.get(FULL_NAME))
+    }
+  }
+  if (postScriptName || renamed) {
+    changes.set(
+      POSTSCRIPT_NAME,
+      postScriptName ||
+        [familyName, subfamilyName].map(toPostScriptName).filter(Boolean).join('-').slice(0, 63)
+    )
+  }
+  if (uniqueId) {
+    changes.set(UNIQUE_ID, uniqueId)
+  }
+
+  strip.forEach(category => STRIP_CATEGORIES[category].forEach(nameId => changes.set(nameId, null)))
+  return changes
+}
+
+/**
+ * Rename a font parsed by fonteditor-core, whose name object is written as the name table
+ * @param {Font} font - Parsed font, changed in place
+ * @param {Object} names - Names option, see resolveNameOptions
+ * @throws {Error} When the names option is invalid
+ */
+export function renameFont(font, names) {
+  const ttf = font.get()
+  const current = ttf.name || {}
+  const renamed = { ...current }
+  const getName = nameId => current[FONTEDITOR_KEYS[nameId]] || null
+
+  getNameChanges(getName, names).forEach((value, nameId) => {
+    if (value === null) {
+      delete renamed[FONTEDITOR_KEYS[nameId]]
+    } else {
+      renamed[FONTEDITOR_KEYS[nameId]] = value
+    }
+  })
+  ttf.name = renamed
+}
+
+/**
+ * Read the records of a name table
+ * @param {Buffer} data - name table data
+ * @returns {{records: Array<{platformId: number, encodingId: number, languageId: number, nameId: number,
+ *   value: Buffer}>, langTags: Buffer[]}} Name records with their encoded strings, and the language tags
+ *   of a format 1 table
+ */
+export function parseNameTable(data) {
+  const format = data.readUInt16BE(0)
+  const count = data.readUInt16BE(2)
+  const storage = data.readUInt16BE(4)
+  const readString = (length, offset) => data.subarray(storage + offset, storage + offset + length)
+
+  const records = Array.from({ length: count }, (_, index) => {
+    const record = 6 + index * 12
+    return {
+      platformId: data.readUInt16BE(record),
+      encodingId: data.readUInt16BE(record + 2),
+      languageId: data.readUInt16BE(record + 4),
+      nameId: data.readUInt16BE(record + 6),
+      value: readString(data.readUInt16BE(record + 8), data.readUInt16BE(record + 10)),
+    }
+  })
+
+  const langTags = []
+  if (format === 1) {
+    const tagRecords = 6 + count * 12
+    for (let index = 0; index < data.readUInt16BE(tagRecords); index++) {
+      const record = tagRecords + 2 + index * 4
+      langTags.push(readString(data.readUInt16BE(record), data.readUInt16BE(record + 2)))
+    }
+  }
+  return { records, langTags }
+}
+
+/**
+ * Write a name table, sharing the storage of identical strings
+ * @param {Array<Object>} records - Name records, see parseNameTable
+ * @param {Buffer[]} [langTags] - Language tags, written as a format 1 table when not empty
+ * @returns {Buffer} name table data
+ */
+export function writeNameTable(records, langTags = []) {
+  const sorted = [...records].sort(
+    (a, b) =>
+      a.platformId - b.platformId ||
+      a.encodingId - b.encodingId ||
+      a.languageId - b.languageId ||
+      a.nameId - b.nameId
+  )
+
+  const strings = []
+  const offsets = new Map()
+  let size = 0
+  const store = value => {
+    const key = value.toString('latin1')
+    if (!offsets.has(key)) {
+      offsets.set(key, size)
+      strings.push(value)
+      size += value.length
+    }
+    return offsets.get(key)
+  }
+
+  const header = 6 + sorted.length * 12 + (langTags.length ? 2 + langTags.length * 4 : 0)
+  const data = Buffer.alloc(header)
+  data.writeUInt16BE(langTags.length ? 1 : 0, 0)
+  data.writeUInt16BE(sorted.length, 2)
+  data.writeUInt16BE(header, 4)
+  sorted.forEach((record, index) => {
+    const position = 6 + index * 12
+    data.writeUInt16BE(record.platformId, position)
+    data.writeUInt16BE(record.encodingId, position + 2)
+    data.writeUInt16BE(record.languageId, position + 4)
+    data.writeUInt16BE(record.nameId, position + 6)
+    data.writeUInt16BE(record.value.length, position + 8)
+    data.writeUInt16BE(store(record.value), position + 10)
+  })
+  if (langTags.length) {
+    const tagRecords = 6 + sorted.length * 12
+    data.writeUInt16BE(langTags.length, tagRecords)
+    langTags.forEach((tag, index) => {
+      data.writeUInt16BE(tag.length, tagRecords + 2 + index * 4)
+      data.writeUInt16BE(store(tag), tagRecords + 4 + index * 4)
+    })
+  }
+  return Buffer.concat([data, ...strings])
+}
+
+/**
+ * Decode the string of a name record
+ * @param {Object} record - Name record, see parseNameTable
+ * @returns {string} Name, Macintosh names are read as Latin-1
+ */
+function decodeName({ platformId, value }) {
+  return platformId === PLATFORM_MACINTOSH
+    ? value.toString('latin1')
+    : Buffer.from(value).swap16().toString('utf16le')
+}
+
+/**
+ * Encode a name for a platform
+ * @param {number} platformId - Platform ID
+ * @param {string} name - Name
+ * @returns {Buffer|null} Encoded name, null when a Macintosh record cannot hold it
+ */
+function encodeName(platformId, name) {
+  if (platformId === PLATFORM_MACINTOSH) {
+    return /^[\x20-\x7e]*$/.test(name) ? Buffer.from(name, 'latin1') : null
+  }
+  return Buffer.from(name, 'utf16le').swap16()
+}
+
+/**
+ * Read a name from name records, preferring Windows English, then Windows, Unicode and Macintosh records
+ * @param {Array<Object>} records - Name records, see parseNameTable
+ * @param {number} nameId - Name ID
+ * @returns {string|null} Name, null when the font has none
+ */
+export function readName(records, nameId) {
+  const matches = records.filter(record => record.nameId === nameId)
+  const record =
+    matches.find(
+      ({ platformId, languageId }) => platformId === PLATFORM_WINDOWS && languageId === WINDOWS_ENGLISH
+    ) ||
+    matches.find(({ platformId }) => platformId === PLATFORM_WINDOWS) ||
+    matches.find(({ platformId }) => platformId === PLATFORM_UNICODE) ||
+    matches.find(({ platformId }) => platformId === PLATFORM_MACINTOSH)
+  return record ? decodeName(record) : null
+}
+
+/**
+ * Rename the raw name table of a font, in every language it has names for
+ * @param {Buffer} data - name table data
+ * @param {Object} names - Names option, see resolveNameOptions
+ * @returns {Buffer} Rewritten name table
+ * @throws {Error} When the names option is invalid
+ */
+export function renameNameTable(data, names) {
+  const { records, langTags } = parseNameTable(data)
+  const changes = getNameChanges(nameId => readName(records, nameId), names)
+
+  const renamed = records
+    .filter(record => changes.get(record.nameId) !== null)
+    .map(record =>
+      changes.has(record.nameId)
+        ? { ...record, value: encodeName(record.platformId, changes.get(record.nameId)) }
+        : record
+    )
+    .filter(record => record.value)
+  changes.forEach((name, nameId) => {
+    if (name !== null && !renamed.some(record => record.nameId === nameId)) {
+      renamed.push({
+        platformId: PLATFORM_WINDOWS,
+        encodingId: WINDOWS_UNICODE_BMP,
+        languageId: WINDOWS_ENGLISH,
+        nameId,
+        value: encodeName(PLATFORM_WINDOWS, name),
+      })
+    }
+  })
+  return writeNameTable(renamed, langTags)
+}
@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseNameTable,
+  readName,
+  renameFont,
+  renameNameTable,
+  resolveNameOptions,
+  writeNameTable,
+} from './font-names.mjs'
+
+// Windows English record of a name
+function windowsRecord(nameId, name, languageId = 0x409) {
+  return { platformId: 3, encodingId: 1, languageId, nameId, value: Buffer.from(name, 'utf16le').swap16() }
+}
+
+// Macintosh Roman record of a name
+function macRecord(nameId, name) {
+  return { platformId: 1, encodingId: 0, languageId: 0, nameId, value: Buffer.from(name, 'latin1') }
+}
+
+// Names of a light weight in a family with typographic names, and a Chinese family name
+function nameTable() {
+  return writeNameTable([
+    windowsRecord(0, 'Copyright 2024 Brand'),
+    windowsRecord(1, 'Brand Sans Light'),
+    windowsRecord(2, 'Regular'),
+    windowsRecord(4, 'Brand Sans Light'),
+    windowsRecord(6, 'BrandSans-Light'),
+    windowsRecord(8, 'Brand Foundry'),
+    windowsRecord(13, 'Licensed under the SIL Open Font License'),
+    windowsRecord(16, 'Brand Sans'),
+    windowsRecord(17, 'Light'),
+    windowsRecord(1, '品牌黑体', 0x804),
+    windowsRecord(256, 'Weight'),
+    macRecord(1, 'Brand Sans Light'),
+    macRecord(13, 'Licensed under the SIL Open Font License'),
+  ])
+}
+
+// Names of a table by name ID, read as readName prefers them
+function readNames(data) {
+  const { records } = parseNameTable(data)
+  return Object.fromEntries(
+    [...new Set(records.map(({ nameId }) => nameId))].map(id => [id, readName(records, id)])
+  )
+}
+
+describe('resolveNameOptions', () => {
+  it('should default to stripping no records', () => {
+    expect(resolveNameOptions({ suffix: 'Subset' })).toEqual({ suffix: 'Subset', strip: [] })
+  })
+
+  it('should throw error for invalid names', () => {
+    expect(() => resolveNameOptions('Brand')).toThrow('names must be an object of font names')
+    expect(() => resolveNameOptions({ name: 'Brand' })).toThrow(
+      'Unknown name option "name", use family, subfamily, fullName, postScriptName, uniqueId, suffix, strip'
+    )
+    expect(() => resolveNameOptions({ family: ' ' })).toThrow('names.family must be a non-empty string')
+    expect(() => resolveNameOptions({ strip: 'license' })).toThrow(
+      'names.strip must be an array of name records to remove'
+    )
+    expect(() => resolveNameOptions({ strip: ['legal'] })).toThrow(
+      'Unknown name records "legal", use copyright, license, description, vendor'
+    )
+  })
+})
+
+describe('name tables', () => {
+  it('should read back a written name table and share identical strings', () => {
+    const data = nameTable()
+    const { records, langTags } = parseNameTable(data)
+
+    expect(records).toHaveLength(13)
+    expect(langTags).toEqual([])
+    expect(readName(records, 4)).toBe('Brand Sans Light')
+
+    // The Windows family and full names are stored once
+    const fullName = Buffer.from('Brand Sans Light', 'utf16le').swap16()
+    expect(data.indexOf(fullName)).toBeGreaterThan(0)
+    expect(data.indexOf(fullName, data.indexOf(fullName) + 1)).toBe(-1)
+  })
+
+  it('should prefer Windows English names', () => {
+    const { records } = parseNameTable(nameTable())
+
+    expect(readName(records, 1)).toBe('Brand Sans Light')
+    expect(readName(records, 3)).toBeNull()
+  })
+
+  it('should keep the language tags of format 1 tables', () => {
+    const langTags = [Buffer.from('zh-Hans', 'utf16le').swap16()]
+    const data = writeNameTable([windowsRecord(1, '品牌黑体', 0x8000)], langTags)
+
+    expect(data.readUInt16BE(0)).toBe(1)
+    expect(parseNameTable(data).langTags).toEqual(langTags)
+  })
+})
+
+describe('renameNameTable', () => {
+  it('should append a suffix to the family and derive the full and PostScript names', () => {
+    const names = readNames(renameNameTable(nameTable(), { suffix: 'Subset' }))
+
+    expect(names).toMatchObject({
+      1: 'Brand Sans Light Subset',
+      2: 'Regular',
+      4: 'Brand Sans Subset Light',
+      6: 'BrandSansSubset-Light',
+      16: 'Brand Sans Subset',
+      17: 'Light',
+      256: 'Weight',
+    })
+  })
+
+  it('should rename every language and platform', () => {
+    const { records } = parseNameTable(
+      renameNameTable(nameTable(), { family: 'Web Sans', subfamily: 'Thin' })
+    )
+
+    expect(records.filter(({ nameId }) => nameId === 1).map(record => readName([record], 1))).toEqual([
+      'Web Sans',
+      'Web Sans',
+      'Web Sans',
+    ])
+    expect(readName(records, 6)).toBe('WebSans-Thin')
+  })
+
+  it('should take explicit names and add the missing ones', () => {
+    const names = readNames(
+      renameNameTable(nameTable(), {
+        fullName: 'Brand Web',
+        postScriptName: 'BrandWeb',
+        uniqueId: 'brand-web-1',
+      })
+    )
+
+    expect(names).toMatchObject({ 1: 'Brand Sans Light', 3: 'brand-web-1', 4: 'Brand Web', 6: 'BrandWeb' })
+  })
+
+  it('should strip records', () => {
+    const { records } = parseNameTable(
+      renameNameTable(nameTable(), { strip: ['copyright', 'license', 'vendor'] })
+    )
+
+    expect([...new Set(records.map(({ nameId }) => nameId))]).toEqual([1, 2, 4, 6, 16, 17, 256])
+  })
+
+  it('should drop Macintosh records that cannot hold the name', () => {
+    const { records } = parseNameTable(renameNameTable(nameTable(), { family: '品牌' }))
+
+    expect(records.filter(({ nameId }) => nameId === 1).map(({ platformId }) => platformId)).toEqual([3, 3])
+  })
+})
+
+describe('renameFont', () => {
+  const createFont = () => {
+    const ttf = {
+      name: {
+        copyright: 'Copyright 2024 Brand',
+        fontFamily: 'Brand Sans',
+        fontSubFamily: 'Bold',
+        fullName: 'Brand Sans Bold',
+        postScriptName: 'BrandSans-Bold',
+        description: 'A sans serif',
+        licence: 'Licensed under the SIL Open Font License',
+      },
+    }
+    return { ttf, font: { get: () => ttf } }
+  }
+
+  it('should rename the parsed names', () => {
+    const { ttf, font } = createFont()
+    renameFont(font, { suffix: 'Subset', strip: ['license', 'description'] })
+
+    expect(ttf.name).toEqual({
+      copyright: 'Copyright 2024 Brand',
+      fontFamily: 'Brand Sans Subset',
+      fontSubFamily: 'Bold',
+      fullName: 'Brand Sans Subset Bold',
+      postScriptName: 'BrandSansSubset-Bold',
+    })
+  })
+
+  it('should only change the names that are set', () => {
+    const { ttf, font } = createFont()
+    renameFont(font, { uniqueId: 'brand-bold-1' })
+
+    expect(ttf.name).toMatchObject({ fontFamily: 'Brand Sans', uniqueSubFamily: 'brand-bold-1' })
+    expect(ttf.name.fullName).toBe('Brand Sans Bold')
+  })
+})
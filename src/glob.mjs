@@ -0,0 +1,170 @@
+import path from 'node:path'
+import { existsSync, statSync } from 'node:fs'
+import { readdir } from 'node:fs/promises'
+
+// Directory names skipped while walking below the static part of a pattern
+const DEFAULT_IGNORE = ['node_modules', '.git']
+
+/**
+ * Check whether a path segment contains glob syntax
+ * @param {string} segment - Path segment
+ * @returns {boolean} True if the segment has *, ?, [ or {
+ */
+function hasMagic(segment) {
+  return /[*?[{]/.test(segment)
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching posix paths
+ * Supports **, *, ?, [...] and {a,b}
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = ''
+  let braceDepth = 0
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything below
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?'
+          i += 2
+        } else {
+          source += '.*'
+          i += 1
+        }
+      } else {
+        source += '[^/]*'
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        source += `[${pattern
+          .slice(i + 1, end)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\')}]`
+        i = end
+      }
+    } else if (char === '{') {
+      braceDepth++
+      source += '(?:'
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--
+      source += ')'
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|'
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Recursively list files below a directory
+ * @param {string} dir - Absolute directory path
+ * @param {number} maxDepth - Remaining directory levels to descend
+ * @param {string[]} ignore - Directory names to skip
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function walk(dir, maxDepth, ignore) {
+  const entries = await readdir(dir, { withFileTypes: true })
+  const files = []
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (maxDepth > 0 && !ignore.includes(entry.name)) {
+        files.push(...(await walk(fullPath, maxDepth - 1, ignore)))
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Get the directory a pattern is matched from and how many directory levels below it can match
+ * A plain file path is matched from its own directory
+ * @param {string} pattern - Glob pattern or file path
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Base directory for relative patterns
+ * @returns {{base: string, maxDepth: number}} Absolute base directory and the depth below it, Infinity for **
+ *
+ * @example
+ * getGlobBase('src/pages/*.vue', { cwd: '/app' }) // { base: '/app/src/pages', maxDepth: 0 }
+ * getGlobBase('locales/**', { cwd: '/app' }) // { base: '/app/locales', maxDepth: Infinity }
+ */
+export function getGlobBase(pattern, { cwd = process.cwd() } = {}) {
+  const normalized = pattern.replace(/\\/g, '/')
+  const absolute = path.resolve(cwd, normalized)
+
+  if (!hasMagic(normalized)) {
+    return { base: path.dirname(absolute), maxDepth: 0 }
+  }
+
+  // Walk from the longest leading directory without glob syntax
+  const parts = absolute.split(path.sep)
+  const magicIndex = parts.findIndex(hasMagic)
+  const rest = parts.slice(magicIndex)
+
+  return {
+    base: parts.slice(0, magicIndex).join(path.sep) || path.sep,
+    maxDepth: rest.some(segment => segment.includes('**')) ? Infinity : rest.length - 1,
+  }
+}
+
+/**
+ * 按 glob 模式查找文件，支持 **、*、?、[...] 和 {a,b}
+ * 不含通配符的模式按普通文件路径处理；node_modules 和 .git 目录默认跳过
+ *
+ * @param {string|string[]} patterns - glob 模式或文件路径
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.cwd=process.cwd()] - 相对路径的基准目录
+ * @param {string[]} [options.ignore=['node_modules', '.git']] - 遍历时跳过的目录名
+ * @returns {Promise<string[]>} 去重并排序后的文件绝对路径
+ *
+ * @example
+ * const files = await expandGlob(['pages/*.{html,vue}', 'locales/*.json'])
+ */
+export async function expandGlob(patterns, { cwd = process.cwd(), ignore = DEFAULT_IGNORE } = {}) {
+  const files = new Set()
+
+  for (const rawPattern of [].concat(patterns)) {
+    const pattern = rawPattern.replace(/\\/g, '/')
+    const absolute = path.resolve(cwd, pattern)
+
+    if (!hasMagic(pattern)) {
+      if (existsSync(absolute) && statSync(absolute).isFile()) {
+        files.add(absolute)
+      }
+      continue
+    }
+
+    const { base, maxDepth } = getGlobBase(pattern, { cwd })
+    if (!existsSync(base) || !statSync(base).isDirectory()) {
+      continue
+    }
+
+    const matcher = globToRegExp(path.relative(base, absolute).split(path.sep).join('/'))
+    for (const file of await walk(base, maxDepth, ignore)) {
+      const relative = path.relative(base, file).split(path.sep).join('/')
+      if (matcher.test(relative)) {
+        files.add(file)
+      }
+    }
+  }
+
+  return [...files].sort()
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { expandGlob, getGlobBase, globToRegExp } from './glob.mjs'
+
+describe('globToRegExp', () => {
+  it('should match * within a single segment', () => {
+    const regExp = globToRegExp('*.html')
+    expect(regExp.test('index.html')).toBe(true)
+    expect(regExp.test('pages/index.html')).toBe(false)
+  })
+
+  it('should match ** across directories', () => {
+    const regExp = globToRegExp('**/*.vue')
+    expect(regExp.test('App.vue')).toBe(true)
+    expect(regExp.test('components/nested/Button.vue')).toBe(true)
+    expect(regExp.test('App.tsx')).toBe(false)
+  })
+
+  it('should support ?, [...] and {a,b}', () => {
+    expect(globToRegExp('page?.md').test('page1.md')).toBe(true)
+    expect(globToRegExp('[ab].txt').test('b.txt')).toBe(true)
+    expect(globToRegExp('[!ab].txt').test('b.txt')).toBe(false)
+    expect(globToRegExp('*.{jsx,tsx}').test('App.tsx')).toBe(true)
+    expect(globToRegExp('*.{jsx,tsx}').test('App.ts')).toBe(false)
+  })
+
+  it('should escape regular expression characters', () => {
+    expect(globToRegExp('a+b.(1).txt').test('a+b.(1).txt')).toBe(true)
+    expect(globToRegExp('a.txt').test('abtxt')).toBe(false)
+  })
+})
+
+describe('getGlobBase', () => {
+  const cwd = path.resolve('/app')
+
+  it('should start from the directory before the first glob segment', () => {
+    expect(getGlobBase('src/pages/*.vue', { cwd })).toEqual({
+      base: path.join(cwd, 'src/pages'),
+      maxDepth: 0,
+    })
+    expect(getGlobBase('src/*/locales/*.json', { cwd })).toEqual({ base: path.join(cwd, 'src'), maxDepth: 2 })
+    expect(getGlobBase('src/**/*.vue', { cwd })).toEqual({ base: path.join(cwd, 'src'), maxDepth: Infinity })
+  })
+
+  it('should use the directory of a plain file path', () => {
+    expect(getGlobBase('fonts/font.ttf', { cwd })).toEqual({ base: path.join(cwd, 'fonts'), maxDepth: 0 })
+  })
+})
+
+describe('expandGlob', () => {
+  let cwd
+
+  beforeAll(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'minify-font-glob-'))
+    const files = [
+      'index.html',
+      'about.html',
+      'src/App.vue',
+      'src/components/Button.vue',
+      'src/components/Button.tsx',
+      'locales/zh.json',
+      'node_modules/pkg/index.html',
+    ]
+    for (const file of files) {
+      mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true })
+      writeFileSync(path.join(cwd, file), '')
+    }
+  })
+
+  afterAll(() => {
+    rmSync(cwd, { recursive: true, force: true })
+  })
+
+  const relative = files => files.map(file => path.relative(cwd, file).split(path.sep).join('/'))
+
+  it('should expand patterns relative to cwd', async () => {
+    expect(relative(await expandGlob('*.html', { cwd }))).toEqual(['about.html', 'index.html'])
+  })
+
+  it('should walk nested directories for **', async () => {
+    expect(relative(await expandGlob('src/**/*.vue', { cwd }))).toEqual([
+      'src/App.vue',
+      'src/components/Button.vue',
+    ])
+  })
+
+  it('should skip node_modules while walking', async () => {
+    expect(relative(await expandGlob('**/*.html', { cwd }))).toEqual(['about.html', 'index.html'])
+  })
+
+  it('should accept several patterns and deduplicate', async () => {
+    const files = await expandGlob(['src/**/*.{vue,tsx}', 'src/App.vue', 'locales/*.json'], { cwd })
+    expect(relative(files)).toEqual([
+      'locales/zh.json',
+      'src/App.vue',
+      'src/components/Button.tsx',
+      'src/components/Button.vue',
+    ])
+  })
+
+  it('should treat patterns without glob syntax as file paths', async () => {
+    expect(relative(await expandGlob(['index.html', 'missing.html', 'src'], { cwd }))).toEqual(['index.html'])
+  })
+
+  it('should return an empty list when nothing matches', async () => {
+    expect(await expandGlob('missing/**/*.md', { cwd })).toEqual([])
+  })
+})
@@ -1,2 +1,12 @@
 export { minifyFont } from './minify-font.mjs'
+export { minifyFonts } from './minify-fonts.mjs'
+export { inspectFont, listFontFaces } from './inspect-font.mjs'
+export { clearCache } from './font-cache.mjs'
 export { createWebFonts } from './create-web-fonts.mjs'
+export { subsetFontBuffer, subsetFontToFormats } from './subset-font-buffer.mjs'
+export { detectFontType } from './detect-font-type.mjs'
+export { sliceFont, createFontSlices } from './slice-font.mjs'
+export { scanText, extractText } from './scan-text.mjs'
+export { createFontFaceCSS } from './font-face-css.mjs'
+export { createFontMiddleware } from './font-middleware.mjs'
+export { DEFAULT_LAYOUT_FEATURES } from './layout-subset.mjs'
@@ -0,0 +1,173 @@
+import { existsSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { prepareInput, parseFont } from './subset-font-buffer.mjs'
+import { resolveFontType, getExtType } from './detect-font-type.mjs'
+import { getFontMeta } from './font-meta.mjs'
+import { getFontLicense } from './font-license.mjs'
+import { readTableTags } from './sfnt.mjs'
+import { groupByUnicodeBlock } from './unicode-blocks.mjs'
+
+// Tables holding TrueType hinting instructions
+const HINTING_TABLES = ['fpgm', 'prep', 'cvt']
+
+// Tables holding kerning pairs
+const KERNING_TABLES = ['kern', 'GPOS']
+
+/**
+ * Read a font file, or take font data as it is
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} input - Font file path or font data
+ * @param {string} [inputType] - Declared input font type
+ * @returns {Promise<{data: Buffer|Uint8Array|ArrayBuffer, inputType: string}>} Font data and its type
+ * @throws {Error} When the input file does not exist
+ */
+async function readInput(input, inputType) {
+  if (typeof input !== 'string') {
+    return { data: input, inputType }
+  }
+  if (!existsSync(input)) {
+    throw new Error(`${input} is not exists`)
+  }
+  const data = await readFile(input)
+  return {
+    data,
+    inputType: inputType || resolveFontType(data, getExtType(input), `the extension of ${input}`),
+  }
+}
+
+/**
+ * 查看字体信息，在裁剪之前了解字体包含的内容
+ *
+ * 只解析字体的表信息，不会解析字形轮廓，大型中文字体也很快。
+ *
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} input - 字体文件路径或字体数据
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.inputType] - 输入字体格式，默认根据文件内容识别
+ * @param {number|string} [options.face=0] - 字体集合（.ttc/.otc）中要查看的字体，索引或 PostScript 名称
+ * @returns {Promise<Object>} 字体信息
+ * @returns {string} return.type - 字体格式，字体集合为所选字体的格式（ttf 或 otf）
+ * @returns {number} return.size - 字体字节数，字体集合为所选字体单独保存时的字节数
+ * @returns {number} [return.face] - 字体集合中所选字体的索引（仅字体集合）
+ * @returns {Array<Object>} [return.faces] - 字体集合中的所有字体，同 listFontFaces 的返回值（仅字体集合）
+ * @returns {string} return.family - 字体族名称
+ * @returns {string} return.subfamily - 字体样式名称，如 Regular、Bold
+ * @returns {string} return.fullName - 字体全名
+ * @returns {string} return.postScriptName - PostScript 名称
+ * @returns {string} return.version - 字体版本
+ * @returns {number} return.weight - 字重，如 400、700
+ * @returns {string} return.style - 样式：normal、italic 或 oblique
+ * @returns {number} return.glyphs - 字形数
+ * @returns {number} return.chars - 字体包含的字符数
+ * @returns {Array<Object>} return.blocks - 按 Unicode 区块统计的字符数 [{ block, chars }]
+ * @returns {string[]} return.tables - 字体包含的表，SVG 字体为空数组
+ * @returns {boolean} return.hinting - 是否包含 hinting 指令（fpgm、prep、cvt 表）
+ * @returns {boolean} return.kerning - 是否包含字距调整（kern、GPOS 表）
+ * @returns {boolean} return.gsub - 是否包含 GSUB 表（连字、字形替换等 OpenType 特性）
+ * @returns {number} return.unitsPerEm - 每 em 的设计单位数
+ * @returns {Object} return.metrics - 垂直度量：ascender、descender、lineGap（hhea），
+ *   typoAscender、typoDescender、typoLineGap（OS/2），winAscent、winDescent（OS/2）
+ * @returns {Object} return.embedding - 嵌入许可（OS/2 fsType）：fsType 原始值，
+ *   permission（installable、restricted、preview-print、editable），subsetting 是否允许裁剪，
+ *   bitmapOnly 是否只允许嵌入位图
+ * @returns {Object} return.license - 授权信息（name 表）：copyright 版权声明，description 许可证描述，url 许可证链接，
+ *   字体没有时为 null
+ * @throws {Error} 输入文件不存在时抛出错误
+ * @throws {Error} 不支持的字体格式时抛出错误
+ * @throws {Error} 字体集合中没有 face 指定的字体时抛出错误
+ *
+ * @example
+ * const info = await inspectFont('./font.ttf')
+ * console.log(`${info.family} ${info.subfamily}: ${info.glyphs} glyphs, ${info.chars} chars`)
+ *
+ * @example
+ * // 裁剪前检查授权
+ * const { embedding } = await inspectFont(await readFile('./font.woff2'))
+ * if (!embedding.subsetting) {
+ *   console.warn('The font license does not allow subsetting')
+ * }
+ */
+export async function inspectFont(input, { inputType, face } = {}) {
+  const source = await readInput(input, inputType)
+  const font = await prepareInput(source.data, source.inputType, [], face)
+  // Subset parsing keeps the source maxp and cmap tables but skips the glyph outlines
+  const ttf = parseFont(font.buffer, font.inputType, ' ').get()
+  const name = ttf.name || {}
+  const hhea = ttf.hhea || {}
+  const os2 = ttf['OS/2'] || {}
+  const codePoints = Object.keys(ttf.cmap || {}).map(Number)
+  const tables = readTableTags(font.buffer, font.inputType)
+
+  return {
+    type: font.inputType,
+    size: font.buffer.length,
+    ...(font.faces && {
+      face: font.face,
+      faces: await listFontFaces(source.data, { inputType: source.inputType }),
+    }),
+    ...getFontMeta(ttf),
+    fullName: name.fullName,
+    postScriptName: name.postScriptName,
+    version: name.version,
+    glyphs: (ttf.maxp && ttf.maxp.numGlyphs) || ttf.glyf.length,
+    chars: codePoints.length,
+    blocks: groupByUnicodeBlock(codePoints).map(group => ({
+      block: group.block,
+      chars: group.codePoints.length,
+    })),
+    tables,
+    hinting: tables.some(tag => HINTING_TABLES.includes(tag)),
+    kerning: tables.some(tag => KERNING_TABLES.includes(tag)),
+    gsub: tables.includes('GSUB'),
+    unitsPerEm: ttf.head && ttf.head.unitsPerEm,
+    metrics: {
+      ascender: hhea.ascent,
+      descender: hhea.descent,
+      lineGap: hhea.lineGap,
+      typoAscender: os2.sTypoAscender,
+      typoDescender: os2.sTypoDescender,
+      typoLineGap: os2.sTypoLineGap,
+      winAscent: os2.usWinAscent,
+      winDescent: os2.usWinDescent,
+    },
+    ...getFontLicense(ttf),
+  }
+}
+
+/**
+ * 列出字体集合（.ttc/.otc）中的所有字体，用于选择 minifyFont 等函数的 face 选项
+ *
+ * 单个字体返回只有一项的数组。
+ *
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} input - 字体文件路径或字体数据
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.inputType] - 输入字体格式，默认根据文件内容识别
+ * @returns {Promise<Array<Object>>} 每个字体的信息
+ * @returns {number} return[].index - 字体索引，从 0 开始
+ * @returns {string} return[].family - 字体族名称
+ * @returns {string} return[].subfamily - 字体样式名称，如 Regular、Bold
+ * @returns {string} return[].fullName - 字体全名
+ * @returns {string} return[].postScriptName - PostScript 名称，可以作为 face 选项
+ * @returns {number} return[].weight - 字重，如 400、700
+ * @returns {string} return[].style - 样式：normal、italic 或 oblique
+ * @throws {Error} 输入文件不存在时抛出错误
+ * @throws {Error} 不支持的字体格式时抛出错误
+ *
+ * @example
+ * const faces = await listFontFaces('./NotoSansCJK-Regular.ttc')
+ * // [{ index: 0, family: 'Noto Sans CJK JP', postScriptName: 'NotoSansCJKjp-Regular', ... }, ...]
+ * const { index } = faces.find(face => face.postScriptName === 'NotoSansCJKsc-Regular')
+ */
+export async function listFontFaces(input, { inputType } = {}) {
+  const source = await readInput(input, inputType)
+  const first = await prepareInput(source.data, source.inputType, [], 0)
+  const faces = []
+
+  for (let index = 0; index < (first.faces || 1); index++) {
+    const font = index === 0 ? first : await prepareInput(source.data, source.inputType, [], index)
+    // As in inspectFont, a single code point skips the glyph outlines
+    const ttf = parseFont(font.buffer, font.inputType, ' ').get()
+    const name = ttf.name || {}
+    faces.push({ index, ...getFontMeta(ttf), fullName: name.fullName, postScriptName: name.postScriptName })
+  }
+
+  return faces
+}
@@ -0,0 +1,271 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { inspectFont, listFontFaces } from './inspect-font.mjs'
+
+// Mock dependencies
+vi.mock('fonteditor-core', () => ({
+  Font: {
+    create: vi.fn(),
+  },
+  woff2: {
+    init: vi.fn(),
+    decode: vi.fn(),
+  },
+  eot2ttf: vi.fn(),
+}))
+
+import { Font, woff2 } from 'fonteditor-core'
+
+// sfnt data with a table directory of the given tags
+function sfnt(tags, signature = 0x00010000) {
+  const data = Buffer.alloc(12 + tags.length * 16)
+  data.writeUInt32BE(signature, 0)
+  data.writeUInt16BE(tags.length, 4)
+  tags.forEach((tag, index) => data.write(tag.padEnd(4), 12 + index * 16, 'latin1'))
+  return data
+}
+
+// WOFF data with a table directory of the given tags
+function woff(tags) {
+  const data = Buffer.alloc(44 + tags.length * 20)
+  data.write('wOFF', 0, 'latin1')
+  data.writeUInt16BE(tags.length, 12)
+  tags.forEach((tag, index) => data.write(tag.padEnd(4), 44 + index * 20, 'latin1'))
+  return data
+}
+
+// Font collection of the given sfnt faces, without a head table whose checksum would be rewritten
+function ttc(faces) {
+  const header = Buffer.alloc(12 + faces.length * 4)
+  header.write('ttcf', 0, 'latin1')
+  header.writeUInt32BE(faces.length, 8)
+  let offset = header.length
+  faces.forEach((face, index) => {
+    header.writeUInt32BE(offset, 12 + index * 4)
+    offset += face.length
+  })
+  return Buffer.concat([header, ...faces])
+}
+
+describe('inspectFont', () => {
+  const ttf = {
+    name: {
+      fontFamily: 'Brand Sans',
+      fontSubFamily: 'Bold',
+      fullName: 'Brand Sans Bold',
+      postScriptName: 'BrandSans-Bold',
+      version: 'Version 1.000',
+    },
+    head: { unitsPerEm: 1000, macStyle: 0 },
+    hhea: { ascent: 880, descent: -120, lineGap: 0 },
+    'OS/2': {
+      usWeightClass: 700,
+      fsSelection: 0,
+      fsType: 0,
+      sTypoAscender: 800,
+      sTypoDescender: -200,
+      sTypoLineGap: 90,
+      usWinAscent: 900,
+      usWinDescent: 150,
+    },
+    maxp: { numGlyphs: 5 },
+    cmap: { 0x41: 1, 0x42: 2, 0x4e2d: 3, 0x6587: 4 },
+    glyf: [{}],
+  }
+
+  const mockFont = (overrides = {}) =>
+    vi.mocked(Font.create).mockReturnValue({ get: () => ({ ...ttf, ...overrides }) })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockFont()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should describe a font', async () => {
+    const data = sfnt(['GSUB', 'OS/2', 'cmap', 'cvt', 'fpgm', 'glyf', 'head'])
+
+    expect(await inspectFont(data)).toEqual({
+      type: 'ttf',
+      size: data.length,
+      family: 'Brand Sans',
+      subfamily: 'Bold',
+      weight: 700,
+      style: 'normal',
+      fullName: 'Brand Sans Bold',
+      postScriptName: 'BrandSans-Bold',
+      version: 'Version 1.000',
+      glyphs: 5,
+      chars: 4,
+      blocks: [
+        { block: 'Basic Latin', chars: 2 },
+        { block: 'CJK Unified Ideographs', chars: 2 },
+      ],
+      tables: ['GSUB', 'OS/2', 'cmap', 'cvt', 'fpgm', 'glyf', 'head'],
+      hinting: true,
+      kerning: false,
+      gsub: true,
+      unitsPerEm: 1000,
+      metrics: {
+        ascender: 880,
+        descender: -120,
+        lineGap: 0,
+        typoAscender: 800,
+        typoDescender: -200,
+        typoLineGap: 90,
+        winAscent: 900,
+        winDescent: 150,
+      },
+      embedding: { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false },
+      license: { copyright: null, description: null, url: null },
+    })
+  })
+
+  it('should only parse a single glyph', async () => {
+    await inspectFont(sfnt(['head']))
+
+    expect(Font.create).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ subset: [0x20] }))
+  })
+
+  it('should detect kerning without hinting', async () => {
+    const info = await inspectFont(sfnt(['CFF', 'GPOS', 'head'], 0x4f54544f))
+
+    expect(info.type).toBe('otf')
+    expect(info.hinting).toBe(false)
+    expect(info.kerning).toBe(true)
+    expect(info.gsub).toBe(false)
+  })
+
+  it('should read the table directory of WOFF and WOFF2 fonts', async () => {
+    expect((await inspectFont(woff(['GPOS', 'glyf']))).tables).toEqual(['GPOS', 'glyf'])
+
+    vi.mocked(woff2.decode).mockReturnValue(new Uint8Array(sfnt(['kern', 'loca'])))
+    const data = Buffer.concat([Buffer.from('wOF2', 'latin1'), Buffer.alloc(44)])
+    const info = await inspectFont(data)
+
+    expect(woff2.init).toHaveBeenCalled()
+    expect(woff2.decode).toHaveBeenCalledWith(data)
+    expect(info.tables).toEqual(['kern', 'loca'])
+    expect(info.kerning).toBe(true)
+  })
+
+  it('should describe embedding permissions', async () => {
+    mockFont({ 'OS/2': { fsType: 0x0302 } })
+    expect((await inspectFont(sfnt(['head']))).embedding).toEqual({
+      fsType: 0x0302,
+      permission: 'restricted',
+      subsetting: false,
+      bitmapOnly: true,
+    })
+
+    mockFont({ 'OS/2': { fsType: 0x000c } })
+    expect((await inspectFont(sfnt(['head']))).embedding.permission).toBe('editable')
+
+    mockFont({ 'OS/2': { fsType: 0x0004 } })
+    expect((await inspectFont(sfnt(['head']))).embedding.permission).toBe('preview-print')
+  })
+
+  it('should read the license names', async () => {
+    mockFont({
+      name: {
+        copyright: 'Copyright 2024 Brand',
+        licence: 'Licensed under the SIL Open Font License',
+        urlOfLicence: 'https://openfontlicense.org',
+      },
+    })
+
+    expect((await inspectFont(sfnt(['head']))).license).toEqual({
+      copyright: 'Copyright 2024 Brand',
+      description: 'Licensed under the SIL Open Font License',
+      url: 'https://openfontlicense.org',
+    })
+  })
+
+  it('should fall back to the parsed glyphs without a maxp table', async () => {
+    mockFont({ maxp: undefined, glyf: [{}, {}] })
+
+    expect((await inspectFont(sfnt(['head']))).glyphs).toBe(2)
+  })
+
+  it('should describe the selected face of a collection', async () => {
+    const data = ttc([sfnt(['glyf', 'name']), sfnt(['CFF', 'name'], 0x4f54544f)])
+
+    const info = await inspectFont(data, { face: 1 })
+
+    expect(info.type).toBe('otf')
+    expect(info.tables).toEqual(['CFF', 'name'])
+    expect(info.face).toBe(1)
+    expect(info.faces.map(({ index, postScriptName }) => ({ index, postScriptName }))).toEqual([
+      { index: 0, postScriptName: 'BrandSans-Bold' },
+      { index: 1, postScriptName: 'BrandSans-Bold' },
+    ])
+    expect((await inspectFont(data)).face).toBe(0)
+    expect((await inspectFont(sfnt(['head']))).faces).toBeUndefined()
+  })
+
+  describe('File Input', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), 'minify-font-inspect-'))
+    })
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should read a font file', async () => {
+      const file = path.join(dir, 'font.ttf')
+      writeFileSync(file, sfnt(['head', 'name']))
+
+      const info = await inspectFont(file)
+
+      expect(info.tables).toEqual(['head', 'name'])
+      expect(info.family).toBe('Brand Sans')
+    })
+
+    it('should throw error if the file does not exist', async () => {
+      const file = path.join(dir, 'missing.ttf')
+
+      await expect(inspectFont(file)).rejects.toThrow(`${file} is not exists`)
+    })
+  })
+})
+
+describe('listFontFaces', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(Font.create).mockImplementation(data => ({
+      get: () => ({
+        name: {
+          fontFamily: 'Brand Sans',
+          fontSubFamily: data.readUInt32BE(0) === 0x4f54544f ? 'Bold' : 'Regular',
+          fullName: 'Brand Sans',
+          postScriptName: data.readUInt32BE(0) === 0x4f54544f ? 'BrandSans-Bold' : 'BrandSans-Regular',
+        },
+        'OS/2': { usWeightClass: data.readUInt32BE(0) === 0x4f54544f ? 700 : 400, fsSelection: 0 },
+        head: { macStyle: 0 },
+      }),
+    }))
+  })
+
+  it('should list every face of a collection', async () => {
+    const faces = await listFontFaces(ttc([sfnt(['glyf']), sfnt(['CFF'], 0x4f54544f)]))
+
+    expect(faces).toEqual([
+      expect.objectContaining({ index: 0, postScriptName: 'BrandSans-Regular', weight: 400 }),
+      expect.objectContaining({ index: 1, postScriptName: 'BrandSans-Bold', weight: 700 }),
+    ])
+  })
+
+  it('should list a single font as one face', async () => {
+    expect(await listFontFaces(sfnt(['head']))).toEqual([
+      expect.objectContaining({ index: 0, family: 'Brand Sans', postScriptName: 'BrandSans-Regular' }),
+    ])
+  })
+})
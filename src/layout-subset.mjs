@@ -0,0 +1,628 @@
+import { Font } from 'fonteditor-core'
+import { toCodePoints } from './code-points.mjs'
+import { decodeSfnt, readSfntTables, writeFontTables } from './sfnt.mjs'
+import { getContextKind, parseLayoutTable, writeLayoutTable } from './layout-tables.mjs'
+
+/**
+ * Subsetting that keeps OpenType layout features
+ *
+ * Glyph IDs are left unchanged, like hb-subset --retain-gids: glyphs outside the subset are emptied
+ * instead of removed. GDEF, kern, vmtx and the hinting instructions then stay valid when copied from
+ * the source font, and GSUB and GPOS only need to be pruned, never renumbered.
+ */
+
+// Features kept when the caller does not list any, the set HarfBuzz applies by default
+export const DEFAULT_LAYOUT_FEATURES = [
+  // Common
+  'rvrn',
+  'ccmp',
+  'liga',
+  'locl',
+  'mark',
+  'mkmk',
+  'rlig',
+  // Fractions
+  'frac',
+  'numr',
+  'dnom',
+  // Horizontal
+  'calt',
+  'clig',
+  'curs',
+  'kern',
+  'rclt',
+  // Vertical
+  'valt',
+  'vert',
+  'vkrn',
+  'vpal',
+  'vrt2',
+  // Directional
+  'ltra',
+  'ltrm',
+  'rtla',
+  'rtlm',
+  // Arabic and Syriac
+  'init',
+  'medi',
+  'fina',
+  'isol',
+  'med2',
+  'fin2',
+  'fin3',
+  'cswh',
+  'mset',
+  'stch',
+  // Hangul
+  'ljmo',
+  'vjmo',
+  'tjmo',
+  // Indic and other complex scripts
+  'nukt',
+  'akhn',
+  'rphf',
+  'rkrf',
+  'pref',
+  'blwf',
+  'half',
+  'abvf',
+  'pstf',
+  'cfar',
+  'vatu',
+  'cjct',
+  'pres',
+  'abvs',
+  'blws',
+  'psts',
+  'haln',
+  'dist',
+  'abvm',
+  'blwm',
+]
+
+// Output types that wrap an sfnt, the only ones that can hold layout tables
+export const LAYOUT_OUTPUT_TYPES = ['ttf', 'woff', 'woff2', 'eot']
+
+// Tables fonteditor-core drops, copied from the source font as they stay valid with unchanged glyph IDs
+const RETAINED_TABLES = ['GDEF', 'BASE', 'vhea', 'vmtx']
+
+/**
+ * Check a list of feature tags
+ * @param {*} tags - Tags given by the caller
+ * @param {string} name - Option name for the error message
+ * @throws {Error} When tags is not an array of 4-character tags
+ */
+function assertFeatureTags(tags, name) {
+  if (!Array.isArray(tags)) {
+    throw new Error(`${name} must be an array of feature tags`)
+  }
+  tags.forEach(tag => {
+    if (typeof tag !== 'string' || !/^[\x20-\x7e]{4}$/.test(tag)) {
+      throw new Error(`Invalid layout feature tag: ${JSON.stringify(tag)}`)
+    }
+  })
+}
+
+/**
+ * Resolve the layout option to a feature filter
+ * @param {boolean|Object} layout - true for the default features, or { features, dropFeatures }
+ * @param {string[]|string} [layout.features] - Features to keep, '*' for every feature, DEFAULT_LAYOUT_FEATURES by default
+ * @param {string[]} [layout.dropFeatures] - Features to drop, applied after features
+ * @returns {(tag: string) => boolean} Whether a feature is kept
+ * @throws {Error} When the option or a tag is invalid
+ */
+export function resolveLayoutFeatures(layout) {
+  if (layout !== true && (!layout || typeof layout !== 'object')) {
+    throw new Error('layout must be true or an object')
+  }
+
+  const { features = DEFAULT_LAYOUT_FEATURES, dropFeatures = [] } = layout === true ? {} : layout
+  if (features !== '*') {
+    assertFeatureTags(features, 'layout.features')
+  }
+  assertFeatureTags(dropFeatures, 'layout.dropFeatures')
+
+  const kept = features === '*' ? null : new Set(features)
+  const dropped = new Set(dropFeatures)
+  return tag => (!kept || kept.has(tag)) && !dropped.has(tag)
+}
+
+/**
+ * List the rules of a contextual subtable, format 3 subtables being a single rule
+ * @param {Object} subtable - Contextual subtable
+ * @returns {Object[]} Rules, each with its sequence lookup records
+ */
+function getRules(subtable) {
+  if (subtable.format === 1) {
+    return [...subtable.rules.values()].flat()
+  }
+  if (subtable.format === 2) {
+    return subtable.classSets.filter(Boolean).flat()
+  }
+  return [subtable]
+}
+
+/**
+ * Collect the lookups of the kept features, and the lookups their contextual rules call
+ * @param {Object} table - Table from parseLayoutTable
+ * @param {string} tag - GSUB or GPOS
+ * @param {(tag: string) => boolean} keepFeature - Feature filter
+ * @returns {Set<number>} Lookup indices
+ */
+function collectLookups(table, tag, keepFeature) {
+  const lookups = new Set()
+  const visit = index => {
+    const lookup = table.lookups[index]
+    if (!lookup || lookups.has(index)) {
+      return
+    }
+    lookups.add(index)
+    if (getContextKind(tag, lookup.type)) {
+      lookup.subtables.forEach(subtable =>
+        getRules(subtable).forEach(rule => rule.records.forEach(record => visit(record.lookupIndex)))
+      )
+    }
+  }
+
+  table.features
+    .filter(feature => keepFeature(feature.tag))
+    .forEach(feature => feature.lookupIndices.forEach(visit))
+  return lookups
+}
+
+/**
+ * Add the glyphs the kept GSUB features can substitute for retained glyphs, until nothing changes
+ * Contexts are not evaluated, so a substitution counts as soon as its input glyphs are retained
+ * @param {Object} gsub - GSUB table from parseLayoutTable
+ * @param {(tag: string) => boolean} keepFeature - Feature filter
+ * @param {Set<number>} glyphs - Retained glyph IDs, updated in place
+ */
+export function closeGlyphs(gsub, keepFeature, glyphs) {
+  const lookups = [...collectLookups(gsub, 'GSUB', keepFeature)].map(index => gsub.lookups[index])
+  const has = glyph => glyphs.has(glyph)
+  let size
+  do {
+    size = glyphs.size
+    lookups.forEach(({ type, subtables }) =>
+      subtables.forEach(subtable => {
+        if (type === 1 || type === 8) {
+          subtable.glyphs.forEach((output, input) => has(input) && glyphs.add(output))
+        } else if (type === 2 || type === 3) {
+          subtable.sequences.forEach(
+            (outputs, input) => has(input) && outputs.forEach(output => glyphs.add(output))
+          )
+        } else if (type === 4) {
+          subtable.ligatures.forEach(
+            (ligatures, first) =>
+              has(first) &&
+              ligatures.forEach(ligature => ligature.components.every(has) && glyphs.add(ligature.glyph))
+          )
+        }
+      })
+    )
+  } while (glyphs.size !== size)
+}
+
+/**
+ * Keep the entries of a map whose glyph is retained
+ * @param {Map<number, *>} map - Entries by glyph ID
+ * @param {(glyph: number, value: *) => boolean} keep - Entry filter
+ * @returns {Map<number, *>} Filtered map
+ */
+function filterMap(map, keep) {
+  return new Map([...map].filter(([glyph, value]) => keep(glyph, value)))
+}
+
+/**
+ * Prune a contextual subtable to the retained glyphs
+ * @param {Object} subtable - Contextual subtable
+ * @param {Set<number>} glyphs - Retained glyph IDs
+ * @returns {Object|null} Pruned copy, null when no rule can match anymore
+ */
+function pruneContext(subtable, glyphs) {
+  const has = glyph => glyphs.has(glyph)
+
+  if (subtable.format === 1) {
+    const rules = new Map()
+    subtable.rules.forEach((ruleSet, glyph) => {
+      const kept = has(glyph)
+        ? ruleSet.filter(rule =>
+            [rule.backtrack, rule.input, rule.lookahead].every(sequence => sequence.every(has))
+          )
+        : []
+      if (kept.length) {
+        rules.set(
+          glyph,
+          kept.map(rule => ({ ...rule }))
+        )
+      }
+    })
+    return rules.size ? { ...subtable, rules } : null
+  }
+
+  if (subtable.format === 2) {
+    const coverage = subtable.coverage.filter(has)
+    const backtrackClassDef = filterMap(subtable.backtrackClassDef, has)
+    const inputClassDef = filterMap(subtable.inputClassDef, has)
+    const lookaheadClassDef = filterMap(subtable.lookaheadClassDef, has)
+    // Class 0 holds every glyph without a class, some retained glyph is always left in it
+    const classes = classDef => new Set([0, ...classDef.values()])
+    const [backtrackClasses, inputClasses, lookaheadClasses] = [
+      backtrackClassDef,
+      inputClassDef,
+      lookaheadClassDef,
+    ].map(classes)
+    const firstClasses = new Set(coverage.map(glyph => inputClassDef.get(glyph) || 0))
+
+    const classSets = subtable.classSets.map((rules, index) => {
+      const kept = (rules && firstClasses.has(index) ? rules : []).filter(
+        rule =>
+          rule.backtrack.every(value => backtrackClasses.has(value)) &&
+          rule.input.every(value => inputClasses.has(value)) &&
+          rule.lookahead.every(value => lookaheadClasses.has(value))
+      )
+      return kept.length ? kept.map(rule => ({ ...rule })) : null
+    })
+    return classSets.some(Boolean)
+      ? { ...subtable, coverage, backtrackClassDef, inputClassDef, lookaheadClassDef, classSets }
+      : null
+  }
+
+  const [backtrack, input, lookahead] = [subtable.backtrack, subtable.input, subtable.lookahead].map(
+    coverages => coverages.map(coverage => coverage.filter(has))
+  )
+  return [...backtrack, ...input, ...lookahead].every(coverage => coverage.length)
+    ? { ...subtable, backtrack, input, lookahead }
+    : null
+}
+
+/**
+ * Prune a subtable to the retained glyphs
+ * @param {string} tag - GSUB or GPOS
+ * @param {number} type - Lookup type
+ * @param {Object} subtable - Subtable
+ * @param {Set<number>} glyphs - Retained glyph IDs
+ * @returns {Object|null} Pruned copy, null when nothing is left
+ */
+function pruneSubtable(tag, type, subtable, glyphs) {
+  const has = glyph => glyphs.has(glyph)
+  const nonEmpty = (pruned, key) => (pruned[key].size ? pruned : null)
+
+  if (getContextKind(tag, type)) {
+    return pruneContext(subtable, glyphs)
+  }
+
+  if (tag === 'GSUB') {
+    switch (type) {
+      case 1:
+        return nonEmpty(
+          { glyphs: filterMap(subtable.glyphs, (input, output) => has(input) && has(output)) },
+          'glyphs'
+        )
+      case 2:
+        return nonEmpty(
+          { sequences: filterMap(subtable.sequences, (input, outputs) => has(input) && outputs.every(has)) },
+          'sequences'
+        )
+      case 3: {
+        const sequences = new Map()
+        subtable.sequences.forEach((alternates, input) => {
+          const kept = has(input) ? alternates.filter(has) : []
+          if (kept.length) {
+            sequences.set(input, kept)
+          }
+        })
+        return nonEmpty({ sequences }, 'sequences')
+      }
+      case 4: {
+        const ligatures = new Map()
+        subtable.ligatures.forEach((entries, first) => {
+          const kept = has(first)
+            ? entries.filter(ligature => has(ligature.glyph) && ligature.components.every(has))
+            : []
+          if (kept.length) {
+            ligatures.set(first, kept)
+          }
+        })
+        return nonEmpty({ ligatures }, 'ligatures')
+      }
+      case 8: {
+        const [backtrack, lookahead] = [subtable.backtrack, subtable.lookahead].map(coverages =>
+          coverages.map(coverage => coverage.filter(has))
+        )
+        if ([...backtrack, ...lookahead].some(coverage => !coverage.length)) {
+          return null
+        }
+        const pruned = {
+          backtrack,
+          lookahead,
+          glyphs: filterMap(subtable.glyphs, (input, output) => has(input) && has(output)),
+        }
+        return nonEmpty(pruned, 'glyphs')
+      }
+    }
+  }
+
+  switch (type) {
+    case 1:
+      return nonEmpty({ ...subtable, values: filterMap(subtable.values, has) }, 'values')
+    case 2: {
+      if (subtable.format === 2) {
+        const coverage = subtable.coverage.filter(has)
+        return coverage.length
+          ? {
+              ...subtable,
+              coverage,
+              classDef1: filterMap(subtable.classDef1, has),
+              classDef2: filterMap(subtable.classDef2, has),
+            }
+          : null
+      }
+      const pairs = new Map()
+      subtable.pairs.forEach((entries, first) => {
+        const kept = has(first) ? entries.filter(pair => has(pair.secondGlyph)) : []
+        if (kept.length) {
+          pairs.set(first, kept)
+        }
+      })
+      return nonEmpty({ ...subtable, pairs }, 'pairs')
+    }
+    case 3:
+      return nonEmpty({ entryExits: filterMap(subtable.entryExits, has) }, 'entryExits')
+    default: {
+      // Mark to base, mark to ligature and mark to mark attachment
+      const marks = filterMap(subtable.marks, has)
+      const bases = filterMap(subtable.bases, has)
+      return marks.size && bases.size ? { ...subtable, marks, bases } : null
+    }
+  }
+}
+
+/**
+ * Prune a GSUB or GPOS table to the kept features and the retained glyphs
+ *
+ * Lookups that no kept feature reaches, and subtables and rules that can no longer match, are
+ * removed, and the remaining lookups and features are renumbered.
+ *
+ * @param {Object} table - Table from parseLayoutTable
+ * @param {string} tag - GSUB or GPOS
+ * @param {Set<number>} glyphs - Retained glyph IDs
+ * @param {(tag: string) => boolean} keepFeature - Feature filter
+ * @returns {Object|null} Pruned table, null when no feature is left
+ */
+export function subsetLayoutTable(table, tag, glyphs, keepFeature) {
+  const reachable = collectLookups(table, tag, keepFeature)
+  const lookupIndices = new Map()
+  const lookups = []
+  table.lookups.forEach((lookup, index) => {
+    const subtables = reachable.has(index)
+      ? lookup.subtables.map(subtable => pruneSubtable(tag, lookup.type, subtable, glyphs)).filter(Boolean)
+      : []
+    if (subtables.length) {
+      lookupIndices.set(index, lookups.length)
+      lookups.push({ ...lookup, subtables })
+    }
+  })
+
+  const remapLookups = indices =>
+    indices.filter(index => lookupIndices.has(index)).map(index => lookupIndices.get(index))
+
+  // Rules are copies made by pruneContext, so their records can be renumbered in place
+  lookups
+    .filter(lookup => getContextKind(tag, lookup.type))
+    .forEach(lookup =>
+      lookup.subtables.forEach(subtable =>
+        getRules(subtable).forEach(rule => {
+          rule.records = rule.records
+            .filter(record => lookupIndices.has(record.lookupIndex))
+            .map(record => ({ ...record, lookupIndex: lookupIndices.get(record.lookupIndex) }))
+        })
+      )
+    )
+
+  const featureIndices = new Map()
+  const features = []
+  table.features.forEach((feature, index) => {
+    const indices = keepFeature(feature.tag) ? remapLookups(feature.lookupIndices) : []
+    // Features such as size only carry parameters
+    if (indices.length || (keepFeature(feature.tag) && feature.params)) {
+      featureIndices.set(index, features.length)
+      features.push({ ...feature, lookupIndices: indices })
+    }
+  })
+  if (!features.length) {
+    return null
+  }
+
+  const remapLangSys = langSys =>
+    langSys && {
+      requiredFeatureIndex: featureIndices.has(langSys.requiredFeatureIndex)
+        ? featureIndices.get(langSys.requiredFeatureIndex)
+        : 0xffff,
+      featureIndices: langSys.featureIndices
+        .filter(index => featureIndices.has(index))
+        .map(index => featureIndices.get(index)),
+    }
+
+  const scripts = table.scripts.map(script => ({
+    tag: script.tag,
+    defaultLangSys: remapLangSys(script.defaultLangSys),
+    langSys: script.langSys.map(langSys => ({ tag: langSys.tag, ...remapLangSys(langSys) })),
+  }))
+  return { scripts, features, lookups }
+}
+
+/**
+ * Prune the pairs of a legacy kern table to the retained glyphs
+ * Only the OpenType version 0 table with format 0 subtables lists pairs, other tables are kept unchanged
+ * @param {Buffer} data - kern table data
+ * @param {Set<number>} glyphs - Retained glyph IDs
+ * @returns {Buffer|null} Pruned table, null when no pair is left
+ */
+function subsetKernTable(data, glyphs) {
+  if (data.readUInt16BE(0) !== 0) {
+    return data
+  }
+
+  const subtables = []
+  let position = 4
+  for (let index = data.readUInt16BE(2); index > 0; index--) {
+    const coverage = data.readUInt16BE(position + 4)
+    if (coverage >> 8) {
+      const length = data.readUInt16BE(position + 2)
+      subtables.push(data.subarray(position, position + length))
+      position += length
+      continue
+    }
+
+    // The 16-bit length of large format 0 subtables overflows, the pair count is reliable
+    const nPairs = data.readUInt16BE(position + 6)
+    const pairs = []
+    for (let pair = 0; pair < nPairs; pair++) {
+      const record = position + 14 + pair * 6
+      if (glyphs.has(data.readUInt16BE(record)) && glyphs.has(data.readUInt16BE(record + 2))) {
+        pairs.push(data.subarray(record, record + 6))
+      }
+    }
+    position += 14 + nPairs * 6
+
+    if (pairs.length) {
+      const entrySelector = Math.floor(Math.log2(pairs.length))
+      const searchRange = 2 ** entrySelector * 6
+      const header = Buffer.alloc(14)
+      header.writeUInt16BE(Math.min(14 + pairs.length * 6, 0xffff), 2)
+      header.writeUInt16BE(coverage, 4)
+      header.writeUInt16BE(pairs.length, 6)
+      header.writeUInt16BE(searchRange, 8)
+      header.writeUInt16BE(entrySelector, 10)
+      header.writeUInt16BE(pairs.length * 6 - searchRange, 12)
+      subtables.push(Buffer.concat([header, ...pairs]))
+    }
+  }
+
+  if (!subtables.length) {
+    return null
+  }
+  const header = Buffer.alloc(4)
+  header.writeUInt16BE(subtables.length, 2)
+  return Buffer.concat([header, ...subtables])
+}
+
+/**
+ * Add the components of retained composite glyphs
+ * @param {Object[]} glyf - Glyphs of the font
+ * @param {Set<number>} glyphs - Retained glyph IDs, updated in place
+ */
+function closeComponents(glyf, glyphs) {
+  const pending = [...glyphs]
+  while (pending.length) {
+    const glyph = glyf[pending.pop()]
+    if (glyph && glyph.compound) {
+      glyph.glyfs.forEach(({ glyphIndex }) => {
+        if (!glyphs.has(glyphIndex)) {
+          glyphs.add(glyphIndex)
+          pending.push(glyphIndex)
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Parse a font and subset it to the text without renumbering glyphs, keeping its layout features
+ *
+ * The retained glyphs are the glyphs of the text, the glyphs the kept GSUB features substitute for
+ * them and the components of composite glyphs. The others stay as empty glyphs.
+ *
+ * @param {Buffer} data - Font data
+ * @param {string} inputType - Input font type
+ * @param {string} [text] - Characters to keep, every glyph is retained when empty
+ * @param {boolean|Object} layout - Layout option, see resolveLayoutFeatures
+ * @param {Object} [inputOptions] - Font read options
+ * @returns {{font: Font, tables: Map<string, Buffer|null>, glyphs: Set<number>}} Parsed font, tables
+ *   to add to (or remove from, when null) the written font, and the IDs of the retained glyphs
+ */
+export function subsetLayoutFont(data, inputType, text, layout, inputOptions) {
+  const keepFeature = resolveLayoutFeatures(layout)
+  const sfnt = decodeSfnt(data, inputType, inputOptions)
+  const source = sfnt ? readSfntTables(sfnt) : new Map()
+
+  const font = Font.create(data, { ...inputOptions, type: inputType })
+  const ttf = font.get()
+  const codePoints = text ? new Set(toCodePoints(text)) : null
+
+  let glyphs
+  if (codePoints) {
+    glyphs = new Set([0])
+    Object.entries(ttf.cmap || {}).forEach(([codePoint, glyph]) => {
+      if (codePoints.has(Number(codePoint))) {
+        glyphs.add(glyph)
+      }
+    })
+  } else {
+    glyphs = new Set(ttf.glyf.keys())
+  }
+
+  const [gsub, gpos] = ['GSUB', 'GPOS'].map(tag => source.has(tag) && parseLayoutTable(source.get(tag), tag))
+  if (gsub) {
+    closeGlyphs(gsub, keepFeature, glyphs)
+  }
+  closeComponents(ttf.glyf, glyphs)
+
+  ttf.glyf.forEach((glyph, index) => {
+    if (!glyphs.has(index)) {
+      ttf.glyf[index] = {
+        contours: [],
+        xMin: 0,
+        yMin: 0,
+        xMax: 0,
+        yMax: 0,
+        advanceWidth: 0,
+        leftSideBearing: 0,
+      }
+    } else if (codePoints && glyph.unicode) {
+      // Glyphs reached through substitutions keep their outlines but only map the requested characters
+      glyph.unicode = glyph.unicode.filter(codePoint => codePoints.has(codePoint))
+      if (!glyph.unicode.length) {
+        delete glyph.unicode
+      }
+    }
+  })
+
+  const tables = new Map()
+  ;[
+    ['GSUB', gsub],
+    ['GPOS', gpos],
+  ].forEach(([tag, table]) => {
+    const subset = table && subsetLayoutTable(table, tag, glyphs, keepFeature)
+    tables.set(tag, subset ? writeLayoutTable(subset, tag) : null)
+  })
+  RETAINED_TABLES.forEach(tag => tables.set(tag, source.get(tag) || null))
+  // The legacy kern table goes along with the kern feature, AAT kerx is not supported
+  tables.set(
+    'kern',
+    keepFeature('kern') && source.has('kern') ? subsetKernTable(source.get('kern'), glyphs) : null
+  )
+  tables.set('kerx', null)
+
+  return { font, tables, glyphs }
+}
+
+/**
+ * Serialize a font parsed with subsetLayoutFont, adding its layout tables
+ * @param {Font} font - Parsed font
+ * @param {string} outputType - Output font type, one of LAYOUT_OUTPUT_TYPES
+ * @param {Object} [outputOptions] - Font write options
+ * @param {Map<string, Buffer|null>} tables - Tables from subsetLayoutFont
+ * @returns {Buffer} Output font data
+ * @throws {Error} When the output type cannot hold layout tables
+ */
+export function writeLayoutFont(font, outputType, outputOptions, tables) {
+  if (!LAYOUT_OUTPUT_TYPES.includes(outputType)) {
+    throw new Error(
+      `Layout features cannot be kept in ${outputType} fonts, use ${LAYOUT_OUTPUT_TYPES.join(', ')}`
+    )
+  }
+
+  return writeFontTables(font, outputType, outputOptions, tables)
+}
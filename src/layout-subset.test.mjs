@@ -0,0 +1,261 @@
+import { describe, it, expect } from 'vitest'
+import { Font } from 'fonteditor-core'
+import {
+  DEFAULT_LAYOUT_FEATURES,
+  closeGlyphs,
+  resolveLayoutFeatures,
+  subsetLayoutFont,
+  subsetLayoutTable,
+  writeLayoutFont,
+} from './layout-subset.mjs'
+import { parseLayoutTable, writeLayoutTable } from './layout-tables.mjs'
+import { readSfntTables, writeSfnt } from './sfnt.mjs'
+
+const DFLT = [
+  { tag: 'DFLT', defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0, 1] }, langSys: [] },
+]
+
+// Glyphs: 1 f, 2 i, 3 f_i, 4 a, 5 A, 6 i.sc
+// GSUB: liga f i -> f_i, smcp i -> i.sc, GPOS and kern: kerning of f i and A a
+function gsubTable() {
+  return {
+    scripts: DFLT,
+    features: [
+      { tag: 'liga', params: null, lookupIndices: [0] },
+      { tag: 'smcp', params: null, lookupIndices: [1] },
+    ],
+    lookups: [
+      { type: 4, flag: 0, subtables: [{ ligatures: new Map([[1, [{ glyph: 3, components: [2] }]]]) }] },
+      { type: 1, flag: 0, subtables: [{ glyphs: new Map([[2, 6]]) }] },
+    ],
+  }
+}
+
+function gposTable() {
+  return {
+    scripts: [{ ...DFLT[0], defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0] } }],
+    features: [{ tag: 'kern', params: null, lookupIndices: [0] }],
+    lookups: [
+      {
+        type: 2,
+        flag: 0,
+        subtables: [
+          {
+            format: 1,
+            valueFormat1: 4,
+            valueFormat2: 0,
+            pairs: new Map([
+              [1, [{ secondGlyph: 2, value1: { xAdvance: -50 }, value2: {} }]],
+              [5, [{ secondGlyph: 4, value1: { xAdvance: -30 }, value2: {} }]],
+            ]),
+          },
+        ],
+      },
+    ],
+  }
+}
+
+function kernTable() {
+  const data = Buffer.alloc(4 + 14 + 2 * 6)
+  data.writeUInt16BE(1, 2)
+  data.writeUInt16BE(14 + 2 * 6, 6)
+  data.writeUInt16BE(1, 8)
+  data.writeUInt16BE(2, 10)
+  ;[
+    [1, 2, -50],
+    [5, 4, -30],
+  ].forEach(([left, right, value], index) => {
+    data.writeUInt16BE(left, 18 + index * 6)
+    data.writeUInt16BE(right, 20 + index * 6)
+    data.writeInt16BE(value, 22 + index * 6)
+  })
+  return data
+}
+
+// TrueType font with the glyphs and tables above
+function createFont() {
+  const font = Font.create()
+  const { glyf } = font.get()
+  ;[['f', 0x66], ['i', 0x69], ['f_i'], ['a', 0x61], ['A', 0x41], ['i.sc']].forEach(([name, unicode]) =>
+    glyf.push({
+      name,
+      unicode: unicode ? [unicode] : undefined,
+      contours: [
+        [
+          { x: 0, y: 0, onCurve: true },
+          { x: 0, y: 500, onCurve: true },
+          { x: 400, y: 500, onCurve: true },
+        ],
+      ],
+      xMin: 0,
+      yMin: 0,
+      xMax: 400,
+      yMax: 500,
+      advanceWidth: 500,
+      leftSideBearing: 0,
+    })
+  )
+
+  const tables = readSfntTables(Buffer.from(font.write({ type: 'ttf' })))
+  tables.set('GSUB', writeLayoutTable(gsubTable(), 'GSUB'))
+  tables.set('GPOS', writeLayoutTable(gposTable(), 'GPOS'))
+  tables.set('kern', kernTable())
+  return writeSfnt(tables)
+}
+
+describe('resolveLayoutFeatures', () => {
+  it('should keep the default features', () => {
+    const keepFeature = resolveLayoutFeatures(true)
+
+    expect(DEFAULT_LAYOUT_FEATURES.every(keepFeature)).toBe(true)
+    expect(keepFeature('smcp')).toBe(false)
+  })
+
+  it('should keep the given features', () => {
+    const keepFeature = resolveLayoutFeatures({ features: ['smcp'] })
+
+    expect(keepFeature('smcp')).toBe(true)
+    expect(keepFeature('liga')).toBe(false)
+  })
+
+  it('should keep every feature but the dropped ones', () => {
+    const keepFeature = resolveLayoutFeatures({ features: '*', dropFeatures: ['kern'] })
+
+    expect(keepFeature('ss01')).toBe(true)
+    expect(keepFeature('kern')).toBe(false)
+  })
+
+  it('should drop features from the defaults', () => {
+    const keepFeature = resolveLayoutFeatures({ dropFeatures: ['liga'] })
+
+    expect(keepFeature('liga')).toBe(false)
+    expect(keepFeature('kern')).toBe(true)
+  })
+
+  it('should throw error for invalid options', () => {
+    expect(() => resolveLayoutFeatures('liga')).toThrow('layout must be true or an object')
+    expect(() => resolveLayoutFeatures({ features: 'liga' })).toThrow(
+      'layout.features must be an array of feature tags'
+    )
+    expect(() => resolveLayoutFeatures({ dropFeatures: ['ligature'] })).toThrow(
+      'Invalid layout feature tag: "ligature"'
+    )
+  })
+})
+
+describe('closeGlyphs', () => {
+  it('should add the glyphs the kept features substitute', () => {
+    const glyphs = new Set([0, 1, 2])
+    closeGlyphs(gsubTable(), resolveLayoutFeatures(true), glyphs)
+
+    expect([...glyphs].sort()).toEqual([0, 1, 2, 3])
+  })
+
+  it('should only add ligatures whose components are all retained', () => {
+    const glyphs = new Set([0, 1])
+    closeGlyphs(gsubTable(), resolveLayoutFeatures({ features: '*' }), glyphs)
+
+    expect([...glyphs].sort()).toEqual([0, 1])
+  })
+
+  it('should follow lookups called by contextual rules', () => {
+    const gsub = gsubTable()
+    gsub.features[0].lookupIndices = [2]
+    gsub.lookups.push({
+      type: 6,
+      flag: 0,
+      subtables: [
+        {
+          format: 3,
+          backtrack: [[1]],
+          input: [[2]],
+          lookahead: [],
+          records: [{ sequenceIndex: 0, lookupIndex: 1 }],
+        },
+      ],
+    })
+    const glyphs = new Set([0, 1, 2])
+    closeGlyphs(gsub, resolveLayoutFeatures(true), glyphs)
+
+    expect(glyphs.has(6)).toBe(true)
+  })
+})
+
+describe('subsetLayoutTable', () => {
+  it('should remove the features that are not kept and renumber the lookups', () => {
+    const gsub = subsetLayoutTable(
+      gsubTable(),
+      'GSUB',
+      new Set([0, 1, 2, 6]),
+      resolveLayoutFeatures({ features: ['smcp'] })
+    )
+
+    expect(gsub.features).toEqual([{ tag: 'smcp', params: null, lookupIndices: [0] }])
+    expect(gsub.lookups).toHaveLength(1)
+    expect(gsub.scripts[0].defaultLangSys.featureIndices).toEqual([0])
+  })
+
+  it('should remove the rules of glyphs that are not retained', () => {
+    const gpos = subsetLayoutTable(gposTable(), 'GPOS', new Set([0, 1, 2]), resolveLayoutFeatures(true))
+
+    expect([...gpos.lookups[0].subtables[0].pairs.keys()]).toEqual([1])
+  })
+
+  it('should return null when no feature is left', () => {
+    expect(subsetLayoutTable(gsubTable(), 'GSUB', new Set([0, 4]), resolveLayoutFeatures(true))).toBeNull()
+  })
+})
+
+describe('subsetLayoutFont', () => {
+  const data = createFont()
+
+  it('should keep glyph IDs and empty the glyphs outside the subset', () => {
+    const { font, glyphs } = subsetLayoutFont(data, 'ttf', 'fi', true)
+    const { glyf } = font.get()
+
+    expect([...glyphs].sort()).toEqual([0, 1, 2, 3])
+    expect(glyf).toHaveLength(7)
+    expect(glyf[3].contours).toHaveLength(1)
+    expect(glyf[4].contours).toHaveLength(0)
+    expect(glyf[6].contours).toHaveLength(0)
+  })
+
+  it('should subset the layout tables', () => {
+    const { tables } = subsetLayoutFont(data, 'ttf', 'fi', true)
+    const gsub = parseLayoutTable(tables.get('GSUB'), 'GSUB')
+    const gpos = parseLayoutTable(tables.get('GPOS'), 'GPOS')
+
+    expect(gsub.features.map(feature => feature.tag)).toEqual(['liga'])
+    expect([...gpos.lookups[0].subtables[0].pairs.keys()]).toEqual([1])
+    // One kerning pair left
+    expect(tables.get('kern').readUInt16BE(10)).toBe(1)
+  })
+
+  it('should retain the glyphs of every feature', () => {
+    expect(subsetLayoutFont(data, 'ttf', 'fi', { features: '*' }).glyphs.size).toBe(5)
+  })
+
+  it('should remove the tables of dropped features', () => {
+    const { tables } = subsetLayoutFont(data, 'ttf', 'fi', { dropFeatures: ['kern'] })
+
+    expect(tables.get('GPOS')).toBeNull()
+    expect(tables.get('kern')).toBeNull()
+  })
+
+  it('should write the layout tables to the font', () => {
+    const { font, tables } = subsetLayoutFont(data, 'ttf', 'fi', true)
+    const output = readSfntTables(writeLayoutFont(font, 'ttf', {}, tables))
+
+    expect(output.get('GSUB')).toEqual(tables.get('GSUB'))
+    expect(output.get('kern')).toEqual(tables.get('kern'))
+    expect(output.get('maxp').readUInt16BE(4)).toBe(7)
+  })
+
+  it('should throw error for SVG output', () => {
+    const { font, tables } = subsetLayoutFont(data, 'ttf', 'fi', true)
+
+    expect(() => writeLayoutFont(font, 'svg', {}, tables)).toThrow(
+      'Layout features cannot be kept in svg fonts, use ttf, woff, woff2, eot'
+    )
+  })
+})
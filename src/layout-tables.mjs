@@ -0,0 +1,1275 @@
+/**
+ * Reading and writing of the OpenType layout tables GSUB and GPOS
+ *
+ * A table is parsed to plain objects keyed by glyph ID, so it can be pruned to a set of glyphs and
+ * written back. Extension lookups are unwrapped on read, and are only written when the table does
+ * not fit in 16-bit offsets. FeatureVariations are not kept, the table is written as version 1.0.
+ */
+
+// Lookup types that only wrap a subtable of another type behind a 32-bit offset
+const EXTENSION_TYPES = { GSUB: 7, GPOS: 9 }
+
+// Lookup types of contextual and chained contextual subtables
+const CONTEXT_TYPES = { GSUB: [5, 6], GPOS: [7, 8] }
+
+// Lookup flag telling that a mark filtering set index follows the subtable offsets
+const USE_MARK_FILTERING_SET = 0x0010
+
+// Fields of a value record, in the order of their valueFormat bits
+const VALUE_FIELDS = [
+  'xPlacement',
+  'yPlacement',
+  'xAdvance',
+  'yAdvance',
+  'xPlaDevice',
+  'yPlaDevice',
+  'xAdvDevice',
+  'yAdvDevice',
+]
+
+/**
+ * Tell whether a lookup type is contextual, and whether it is the chained variant
+ * @param {string} tag - GSUB or GPOS
+ * @param {number} type - Lookup type
+ * @returns {{chained: boolean}|null} Context kind, null for other types
+ */
+export function getContextKind(tag, type) {
+  const index = CONTEXT_TYPES[tag].indexOf(type)
+  return index < 0 ? null : { chained: index === 1 }
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve an offset read from a table
+ * @param {Buffer} data - Table data
+ * @param {number} base - Position the offset is relative to
+ * @param {number} position - Position of the 16-bit offset
+ * @returns {number|null} Absolute position, null for a NULL offset
+ */
+function readOffset(data, base, position) {
+  const offset = data.readUInt16BE(position)
+  return offset ? base + offset : null
+}
+
+/**
+ * Read an array of uint16 values
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the first value
+ * @param {number} count - Number of values
+ * @returns {number[]} Values
+ */
+function readArray(data, position, count) {
+  return Array.from({ length: Math.max(count, 0) }, (_, index) => data.readUInt16BE(position + index * 2))
+}
+
+/**
+ * Read an array of 16-bit offsets
+ * @param {Buffer} data - Table data
+ * @param {number} base - Position the offsets are relative to
+ * @param {number} position - Position of the first offset
+ * @param {number} count - Number of offsets
+ * @returns {Array<number|null>} Absolute positions
+ */
+function readOffsets(data, base, position, count) {
+  return Array.from({ length: count }, (_, index) => readOffset(data, base, position + index * 2))
+}
+
+/**
+ * Read a coverage table
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the table
+ * @returns {number[]} Glyph IDs in coverage index order
+ */
+function readCoverage(data, position) {
+  const format = data.readUInt16BE(position)
+  const count = data.readUInt16BE(position + 2)
+  if (format === 1) {
+    return readArray(data, position + 4, count)
+  }
+  if (format === 2) {
+    const glyphs = []
+    for (let index = 0; index < count; index++) {
+      const record = position + 4 + index * 6
+      for (let glyph = data.readUInt16BE(record); glyph <= data.readUInt16BE(record + 2); glyph++) {
+        glyphs.push(glyph)
+      }
+    }
+    return glyphs
+  }
+  throw new Error(`Unsupported coverage format ${format}`)
+}
+
+/**
+ * Read a class definition table
+ * @param {Buffer} data - Table data
+ * @param {number|null} position - Position of the table, null for a NULL offset where every glyph is class 0
+ * @returns {Map<number, number>} Non-zero classes by glyph ID
+ */
+function readClassDef(data, position) {
+  const classes = new Map()
+  if (position === null) {
+    return classes
+  }
+
+  const format = data.readUInt16BE(position)
+  if (format === 1) {
+    const startGlyph = data.readUInt16BE(position + 2)
+    readArray(data, position + 6, data.readUInt16BE(position + 4)).forEach((value, index) => {
+      if (value) {
+        classes.set(startGlyph + index, value)
+      }
+    })
+  } else if (format === 2) {
+    const count = data.readUInt16BE(position + 2)
+    for (let index = 0; index < count; index++) {
+      const record = position + 4 + index * 6
+      const value = data.readUInt16BE(record + 4)
+      for (let glyph = data.readUInt16BE(record); value && glyph <= data.readUInt16BE(record + 2); glyph++) {
+        classes.set(glyph, value)
+      }
+    }
+  } else {
+    throw new Error(`Unsupported class definition format ${format}`)
+  }
+  return classes
+}
+
+/**
+ * Copy a device or variation index table, which holds no glyph IDs
+ * @param {Buffer} data - Table data
+ * @param {number|null} position - Position of the table
+ * @returns {Buffer|null} Table data
+ */
+function readDevice(data, position) {
+  if (position === null) {
+    return null
+  }
+
+  const deltaFormat = data.readUInt16BE(position + 4)
+  let length = 6
+  if (deltaFormat >= 1 && deltaFormat <= 3) {
+    // Packed 2, 4 or 8-bit deltas from startSize to endSize
+    const count = data.readUInt16BE(position + 2) - data.readUInt16BE(position) + 1
+    length += Math.ceil((count << deltaFormat) / 16) * 2
+  }
+  return Buffer.from(data.subarray(position, position + length))
+}
+
+/**
+ * Read a value record
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the record
+ * @param {number} format - valueFormat
+ * @param {number} base - Position device offsets are relative to: the subtable, or the PairSet table of
+ *   PairPos format 1
+ * @returns {Object} Values and device tables by field name
+ */
+function readValue(data, position, format, base) {
+  const value = {}
+  VALUE_FIELDS.forEach((field, bit) => {
+    if (format & (1 << bit)) {
+      value[field] = bit < 4 ? data.readInt16BE(position) : readDevice(data, readOffset(data, base, position))
+      position += 2
+    }
+  })
+  return value
+}
+
+/**
+ * Size of a value record
+ * @param {number} format - valueFormat
+ * @returns {number} Size in bytes
+ */
+function valueSize(format) {
+  return VALUE_FIELDS.filter((_, bit) => format & (1 << bit)).length * 2
+}
+
+/**
+ * Read an anchor table
+ * @param {Buffer} data - Table data
+ * @param {number|null} position - Position of the table
+ * @returns {Object|null} Anchor
+ */
+function readAnchor(data, position) {
+  if (position === null) {
+    return null
+  }
+
+  const anchor = {
+    format: data.readUInt16BE(position),
+    x: data.readInt16BE(position + 2),
+    y: data.readInt16BE(position + 4),
+  }
+  if (anchor.format === 2) {
+    anchor.point = data.readUInt16BE(position + 6)
+  } else if (anchor.format === 3) {
+    anchor.xDevice = readDevice(data, readOffset(data, position, position + 6))
+    anchor.yDevice = readDevice(data, readOffset(data, position, position + 8))
+  }
+  return anchor
+}
+
+/**
+ * Read sequence lookup records
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the first record
+ * @param {number} count - Number of records
+ * @returns {Array<{sequenceIndex: number, lookupIndex: number}>} Records
+ */
+function readSequenceRecords(data, position, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    sequenceIndex: data.readUInt16BE(position + index * 4),
+    lookupIndex: data.readUInt16BE(position + index * 4 + 2),
+  }))
+}
+
+/**
+ * Read a sequence or chained sequence rule, whose sequences are glyph IDs or classes
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the rule
+ * @param {boolean} chained - Whether the rule has backtrack and lookahead sequences
+ * @returns {{backtrack: number[], input: number[], lookahead: number[], records: Object[]}} Rule, input
+ *   leaves out the first glyph which is given by the coverage or class
+ */
+function readRule(data, position, chained) {
+  const rule = { backtrack: [], input: [], lookahead: [], records: [] }
+  if (!chained) {
+    const glyphCount = data.readUInt16BE(position)
+    rule.input = readArray(data, position + 4, glyphCount - 1)
+    rule.records = readSequenceRecords(data, position + 2 + glyphCount * 2, data.readUInt16BE(position + 2))
+    return rule
+  }
+
+  const readSequence = () => {
+    const count = data.readUInt16BE(position)
+    position += 2
+    const sequence = readArray(data, position, count)
+    position += sequence.length * 2
+    return sequence
+  }
+  rule.backtrack = readSequence()
+  const inputCount = data.readUInt16BE(position)
+  rule.input = readArray(data, position + 2, inputCount - 1)
+  position += 2 + rule.input.length * 2
+  rule.lookahead = readSequence()
+  rule.records = readSequenceRecords(data, position + 2, data.readUInt16BE(position))
+  return rule
+}
+
+/**
+ * Read the rule sets of a contextual subtable
+ * @param {Buffer} data - Table data
+ * @param {Array<number|null>} positions - Positions of the rule sets
+ * @param {boolean} chained - Whether the rules are chained
+ * @returns {Array<Object[]|null>} Rules of every set
+ */
+function readRuleSets(data, positions, chained) {
+  return positions.map(position =>
+    position === null
+      ? null
+      : readOffsets(data, position, position + 2, data.readUInt16BE(position)).map(rule =>
+          readRule(data, rule, chained)
+        )
+  )
+}
+
+/**
+ * Read a sequence context or chained sequence context subtable
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the subtable
+ * @param {boolean} chained - Whether it is the chained variant
+ * @returns {Object} Subtable
+ */
+function readContext(data, position, chained) {
+  const format = data.readUInt16BE(position)
+  if (format === 1) {
+    const coverage = readCoverage(data, readOffset(data, position, position + 2))
+    const count = data.readUInt16BE(position + 4)
+    const ruleSets = readRuleSets(data, readOffsets(data, position, position + 6, count), chained)
+    const rules = new Map()
+    ruleSets.forEach((ruleSet, index) => {
+      if (ruleSet && index < coverage.length) {
+        rules.set(coverage[index], ruleSet)
+      }
+    })
+    return { format, rules }
+  }
+
+  if (format === 2) {
+    const classDefs = chained ? 3 : 1
+    const countPosition = position + 4 + classDefs * 2
+    const classDef = index => readClassDef(data, readOffset(data, position, position + 4 + index * 2))
+    return {
+      format,
+      coverage: readCoverage(data, readOffset(data, position, position + 2)),
+      backtrackClassDef: chained ? classDef(0) : new Map(),
+      inputClassDef: classDef(chained ? 1 : 0),
+      lookaheadClassDef: chained ? classDef(2) : new Map(),
+      classSets: readRuleSets(
+        data,
+        readOffsets(data, position, countPosition + 2, data.readUInt16BE(countPosition)),
+        chained
+      ),
+    }
+  }
+
+  if (format === 3) {
+    let cursor = position + 2
+    const readCoverages = count => {
+      const coverages = readOffsets(data, position, cursor, count).map(coverage =>
+        readCoverage(data, coverage)
+      )
+      cursor += count * 2
+      return coverages
+    }
+    if (!chained) {
+      const glyphCount = data.readUInt16BE(cursor)
+      const recordCount = data.readUInt16BE(cursor + 2)
+      cursor += 4
+      const input = readCoverages(glyphCount)
+      return {
+        format,
+        backtrack: [],
+        input,
+        lookahead: [],
+        records: readSequenceRecords(data, cursor, recordCount),
+      }
+    }
+
+    const readCountedCoverages = () => {
+      const count = data.readUInt16BE(cursor)
+      cursor += 2
+      return readCoverages(count)
+    }
+    const backtrack = readCountedCoverages()
+    const input = readCountedCoverages()
+    const lookahead = readCountedCoverages()
+    const records = readSequenceRecords(data, cursor + 2, data.readUInt16BE(cursor))
+    return { format, backtrack, input, lookahead, records }
+  }
+
+  throw new Error(`Unsupported contextual subtable format ${format}`)
+}
+
+/**
+ * Read a GSUB subtable
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the subtable
+ * @param {number} type - Lookup type, extensions already unwrapped
+ * @returns {Object} Subtable
+ */
+function readSubstitution(data, position, type) {
+  const format = data.readUInt16BE(position)
+  const coverage = () => readCoverage(data, readOffset(data, position, position + 2))
+
+  switch (type) {
+    case 1: {
+      const glyphs = new Map()
+      if (format === 1) {
+        const delta = data.readInt16BE(position + 4)
+        coverage().forEach(glyph => glyphs.set(glyph, (glyph + delta) & 0xffff))
+      } else {
+        const substitutes = readArray(data, position + 6, data.readUInt16BE(position + 4))
+        coverage().forEach((glyph, index) => glyphs.set(glyph, substitutes[index]))
+      }
+      return { glyphs }
+    }
+    case 2:
+    case 3: {
+      const sequences = new Map()
+      const offsets = readOffsets(data, position, position + 6, data.readUInt16BE(position + 4))
+      coverage().forEach((glyph, index) => {
+        const sequence = offsets[index]
+        sequences.set(glyph, readArray(data, sequence + 2, data.readUInt16BE(sequence)))
+      })
+      return { sequences }
+    }
+    case 4: {
+      const ligatures = new Map()
+      const offsets = readOffsets(data, position, position + 6, data.readUInt16BE(position + 4))
+      coverage().forEach((glyph, index) => {
+        const ligatureSet = offsets[index]
+        const entries = readOffsets(data, ligatureSet, ligatureSet + 2, data.readUInt16BE(ligatureSet))
+        ligatures.set(
+          glyph,
+          entries.map(ligature => ({
+            glyph: data.readUInt16BE(ligature),
+            components: readArray(data, ligature + 4, data.readUInt16BE(ligature + 2) - 1),
+          }))
+        )
+      })
+      return { ligatures }
+    }
+    case 5:
+    case 6:
+      return readContext(data, position, type === 6)
+    case 8: {
+      let cursor = position + 4
+      const readCoverages = () => {
+        const count = data.readUInt16BE(cursor)
+        const coverages = readOffsets(data, position, cursor + 2, count).map(offset =>
+          readCoverage(data, offset)
+        )
+        cursor += 2 + count * 2
+        return coverages
+      }
+      const backtrack = readCoverages()
+      const lookahead = readCoverages()
+      const substitutes = readArray(data, cursor + 2, data.readUInt16BE(cursor))
+      const glyphs = new Map()
+      coverage().forEach((glyph, index) => glyphs.set(glyph, substitutes[index]))
+      return { backtrack, lookahead, glyphs }
+    }
+    default:
+      throw new Error(`Unsupported GSUB lookup type ${type}`)
+  }
+}
+
+/**
+ * Read the mark array of a mark attachment subtable
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the MarkArray
+ * @param {number[]} coverage - Mark coverage
+ * @returns {Map<number, {markClass: number, anchor: Object}>} Mark records by glyph ID
+ */
+function readMarkArray(data, position, coverage) {
+  const marks = new Map()
+  coverage.forEach((glyph, index) => {
+    const record = position + 2 + index * 4
+    marks.set(glyph, {
+      markClass: data.readUInt16BE(record),
+      anchor: readAnchor(data, readOffset(data, position, record + 2)),
+    })
+  })
+  return marks
+}
+
+/**
+ * Read an array of anchor records, as in BaseArray, Mark2Array and LigatureAttach tables
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the array table
+ * @param {number} count - Number of records
+ * @param {number} classCount - Number of anchors per record
+ * @returns {Array<Array<Object|null>>} Anchors of every record
+ */
+function readAnchorRecords(data, position, count, classCount) {
+  return Array.from({ length: count }, (_, index) =>
+    readOffsets(data, position, position + 2 + index * classCount * 2, classCount).map(anchor =>
+      readAnchor(data, anchor)
+    )
+  )
+}
+
+/**
+ * Read a GPOS subtable
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the subtable
+ * @param {number} type - Lookup type, extensions already unwrapped
+ * @returns {Object} Subtable
+ */
+function readPositioning(data, position, type) {
+  const format = data.readUInt16BE(position)
+  const coverageAt = offset => readCoverage(data, readOffset(data, position, position + offset))
+
+  switch (type) {
+    case 1: {
+      const valueFormat = data.readUInt16BE(position + 4)
+      const values = new Map()
+      if (format === 1) {
+        const value = readValue(data, position + 6, valueFormat, position)
+        coverageAt(2).forEach(glyph => values.set(glyph, value))
+      } else {
+        const size = valueSize(valueFormat)
+        coverageAt(2).forEach((glyph, index) =>
+          values.set(glyph, readValue(data, position + 8 + index * size, valueFormat, position))
+        )
+      }
+      return { format, valueFormat, values }
+    }
+    case 2: {
+      const valueFormat1 = data.readUInt16BE(position + 4)
+      const valueFormat2 = data.readUInt16BE(position + 6)
+      const size1 = valueSize(valueFormat1)
+      const size2 = valueSize(valueFormat2)
+      // Device offsets are relative to the PairSet table in format 1, and to the subtable in format 2
+      const readPair = (record, base) => ({
+        value1: readValue(data, record, valueFormat1, base),
+        value2: readValue(data, record + size1, valueFormat2, base),
+      })
+
+      if (format === 1) {
+        const offsets = readOffsets(data, position, position + 10, data.readUInt16BE(position + 8))
+        const pairs = new Map()
+        coverageAt(2).forEach((glyph, index) => {
+          const pairSet = offsets[index]
+          const count = data.readUInt16BE(pairSet)
+          pairs.set(
+            glyph,
+            Array.from({ length: count }, (_, pair) => {
+              const record = pairSet + 2 + pair * (2 + size1 + size2)
+              return { secondGlyph: data.readUInt16BE(record), ...readPair(record + 2, pairSet) }
+            })
+          )
+        })
+        return { format, valueFormat1, valueFormat2, pairs }
+      }
+
+      const class1Count = data.readUInt16BE(position + 12)
+      const class2Count = data.readUInt16BE(position + 14)
+      const records = Array.from({ length: class1Count }, (_, class1) =>
+        Array.from({ length: class2Count }, (_, class2) =>
+          readPair(position + 16 + (class1 * class2Count + class2) * (size1 + size2), position)
+        )
+      )
+      return {
+        format,
+        valueFormat1,
+        valueFormat2,
+        coverage: coverageAt(2),
+        classDef1: readClassDef(data, readOffset(data, position, position + 8)),
+        classDef2: readClassDef(data, readOffset(data, position, position + 10)),
+        class2Count,
+        records,
+      }
+    }
+    case 3: {
+      const entryExits = new Map()
+      coverageAt(2).forEach((glyph, index) => {
+        const record = position + 6 + index * 4
+        entryExits.set(glyph, {
+          entry: readAnchor(data, readOffset(data, position, record)),
+          exit: readAnchor(data, readOffset(data, position, record + 2)),
+        })
+      })
+      return { entryExits }
+    }
+    case 4:
+    case 5:
+    case 6: {
+      const classCount = data.readUInt16BE(position + 6)
+      const marks = readMarkArray(data, readOffset(data, position, position + 8), coverageAt(2))
+      const baseCoverage = coverageAt(4)
+      const baseArray = readOffset(data, position, position + 10)
+      const bases = new Map()
+      if (type === 5) {
+        // LigatureArray: one LigatureAttach table per ligature, one anchor record per component
+        readOffsets(data, baseArray, baseArray + 2, baseCoverage.length).forEach((attach, index) => {
+          bases.set(
+            baseCoverage[index],
+            readAnchorRecords(data, attach, data.readUInt16BE(attach), classCount)
+          )
+        })
+      } else {
+        readAnchorRecords(data, baseArray, baseCoverage.length, classCount).forEach((anchors, index) =>
+          bases.set(baseCoverage[index], anchors)
+        )
+      }
+      return { classCount, marks, bases }
+    }
+    case 7:
+    case 8:
+      return readContext(data, position, type === 8)
+    default:
+      throw new Error(`Unsupported GPOS lookup type ${type}`)
+  }
+}
+
+/**
+ * Read a lookup, unwrapping extension subtables
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the lookup
+ * @param {string} tag - GSUB or GPOS
+ * @returns {{type: number, flag: number, markFilteringSet?: number, subtables: Object[]}} Lookup
+ */
+function readLookup(data, position, tag) {
+  const flag = data.readUInt16BE(position + 2)
+  const count = data.readUInt16BE(position + 4)
+  const lookup = { type: data.readUInt16BE(position), flag, subtables: [] }
+  if (flag & USE_MARK_FILTERING_SET) {
+    lookup.markFilteringSet = data.readUInt16BE(position + 6 + count * 2)
+  }
+
+  const readSubtable = tag === 'GSUB' ? readSubstitution : readPositioning
+  readOffsets(data, position, position + 6, count).forEach(subtable => {
+    if (lookup.type === EXTENSION_TYPES[tag]) {
+      lookup.extensionType = data.readUInt16BE(subtable + 2)
+      subtable += data.readUInt32BE(subtable + 4)
+    }
+    lookup.subtables.push(readSubtable(data, subtable, lookup.extensionType || lookup.type))
+  })
+
+  if (lookup.extensionType) {
+    lookup.type = lookup.extensionType
+    delete lookup.extensionType
+  }
+  return lookup
+}
+
+/**
+ * Read a LangSys table
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the table
+ * @returns {{requiredFeatureIndex: number, featureIndices: number[]}} LangSys, 0xFFFF for no required feature
+ */
+function readLangSys(data, position) {
+  return {
+    requiredFeatureIndex: data.readUInt16BE(position + 2),
+    featureIndices: readArray(data, position + 6, data.readUInt16BE(position + 4)),
+  }
+}
+
+/**
+ * Size of the FeatureParams tables whose format is known, other parameters are dropped
+ * @param {string} tag - Feature tag
+ * @param {Buffer} data - Table data
+ * @param {number} position - Position of the parameters
+ * @returns {number} Size in bytes, 0 when unknown
+ */
+function featureParamsSize(tag, data, position) {
+  if (tag === 'size') {
+    return 10
+  }
+  if (/^ss\d\d$/.test(tag)) {
+    return 4
+  }
+  if (/^cv\d\d$/.test(tag)) {
+    // Followed by charCount 24-bit characters
+    return 14 + data.readUInt16BE(position + 12) * 3
+  }
+  return 0
+}
+
+/**
+ * Parse a GSUB or GPOS table
+ * @param {Buffer} data - Table data
+ * @param {string} tag - GSUB or GPOS
+ * @returns {{scripts: Object[], features: Object[], lookups: Object[]}} Table
+ * @throws {Error} When the table holds an unknown lookup type or format
+ */
+export function parseLayoutTable(data, tag) {
+  const scriptList = readOffset(data, 0, 4)
+  const featureList = readOffset(data, 0, 6)
+  const lookupList = readOffset(data, 0, 8)
+
+  // Tag and offset records, the offsets are relative to base
+  const readRecords = (position, base, read) =>
+    position === null
+      ? []
+      : Array.from({ length: data.readUInt16BE(position) }, (_, index) => {
+          const record = position + 2 + index * 6
+          return read(data.toString('latin1', record, record + 4), base + data.readUInt16BE(record + 4))
+        })
+
+  const scripts = readRecords(scriptList, scriptList, (scriptTag, script) => {
+    const defaultLangSys = readOffset(data, script, script)
+    return {
+      tag: scriptTag,
+      defaultLangSys: defaultLangSys === null ? null : readLangSys(data, defaultLangSys),
+      langSys: readRecords(script + 2, script, (langSysTag, langSys) => ({
+        tag: langSysTag,
+        ...readLangSys(data, langSys),
+      })),
+    }
+  })
+
+  const features = readRecords(featureList, featureList, (featureTag, feature) => {
+    const params = readOffset(data, feature, feature)
+    const size = params === null ? 0 : featureParamsSize(featureTag, data, params)
+    return {
+      tag: featureTag,
+      params: size ? Buffer.from(data.subarray(params, params + size)) : null,
+      lookupIndices: readArray(data, feature + 4, data.readUInt16BE(feature + 2)),
+    }
+  })
+
+  const lookups =
+    lookupList === null
+      ? []
+      : readOffsets(data, lookupList, lookupList + 2, data.readUInt16BE(lookupList)).map(lookup =>
+          readLookup(data, lookup, tag)
+        )
+
+  return { scripts, features, lookups }
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * A table being written: its own bytes, and links to the tables its offsets point to
+ * Offsets are filled in by pack once every table has a position
+ */
+class Node {
+  constructor() {
+    this.bytes = []
+    this.links = []
+  }
+
+  uint16(value) {
+    this.bytes.push((value >> 8) & 0xff, value & 0xff)
+    return this
+  }
+
+  int16(value) {
+    return this.uint16(value & 0xffff)
+  }
+
+  uint32(value) {
+    return this.uint16(Math.floor(value / 0x10000)).uint16(value & 0xffff)
+  }
+
+  array(values) {
+    values.forEach(value => this.uint16(value))
+    return this
+  }
+
+  tag(tag) {
+    for (let index = 0; index < 4; index++) {
+      this.bytes.push(tag.charCodeAt(index) & 0xff)
+    }
+    return this
+  }
+
+  raw(data) {
+    data.forEach(byte => this.bytes.push(byte))
+    return this
+  }
+
+  /**
+   * Append an offset to another table
+   * @param {Node|null} node - Target table, null writes a NULL offset
+   * @param {Object} [options]
+   * @param {number} [options.size=2] - Offset size in bytes, 2 or 4
+   * @param {Node} [options.base] - Table the offset is relative to, this table by default
+   * @returns {Node} This table
+   */
+  offset(node, { size = 2, base = this } = {}) {
+    if (node) {
+      this.links.push({ position: this.bytes.length, size, node, base })
+    }
+    return size === 4 ? this.uint32(0) : this.uint16(0)
+  }
+}
+
+/**
+ * Lay out a tree of tables and resolve their offsets
+ *
+ * Tables are placed depth first, with tables holding no offsets (coverages, class definitions,
+ * anchors, devices) moved after the others and identical ones shared. Subtrees marked as separate
+ * are placed after the whole tree, as extension subtables reach them through 32-bit offsets.
+ *
+ * @param {Node} root - Root table
+ * @returns {Buffer|null} Table data, null when an offset overflows
+ */
+function pack(root) {
+  const order = []
+  const separate = [root]
+  for (let index = 0; index < separate.length; index++) {
+    const leaves = []
+    const visit = node => {
+      if (node.links.length) {
+        order.push(node)
+      } else {
+        leaves.push(node)
+      }
+      node.links.forEach(link => (link.node.separate ? separate.push(link.node) : visit(link.node)))
+    }
+    visit(separate[index])
+
+    const shared = new Map()
+    leaves.forEach(leaf => {
+      const key = Buffer.from(leaf.bytes).toString('latin1')
+      if (shared.has(key)) {
+        leaf.alias = shared.get(key)
+      } else {
+        shared.set(key, leaf)
+        order.push(leaf)
+      }
+    })
+  }
+
+  let size = 0
+  order.forEach(node => {
+    node.position = size
+    size += node.bytes.length
+  })
+
+  const data = Buffer.alloc(size)
+  for (const node of order) {
+    Buffer.from(node.bytes).copy(data, node.position)
+    for (const link of node.links) {
+      const offset = (link.node.alias || link.node).position - link.base.position
+      if (offset <= 0 || (link.size === 2 && offset > 0xffff)) {
+        return null
+      }
+      if (link.size === 2) {
+        data.writeUInt16BE(offset, node.position + link.position)
+      } else {
+        data.writeUInt32BE(offset, node.position + link.position)
+      }
+    }
+  }
+  return data
+}
+
+/**
+ * Write a coverage table
+ * @param {Iterable<number>} glyphs - Glyph IDs
+ * @returns {Node} Coverage table in the smaller format
+ */
+function writeCoverage(glyphs) {
+  const sorted = [...new Set(glyphs)].sort((a, b) => a - b)
+  const ranges = []
+  sorted.forEach((glyph, index) => {
+    const range = ranges[ranges.length - 1]
+    if (range && range.end === glyph - 1) {
+      range.end = glyph
+    } else {
+      ranges.push({ start: glyph, end: glyph, index })
+    }
+  })
+
+  if (ranges.length * 3 < sorted.length) {
+    const node = new Node().uint16(2).uint16(ranges.length)
+    ranges.forEach(range => node.uint16(range.start).uint16(range.end).uint16(range.index))
+    return node
+  }
+  return new Node().uint16(1).uint16(sorted.length).array(sorted)
+}
+
+/**
+ * Write a class definition table
+ * @param {Map<number, number>} classes - Non-zero classes by glyph ID
+ * @returns {Node} Class definition table in the smaller format
+ */
+function writeClassDef(classes) {
+  const glyphs = [...classes.keys()].sort((a, b) => a - b)
+  const ranges = []
+  glyphs.forEach(glyph => {
+    const range = ranges[ranges.length - 1]
+    const value = classes.get(glyph)
+    if (range && range.end === glyph - 1 && range.value === value) {
+      range.end = glyph
+    } else {
+      ranges.push({ start: glyph, end: glyph, value })
+    }
+  })
+
+  const span = glyphs.length ? glyphs[glyphs.length - 1] - glyphs[0] + 1 : 0
+  if (glyphs.length && span + 1 < ranges.length * 3) {
+    const node = new Node().uint16(1).uint16(glyphs[0]).uint16(span)
+    for (let glyph = glyphs[0]; glyph < glyphs[0] + span; glyph++) {
+      node.uint16(classes.get(glyph) || 0)
+    }
+    return node
+  }
+
+  const node = new Node().uint16(2).uint16(ranges.length)
+  ranges.forEach(range => node.uint16(range.start).uint16(range.end).uint16(range.value))
+  return node
+}
+
+/**
+ * Write a device or variation index table
+ * @param {Buffer|null} device - Table data
+ * @returns {Node|null} Table
+ */
+function writeDevice(device) {
+  return device && new Node().raw(device)
+}
+
+/**
+ * Append a value record
+ * @param {Node} node - Table holding the record
+ * @param {Object} value - Values and device tables by field name
+ * @param {number} format - valueFormat
+ * @param {Node} base - Table device offsets are relative to: the subtable, or the PairSet table of
+ *   PairPos format 1
+ */
+function writeValue(node, value, format, base) {
+  VALUE_FIELDS.forEach((field, bit) => {
+    if (format & (1 << bit)) {
+      if (bit < 4) {
+        node.int16(value[field] || 0)
+      } else {
+        node.offset(writeDevice(value[field] || null), { base })
+      }
+    }
+  })
+}
+
+/**
+ * Write an anchor table
+ * @param {Object|null} anchor - Anchor
+ * @returns {Node|null} Anchor table
+ */
+function writeAnchor(anchor) {
+  if (!anchor) {
+    return null
+  }
+
+  const node = new Node().uint16(anchor.format).int16(anchor.x).int16(anchor.y)
+  if (anchor.format === 2) {
+    node.uint16(anchor.point)
+  } else if (anchor.format === 3) {
+    node.offset(writeDevice(anchor.xDevice)).offset(writeDevice(anchor.yDevice))
+  }
+  return node
+}
+
+/**
+ * Append sequence lookup records
+ * @param {Node} node - Table holding the records
+ * @param {Array<{sequenceIndex: number, lookupIndex: number}>} records - Records
+ */
+function writeSequenceRecords(node, records) {
+  records.forEach(record => node.uint16(record.sequenceIndex).uint16(record.lookupIndex))
+}
+
+/**
+ * Write a sequence or chained sequence rule
+ * @param {Object} rule - Rule
+ * @param {boolean} chained - Whether the rule has backtrack and lookahead sequences
+ * @returns {Node} Rule table
+ */
+function writeRule(rule, chained) {
+  const node = new Node()
+  if (chained) {
+    node.uint16(rule.backtrack.length).array(rule.backtrack)
+    node.uint16(rule.input.length + 1).array(rule.input)
+    node.uint16(rule.lookahead.length).array(rule.lookahead)
+    node.uint16(rule.records.length)
+  } else {
+    node
+      .uint16(rule.input.length + 1)
+      .uint16(rule.records.length)
+      .array(rule.input)
+  }
+  writeSequenceRecords(node, rule.records)
+  return node
+}
+
+/**
+ * Write a rule set
+ * @param {Object[]|null} rules - Rules
+ * @param {boolean} chained - Whether the rules are chained
+ * @returns {Node|null} Rule set table
+ */
+function writeRuleSet(rules, chained) {
+  if (!rules) {
+    return null
+  }
+
+  const node = new Node().uint16(rules.length)
+  rules.forEach(rule => node.offset(writeRule(rule, chained)))
+  return node
+}
+
+/**
+ * Write a sequence context or chained sequence context subtable
+ * @param {Object} subtable - Subtable
+ * @param {boolean} chained - Whether it is the chained variant
+ * @returns {Node} Subtable
+ */
+function writeContext(subtable, chained) {
+  const node = new Node().uint16(subtable.format)
+
+  if (subtable.format === 1) {
+    const glyphs = [...subtable.rules.keys()].sort((a, b) => a - b)
+    node.offset(writeCoverage(glyphs)).uint16(glyphs.length)
+    glyphs.forEach(glyph => node.offset(writeRuleSet(subtable.rules.get(glyph), chained)))
+    return node
+  }
+
+  if (subtable.format === 2) {
+    node.offset(writeCoverage(subtable.coverage))
+    if (chained) {
+      node.offset(writeClassDef(subtable.backtrackClassDef))
+    }
+    node.offset(writeClassDef(subtable.inputClassDef))
+    if (chained) {
+      node.offset(writeClassDef(subtable.lookaheadClassDef))
+    }
+    node.uint16(subtable.classSets.length)
+    subtable.classSets.forEach(rules => node.offset(writeRuleSet(rules, chained)))
+    return node
+  }
+
+  const writeCoverages = coverages => coverages.forEach(coverage => node.offset(writeCoverage(coverage)))
+  if (chained) {
+    node.uint16(subtable.backtrack.length)
+    writeCoverages(subtable.backtrack)
+    node.uint16(subtable.input.length)
+    writeCoverages(subtable.input)
+    node.uint16(subtable.lookahead.length)
+    writeCoverages(subtable.lookahead)
+    node.uint16(subtable.records.length)
+  } else {
+    node.uint16(subtable.input.length).uint16(subtable.records.length)
+    writeCoverages(subtable.input)
+  }
+  writeSequenceRecords(node, subtable.records)
+  return node
+}
+
+/**
+ * Write a GSUB subtable
+ * @param {Object} subtable - Subtable
+ * @param {number} type - Lookup type
+ * @returns {Node} Subtable
+ */
+function writeSubstitution(subtable, type) {
+  switch (type) {
+    case 1: {
+      const glyphs = [...subtable.glyphs.keys()].sort((a, b) => a - b)
+      const deltas = new Set(glyphs.map(glyph => (subtable.glyphs.get(glyph) - glyph) & 0xffff))
+      if (deltas.size === 1) {
+        return new Node()
+          .uint16(1)
+          .offset(writeCoverage(glyphs))
+          .uint16([...deltas][0])
+      }
+      return new Node()
+        .uint16(2)
+        .offset(writeCoverage(glyphs))
+        .uint16(glyphs.length)
+        .array(glyphs.map(glyph => subtable.glyphs.get(glyph)))
+    }
+    case 2:
+    case 3: {
+      const glyphs = [...subtable.sequences.keys()].sort((a, b) => a - b)
+      const node = new Node().uint16(1).offset(writeCoverage(glyphs)).uint16(glyphs.length)
+      glyphs.forEach(glyph => {
+        const sequence = subtable.sequences.get(glyph)
+        node.offset(new Node().uint16(sequence.length).array(sequence))
+      })
+      return node
+    }
+    case 4: {
+      const glyphs = [...subtable.ligatures.keys()].sort((a, b) => a - b)
+      const node = new Node().uint16(1).offset(writeCoverage(glyphs)).uint16(glyphs.length)
+      glyphs.forEach(glyph => {
+        const ligatures = subtable.ligatures.get(glyph)
+        const ligatureSet = new Node().uint16(ligatures.length)
+        ligatures.forEach(ligature =>
+          ligatureSet.offset(
+            new Node()
+              .uint16(ligature.glyph)
+              .uint16(ligature.components.length + 1)
+              .array(ligature.components)
+          )
+        )
+        node.offset(ligatureSet)
+      })
+      return node
+    }
+    case 5:
+    case 6:
+      return writeContext(subtable, type === 6)
+    case 8: {
+      const glyphs = [...subtable.glyphs.keys()].sort((a, b) => a - b)
+      const node = new Node().uint16(1).offset(writeCoverage(glyphs))
+      node.uint16(subtable.backtrack.length)
+      subtable.backtrack.forEach(coverage => node.offset(writeCoverage(coverage)))
+      node.uint16(subtable.lookahead.length)
+      subtable.lookahead.forEach(coverage => node.offset(writeCoverage(coverage)))
+      return node.uint16(glyphs.length).array(glyphs.map(glyph => subtable.glyphs.get(glyph)))
+    }
+    default:
+      throw new Error(`Unsupported GSUB lookup type ${type}`)
+  }
+}
+
+/**
+ * Write a table of anchor records, as BaseArray, Mark2Array and LigatureAttach tables
+ * @param {Array<Array<Object|null>>} records - Anchors of every record
+ * @returns {Node} Table
+ */
+function writeAnchorRecords(records) {
+  const node = new Node().uint16(records.length)
+  records.forEach(anchors => anchors.forEach(anchor => node.offset(writeAnchor(anchor))))
+  return node
+}
+
+/**
+ * Write a GPOS subtable
+ * @param {Object} subtable - Subtable
+ * @param {number} type - Lookup type
+ * @returns {Node} Subtable
+ */
+function writePositioning(subtable, type) {
+  switch (type) {
+    case 1: {
+      const glyphs = [...subtable.values.keys()].sort((a, b) => a - b)
+      const node = new Node()
+      const values = glyphs.map(glyph => subtable.values.get(glyph))
+      if (new Set(values).size === 1) {
+        node.uint16(1).offset(writeCoverage(glyphs)).uint16(subtable.valueFormat)
+        writeValue(node, values[0], subtable.valueFormat, node)
+        return node
+      }
+      node.uint16(2).offset(writeCoverage(glyphs)).uint16(subtable.valueFormat).uint16(values.length)
+      values.forEach(value => writeValue(node, value, subtable.valueFormat, node))
+      return node
+    }
+    case 2: {
+      const { valueFormat1, valueFormat2 } = subtable
+      const node = new Node().uint16(subtable.format)
+      // Device offsets are relative to the PairSet table in format 1, and to the subtable in format 2
+      const writePair = (holder, pair) => {
+        writeValue(holder, pair.value1, valueFormat1, holder)
+        writeValue(holder, pair.value2, valueFormat2, holder)
+      }
+
+      if (subtable.format === 1) {
+        const glyphs = [...subtable.pairs.keys()].sort((a, b) => a - b)
+        node.offset(writeCoverage(glyphs)).uint16(valueFormat1).uint16(valueFormat2).uint16(glyphs.length)
+        glyphs.forEach(glyph => {
+          const pairs = [...subtable.pairs.get(glyph)].sort((a, b) => a.secondGlyph - b.secondGlyph)
+          const pairSet = new Node().uint16(pairs.length)
+          pairs.forEach(pair => writePair(pairSet.uint16(pair.secondGlyph), pair))
+          node.offset(pairSet)
+        })
+        return node
+      }
+
+      node
+        .offset(writeCoverage(subtable.coverage))
+        .uint16(valueFormat1)
+        .uint16(valueFormat2)
+        .offset(writeClassDef(subtable.classDef1))
+        .offset(writeClassDef(subtable.classDef2))
+        .uint16(subtable.records.length)
+        .uint16(subtable.class2Count)
+      subtable.records.forEach(row => row.forEach(pair => writePair(node, pair)))
+      return node
+    }
+    case 3: {
+      const glyphs = [...subtable.entryExits.keys()].sort((a, b) => a - b)
+      const node = new Node().uint16(1).offset(writeCoverage(glyphs)).uint16(glyphs.length)
+      glyphs.forEach(glyph => {
+        const { entry, exit } = subtable.entryExits.get(glyph)
+        node.offset(writeAnchor(entry)).offset(writeAnchor(exit))
+      })
+      return node
+    }
+    case 4:
+    case 5:
+    case 6: {
+      const marks = [...subtable.marks.keys()].sort((a, b) => a - b)
+      const bases = [...subtable.bases.keys()].sort((a, b) => a - b)
+      const markArray = new Node().uint16(marks.length)
+      marks.forEach(glyph => {
+        const mark = subtable.marks.get(glyph)
+        markArray.uint16(mark.markClass).offset(writeAnchor(mark.anchor))
+      })
+
+      let baseArray
+      if (type === 5) {
+        baseArray = new Node().uint16(bases.length)
+        bases.forEach(glyph => baseArray.offset(writeAnchorRecords(subtable.bases.get(glyph))))
+      } else {
+        baseArray = writeAnchorRecords(bases.map(glyph => subtable.bases.get(glyph)))
+      }
+
+      return new Node()
+        .uint16(1)
+        .offset(writeCoverage(marks))
+        .offset(writeCoverage(bases))
+        .uint16(subtable.classCount)
+        .offset(markArray)
+        .offset(baseArray)
+    }
+    case 7:
+    case 8:
+      return writeContext(subtable, type === 8)
+    default:
+      throw new Error(`Unsupported GPOS lookup type ${type}`)
+  }
+}
+
+/**
+ * Write a LangSys table
+ * @param {Object} langSys - LangSys
+ * @returns {Node} LangSys table
+ */
+function writeLangSys(langSys) {
+  return new Node()
+    .uint16(0)
+    .uint16(langSys.requiredFeatureIndex)
+    .uint16(langSys.featureIndices.length)
+    .array(langSys.featureIndices)
+}
+
+/**
+ * Build the tables of a GSUB or GPOS table
+ * @param {Object} table - Table from parseLayoutTable
+ * @param {string} tag - GSUB or GPOS
+ * @param {boolean} extension - Whether every subtable goes behind an extension subtable
+ * @returns {Node} Root table
+ */
+function buildLayoutTable(table, tag, extension) {
+  const byTag = (a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0)
+
+  const scriptList = new Node().uint16(table.scripts.length)
+  ;[...table.scripts].sort(byTag).forEach(script => {
+    const langSys = [...script.langSys].sort(byTag)
+    const scriptNode = new Node()
+      .offset(script.defaultLangSys && writeLangSys(script.defaultLangSys))
+      .uint16(langSys.length)
+    langSys.forEach(entry => scriptNode.tag(entry.tag).offset(writeLangSys(entry)))
+    scriptList.tag(script.tag).offset(scriptNode)
+  })
+
+  const featureList = new Node().uint16(table.features.length)
+  table.features.forEach(feature => {
+    // Parameters such as cvXX characters may have an odd length
+    const params = feature.params && new Node().raw(feature.params).raw(feature.params.length % 2 ? [0] : [])
+    featureList
+      .tag(feature.tag)
+      .offset(new Node().offset(params).uint16(feature.lookupIndices.length).array(feature.lookupIndices))
+  })
+
+  const writeSubtable = tag === 'GSUB' ? writeSubstitution : writePositioning
+  const lookupList = new Node().uint16(table.lookups.length)
+  table.lookups.forEach(lookup => {
+    const node = new Node()
+      .uint16(extension ? EXTENSION_TYPES[tag] : lookup.type)
+      .uint16(lookup.flag)
+      .uint16(lookup.subtables.length)
+    lookup.subtables.forEach(subtable => {
+      const subtableNode = writeSubtable(subtable, lookup.type)
+      if (extension) {
+        subtableNode.separate = true
+        node.offset(new Node().uint16(1).uint16(lookup.type).offset(subtableNode, { size: 4 }))
+      } else {
+        node.offset(subtableNode)
+      }
+    })
+    if (lookup.flag & USE_MARK_FILTERING_SET) {
+      node.uint16(lookup.markFilteringSet)
+    }
+    lookupList.offset(node)
+  })
+
+  return new Node().uint16(1).uint16(0).offset(scriptList).offset(featureList).offset(lookupList)
+}
+
+/**
+ * Write a GSUB or GPOS table, using extension lookups when 16-bit offsets overflow
+ * @param {Object} table - Table from parseLayoutTable
+ * @param {string} tag - GSUB or GPOS
+ * @returns {Buffer} Table data
+ * @throws {Error} When a single subtable is too large for 16-bit offsets
+ */
+export function writeLayoutTable(table, tag) {
+  const data = pack(buildLayoutTable(table, tag, false)) || pack(buildLayoutTable(table, tag, true))
+  if (!data) {
+    throw new Error(`${tag} table is too large to write`)
+  }
+  return data
+}
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest'
+import { getContextKind, parseLayoutTable, writeLayoutTable } from './layout-tables.mjs'
+
+// GSUB with a single substitution, ligatures and a chained context calling another lookup
+function gsubTable() {
+  return {
+    scripts: [
+      {
+        tag: 'DFLT',
+        defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0, 1, 2] },
+        langSys: [],
+      },
+      {
+        tag: 'latn',
+        defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0, 1, 2] },
+        langSys: [{ tag: 'TRK ', requiredFeatureIndex: 0xffff, featureIndices: [1] }],
+      },
+    ],
+    features: [
+      { tag: 'calt', params: null, lookupIndices: [2] },
+      { tag: 'liga', params: null, lookupIndices: [1] },
+      { tag: 'ss01', params: Buffer.from([0, 0, 1, 0]), lookupIndices: [0] },
+    ],
+    lookups: [
+      {
+        type: 1,
+        flag: 0,
+        subtables: [
+          {
+            glyphs: new Map([
+              [10, 20],
+              [11, 21],
+            ]),
+          },
+        ],
+      },
+      {
+        type: 4,
+        flag: 8,
+        subtables: [
+          {
+            ligatures: new Map([
+              [
+                5,
+                [
+                  { glyph: 30, components: [5] },
+                  { glyph: 31, components: [6] },
+                ],
+              ],
+            ]),
+          },
+        ],
+      },
+      {
+        type: 6,
+        flag: 0,
+        subtables: [
+          {
+            format: 3,
+            backtrack: [[5]],
+            input: [[6, 7]],
+            lookahead: [],
+            records: [{ sequenceIndex: 0, lookupIndex: 3 }],
+          },
+        ],
+      },
+      {
+        type: 1,
+        flag: 0,
+        subtables: [
+          {
+            glyphs: new Map([
+              [6, 40],
+              [7, 12],
+            ]),
+          },
+        ],
+      },
+    ],
+  }
+}
+
+// GPOS with single adjustments and kerning pairs
+function gposTable() {
+  return {
+    scripts: [
+      { tag: 'DFLT', defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0] }, langSys: [] },
+    ],
+    features: [{ tag: 'kern', params: null, lookupIndices: [0, 1] }],
+    lookups: [
+      {
+        type: 1,
+        flag: 0,
+        subtables: [
+          {
+            format: 2,
+            valueFormat: 4,
+            values: new Map([
+              [5, { xAdvance: 10 }],
+              [6, { xAdvance: 20 }],
+            ]),
+          },
+        ],
+      },
+      {
+        type: 2,
+        flag: 0,
+        subtables: [
+          {
+            format: 1,
+            valueFormat1: 4,
+            valueFormat2: 0,
+            pairs: new Map([[5, [{ secondGlyph: 6, value1: { xAdvance: -50 }, value2: {} }]]]),
+          },
+        ],
+      },
+    ],
+  }
+}
+
+describe('getContextKind', () => {
+  it('should tell contextual lookup types apart', () => {
+    expect(getContextKind('GSUB', 5)).toEqual({ chained: false })
+    expect(getContextKind('GSUB', 6)).toEqual({ chained: true })
+    expect(getContextKind('GPOS', 8)).toEqual({ chained: true })
+    expect(getContextKind('GSUB', 1)).toBeNull()
+    expect(getContextKind('GPOS', 6)).toBeNull()
+  })
+})
+
+describe('layout tables', () => {
+  it('should read back a written GSUB table', () => {
+    const table = gsubTable()
+    const data = writeLayoutTable(table, 'GSUB')
+
+    // Version 1.0
+    expect(data.readUInt32BE(0)).toBe(0x00010000)
+    expect(parseLayoutTable(data, 'GSUB')).toEqual(table)
+  })
+
+  it('should read back a written GPOS table', () => {
+    const table = gposTable()
+    expect(parseLayoutTable(writeLayoutTable(table, 'GPOS'), 'GPOS')).toEqual(table)
+  })
+
+  it('should read back kerning pairs with device tables', () => {
+    // VariationIndex device, and a hinting device with 2-bit deltas for sizes 11 to 13
+    const variation = Buffer.from([0, 1, 0, 2, 0x80, 0])
+    const hinting = Buffer.from([0, 11, 0, 13, 0, 1, 0b01110000, 0])
+    const table = gposTable()
+    table.lookups[1].subtables[0] = {
+      format: 1,
+      valueFormat1: 0x0044,
+      valueFormat2: 0x0011,
+      pairs: new Map([
+        [
+          5,
+          [
+            {
+              secondGlyph: 6,
+              value1: { xAdvance: -50, xAdvDevice: variation },
+              value2: { xPlacement: 5, xPlaDevice: null },
+            },
+            {
+              secondGlyph: 7,
+              value1: { xAdvance: -20, xAdvDevice: null },
+              value2: { xPlacement: 0, xPlaDevice: hinting },
+            },
+          ],
+        ],
+        [
+          6,
+          [
+            {
+              secondGlyph: 5,
+              value1: { xAdvance: -10, xAdvDevice: hinting },
+              value2: { xPlacement: 0, xPlaDevice: null },
+            },
+          ],
+        ],
+      ]),
+    }
+
+    const data = writeLayoutTable(table, 'GPOS')
+    expect(parseLayoutTable(data, 'GPOS')).toEqual(table)
+    expect(writeLayoutTable(parseLayoutTable(data, 'GPOS'), 'GPOS')).toEqual(data)
+
+    // The xAdvDevice offset of the first pair is relative to its PairSet table
+    const lookupList = data.readUInt16BE(8)
+    const lookup = lookupList + data.readUInt16BE(lookupList + 4)
+    const subtable = lookup + data.readUInt16BE(lookup + 6)
+    const pairSet = subtable + data.readUInt16BE(subtable + 10)
+    const device = pairSet + data.readUInt16BE(pairSet + 6)
+    expect(data.subarray(device, device + 6)).toEqual(variation)
+  })
+
+  it('should write the same table again', () => {
+    const data = writeLayoutTable(gsubTable(), 'GSUB')
+    expect(writeLayoutTable(parseLayoutTable(data, 'GSUB'), 'GSUB')).toEqual(data)
+  })
+
+  it('should keep the mark filtering set', () => {
+    const table = gsubTable()
+    table.lookups[1].flag |= 0x0010
+    table.lookups[1].markFilteringSet = 2
+    expect(parseLayoutTable(writeLayoutTable(table, 'GSUB'), 'GSUB').lookups[1]).toMatchObject({
+      flag: 0x0018,
+      markFilteringSet: 2,
+    })
+  })
+
+  it('should use extension lookups when 16-bit offsets overflow', () => {
+    // Three substitutions to odd glyphs, each about 40 KB
+    const glyphs = () => new Map(Array.from({ length: 20000 }, (_, index) => [index, (index * 7) % 20000]))
+    const table = {
+      scripts: [
+        { tag: 'DFLT', defaultLangSys: { requiredFeatureIndex: 0xffff, featureIndices: [0] }, langSys: [] },
+      ],
+      features: [{ tag: 'salt', params: null, lookupIndices: [0, 1, 2] }],
+      lookups: [0, 1, 2].map(() => ({ type: 1, flag: 0, subtables: [{ glyphs: glyphs() }] })),
+    }
+
+    const data = writeLayoutTable(table, 'GSUB')
+    const lookupList = data.readUInt16BE(8)
+    const lookup = lookupList + data.readUInt16BE(lookupList + 2)
+
+    expect(data.readUInt16BE(lookup)).toBe(7)
+    expect(parseLayoutTable(data, 'GSUB')).toEqual(table)
+  })
+
+  it('should throw error for unsupported lookup types', () => {
+    const table = gsubTable()
+    table.lookups[0].type = 9
+    expect(() => writeLayoutTable(table, 'GSUB')).toThrow('Unsupported GSUB lookup type 9')
+  })
+})
@@ -0,0 +1,192 @@
+import path from 'node:path'
+import { existsSync, statSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { pathToFileURL } from 'node:url'
+
+/**
+ * Project configuration for repeatable font builds
+ *
+ * A config describes a list of font jobs. Options set at the top level are defaults
+ * shared by every job, options on a job override them:
+ *
+ *   export default {
+ *     formats: ['woff2', 'woff'],
+ *     output: 'dist/fonts/',
+ *     scan: ['src/pages/*.vue', 'locales/zh.json'],
+ *     jobs: [
+ *       { input: 'fonts/title.ttf', words: '品牌标题' },
+ *       { input: 'fonts/body-*.ttf', collection: 'commonlyUsed' },
+ *     ],
+ *   }
+ *
+ * Relative paths are resolved against the directory of the config file.
+ */
+
+// Searched in order in the working directory, then the "minifyFont" key of package.json
+export const CONFIG_FILES = ['minify-font.config.js', 'minify-font.config.mjs', 'minify-font.config.json']
+
+// Keys allowed on a job or as shared defaults
+const JOB_KEYS = [
+  'input',
+  'words',
+  'collection',
+  'scan',
+  'output',
+  'formats',
+  'css',
+  'family',
+  'weight',
+  'style',
+  'display',
+  'urlPrefix',
+  'layout',
+  'axes',
+  'face',
+  'inputOptions',
+  'outputOptions',
+  'cache',
+  'force',
+  'concurrency',
+]
+
+// Keys that apply to the whole run, as every job shares one worker pool
+const RUN_KEYS = ['concurrency']
+
+/**
+ * Read a config file: JSON, package.json (its "minifyFont" key) or a JavaScript module's default export
+ * @param {string} file - Absolute config file path
+ * @returns {Promise<Object|Array>} Raw config
+ */
+async function readConfigFile(file) {
+  if (file.endsWith('.json')) {
+    let json
+    try {
+      json = JSON.parse(await readFile(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid JSON in config file ${file}: ${error.message}`)
+    }
+    return path.basename(file) === 'package.json' ? json.minifyFont : json
+  }
+
+  // The modification time in the URL re-imports a config edited while --watch is running
+  const module = await import(`${pathToFileURL(file).href}?mtime=${statSync(file).mtimeMs}`)
+  return module.default
+}
+
+/**
+ * Find and load the project config
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Directory to search
+ * @param {string} [options.configFile] - Explicit config file, e.g. from --config
+ * @returns {Promise<{config: Object|Array, path: string}|null>} Loaded config, or null when none was found
+ * @throws {Error} When the explicit config file does not exist or holds no config
+ */
+export async function loadConfig({ cwd = process.cwd(), configFile } = {}) {
+  if (configFile) {
+    const file = path.resolve(cwd, configFile)
+    if (!existsSync(file)) {
+      throw new Error(`Config file not found: ${configFile}`)
+    }
+    const config = await readConfigFile(file)
+    if (!config) {
+      throw new Error(`No minify-font config in ${configFile}`)
+    }
+    return { config, path: file }
+  }
+
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name)
+    if (existsSync(file)) {
+      return { config: await readConfigFile(file), path: file }
+    }
+  }
+
+  const packageFile = path.join(cwd, 'package.json')
+  if (existsSync(packageFile)) {
+    const config = await readConfigFile(packageFile)
+    if (config) {
+      return { config, path: packageFile }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Normalize a config into a list of jobs with shared defaults applied
+ * @param {Object|Array} config - Raw config: an object with jobs, a single job, or an array of jobs
+ * @param {Object} [options] - Options
+ * @param {string} [options.configPath] - Path of the config file, relative paths are resolved from its directory
+ * @param {string} [options.cwd=process.cwd()] - Working directory, resolved paths stay relative to it
+ * @returns {Array<Object>} Jobs with inputs, words, collection, scan, output, formats, CSS options, layout, axes, face, inputOptions,
+ *   outputOptions, cache, force and the concurrency of the run
+ * @throws {Error} When the config or one of its jobs is invalid
+ */
+export function resolveJobs(config, { configPath, cwd = process.cwd() } = {}) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Config must be an object or an array of jobs')
+  }
+
+  const { jobs: jobList, ...defaults } = Array.isArray(config) ? { jobs: config } : config
+  const jobs = jobList === undefined ? [defaults] : jobList
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    throw new Error('Config jobs must be a non-empty array')
+  }
+
+  const baseDir = configPath ? path.relative(cwd, path.dirname(configPath)) : ''
+  const resolvePath = file => (path.isAbsolute(file) ? file : path.join(baseDir, file))
+
+  return jobs.map((job, index) => {
+    const label = `Config job ${index + 1}`
+    const merged = { ...defaults, ...job }
+
+    const unknownKey = Object.keys(merged).find(key => !JOB_KEYS.includes(key))
+    if (unknownKey) {
+      throw new Error(`${label}: unknown option "${unknownKey}"`)
+    }
+    const runKey = job !== defaults && RUN_KEYS.find(key => key in job)
+    if (runKey) {
+      throw new Error(`${label}: ${runKey} can only be set at the top level of the config`)
+    }
+    const { cache, concurrency } = merged
+    if (cache !== undefined && typeof cache !== 'boolean' && typeof cache !== 'string') {
+      throw new Error(`${label}: cache must be a boolean or a cache directory`)
+    }
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      throw new Error(`${label}: concurrency must be a positive integer`)
+    }
+
+    const inputs = [].concat(merged.input || [])
+    if (inputs.length === 0) {
+      throw new Error(`${label}: input is required`)
+    }
+
+    const formats = typeof merged.formats === 'string' ? merged.formats.split(',') : merged.formats
+    if (formats !== undefined && (!Array.isArray(formats) || formats.length === 0)) {
+      throw new Error(`${label}: formats must be a non-empty array`)
+    }
+
+    return {
+      inputs: inputs.map(resolvePath),
+      words: merged.words ?? null,
+      collection: merged.collection ?? null,
+      scan: [].concat(merged.scan || []).map(resolvePath),
+      output: merged.output ? resolvePath(merged.output) : null,
+      formats: formats ? formats.map(format => format.trim()) : null,
+      css: merged.css ? resolvePath(merged.css) : null,
+      family: merged.family ?? null,
+      weight: merged.weight ?? null,
+      style: merged.style ?? null,
+      display: merged.display ?? null,
+      urlPrefix: merged.urlPrefix ?? null,
+      layout: merged.layout ?? null,
+      axes: merged.axes ?? null,
+      face: merged.face ?? null,
+      inputOptions: { ...defaults.inputOptions, ...job.inputOptions },
+      outputOptions: { ...defaults.outputOptions, ...job.outputOptions },
+      cache: typeof cache === 'string' ? resolvePath(cache) : (cache ?? null),
+      force: merged.force ?? null,
+      concurrency: concurrency ?? null,
+    }
+  })
+}
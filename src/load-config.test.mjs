@@ -0,0 +1,259 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, utimesSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { loadConfig, resolveJobs } from './load-config.mjs'
+
+describe('loadConfig', () => {
+  let cwd
+
+  beforeEach(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'minify-font-config-'))
+  })
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true })
+  })
+
+  it('should return null without a config', async () => {
+    writeFileSync(path.join(cwd, 'package.json'), '{ "name": "site" }')
+
+    expect(await loadConfig({ cwd })).toBeNull()
+  })
+
+  it('should load a JavaScript module config', async () => {
+    writeFileSync(path.join(cwd, 'minify-font.config.mjs'), "export default { input: 'font.ttf' }")
+
+    expect(await loadConfig({ cwd })).toEqual({
+      config: { input: 'font.ttf' },
+      path: path.join(cwd, 'minify-font.config.mjs'),
+    })
+  })
+
+  it('should load a JavaScript module config again after it changed', async () => {
+    const file = path.join(cwd, 'minify-font.config.mjs')
+    writeFileSync(file, "export default { input: 'a.ttf' }")
+    await loadConfig({ cwd })
+
+    writeFileSync(file, "export default { input: 'b.ttf' }")
+    utimesSync(file, new Date(), new Date(Date.now() + 1000))
+
+    expect((await loadConfig({ cwd })).config).toEqual({ input: 'b.ttf' })
+  })
+
+  it('should prefer a config file over package.json', async () => {
+    writeFileSync(path.join(cwd, 'minify-font.config.json'), '{ "input": "a.ttf" }')
+    writeFileSync(path.join(cwd, 'package.json'), '{ "minifyFont": { "input": "b.ttf" } }')
+
+    expect((await loadConfig({ cwd })).config).toEqual({ input: 'a.ttf' })
+  })
+
+  it('should read the minifyFont key of package.json', async () => {
+    writeFileSync(path.join(cwd, 'package.json'), '{ "minifyFont": [{ "input": "b.ttf" }] }')
+
+    expect(await loadConfig({ cwd })).toEqual({
+      config: [{ input: 'b.ttf' }],
+      path: path.join(cwd, 'package.json'),
+    })
+  })
+
+  it('should load an explicit config file', async () => {
+    mkdirSync(path.join(cwd, 'config'))
+    writeFileSync(path.join(cwd, 'config/fonts.json'), '{ "input": "c.ttf" }')
+
+    expect((await loadConfig({ cwd, configFile: 'config/fonts.json' })).config).toEqual({ input: 'c.ttf' })
+  })
+
+  it('should error when an explicit config file is missing or empty', async () => {
+    writeFileSync(path.join(cwd, 'package.json'), '{}')
+
+    await expect(loadConfig({ cwd, configFile: 'missing.json' })).rejects.toThrow(
+      'Config file not found: missing.json'
+    )
+    await expect(loadConfig({ cwd, configFile: 'package.json' })).rejects.toThrow(
+      'No minify-font config in package.json'
+    )
+  })
+
+  it('should name the config file with invalid JSON', async () => {
+    writeFileSync(path.join(cwd, 'minify-font.config.json'), '{ input: ')
+
+    await expect(loadConfig({ cwd })).rejects.toThrow(
+      /Invalid JSON in config file .*minify-font\.config\.json/
+    )
+  })
+})
+
+describe('resolveJobs', () => {
+  const cwd = path.resolve('/project')
+
+  it('should apply shared defaults to every job', () => {
+    const jobs = resolveJobs(
+      {
+        formats: ['woff2'],
+        collection: 'top500',
+        inputOptions: { hinting: true },
+        jobs: [
+          { input: 'title.ttf', words: '标题' },
+          { input: ['body.ttf', 'fonts/*.otf'], collection: null },
+        ],
+      },
+      { cwd }
+    )
+
+    expect(jobs).toEqual([
+      {
+        inputs: ['title.ttf'],
+        words: '标题',
+        collection: 'top500',
+        scan: [],
+        output: null,
+        formats: ['woff2'],
+        css: null,
+        family: null,
+        weight: null,
+        style: null,
+        display: null,
+        urlPrefix: null,
+        layout: null,
+        axes: null,
+        face: null,
+        inputOptions: { hinting: true },
+        outputOptions: {},
+        cache: null,
+        force: null,
+        concurrency: null,
+      },
+      {
+        inputs: ['body.ttf', 'fonts/*.otf'],
+        words: null,
+        collection: null,
+        scan: [],
+        output: null,
+        formats: ['woff2'],
+        css: null,
+        family: null,
+        weight: null,
+        style: null,
+        display: null,
+        urlPrefix: null,
+        layout: null,
+        axes: null,
+        face: null,
+        inputOptions: { hinting: true },
+        outputOptions: {},
+        cache: null,
+        force: null,
+        concurrency: null,
+      },
+    ])
+  })
+
+  it('should accept a single job or an array of jobs', () => {
+    expect(resolveJobs({ input: 'a.ttf' }, { cwd })).toHaveLength(1)
+    expect(resolveJobs([{ input: 'a.ttf' }, { input: 'b.ttf' }], { cwd })).toHaveLength(2)
+  })
+
+  it('should merge font options of the defaults and the job', () => {
+    const [job] = resolveJobs(
+      {
+        outputOptions: { hinting: true, kerning: true },
+        jobs: [{ input: 'a.ttf', outputOptions: { kerning: false } }],
+      },
+      { cwd }
+    )
+
+    expect(job.outputOptions).toEqual({ hinting: true, kerning: false })
+  })
+
+  it('should take the layout option from the defaults or the job', () => {
+    const jobs = resolveJobs(
+      { layout: true, jobs: [{ input: 'a.ttf' }, { input: 'b.ttf', layout: { features: ['vert'] } }] },
+      { cwd }
+    )
+
+    expect(jobs.map(job => job.layout)).toEqual([true, { features: ['vert'] }])
+  })
+
+  it('should take the axes option from the defaults or the job', () => {
+    const jobs = resolveJobs(
+      { axes: { wght: 400 }, jobs: [{ input: 'a.ttf' }, { input: 'b.ttf', axes: { wght: [300, 700] } }] },
+      { cwd }
+    )
+
+    expect(jobs.map(job => job.axes)).toEqual([{ wght: 400 }, { wght: [300, 700] }])
+  })
+
+  it('should take the face option from the defaults or the job', () => {
+    const jobs = resolveJobs(
+      { face: 0, jobs: [{ input: 'a.ttc' }, { input: 'b.ttc', face: 'Brand-Bold' }] },
+      { cwd }
+    )
+
+    expect(jobs.map(job => job.face)).toEqual([0, 'Brand-Bold'])
+  })
+
+  it('should take the cache and force options from the defaults or the job, and concurrency from the top level', () => {
+    const jobs = resolveJobs(
+      {
+        cache: '.cache/fonts',
+        concurrency: 2,
+        jobs: [{ input: 'a.ttf' }, { input: 'b.ttf', cache: false, force: true }],
+      },
+      { cwd }
+    )
+
+    expect(jobs.map(({ cache, force, concurrency }) => ({ cache, force, concurrency }))).toEqual([
+      { cache: '.cache/fonts', force: null, concurrency: 2 },
+      { cache: false, force: true, concurrency: 2 },
+    ])
+    expect(resolveJobs({ input: 'a.ttf', concurrency: 4 }, { cwd })[0].concurrency).toBe(4)
+  })
+
+  it('should resolve paths from the config directory', () => {
+    const [job] = resolveJobs(
+      {
+        input: 'fonts/a.ttf',
+        scan: 'src/**/*.vue',
+        output: 'dist/',
+        css: 'dist/fonts.css',
+        formats: 'woff, woff2',
+      },
+      { configPath: path.join(cwd, 'site/minify-font.config.js'), cwd }
+    )
+
+    expect(job.inputs).toEqual([path.join('site', 'fonts/a.ttf')])
+    expect(job.scan).toEqual([path.join('site', 'src/**/*.vue')])
+    expect(job.output).toBe(path.join('site', 'dist/'))
+    expect(job.css).toBe(path.join('site', 'dist/fonts.css'))
+    expect(job.formats).toEqual(['woff', 'woff2'])
+  })
+
+  it('should keep absolute paths', () => {
+    const input = path.resolve('/fonts/a.ttf')
+    const [job] = resolveJobs({ input }, { configPath: path.join(cwd, 'minify-font.config.js'), cwd })
+
+    expect(job.inputs).toEqual([input])
+  })
+
+  it('should reject invalid configs', () => {
+    expect(() => resolveJobs(null)).toThrow('Config must be an object or an array of jobs')
+    expect(() => resolveJobs({ jobs: [] })).toThrow('Config jobs must be a non-empty array')
+    expect(() => resolveJobs({ jobs: [{ words: 'A' }] })).toThrow('Config job 1: input is required')
+    expect(() => resolveJobs([{ input: 'a.ttf' }, { input: 'b.ttf', hinting: true }])).toThrow(
+      'Config job 2: unknown option "hinting"'
+    )
+    expect(() => resolveJobs({ input: 'a.ttf', formats: [] })).toThrow(
+      'Config job 1: formats must be a non-empty array'
+    )
+    expect(() => resolveJobs({ jobs: [{ input: 'a.ttf', concurrency: 2 }] })).toThrow(
+      'Config job 1: concurrency can only be set at the top level of the config'
+    )
+    expect(() => resolveJobs({ input: 'a.ttf', concurrency: 0 })).toThrow(
+      'Config job 1: concurrency must be a positive integer'
+    )
+    expect(() => resolveJobs({ input: 'a.ttf', cache: 1 })).toThrow(
+      'Config job 1: cache must be a boolean or a cache directory'
+    )
+  })
+})
@@ -1,18 +1,147 @@
-import { Font, woff2 } from 'fonteditor-core'
 import { existsSync } from 'node:fs'
-import { extname, dirname } from 'node:path'
+import { dirname } from 'node:path'
 import { readFile, writeFile } from 'node:fs/promises'
 import { ensureDir } from './ensure-dir.mjs'
-const VALID_FONT_TYPES = ['ttf', 'otf', 'eot', 'svg', 'woff', 'woff2']
+import { subsetFontToFormats, subsetFontWithStats } from './subset-font-buffer.mjs'
+import { resolveFontType, getExtType } from './detect-font-type.mjs'
+import { DEFAULT_CACHE_DIR, getCacheKey, readCache, writeCache } from './font-cache.mjs'
+import { checkEmbedding } from './font-license.mjs'
+
+/**
+ * Subset font data, reusing the on-disk cache when enabled
+ * @param {Object} options - Options of subsetFontWithStats
+ * @param {boolean|string} cache - Whether to use the cache, or the cache directory
+ * @returns {Promise<{data: Buffer, stats: Object}>} Output font data, stats.cached tells whether it came from the cache
+ */
+export async function subsetFontCached(options, cache) {
+  const cacheDir = cache && (typeof cache === 'string' ? cache : DEFAULT_CACHE_DIR)
+  const cacheKey = cacheDir && getCacheKey(options)
+
+  const entry = cacheKey && (await readCache(cacheDir, cacheKey))
+  if (entry) {
+    // allowRestricted is not part of the key, so the license is checked again
+    checkEmbedding(entry.stats.embedding, Boolean(options.text), options.allowRestricted)
+    return { data: entry.data, stats: { ...entry.stats, cached: true } }
+  }
+
+  const result = await subsetFontWithStats(options)
+  if (cacheKey) {
+    await writeCache(cacheDir, cacheKey, result)
+  }
+  return { data: result.data, stats: { ...result.stats, cached: false } }
+}
+
+/**
+ * Subset font data to several types, reusing the on-disk cache when enabled
+ * The font is parsed once for all the types missing from the cache
+ * @param {Object} options - Options of subsetFontWithStats, without outputType
+ * @param {string[]} outputTypes - Output font types
+ * @param {boolean|string} cache - Whether to use the cache, or the cache directory
+ * @returns {Promise<Array<{data?: Buffer, stats?: Object, error?: Error}>>} Output font data and statistics of each
+ *   type, or the error it failed with
+ */
+export async function subsetFormatsCached(options, outputTypes, cache) {
+  const cacheDir = cache && (typeof cache === 'string' ? cache : DEFAULT_CACHE_DIR)
+  const results = new Array(outputTypes.length)
+  const missing = []
+
+  for (const [index, outputType] of outputTypes.entries()) {
+    const cacheKey = cacheDir && getCacheKey({ ...options, outputType })
+    const entry = cacheKey && (await readCache(cacheDir, cacheKey))
+    if (!entry) {
+      missing.push({ index, outputType, cacheKey })
+      continue
+    }
+    try {
+      // allowRestricted is not part of the key, so the license is checked again
+      checkEmbedding(entry.stats.embedding, Boolean(options.text), options.allowRestricted)
+      results[index] = { data: entry.data, stats: { ...entry.stats, cached: true } }
+    } catch (error) {
+      results[index] = { error }
+    }
+  }
+
+  if (missing.length) {
+    const subsets = await subsetFontToFormats({
+      ...options,
+      outputTypes: missing.map(type => type.outputType),
+    })
+    for (const [position, { index, cacheKey }] of missing.entries()) {
+      const { data, stats, error } = subsets[position]
+      if (error) {
+        results[index] = { error }
+        continue
+      }
+      if (cacheKey) {
+        await writeCache(cacheDir, cacheKey, { data, stats })
+      }
+      results[index] = { data, stats: { ...stats, cached: false } }
+    }
+  }
+  return results
+}
+
+/**
+ * Subset a font file to several output files, parsing it once
+ * Backs the minifyFonts jobs that list several outputs, each output succeeds or fails on its own
+ * @param {Object} options - Options of minifyFont, with outputs in place of output
+ * @param {string[]} options.outputs - Output font file paths
+ * @returns {Promise<Array<{output: string, stats?: Object, error?: Error}>>} Statistics of each output, or the
+ *   error it failed with
+ * @throws {Error} When the input file does not exist or its type cannot be determined
+ */
+export async function minifyFontOutputs({
+  input,
+  outputs,
+  text,
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  face,
+  cache = false,
+  allowRestricted = false,
+}) {
+  if (!existsSync(input)) {
+    throw new Error(`${input} is not exists`)
+  }
+
+  const inputBuffer = await readFile(input)
+  const inputType = resolveFontType(inputBuffer, getExtType(input), `the extension of ${input}`)
+
+  const subsets = await subsetFormatsCached(
+    { data: inputBuffer, inputType, text, inputOptions, outputOptions, layout, axes, face, allowRestricted },
+    outputs.map(getExtType),
+    cache
+  )
+
+  const results = []
+  for (const [index, output] of outputs.entries()) {
+    const { data, stats, error } = subsets[index]
+    if (error) {
+      results.push({ output, error })
+      continue
+    }
+    try {
+      ensureDir(dirname(output))
+      await writeFile(output, data)
+      results.push({ output, stats })
+    } catch (writeError) {
+      results.push({ output, error: writeError })
+    }
+  }
+  return results
+}
 
 /**
  * 字体裁剪和格式转换
  * 支持多种字体格式互转，并可对字体进行字符子集裁剪
+ * 基于 subsetFontBuffer 实现，负责文件的读取和写入
  *
  * @param {Object} options - 配置选项
- * @param {string} options.input - 输入字体文件路径
+ * @param {string} options.input - 输入字体文件路径，格式根据文件内容识别，扩展名仅作为兜底；支持字体集合（.ttc/.otc）
  * @param {string} options.output - 输出字体文件路径
- * @param {string} [options.text] - 需要包含的文字内容，只保留这些字符以减小文件体积
+ * @param {string} [options.text] - 需要包含的文字内容，只保留这些字符以减小文件体积（按 Unicode 码位处理，支持扩展 B 区汉字、emoji 等）
  * @param {Object} [options.inputOptions] - 字体读取选项
  * @param {boolean} [options.inputOptions.hinting=false] - 是否保留 hinting 表（字体微调信息）
  * @param {boolean} [options.inputOptions.kerning=false] - 是否保留 kerning 表（字距调整信息）
@@ -26,9 +155,49 @@ const VALID_FONT_TYPES = ['ttf', 'otf', 'eot', 'svg', 'woff', 'woff2']
  * @param {string} [options.outputOptions.metadata] - SVG 元数据（仅 SVG）
  * @param {Function} [options.outputOptions.deflate] - 自定义压缩函数（用于 WOFF）
  * @param {Object} [options.outputOptions.support] - 覆盖字体度量值
- * @returns {Promise<void>}
+ * @param {Object} [options.outputOptions.names] - 改写输出字体的 name 表，避免与本机安装的同名字体冲突
+ * @param {string} [options.outputOptions.names.family] - 字体族名称（nameID 1 和 16）
+ * @param {string} [options.outputOptions.names.subfamily] - 字体样式名称（nameID 2 和 17）
+ * @param {string} [options.outputOptions.names.fullName] - 字体全名，修改 family、subfamily 或 suffix 时默认为"族名称 样式名称"
+ * @param {string} [options.outputOptions.names.postScriptName] - PostScript 名称，修改 family、subfamily 或 suffix 时默认为"族名称-样式名称"去掉空格
+ * @param {string} [options.outputOptions.names.uniqueId] - 唯一标识（nameID 3）
+ * @param {string} [options.outputOptions.names.suffix] - 追加到字体族名称后的后缀，如 'Subset'
+ * @param {string[]} [options.outputOptions.names.strip] - 删除的 name 记录：copyright（版权和商标）、license（许可证及链接）、
+ *   description（描述和示例文字）、vendor（厂商、设计师及其链接）
+ * @param {boolean|Object} [options.layout=false] - 保留 OpenType 排版特性（GSUB/GPOS）：连字、上下文替换、竖排字形、GPOS 字距和标记定位等。
+ *   开启后会计算 GSUB 闭包，把请求字符经特性替换可能得到的字形（如连字、竖排标点）一并保留，并把查找表裁剪到保留的字形。
+ *   为保证 GDEF、kern 等表继续有效，字形编号保持不变，未保留的字形变为空字形。只支持输出 ttf、woff、woff2 和 eot。
+ *   传入 true 时保留默认特性（常用的连字、字距、标记定位、竖排和复杂文字特性），也可以传入对象：
+ * @param {string[]|string} [options.layout.features] - 保留的特性标签，如 ['liga', 'kern', 'vert', 'ss01']；'*' 表示保留全部特性
+ * @param {string[]} [options.layout.dropFeatures] - 需要去掉的特性标签，在 features 之后生效
+ * @param {Object<string, number|number[]>} [options.axes] - 可变字体（fvar/gvar）的轴设置，以轴标签为键。
+ *   可变字体默认保留所有轴，只裁剪保留字形的变化数据（gvar、HVAR、MVAR 等）；传入数字固定该轴，如 { wght: 700 }；
+ *   传入 [min, max] 收窄该轴的范围（需包含默认值），如 { wght: [300, 700] }。所有轴都固定时输出静态字体，体积最小，
+ *   否则只支持输出 ttf、woff、woff2 和 eot。不支持 CFF2 轮廓的可变字体
+ * @param {number|string} [options.face=0] - 字体集合（.ttc/.otc）中要裁剪的字体，传入索引（从 0 开始）或 PostScript 名称，
+ *   可以用 listFontFaces 查看集合中的字体；单个字体忽略此选项
+ * @param {boolean|string} [options.cache=false] - 是否使用磁盘缓存，传入字符串时作为缓存目录（默认 node_modules/.cache/minify-font）。
+ *   缓存以字体内容、字符集、输出格式和字体选项为键，内容不变时直接复用上次的裁剪结果；包含函数的选项（如 inflate、deflate）不会缓存
+ * @param {boolean} [options.allowRestricted=false] - 允许处理授权禁止嵌入或裁剪的字体。默认读取 OS/2 表的 fsType：
+ *   受限授权（restricted，不允许嵌入）的字体直接报错，禁止裁剪（no subsetting）的字体在传入 text 时报错。
+ *   仅在确认拥有相应授权时开启
+ * @returns {Promise<Object>} 统计信息
+ * @returns {number} return.inputSize - 输入字体字节数
+ * @returns {number} return.outputSize - 输出字体字节数
+ * @returns {number} return.ratio - 输出与输入的体积比
+ * @returns {Object} return.glyphs - 裁剪前后的字形数 { before, after }
+ * @returns {Object} return.chars - 请求的字符数、字体实际包含的字符数，以及字体缺少的字符码位 { requested, covered, missing }
+ * @returns {Object} return.embedding - 嵌入许可（OS/2 fsType）：fsType 原始值，
+ *   permission（installable、restricted、preview-print、editable），subsetting 是否允许裁剪，bitmapOnly 是否只允许嵌入位图
+ * @returns {Object} return.license - 授权信息（name 表）：copyright 版权声明，description 许可证描述，url 许可证链接，
+ *   字体没有时为 null
+ * @returns {boolean} return.cached - 是否来自缓存
  * @throws {Error} 输入文件不存在时抛出错误
  * @throws {Error} 不支持的字体格式时抛出错误
+ * @throws {Error} 文件内容与扩展名表示的格式不一致时抛出错误
+ * @throws {Error} 字体集合中没有 face 指定的字体时抛出错误
+ * @throws {Error} outputOptions.names 无效时抛出错误
+ * @throws {Error} 字体授权（OS/2 fsType）禁止嵌入或裁剪，且没有开启 allowRestricted 时抛出错误
  *
  * @example
  * // 基本用法：裁剪字符并转换格式
@@ -53,36 +222,97 @@ const VALID_FONT_TYPES = ['ttf', 'otf', 'eot', 'svg', 'woff', 'woff2']
  *     kerning: true
  *   }
  * })
+ *
+ * @example
+ * // 查看裁剪效果
+ * const stats = await minifyFont({ input: './font.ttf', output: './font.woff2', text: '常用汉字' })
+ * console.log(`${stats.inputSize} -> ${stats.outputSize} bytes, ${stats.glyphs.before} -> ${stats.glyphs.after} glyphs`)
+ *
+ * @example
+ * // 检查字体缺少的字符，避免线上显示为方框
+ * const { chars } = await minifyFont({ input: './font.ttf', output: './font.woff2', text: '你好𠮷' })
+ * if (chars.missing.length > 0) {
+ *   console.warn('Missing:', String.fromCodePoint(...chars.missing))
+ * }
+ *
+ * @example
+ * // 保留连字、字距和竖排字形，以及样式集 ss01
+ * await minifyFont({
+ *   input: './font.ttf',
+ *   output: './font.woff2',
+ *   text: '常用汉字「」',
+ *   layout: { features: ['liga', 'kern', 'vert', 'ss01'] }
+ * })
+ *
+ * @example
+ * // 从可变字体生成粗体静态字体，以及字重 300-700 的可变字体
+ * await minifyFont({ input: './font-vf.ttf', output: './font-bold.woff2', text: '常用汉字', axes: { wght: 700 } })
+ * await minifyFont({ input: './font-vf.ttf', output: './font.woff2', text: '常用汉字', axes: { wght: [300, 700] } })
+ *
+ * @example
+ * // 裁剪字体集合中的简体中文字体
+ * await minifyFont({ input: './NotoSansCJK.ttc', output: './font.woff2', text: '常用汉字', face: 'NotoSansCJKsc-Regular' })
+ *
+ * @example
+ * // 字体名称加上 Subset 后缀，并删除许可证全文等大段文字
+ * await minifyFont({
+ *   input: './font.ttf',
+ *   output: './font.woff2',
+ *   text: '常用汉字',
+ *   outputOptions: { names: { suffix: 'Subset', strip: ['license', 'description'] } }
+ * })
+ *
+ * @example
+ * // 查看字体授权，已单独购买授权的受限字体需要开启 allowRestricted
+ * const { embedding, license } = await minifyFont({
+ *   input: './font.ttf',
+ *   output: './font.woff2',
+ *   text: '常用汉字',
+ *   allowRestricted: true
+ * })
+ * console.log(embedding.permission, license.url)
+ *
+ * @example
+ * // 使用磁盘缓存，字体、字符和选项不变时跳过裁剪
+ * const { cached } = await minifyFont({ input: './font.ttf', output: './font.woff2', text: '常用汉字', cache: true })
  */
-export async function minifyFont({ input, output, text, inputOptions, outputOptions }) {
+export async function minifyFont({
+  input,
+  output,
+  text,
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  face,
+  cache = false,
+  allowRestricted = false,
+}) {
   if (!existsSync(input)) {
     throw new Error(`${input} is not exists`)
   }
 
-  const [inputType, outputType] = [extname(input).slice(1), extname(output).slice(1)]
-
-  if (!VALID_FONT_TYPES.includes(inputType)) {
-    throw new Error(`Invalid input font type: ${inputType}`)
-  }
-
-  if (!VALID_FONT_TYPES.includes(outputType)) {
-    throw new Error(`Invalid output font type: ${outputType}`)
-  }
+  const inputBuffer = await readFile(input)
 
-  if (inputType === 'woff2' || outputType === 'woff2') {
-    await woff2.init()
-  }
+  // Detect the input type from the content, the extension is only a fallback
+  const inputType = resolveFontType(inputBuffer, getExtType(input), `the extension of ${input}`)
+  const outputType = getExtType(output)
 
-  const inputBuffer = await readFile(input)
-  const inputFont = Font.create(inputBuffer, {
-    ...inputOptions,
-    type: inputType,
-    subset: text && text.split('').map(d => d.charCodeAt(0)),
-  })
-  const outputBuffer = inputFont.write({
-    ...outputOptions,
-    type: outputType,
-  })
+  const { data: outputBuffer, stats } = await subsetFontCached(
+    {
+      data: inputBuffer,
+      inputType,
+      outputType,
+      text,
+      inputOptions,
+      outputOptions,
+      layout,
+      axes,
+      face,
+      allowRestricted,
+    },
+    cache
+  )
 
   // Ensure output directory exists
   const outputDirPath = dirname(output)
@@ -91,4 +321,6 @@ export async function minifyFont({ input, output, text, inputOptions, outputOpti
   }
 
   await writeFile(output, outputBuffer)
+
+  return stats
 }
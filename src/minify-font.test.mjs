@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { minifyFont } from './minify-font.mjs'
+import { minifyFont, minifyFontOutputs } from './minify-font.mjs'
 
 // Mock dependencies
 vi.mock('fonteditor-core', () => ({
@@ -11,6 +11,13 @@ vi.mock('fonteditor-core', () => ({
   },
 }))
 
+// Mock font data is not a real sfnt, treat it as a static font
+vi.mock('./variable-font.mjs', () => ({
+  readVariableFont: vi.fn(() => null),
+  subsetVariableFont: vi.fn(),
+  writeVariableFont: vi.fn(),
+}))
+
 vi.mock('node:fs', async importOriginal => {
   const actual = await importOriginal()
   return {
@@ -28,10 +35,18 @@ vi.mock('./ensure-dir.mjs', () => ({
   ensureDir: vi.fn(),
 }))
 
+vi.mock('./font-cache.mjs', () => ({
+  DEFAULT_CACHE_DIR: 'node_modules/.cache/minify-font',
+  getCacheKey: vi.fn(),
+  readCache: vi.fn(),
+  writeCache: vi.fn(),
+}))
+
 import { Font, woff2 } from 'fonteditor-core'
 import { existsSync } from 'node:fs'
 import { readFile, writeFile } from 'node:fs/promises'
 import { ensureDir } from './ensure-dir.mjs'
+import { getCacheKey, readCache, writeCache } from './font-cache.mjs'
 
 describe('minifyFont', () => {
   let mockFontInstance
@@ -42,6 +57,7 @@ describe('minifyFont', () => {
     // Setup mock font instance
     mockFontInstance = {
       write: vi.fn().mockReturnValue(Buffer.from('output-font-data')),
+      get: vi.fn().mockReturnValue({ maxp: { numGlyphs: 8 }, cmap: { 72: 1, 105: 2 }, glyf: [{}, {}, {}] }),
     }
 
     vi.mocked(Font.create).mockReturnValue(mockFontInstance)
@@ -49,6 +65,8 @@ describe('minifyFont', () => {
     vi.mocked(readFile).mockResolvedValue(Buffer.from('input-font-data'))
     vi.mocked(writeFile).mockResolvedValue(undefined)
     vi.mocked(woff2.init).mockResolvedValue(undefined)
+    vi.mocked(getCacheKey).mockReturnValue('key')
+    vi.mocked(readCache).mockResolvedValue(null)
   })
 
   afterEach(() => {
@@ -117,6 +135,67 @@ describe('minifyFont', () => {
     })
   })
 
+  describe('Font Type Detection', () => {
+    it('should detect the input type from content for unknown extensions', async () => {
+      vi.mocked(readFile).mockResolvedValue(Buffer.from('wOF2-font-data'))
+
+      await minifyFont({
+        input: 'a1b2c3.bin',
+        output: 'output.ttf',
+        text: 'Hello',
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ type: 'woff2' }))
+      expect(woff2.init).toHaveBeenCalledOnce()
+    })
+
+    it('should detect the input type for files without extension', async () => {
+      vi.mocked(readFile).mockResolvedValue(Buffer.from('OTTO-font-data'))
+
+      await minifyFont({
+        input: 'fonts/a1b2c3',
+        output: 'output.ttf',
+        text: 'Hello',
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ type: 'otf' }))
+    })
+
+    it('should accept upper case extensions', async () => {
+      await minifyFont({
+        input: 'FONT.TTF',
+        output: 'OUTPUT.WOFF',
+        text: 'Hello',
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ type: 'ttf' }))
+      expect(mockFontInstance.write).toHaveBeenCalledWith(expect.objectContaining({ type: 'woff' }))
+    })
+
+    it('should throw when content and extension disagree', async () => {
+      vi.mocked(readFile).mockResolvedValue(Buffer.from('wOFF-font-data'))
+
+      await expect(
+        minifyFont({
+          input: 'font.ttf',
+          output: 'output.ttf',
+          text: 'Hello',
+        })
+      ).rejects.toThrow('Font type mismatch: content is woff but the extension of font.ttf is ttf')
+      expect(writeFile).not.toHaveBeenCalled()
+    })
+
+    it('should throw when the type cannot be determined', async () => {
+      await expect(
+        minifyFont({
+          input: 'fonts/a1b2c3',
+          output: 'output.ttf',
+          text: 'Hello',
+        })
+      ).rejects.toThrow('Unable to detect the font type')
+    })
+  })
+
   describe('woff2 Initialization', () => {
     it('should initialize woff2 when input is woff2', async () => {
       await minifyFont({
@@ -215,6 +294,36 @@ describe('minifyFont', () => {
       )
     })
 
+    it('should subset astral characters by code point', async () => {
+      await minifyFont({
+        input: 'font.ttf',
+        output: 'output.ttf',
+        text: 'A𠮷😀',
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({
+          subset: [0x41, 0x20bb7, 0x1f600],
+        })
+      )
+    })
+
+    it('should keep variation selectors and drop lone surrogates', async () => {
+      await minifyFont({
+        input: 'font.ttf',
+        output: 'output.ttf',
+        text: '☺️\ud842',
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({
+          subset: [0x263a, 0xfe0f],
+        })
+      )
+    })
+
     it('should handle empty text', async () => {
       await minifyFont({
         input: 'font.ttf',
@@ -516,6 +625,16 @@ describe('minifyFont', () => {
         })
       ).rejects.toThrow('woff2 init failed')
     })
+
+    it('should refuse fonts whose license forbids subsetting', async () => {
+      mockFontInstance.get.mockReturnValue({ glyf: [], 'OS/2': { fsType: 0x0104 } })
+
+      await expect(minifyFont({ input: 'font.ttf', output: 'output.woff', text: 'Hello' })).rejects.toThrow(
+        'The font license does not allow subsetting (OS/2 fsType 0x0104), ' +
+          'set allowRestricted (--force in the CLI) if you are licensed to subset it'
+      )
+      expect(writeFile).not.toHaveBeenCalled()
+    })
   })
 
   describe('Complete Workflow', () => {
@@ -558,5 +677,182 @@ describe('minifyFont', () => {
         })
       )
     })
+
+    it('should return the output statistics', async () => {
+      const stats = await minifyFont({
+        input: 'font.ttf',
+        output: 'output.woff',
+        text: 'Hi!',
+      })
+
+      expect(stats).toEqual({
+        inputSize: 15,
+        outputSize: 16,
+        ratio: 16 / 15,
+        glyphs: { before: 8, after: 3 },
+        chars: { requested: 3, covered: 2, missing: [0x21] },
+        embedding: { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false },
+        license: { copyright: null, description: null, url: null },
+        cached: false,
+      })
+    })
+  })
+
+  describe('Cache', () => {
+    it('should not use the cache by default', async () => {
+      await minifyFont({ input: 'font.ttf', output: 'output.woff', text: 'Hi' })
+
+      expect(getCacheKey).not.toHaveBeenCalled()
+      expect(readCache).not.toHaveBeenCalled()
+      expect(writeCache).not.toHaveBeenCalled()
+    })
+
+    it('should store the subset in the default cache directory', async () => {
+      const stats = await minifyFont({ input: 'font.ttf', output: 'output.woff', text: 'Hi', cache: true })
+
+      expect(getCacheKey).toHaveBeenCalledWith({
+        data: Buffer.from('input-font-data'),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text: 'Hi',
+        inputOptions: undefined,
+        outputOptions: undefined,
+        allowRestricted: false,
+      })
+      expect(readCache).toHaveBeenCalledWith('node_modules/.cache/minify-font', 'key')
+      expect(writeCache).toHaveBeenCalledWith('node_modules/.cache/minify-font', 'key', {
+        data: Buffer.from('output-font-data'),
+        stats: expect.objectContaining({ outputSize: 16 }),
+      })
+      expect(stats.cached).toBe(false)
+    })
+
+    it('should serve a cached subset without parsing the font', async () => {
+      const cachedStats = {
+        inputSize: 15,
+        outputSize: 6,
+        ratio: 0.4,
+        glyphs: { before: 8, after: 3 },
+        embedding: { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false },
+      }
+      vi.mocked(readCache).mockResolvedValue({ data: Buffer.from('cached'), stats: cachedStats })
+
+      const stats = await minifyFont({
+        input: 'font.ttf',
+        output: 'output.woff',
+        text: 'Hi',
+        cache: 'tmp/cache',
+      })
+
+      expect(readCache).toHaveBeenCalledWith('tmp/cache', 'key')
+      expect(Font.create).not.toHaveBeenCalled()
+      expect(writeCache).not.toHaveBeenCalled()
+      expect(writeFile).toHaveBeenCalledWith('output.woff', Buffer.from('cached'))
+      expect(stats).toEqual({ ...cachedStats, cached: true })
+    })
+
+    it('should check the license of a cached subset', async () => {
+      const embedding = { fsType: 0x0100, permission: 'installable', subsetting: false, bitmapOnly: false }
+      vi.mocked(readCache).mockResolvedValue({ data: Buffer.from('cached'), stats: { embedding } })
+
+      await expect(
+        minifyFont({ input: 'font.ttf', output: 'output.woff', text: 'Hi', cache: true })
+      ).rejects.toThrow('The font license does not allow subsetting (OS/2 fsType 0x0100)')
+      expect(writeFile).not.toHaveBeenCalled()
+
+      await minifyFont({
+        input: 'font.ttf',
+        output: 'output.woff',
+        text: 'Hi',
+        cache: true,
+        allowRestricted: true,
+      })
+      expect(writeFile).toHaveBeenCalledWith('output.woff', Buffer.from('cached'))
+    })
+
+    it('should skip the cache when the options cannot be cached', async () => {
+      vi.mocked(getCacheKey).mockReturnValue(null)
+
+      await minifyFont({ input: 'font.ttf', output: 'output.woff', text: 'Hi', cache: true })
+
+      expect(readCache).not.toHaveBeenCalled()
+      expect(writeCache).not.toHaveBeenCalled()
+      expect(Font.create).toHaveBeenCalled()
+    })
+  })
+})
+
+describe('minifyFontOutputs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    vi.mocked(Font.create).mockImplementation(() => ({
+      write: vi.fn(({ type }) => Buffer.from(`output-${type}`)),
+      get: vi.fn().mockReturnValue({ maxp: { numGlyphs: 8 }, cmap: { 72: 1, 105: 2 }, glyf: [{}, {}, {}] }),
+    }))
+    vi.mocked(existsSync).mockReturnValue(true)
+    vi.mocked(readFile).mockResolvedValue(Buffer.from('input-font-data'))
+    vi.mocked(writeFile).mockResolvedValue(undefined)
+    vi.mocked(getCacheKey).mockImplementation(({ outputType }) => `key-${outputType}`)
+    vi.mocked(readCache).mockResolvedValue(null)
+  })
+
+  it('should write every output from one parse of the font', async () => {
+    const results = await minifyFontOutputs({
+      input: 'font.ttf',
+      outputs: ['font.woff', 'font.ttf'],
+      text: 'Hi',
+    })
+
+    expect(readFile).toHaveBeenCalledTimes(1)
+    // The font data is parsed once, the other call copies the parsed font for the first output
+    expect(vi.mocked(Font.create).mock.calls.filter(([data]) => Buffer.isBuffer(data))).toHaveLength(1)
+    expect(Font.create).toHaveBeenCalledTimes(2)
+    expect(writeFile).toHaveBeenCalledWith('font.woff', Buffer.from('output-woff'))
+    expect(writeFile).toHaveBeenCalledWith('font.ttf', Buffer.from('output-ttf'))
+    expect(results).toEqual([
+      { output: 'font.woff', stats: expect.objectContaining({ outputSize: 11, cached: false }) },
+      { output: 'font.ttf', stats: expect.objectContaining({ outputSize: 10, cached: false }) },
+    ])
+  })
+
+  it('should report the outputs that failed and write the others', async () => {
+    const results = await minifyFontOutputs({
+      input: 'font.ttf',
+      outputs: ['font.woff', 'font.abc'],
+      text: 'Hi',
+    })
+
+    expect(results[0]).toEqual({ output: 'font.woff', stats: expect.any(Object) })
+    expect(results[1]).toEqual({ output: 'font.abc', error: new Error('Invalid output font type: abc') })
+    expect(writeFile).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only subset the outputs missing from the cache', async () => {
+    const embedding = { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false }
+    vi.mocked(readCache).mockImplementation(async (cacheDir, key) =>
+      key === 'key-woff' ? { data: Buffer.from('cached'), stats: { embedding } } : null
+    )
+
+    const results = await minifyFontOutputs({
+      input: 'font.ttf',
+      outputs: ['font.woff', 'font.ttf'],
+      text: 'Hi',
+      cache: true,
+    })
+
+    expect(results[0].stats).toEqual({ embedding, cached: true })
+    expect(results[1].stats.cached).toBe(false)
+    expect(writeFile).toHaveBeenCalledWith('font.woff', Buffer.from('cached'))
+    expect(writeCache).toHaveBeenCalledTimes(1)
+    expect(writeCache).toHaveBeenCalledWith('node_modules/.cache/minify-font', 'key-ttf', expect.any(Object))
+  })
+
+  it('should throw error if input file does not exist', async () => {
+    vi.mocked(existsSync).mockReturnValue(false)
+
+    await expect(minifyFontOutputs({ input: 'missing.ttf', outputs: ['font.woff'] })).rejects.toThrow(
+      'missing.ttf is not exists'
+    )
   })
 })
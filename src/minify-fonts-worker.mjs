@@ -0,0 +1,33 @@
+import { parentPort } from 'node:worker_threads'
+import { minifyFont, minifyFontOutputs } from './minify-font.mjs'
+
+/**
+ * Convert an error to a message that can be posted to the main thread
+ * @param {Error} error - Error
+ * @returns {{message: string, stack: string}} Message and stack
+ */
+function serializeError(error) {
+  return { message: error.message, stack: error.stack }
+}
+
+/**
+ * Worker of the minifyFonts pool: runs one minifyFont job per message and posts back
+ * its statistics, or the message and stack of the error it threw. Jobs with several outputs
+ * post the statistics or error of each output
+ */
+parentPort.on('message', async job => {
+  try {
+    if (job.outputs) {
+      const outputs = await minifyFontOutputs(job)
+      parentPort.postMessage({
+        outputs: outputs.map(({ output, stats, error }) =>
+          error ? { output, error: serializeError(error) } : { output, stats }
+        ),
+      })
+    } else {
+      parentPort.postMessage({ stats: await minifyFont(job) })
+    }
+  } catch (error) {
+    parentPort.postMessage({ error: serializeError(error) })
+  }
+})
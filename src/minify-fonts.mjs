@@ -0,0 +1,191 @@
+import os from 'node:os'
+import { Worker } from 'node:worker_threads'
+
+const WORKER_URL = new URL('./minify-fonts-worker.mjs', import.meta.url)
+
+/**
+ * Default number of workers, one per available CPU
+ * @returns {number} Available parallelism
+ */
+function defaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length
+}
+
+/**
+ * Rebuild an error posted by a worker
+ * @param {{message: string, stack: string}} error - Message and stack
+ * @returns {Error} Error
+ */
+function deserializeError({ message, stack }) {
+  return Object.assign(new Error(message), { stack })
+}
+
+/**
+ * Run one job on a worker
+ * A worker that throws outside the job or exits is reported as crashed and must be replaced
+ * @param {Worker} worker - Idle worker
+ * @param {Object} job - minifyFont options
+ * @returns {Promise<{stats?: Object, outputs?: Array<Object>, error?: Error, crashed?: boolean}>} Job statistics,
+ *   the statistics or error of each output for jobs with several outputs, or the job error, never rejects
+ */
+function runJob(worker, job) {
+  return new Promise(resolve => {
+    const settle = result => {
+      worker.off('message', onMessage)
+      worker.off('error', onError)
+      worker.off('exit', onExit)
+      resolve(result)
+    }
+    const onMessage = ({ stats, outputs, error }) => {
+      if (error) {
+        settle({ error: deserializeError(error) })
+      } else if (outputs) {
+        settle({
+          outputs: outputs.map(output =>
+            output.error ? { ...output, error: deserializeError(output.error) } : output
+          ),
+        })
+      } else {
+        settle({ stats })
+      }
+    }
+    const onError = error => settle({ error, crashed: true })
+    const onExit = code => settle({ error: new Error(`Worker exited with code ${code}`), crashed: true })
+
+    worker.on('message', onMessage)
+    worker.on('error', onError)
+    worker.on('exit', onExit)
+    try {
+      worker.postMessage(job)
+    } catch (error) {
+      // Options that cannot be cloned, such as functions, fail the job but leave the worker usable
+      settle({ error })
+    }
+  })
+}
+
+/**
+ * Build the result of a job with several outputs
+ * @param {Object} job - Job with outputs
+ * @param {Object} result - Result of runJob
+ * @returns {Object} Result with the success, statistics or error of each output, the job fails with the first
+ *   failed output
+ */
+function createOutputsResult(job, { outputs, error }) {
+  const results = job.outputs.map((output, index) => {
+    const outputError = error || outputs[index].error
+    return outputError
+      ? { output, success: false, error: outputError }
+      : { output, success: true, stats: outputs[index].stats }
+  })
+  const failed = results.find(result => !result.success)
+  return {
+    input: job.input,
+    success: !failed,
+    ...(failed && { error: failed.error }),
+    outputs: results,
+  }
+}
+
+/**
+ * 使用 worker_threads 并行裁剪多个字体
+ *
+ * 字体裁剪是同步的 CPU 计算，在主线程中依次处理大量字体会阻塞事件循环且只能使用一个 CPU 核心。
+ * minifyFonts 把任务分配给多个 worker 线程并行执行，每个任务等同于一次 minifyFont 调用。
+ * 某个任务失败（包括 worker 崩溃）不会影响其他任务，结果按 jobs 的顺序返回，每项包含成功时的统计信息或失败时的错误。
+ *
+ * 任务选项在线程间传递，因此不能包含函数。
+ * 同一字体需要输出多种格式时，用 outputs（输出路径数组）代替 output，字体只解析和裁剪一次，每个输出分别成功或失败。
+ *
+ * @param {Object[]} jobs - 任务数组，每项为 minifyFont 的选项（input, output, text, inputOptions, outputOptions, layout, axes, face, cache,
+ *   allowRestricted），或用 outputs 代替 output
+ * @param {Object} [options] - 配置选项
+ * @param {number} [options.concurrency] - 最多同时运行的 worker 数量，默认为可用的 CPU 核心数
+ * @param {Function} [options.onResult] - 每个任务完成时调用 onResult(result, index)，可用于显示进度
+ * @returns {Promise<Array<Object>>} 每个任务的结果
+ * @returns {string} return[].input - 输入字体路径
+ * @returns {string} [return[].output] - 输出字体路径
+ * @returns {boolean} return[].success - 是否成功生成（outputs 任务为全部输出都成功）
+ * @returns {Object} [return[].stats] - 成功时的统计信息，同 minifyFont 的返回值
+ * @returns {Error} [return[].error] - 失败时的错误信息（outputs 任务为第一个失败输出的错误）
+ * @returns {Array<Object>} [return[].outputs] - outputs 任务每个输出的结果：output、success，以及 stats 或 error
+ * @throws {Error} 当 jobs 不是数组时抛出错误
+ * @throws {Error} 当 concurrency 不是正整数时抛出错误
+ *
+ * @example
+ * const results = await minifyFonts(
+ *   ['light', 'regular', 'bold'].map(weight => ({
+ *     input: `./fonts/${weight}.ttf`,
+ *     output: `./dist/${weight}.woff2`,
+ *     text: '常用汉字',
+ *   })),
+ *   { concurrency: 2 }
+ * )
+ * results.forEach(result => {
+ *   if (result.success) {
+ *     console.log(`✓ ${result.output} (${result.stats.outputSize} bytes)`)
+ *   } else {
+ *     console.error(`✗ ${result.input}:`, result.error.message)
+ *   }
+ * })
+ *
+ * @example
+ * // 每个字体只解析一次，同时输出 woff2 和 woff
+ * const results = await minifyFonts(
+ *   ['light', 'bold'].map(weight => ({
+ *     input: `./fonts/${weight}.ttf`,
+ *     outputs: [`./dist/${weight}.woff2`, `./dist/${weight}.woff`],
+ *     text: '常用汉字',
+ *   }))
+ * )
+ * results.forEach(result => result.outputs.forEach(({ output, success }) => console.log(output, success)))
+ */
+export async function minifyFonts(jobs, { concurrency = defaultConcurrency(), onResult } = {}) {
+  if (!Array.isArray(jobs)) {
+    throw new Error('jobs must be an array')
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer')
+  }
+
+  const results = new Array(jobs.length)
+  let next = 0
+
+  // Each slot owns one worker and pulls jobs until the queue is empty
+  const runSlot = async () => {
+    let worker = null
+    try {
+      while (next < jobs.length) {
+        const index = next++
+        const job = jobs[index]
+        if (!worker) {
+          worker = new Worker(WORKER_URL)
+        }
+
+        const result = await runJob(worker, job)
+        if (result.crashed) {
+          await worker.terminate()
+          worker = null
+        }
+
+        if (job.outputs) {
+          results[index] = createOutputsResult(job, result)
+        } else {
+          results[index] = result.error
+            ? { input: job.input, output: job.output, success: false, error: result.error }
+            : { input: job.input, output: job.output, success: true, stats: result.stats }
+        }
+        if (onResult) {
+          onResult(results[index], index)
+        }
+      }
+    } finally {
+      if (worker) {
+        await worker.terminate()
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, runSlot))
+  return results
+}
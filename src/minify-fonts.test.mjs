@@ -0,0 +1,87 @@
+import { minifyFonts } from './minify-fonts.mjs'
+import { existsSync, rmSync } from 'node:fs'
+import { describe, it, expect, afterEach, vi } from 'vitest'
+
+describe('minifyFonts', () => {
+  afterEach(() => {
+    rmSync('./test/output', { recursive: true, force: true })
+  })
+
+  const job = format => ({
+    input: './test/zcool-xiaowei.ttf',
+    output: `./test/output/zcool-xiaowei.${format}`,
+    text: '你好世界',
+  })
+
+  it('should subset every job in worker threads and keep the job order', async () => {
+    const onResult = vi.fn()
+    const results = await minifyFonts([job('woff2'), job('woff'), job('ttf')], { concurrency: 2, onResult })
+
+    expect(results.map(result => result.output)).toEqual([
+      './test/output/zcool-xiaowei.woff2',
+      './test/output/zcool-xiaowei.woff',
+      './test/output/zcool-xiaowei.ttf',
+    ])
+    results.forEach(result => {
+      expect(result.success).toBe(true)
+      expect(result.input).toBe('./test/zcool-xiaowei.ttf')
+      expect(result.stats.outputSize).toBeGreaterThan(0)
+      expect(result.stats.chars).toEqual({ requested: 4, covered: 4, missing: [] })
+      expect(existsSync(result.output)).toBe(true)
+    })
+    expect(onResult).toHaveBeenCalledTimes(3)
+    expect(onResult).toHaveBeenCalledWith(results[1], 1)
+  })
+
+  it('should return the error of a failed job and continue with the others', async () => {
+    const results = await minifyFonts(
+      [
+        { ...job('woff2'), input: './test/missing.ttf' },
+        job('woff2'),
+        { ...job('woff'), inputOptions: { fn() {} } },
+      ],
+      { concurrency: 1 }
+    )
+
+    expect(results[0].success).toBe(false)
+    expect(results[0].error).toBeInstanceOf(Error)
+    expect(results[0].error.message).toContain('./test/missing.ttf is not exists')
+    expect(results[1].success).toBe(true)
+    // Functions cannot be sent to a worker
+    expect(results[2].success).toBe(false)
+    expect(results[2].error.name).toBe('DataCloneError')
+  })
+
+  it('should write every output of a job with several outputs', async () => {
+    const results = await minifyFonts([
+      {
+        input: './test/zcool-xiaowei.ttf',
+        outputs: ['./test/output/zcool-xiaowei.woff2', './test/output/zcool-xiaowei.abc'],
+        text: '你好世界',
+      },
+      { input: './test/missing.ttf', outputs: ['./test/output/missing.woff2'] },
+    ])
+
+    expect(results[0]).toMatchObject({ input: './test/zcool-xiaowei.ttf', success: false })
+    expect(results[0].error.message).toBe('Invalid output font type: abc')
+    expect(results[0].outputs[0]).toMatchObject({
+      output: './test/output/zcool-xiaowei.woff2',
+      success: true,
+    })
+    expect(results[0].outputs[0].stats.chars).toEqual({ requested: 4, covered: 4, missing: [] })
+    expect(results[0].outputs[1]).toMatchObject({ output: './test/output/zcool-xiaowei.abc', success: false })
+    expect(existsSync('./test/output/zcool-xiaowei.woff2')).toBe(true)
+    expect(results[1].outputs[0].error.message).toContain('./test/missing.ttf is not exists')
+  })
+
+  it('should not start workers without jobs', async () => {
+    expect(await minifyFonts([])).toEqual([])
+  })
+
+  it('should validate the arguments', async () => {
+    await expect(minifyFonts(job('woff2'))).rejects.toThrow('jobs must be an array')
+    await expect(minifyFonts([job('woff2')], { concurrency: 0 })).rejects.toThrow(
+      'concurrency must be a positive integer'
+    )
+  })
+})
@@ -0,0 +1,220 @@
+import path from 'node:path'
+import { existsSync } from 'node:fs'
+import { createWebFonts } from './create-web-fonts.mjs'
+import { scanText } from './scan-text.mjs'
+import { uniqueChars, toCodePoints } from './code-points.mjs'
+import { COLLECTIONS } from './collections.mjs'
+import { getExtType } from './detect-font-type.mjs'
+import { formatFontSources, toFontUrl, toUnicodeRange } from './font-face-css.mjs'
+
+const PLUGIN_NAME = 'minify-font'
+
+// Font formats that can be read from a src url()
+const SOURCE_FONT_TYPES = ['ttf', 'otf', 'woff', 'woff2', 'eot']
+
+/**
+ * Find the first local font file of an @font-face src descriptor
+ * Remote, protocol-relative and data: URLs are skipped
+ * @param {string[]} entries - src entries, split on top-level commas
+ * @param {Object} dirs - Base directories
+ * @param {string} dirs.cssDir - Directory of the source stylesheet, for relative URLs
+ * @param {string} dirs.root - Directory of root-relative URLs such as /fonts/a.ttf
+ * @returns {{url: string, path: string}|undefined} Font URL and absolute path
+ */
+function findSourceFont(entries, { cssDir, root }) {
+  for (const entry of entries) {
+    const match = entry.match(/^url\(\s*(['"]?)(.*?)\1\s*\)/i)
+    if (!match) {
+      continue
+    }
+    const url = match[2].trim()
+    if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url)) {
+      continue
+    }
+
+    const file = url.replace(/[?#].*$/, '')
+    if (SOURCE_FONT_TYPES.includes(getExtType(file))) {
+      return { url, path: file.startsWith('/') ? path.join(root, file) : path.resolve(cssDir, file) }
+    }
+  }
+}
+
+/**
+ * Collect the characters to keep from the text, collection and scanned files
+ * @param {Object} options - Text sources
+ * @param {string} options.text - Extra characters
+ * @param {string} [options.collection] - Predefined collection name
+ * @param {string|string[]} [options.scan] - Source file patterns
+ * @param {string} options.cwd - Base directory of the scan patterns
+ * @returns {Promise<{text: string, files: string[]}>} Unique characters and the scanned files
+ */
+async function resolveText({ text, collection, scan, cwd }) {
+  const scanned = scan ? await scanText(scan, { cwd }) : { text: '', sources: [] }
+  return {
+    text: uniqueChars(scanned.text, collection ? COLLECTIONS[collection] : '', text),
+    files: scanned.sources.map(source => source.file),
+  }
+}
+
+/**
+ * PostCSS 插件：把 CSS 中手写的 @font-face 字体裁剪为指定文字，并改写 src
+ *
+ * 对每个 @font-face，取 src 中第一个本地字体文件（相对 CSS 文件或 root 目录），用 createWebFonts 生成裁剪后的字体，
+ * 再把 src 改写为生成的字体（按 woff2 > woff > ttf 排序），local() 保留在最前面。远程 URL 和 data: URL 不处理。
+ * 同一个字体在一个 CSS 文件中只裁剪一次。裁剪失败时输出警告并保留原来的 src。
+ *
+ * 扫描的源文件和字体文件会作为依赖报告给构建工具，修改后重新处理 CSS。
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} [options.text] - 需要保留的字符
+ * @param {string|string[]} [options.scan] - 扫描这些源文件提取文字，glob 模式，同 scanText
+ * @param {string} [options.collection] - 预定义字符集：top500、top2500、commonlyUsed
+ * @param {string} [options.cwd=process.cwd()] - scan 模式的基准目录
+ * @param {string} [options.root=process.cwd()] - 以 / 开头的 url() 相对的目录，如 public 目录
+ * @param {string} [options.outputDir] - 输出目录，默认为字体文件同级目录下的 output 文件夹
+ * @param {string[]} [options.formats=['woff2', 'woff']] - 生成的字体格式
+ * @param {string} [options.fileName] - 文件名模板，同 createWebFonts，如 '[name].[hash].[ext]'
+ * @param {string} [options.urlPrefix] - 字体目录的公开 URL，设置后 url() 为前缀 + 文件名；不设置时为相对输出 CSS 文件的路径
+ * @param {boolean} [options.unicodeRange=false] - 按裁剪后字体实际包含的字符添加 unicode-range
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @returns {Object} PostCSS 插件
+ * @throws {Error} 当 text、scan 和 collection 都未设置时抛出错误
+ * @throws {Error} 字符集名称无效时抛出错误
+ *
+ * @example
+ * // postcss.config.mjs
+ * import { postcssMinifyFont } from 'minify-font/postcss'
+ *
+ * export default {
+ *   plugins: [
+ *     postcssMinifyFont({
+ *       scan: ['index.html', 'locales/*.json'],
+ *       outputDir: 'dist/fonts',
+ *       unicodeRange: true,
+ *     }),
+ *   ],
+ * }
+ */
+export function postcssMinifyFont({
+  text = '',
+  scan,
+  collection,
+  cwd = process.cwd(),
+  root = process.cwd(),
+  outputDir,
+  formats = ['woff2', 'woff'],
+  fileName,
+  urlPrefix,
+  unicodeRange = false,
+  inputOptions,
+  outputOptions,
+} = {}) {
+  if (!text && !scan && !collection) {
+    throw new Error('text, scan or collection is required')
+  }
+  if (collection && !COLLECTIONS[collection]) {
+    throw new Error(`Invalid collection "${collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`)
+  }
+
+  return {
+    postcssPlugin: PLUGIN_NAME,
+
+    async Once(css, { result, list }) {
+      const rules = []
+      css.walkAtRules(/^font-face$/i, rule => {
+        rule.each(node => {
+          if (node.type === 'decl' && node.prop.toLowerCase() === 'src') {
+            rules.push({ rule, decl: node })
+          }
+        })
+      })
+      if (rules.length === 0) {
+        return
+      }
+
+      const from = css.source && css.source.input.file
+      const cssDir = from ? path.dirname(from) : cwd
+      const baseDir = result.opts.to ? path.dirname(path.resolve(result.opts.to)) : cssDir
+      const chars = await resolveText({ text, collection, scan, cwd })
+      chars.files.forEach(file =>
+        result.messages.push({ type: 'dependency', plugin: PLUGIN_NAME, file, parent: from })
+      )
+
+      // Rules sharing a font reuse the same subset
+      const subsets = new Map()
+      const subset = input => {
+        if (!subsets.has(input)) {
+          subsets.set(
+            input,
+            createWebFonts({
+              input,
+              outputDir,
+              text: chars.text,
+              formats,
+              fileName,
+              inputOptions,
+              outputOptions,
+            })
+          )
+        }
+        return subsets.get(input)
+      }
+
+      for (const { rule, decl } of rules) {
+        const entries = list.comma(decl.value)
+        const source = findSourceFont(entries, { cssDir, root })
+        if (!source) {
+          continue
+        }
+        if (!existsSync(source.path)) {
+          decl.warn(result, `Font file not found: ${source.url} (${source.path})`)
+          continue
+        }
+        result.messages.push({ type: 'dependency', plugin: PLUGIN_NAME, file: source.path, parent: from })
+
+        try {
+          const { fonts, missing } = await subset(source.path)
+          const generated = fonts.filter(font => font.success)
+          fonts
+            .filter(font => !font.success)
+            .forEach(font =>
+              decl.warn(result, `Failed to create ${font.format} for ${source.url}: ${font.error.message}`)
+            )
+          if (generated.length === 0) {
+            continue
+          }
+
+          const locals = entries.filter(entry => /^local\(/i.test(entry))
+          const sources = formatFontSources(
+            generated.map(font => ({
+              url: toFontUrl(font.path, { baseDir, urlPrefix }),
+              format: font.format,
+            }))
+          )
+          decl.value = [...locals, ...sources].join(', ')
+
+          if (unicodeRange) {
+            const missingCodePoints = new Set(missing)
+            const range = toUnicodeRange(
+              toCodePoints(chars.text).filter(codePoint => !missingCodePoints.has(codePoint))
+            )
+            const existing = rule.nodes.find(
+              node => node.type === 'decl' && node.prop.toLowerCase() === 'unicode-range'
+            )
+            if (existing) {
+              existing.value = range
+            } else {
+              decl.after({ prop: 'unicode-range', value: range })
+            }
+          }
+        } catch (error) {
+          // Keep the original src, the full font still renders
+          decl.warn(result, `Failed to subset ${source.url}, keeping the original src: ${error.message}`)
+        }
+      }
+    },
+  }
+}
+
+postcssMinifyFont.postcss = true
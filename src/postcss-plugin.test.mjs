@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import postcss from 'postcss'
+import { postcssMinifyFont } from './postcss-plugin.mjs'
+
+vi.mock('./create-web-fonts.mjs', () => ({
+  createWebFonts: vi.fn(),
+}))
+
+import { createWebFonts } from './create-web-fonts.mjs'
+
+describe('postcssMinifyFont', () => {
+  let dir
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    dir = mkdtempSync(path.join(tmpdir(), 'minify-font-postcss-'))
+    mkdirSync(path.join(dir, 'src/fonts'), { recursive: true })
+    mkdirSync(path.join(dir, 'public/fonts'), { recursive: true })
+    writeFileSync(path.join(dir, 'src/fonts/brand.ttf'), 'font')
+    writeFileSync(path.join(dir, 'public/fonts/title.otf'), 'font')
+
+    vi.mocked(createWebFonts).mockImplementation(async ({ input, outputDir, formats }) => ({
+      outputDir,
+      fonts: formats.map(format => ({
+        format,
+        path: path.join(outputDir, `${path.basename(input, path.extname(input))}.${format}`),
+        success: true,
+      })),
+      missing: [0x4e16],
+    }))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  function run(css, options) {
+    return postcss([postcssMinifyFont({ outputDir: path.join(dir, 'dist/fonts'), ...options })]).process(
+      css,
+      {
+        from: path.join(dir, 'src/style.css'),
+        to: path.join(dir, 'dist/style.css'),
+      }
+    )
+  }
+
+  it('should rewrite src to the subset fonts', async () => {
+    const result = await run(
+      `@font-face {
+  font-family: Brand;
+  src: local('Brand'), url('./fonts/brand.ttf?v=1') format('truetype');
+}`,
+      { text: 'ABC' }
+    )
+
+    expect(createWebFonts).toHaveBeenCalledWith(
+      expect.objectContaining({
+        input: path.join(dir, 'src/fonts/brand.ttf'),
+        outputDir: path.join(dir, 'dist/fonts'),
+        text: 'ABC',
+        formats: ['woff2', 'woff'],
+      })
+    )
+    expect(result.css).toContain(
+      "src: local('Brand'), url(fonts/brand.woff2) format('woff2'), url(fonts/brand.woff) format('woff');"
+    )
+    expect(result.css).not.toContain('unicode-range')
+    expect(result.warnings()).toHaveLength(0)
+  })
+
+  it('should resolve root-relative URLs and use the URL prefix', async () => {
+    const result = await run('@font-face{font-family:Title;src:url(/fonts/title.otf)}', {
+      text: 'ABC',
+      root: path.join(dir, 'public'),
+      formats: ['woff', 'woff2'],
+      urlPrefix: 'https://cdn.example.com/fonts',
+    })
+
+    expect(vi.mocked(createWebFonts).mock.calls[0][0].input).toBe(path.join(dir, 'public/fonts/title.otf'))
+    expect(result.css).toContain(
+      "src:url(https://cdn.example.com/fonts/title.woff2) format('woff2'), url(https://cdn.example.com/fonts/title.woff) format('woff')"
+    )
+  })
+
+  it('should subset a font shared by several rules once', async () => {
+    await run(
+      `@font-face{font-family:Brand;src:url(fonts/brand.ttf);font-weight:400}
+@font-face{font-family:Brand;src:url(fonts/brand.ttf);font-weight:700}`,
+      { text: 'ABC' }
+    )
+
+    expect(createWebFonts).toHaveBeenCalledTimes(1)
+  })
+
+  it('should add the unicode-range of the characters in the subset', async () => {
+    const result = await run(
+      `@font-face{font-family:Brand;src:url(fonts/brand.ttf)}
+@font-face{font-family:Brand;src:url(fonts/brand.ttf);unicode-range:U+0-FF}`,
+      { text: 'CAB世界', unicodeRange: true }
+    )
+
+    expect(result.css).toContain(
+      "src:url(fonts/brand.woff2) format('woff2'), url(fonts/brand.woff) format('woff');unicode-range:U+41-43, U+754C}"
+    )
+    expect(result.css).not.toContain('U+0-FF')
+  })
+
+  it('should combine the text, collection and scanned sources', async () => {
+    writeFileSync(path.join(dir, 'index.html'), '<h1>你好</h1>')
+
+    const result = await run('@font-face{font-family:Brand;src:url(fonts/brand.ttf)}', {
+      text: 'A',
+      scan: 'index.html',
+      cwd: dir,
+    })
+
+    expect(vi.mocked(createWebFonts).mock.calls[0][0].text).toBe(' 你好A')
+    expect(result.messages).toContainEqual(
+      expect.objectContaining({ type: 'dependency', file: path.join(dir, 'index.html') })
+    )
+    expect(result.messages).toContainEqual(
+      expect.objectContaining({ type: 'dependency', file: path.join(dir, 'src/fonts/brand.ttf') })
+    )
+  })
+
+  it('should leave remote fonts and other rules unchanged', async () => {
+    const css = `@font-face{font-family:Remote;src:url(https://fonts.example.com/a.woff2),url(data:font/woff2;base64,AAAA)}
+.title{background:url(fonts/brand.ttf)}`
+
+    const result = await run(css, { text: 'ABC' })
+
+    expect(createWebFonts).not.toHaveBeenCalled()
+    expect(result.css).toBe(css)
+  })
+
+  it('should warn and keep the original src when subsetting fails', async () => {
+    vi.mocked(createWebFonts).mockResolvedValue({
+      outputDir: path.join(dir, 'dist/fonts'),
+      fonts: [{ format: 'woff2', path: 'brand.woff2', success: false, error: new Error('Invalid font') }],
+      missing: [],
+    })
+    const css = '@font-face{font-family:Brand;src:url(fonts/brand.ttf),url(fonts/missing.ttf)}'
+
+    const result = await run(`${css}\n@font-face{font-family:Missing;src:url(fonts/missing.ttf)}`, {
+      text: 'ABC',
+      formats: ['woff2'],
+    })
+
+    expect(result.css).toContain(css)
+    expect(result.warnings().map(warning => warning.text)).toEqual([
+      'Failed to create woff2 for fonts/brand.ttf: Invalid font',
+      `Font file not found: fonts/missing.ttf (${path.join(dir, 'src/fonts/missing.ttf')})`,
+    ])
+  })
+
+  it('should validate the text options', () => {
+    expect(() => postcssMinifyFont()).toThrow('text, scan or collection is required')
+    expect(() => postcssMinifyFont({ collection: 'top100' })).toThrow(
+      'Invalid collection "top100". Available: top500, top2500, commonlyUsed'
+    )
+  })
+})
@@ -0,0 +1,256 @@
+import path from 'node:path'
+import { readFile } from 'node:fs/promises'
+import { expandGlob } from './glob.mjs'
+import { uniqueChars, countChars } from './code-points.mjs'
+
+// File extensions mapped to the extractor that handles them, anything else is read as plain text
+const SOURCE_TYPES = {
+  html: 'html',
+  htm: 'html',
+  vue: 'vue',
+  js: 'script',
+  jsx: 'script',
+  mjs: 'script',
+  cjs: 'script',
+  ts: 'script',
+  tsx: 'script',
+  md: 'markdown',
+  markdown: 'markdown',
+  json: 'json',
+  css: 'css',
+}
+
+// Attributes whose values are rendered as text
+const TEXT_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label', 'label']
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * Decode HTML character references
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+/**
+ * Extract visible text from HTML: text nodes and text attributes, without tags, comments, scripts or styles
+ * @param {string} content - HTML source
+ * @returns {string} Extracted text
+ */
+function extractHtml(content) {
+  const attributePattern = new RegExp(
+    `\\s(?:${TEXT_ATTRIBUTES.join('|')})\\s*=\\s*("([^"]*)"|'([^']*)')`,
+    'gi'
+  )
+  const attributes = []
+
+  const text = content
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<[^>]*>/g, tag => {
+      for (const match of tag.matchAll(attributePattern)) {
+        attributes.push(match[2] ?? match[3])
+      }
+      return ' '
+    })
+
+  return decodeEntities([text, ...attributes].join(' '))
+}
+
+/**
+ * Extract string literals and JSX text from JavaScript or TypeScript, without comments or module specifiers
+ * @param {string} content - Script source
+ * @returns {string} Extracted text
+ */
+function extractScript(content) {
+  const parts = []
+  // Strings and comments are matched together so quotes inside comments, and slashes inside strings, are handled
+  const tokenPattern =
+    /\/\*[\s\S]*?\*\/|\/\/[^\n]*|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`/g
+
+  const code = content
+    .replace(/^\s*import\s[^'"]*?['"][^'"]*['"];?/gm, ' ')
+    .replace(/\b(?:require|import)\(\s*['"][^'"]*['"]\s*\)/g, ' ')
+    .replace(tokenPattern, token => {
+      if (token.startsWith('/')) {
+        return ' '
+      }
+      // Keep the literal parts of template strings
+      parts.push(token.slice(1, -1).replace(/\$\{[^}]*\}/g, ' '))
+      return ' '
+    })
+
+  // JSX text between tags without {expressions}, attribute values were already captured as strings
+  for (const match of code.matchAll(/>([^<>]+)</g)) {
+    parts.push(match[1].replace(/\{[^{}]*\}/g, ' '))
+  }
+
+  return decodeEntities(
+    parts.join(' ').replace(/\\u\{?([\da-f]+)\}?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  )
+}
+
+/**
+ * Extract text from a Vue single-file component: the template as HTML without interpolations, and script strings
+ * @param {string} content - Vue source
+ * @returns {string} Extracted text
+ */
+function extractVue(content) {
+  const parts = []
+
+  for (const match of content.matchAll(/<template\b[^>]*>([\s\S]*)<\/template>/gi)) {
+    parts.push(extractHtml(match[1].replace(/\{\{[\s\S]*?\}\}/g, ' ')))
+  }
+  for (const match of content.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)) {
+    parts.push(extractScript(match[1]))
+  }
+  for (const match of content.matchAll(/<i18n\b[^>]*>([\s\S]*?)<\/i18n>/gi)) {
+    parts.push(extractJson(match[1]))
+  }
+
+  return parts.join(' ')
+}
+
+/**
+ * Extract rendered text from Markdown: drops HTML comments and tags, link targets and formatting marks
+ * @param {string} content - Markdown source
+ * @returns {string} Extracted text
+ */
+function extractMarkdown(content) {
+  return decodeEntities(
+    content
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/^\s{0,3}(?:#{1,6}|>+|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/^\s*(?:```|~~~).*$/gm, ' ')
+      .replace(/[*_~`]+/g, '')
+  )
+}
+
+/**
+ * Extract the generated text of CSS, the strings of content properties with escapes decoded
+ * @param {string} content - CSS source
+ * @returns {string} Extracted text
+ */
+function extractCss(content) {
+  const parts = []
+  const code = content.replace(/\/\*[\s\S]*?\*\//g, ' ')
+
+  for (const match of code.matchAll(/\bcontent\s*:((?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|[^;}"'])*)/gi)) {
+    for (const string of match[1].matchAll(/"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'/g)) {
+      parts.push(string[1] ?? string[2])
+    }
+  }
+
+  // CSS escapes are up to six hex digits, optionally followed by a single space
+  return parts
+    .join(' ')
+    .replace(/\\([\da-f]{1,6})\s?/gi, (_, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+    .replace(/\\(.)/g, '$1')
+}
+
+/**
+ * Extract every string value from JSON, such as i18n message bundles, skipping keys
+ * @param {string} content - JSON source
+ * @returns {string} Extracted text
+ */
+function extractJson(content) {
+  const values = []
+  const collect = value => {
+    if (typeof value === 'string') {
+      values.push(value)
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect)
+    }
+  }
+  collect(JSON.parse(content))
+  return values.join(' ')
+}
+
+const EXTRACTORS = {
+  html: extractHtml,
+  vue: extractVue,
+  script: extractScript,
+  markdown: extractMarkdown,
+  json: extractJson,
+  css: extractCss,
+  text: content => content,
+}
+
+/**
+ * 从源码中提取会显示在页面上的文字
+ *
+ * - html: 文本节点和 alt、title、placeholder 等属性值，去掉标签、注释、script 和 style
+ * - vue: template（去掉 {{ }} 插值）、script 中的字符串和 i18n 块
+ * - script (js/jsx/ts/tsx): 字符串字面量和 JSX 文本，去掉注释和 import 路径
+ * - markdown: 去掉注释、标签、链接地址和格式符号
+ * - json: 所有字符串值（不含 key），适用于 i18n 语言包
+ * - css: content 属性中的字符串，如 ::before 的图标和引号
+ * - text: 原样返回
+ *
+ * @param {string} content - 文件内容
+ * @param {string} type - 内容类型（html, vue, script, markdown, json, css, text）或文件扩展名
+ * @returns {string} 提取出的文字（未去重）
+ * @throws {Error} JSON 内容无效时抛出错误
+ *
+ * @example
+ * extractText('<p title="提示">你好<b>世界</b></p>', 'html') // 包含 '你好'、'世界' 和 '提示'
+ */
+export function extractText(content, type) {
+  const sourceType = EXTRACTORS[type] ? type : SOURCE_TYPES[String(type).toLowerCase()] || 'text'
+  return EXTRACTORS[sourceType](content)
+}
+
+/**
+ * 扫描项目源文件，提取其中用到的所有字符
+ *
+ * 支持 HTML、Vue、JS/JSX/TS/TSX、Markdown、JSON（i18n 语言包）、CSS（content 属性）和纯文本，其他扩展名按纯文本处理。
+ *
+ * @param {string|string[]} patterns - glob 模式或文件路径，如 'pages/*.html'
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.cwd=process.cwd()] - 相对路径的基准目录
+ * @returns {Promise<Object>} 扫描结果
+ * @returns {string} return.text - 所有文件中去重后的字符
+ * @returns {Array<{file: string, chars: number}>} return.sources - 每个文件贡献的不重复字符数
+ * @throws {Error} 文件内容无法解析时抛出错误（包含文件路径）
+ *
+ * @example
+ * const { text, sources } = await scanText(['index.html', 'locales/*.json'])
+ * await minifyFont({ input: './font.ttf', output: './font.woff2', text })
+ */
+export async function scanText(patterns, { cwd = process.cwd() } = {}) {
+  const files = await expandGlob(patterns, { cwd })
+  const texts = []
+  const sources = []
+
+  for (const file of files) {
+    const content = await readFile(file, 'utf8')
+    let text
+    try {
+      text = extractText(content, path.extname(file).slice(1))
+    } catch (error) {
+      throw new Error(`Failed to extract text from ${file}: ${error.message}`)
+    }
+
+    // Line breaks, tabs and other control characters are never rendered
+    const chars = uniqueChars(text.replace(/[\u0000-\u001F\u007F]/g, ''))
+    texts.push(chars)
+    sources.push({ file, chars: countChars(chars) })
+  }
+
+  return {
+    text: uniqueChars(...texts),
+    sources,
+  }
+}
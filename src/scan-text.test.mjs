@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { extractText, scanText } from './scan-text.mjs'
+
+// Unique non-space characters, sorted, to compare extracted text independent of whitespace
+const chars = text => [...new Set(text.replace(/\s/g, ''))].sort().join('')
+
+describe('extractText', () => {
+  it('should extract HTML text nodes and text attributes', () => {
+    const html = `<!-- 注释 --><p class="lead" title="提示">你好 <b>世界</b>&amp;&#x4E2D;</p>
+      <img src="a.png" alt="图片"><input placeholder="搜索">
+      <script>var a = '脚本'</script><style>.lead { color: red }</style>`
+
+    expect(chars(extractText(html, 'html'))).toBe(chars('提示你好世界&中图片搜索'))
+  })
+
+  it('should extract strings and JSX text from scripts', () => {
+    const tsx = `import React from 'react'
+      import { t } from "./i18n"
+      // 注释 'quote
+      /* 块注释 */
+      const a = '单引号' + "双\\u4e2d" + \`模板\${name}文字\`
+      const lazy = import('./lazy')
+      export default () => <div title={'标题'}>你好 {name} 世界</div>`
+
+    expect(chars(extractText(tsx, 'tsx'))).toBe(chars('单引号双中模板文字标题你好世界'))
+  })
+
+  it('should extract Vue templates without interpolations, script strings and i18n blocks', () => {
+    const vue = `<template><p :title="msg" alt="图片">{{ $t('key') }} 模板文字</p></template>
+      <script setup>const m = '脚本字符串'</script>
+      <style>.a { color: red }</style>
+      <i18n>{ "zh": { "hello": "你好" } }</i18n>`
+
+    expect(chars(extractText(vue, 'vue'))).toBe(chars('图片模板文字脚本字符串你好'))
+  })
+
+  it('should strip Markdown syntax, comments and link targets', () => {
+    const markdown = `# 标题
+> 引用 **粗体** _斜体_
+- [链接](https://example.com) ![图片](a.png)
+<!-- 注释 -->
+[ref]: https://example.com`
+
+    expect(chars(extractText(markdown, 'md'))).toBe(chars('标题引用粗体斜体链接图片'))
+  })
+
+  it('should collect JSON string values but not keys', () => {
+    const json = '{ "home": { "title": "首页", "items": ["一", 2, null] }, "键": true }'
+
+    expect(chars(extractText(json, 'json'))).toBe(chars('首页一'))
+  })
+
+  it('should extract the content strings of CSS', () => {
+    const css = `/* content: "注释" */
+.quote::before { content: "\\201C引用"; }
+.icon::after{content:'\\e900 \\1F600 a;b'}
+.title { font-family: "标题字体"; }`
+
+    expect(chars(extractText(css, 'css'))).toBe(chars('\u201c引用\ue900😀a;b'))
+  })
+
+  it('should read unknown types as plain text', () => {
+    expect(extractText('<纯文本>', 'txt')).toBe('<纯文本>')
+    expect(extractText('<纯文本>', 'csv')).toBe('<纯文本>')
+  })
+
+  it('should throw on invalid JSON', () => {
+    expect(() => extractText('{ invalid', 'json')).toThrow()
+  })
+})
+
+describe('scanText', () => {
+  let cwd
+
+  beforeAll(() => {
+    cwd = mkdtempSync(path.join(tmpdir(), 'minify-font-scan-'))
+    mkdirSync(path.join(cwd, 'locales'))
+    writeFileSync(path.join(cwd, 'index.html'), '<h1 class="title">你好世界</h1>')
+    writeFileSync(path.join(cwd, 'locales/zh.json'), '{ "greeting": "你好，𠮷" }')
+    writeFileSync(path.join(cwd, 'notes.txt'), 'AB\nAB\t')
+  })
+
+  afterAll(() => {
+    rmSync(cwd, { recursive: true, force: true })
+  })
+
+  it('should merge unique characters and report each source', async () => {
+    const { text, sources } = await scanText(['*.html', 'locales/*.json', 'notes.txt'], { cwd })
+
+    // Tags are replaced by spaces, so the space is kept as well
+    expect(text).toBe(' 你好世界，𠮷AB')
+    expect(sources).toEqual([
+      { file: path.join(cwd, 'index.html'), chars: 5 },
+      { file: path.join(cwd, 'locales/zh.json'), chars: 4 },
+      { file: path.join(cwd, 'notes.txt'), chars: 2 },
+    ])
+  })
+
+  it('should return no sources when nothing matches', async () => {
+    expect(await scanText('*.vue', { cwd })).toEqual({ text: '', sources: [] })
+  })
+
+  it('should name the file that failed to parse', async () => {
+    writeFileSync(path.join(cwd, 'broken.json'), '{')
+
+    await expect(scanText('broken.json', { cwd })).rejects.toThrow(
+      /Failed to extract text from .*broken\.json/
+    )
+  })
+})
@@ -0,0 +1,201 @@
+import { eot2ttf, woff2, woff2ttf, woff2tottf, ttf2eot, ttf2woff, ttftowoff2 } from 'fonteditor-core'
+
+/**
+ * Raw sfnt (TrueType/OpenType) table access, for the tables fonteditor-core does not read or write
+ */
+
+// head.checkSumAdjustment is chosen so the checksum of the whole font equals this value
+const CHECKSUM_MAGIC = 0xb1b0afba
+
+/**
+ * View a Buffer as a standalone ArrayBuffer, as the fonteditor-core converters expect
+ * @param {Buffer} data - Data
+ * @returns {ArrayBuffer} Copy of the data
+ */
+function toArrayBuffer(data) {
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+}
+
+/**
+ * Decode font data to an sfnt, the container every format except SVG wraps
+ * @param {Buffer} data - Font data, woff2 must be initialized
+ * @param {string} type - Font type
+ * @param {Object} [inputOptions] - Font read options, inflate is used for compressed WOFF tables
+ * @returns {Buffer|null} sfnt data, null for SVG fonts
+ */
+export function decodeSfnt(data, type, inputOptions = {}) {
+  switch (type) {
+    case 'ttf':
+    case 'otf':
+      return data
+    case 'woff':
+      return Buffer.from(woff2ttf(toArrayBuffer(data), inputOptions))
+    case 'woff2':
+      return Buffer.from(woff2tottf(toArrayBuffer(data), inputOptions))
+    case 'eot':
+      return Buffer.from(eot2ttf(toArrayBuffer(data), inputOptions))
+    default:
+      return null
+  }
+}
+
+/**
+ * Encode an sfnt to a web font format
+ * @param {Buffer} sfnt - TrueType data
+ * @param {string} type - Output type: ttf, woff, woff2 or eot
+ * @param {Object} [outputOptions] - Font write options, deflate and metadata are used for WOFF
+ * @returns {Buffer} Font data
+ * @throws {Error} When the type is not an sfnt based format
+ */
+export function encodeSfnt(sfnt, type, outputOptions = {}) {
+  switch (type) {
+    case 'ttf':
+      return sfnt
+    case 'woff':
+      return Buffer.from(ttf2woff(toArrayBuffer(sfnt), outputOptions))
+    case 'woff2':
+      return Buffer.from(ttftowoff2(toArrayBuffer(sfnt), outputOptions))
+    case 'eot':
+      return Buffer.from(ttf2eot(toArrayBuffer(sfnt), outputOptions))
+    default:
+      throw new Error(`Cannot encode an sfnt as ${type}`)
+  }
+}
+
+/**
+ * Read the tables of an sfnt
+ * @param {Buffer} sfnt - sfnt data
+ * @param {number} [directoryOffset=0] - Offset of the table directory, non-zero for the faces of a collection
+ * @returns {Map<string, Buffer>} Table data by tag, tags keep their trailing spaces ("cvt ")
+ */
+export function readSfntTables(sfnt, directoryOffset = 0) {
+  const numTables = sfnt.readUInt16BE(directoryOffset + 4)
+  const tables = new Map()
+  for (let index = 0; index < numTables; index++) {
+    const record = directoryOffset + 12 + index * 16
+    const offset = sfnt.readUInt32BE(record + 8)
+    const length = sfnt.readUInt32BE(record + 12)
+    tables.set(sfnt.toString('latin1', record, record + 4), sfnt.subarray(offset, offset + length))
+  }
+  return tables
+}
+
+/**
+ * Read the table tags of an sfnt (TrueType/OpenType) table directory
+ * @param {Buffer} data - sfnt data
+ * @returns {string[]} Table tags, trailing spaces trimmed ("cvt " -> "cvt")
+ */
+function readSfntTags(data) {
+  const numTables = data.readUInt16BE(4)
+  return Array.from({ length: numTables }, (_, index) =>
+    data.toString('latin1', 12 + index * 16, 16 + index * 16).trimEnd()
+  )
+}
+
+/**
+ * Read the table tags of a font from its raw data
+ * fonteditor-core only keeps the tables it can edit, so the directory is read directly
+ * @param {Buffer} data - Font data
+ * @param {string} type - Font type
+ * @returns {string[]} Table tags, empty for SVG fonts which have no tables
+ */
+export function readTableTags(data, type) {
+  switch (type) {
+    case 'ttf':
+    case 'otf':
+      return readSfntTags(data)
+    case 'woff': {
+      // WOFF keeps an uncompressed directory of 20-byte entries after its 44-byte header
+      const numTables = data.readUInt16BE(12)
+      return Array.from({ length: numTables }, (_, index) =>
+        data.toString('latin1', 44 + index * 20, 48 + index * 20).trimEnd()
+      )
+    }
+    case 'woff2':
+      return readSfntTags(Buffer.from(woff2.decode(data)))
+    case 'eot':
+      return readSfntTags(Buffer.from(eot2ttf(toArrayBuffer(data))))
+    default:
+      return []
+  }
+}
+
+/**
+ * Compute the checksum of table data, padded with zeros to a multiple of 4 bytes
+ * @param {Buffer} data - Table data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function tableChecksum(data) {
+  let sum = 0
+  for (let offset = 0; offset < data.length; offset += 4) {
+    let word = 0
+    for (let byte = 0; byte < 4; byte++) {
+      word = word * 256 + (offset + byte < data.length ? data[offset + byte] : 0)
+    }
+    sum = (sum + word) % 0x100000000
+  }
+  return sum
+}
+
+/**
+ * Build an sfnt from its tables, with sorted table records, 4-byte aligned tables, and fresh
+ * table checksums and head.checkSumAdjustment
+ * @param {Map<string, Buffer>} tables - Table data by 4-character tag
+ * @param {number} [sfntVersion=0x00010000] - sfnt version, 0x00010000 for TrueType outlines
+ * @returns {Buffer} sfnt data
+ */
+export function writeSfnt(tables, sfntVersion = 0x00010000) {
+  const tags = [...tables.keys()].sort()
+  const numTables = tags.length
+  const entrySelector = Math.floor(Math.log2(numTables))
+  const searchRange = 2 ** entrySelector * 16
+
+  let size = 12 + numTables * 16
+  const offsets = tags.map(tag => {
+    const offset = size
+    size += Math.ceil(tables.get(tag).length / 4) * 4
+    return offset
+  })
+
+  const sfnt = Buffer.alloc(size)
+  sfnt.writeUInt32BE(sfntVersion, 0)
+  sfnt.writeUInt16BE(numTables, 4)
+  sfnt.writeUInt16BE(searchRange, 6)
+  sfnt.writeUInt16BE(entrySelector, 8)
+  sfnt.writeUInt16BE(numTables * 16 - searchRange, 10)
+
+  let headOffset = -1
+  tags.forEach((tag, index) => {
+    const data = Buffer.from(tables.get(tag))
+    if (tag === 'head') {
+      // The checksum of head is computed with checkSumAdjustment cleared
+      data.writeUInt32BE(0, 8)
+      headOffset = offsets[index]
+    }
+    const record = 12 + index * 16
+    sfnt.write(tag, record, 4, 'latin1')
+    sfnt.writeUInt32BE(tableChecksum(data), record + 4)
+    sfnt.writeUInt32BE(offsets[index], record + 8)
+    sfnt.writeUInt32BE(data.length, record + 12)
+    data.copy(sfnt, offsets[index])
+  })
+
+  if (headOffset >= 0) {
+    sfnt.writeUInt32BE((CHECKSUM_MAGIC - tableChecksum(sfnt) + 0x100000000) % 0x100000000, headOffset + 8)
+  }
+  return sfnt
+}
+
+/**
+ * Serialize a fonteditor-core font, replacing some of its tables
+ * @param {Font} font - Parsed font
+ * @param {string} outputType - Output type: ttf, woff, woff2 or eot
+ * @param {Object} [outputOptions] - Font write options
+ * @param {Map<string, Buffer|null>} tables - Tables to add, or to remove when null
+ * @returns {Buffer} Output font data
+ */
+export function writeFontTables(font, outputType, outputOptions, tables) {
+  const sfntTables = readSfntTables(font.write({ ...outputOptions, type: 'ttf' }))
+  tables.forEach((data, tag) => (data ? sfntTables.set(tag, data) : sfntTables.delete(tag)))
+  return encodeSfnt(writeSfnt(sfntTables), outputType, outputOptions)
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { decodeSfnt, encodeSfnt, readSfntTables, readTableTags, writeSfnt } from './sfnt.mjs'
+
+// Checksum of the whole font, as computed for head.checkSumAdjustment
+function fontChecksum(data) {
+  let sum = 0
+  for (let offset = 0; offset < data.length; offset += 4) {
+    sum = (sum + data.readUInt32BE(offset)) % 0x100000000
+  }
+  return sum
+}
+
+describe('sfnt', () => {
+  const head = Buffer.alloc(54, 1)
+  const tables = new Map([
+    ['name', Buffer.from('abcde')],
+    ['head', head],
+    ['cvt ', Buffer.from([1, 2])],
+  ])
+
+  it('should read back written tables', () => {
+    const sfnt = writeSfnt(tables)
+    const read = readSfntTables(sfnt)
+
+    expect([...read.keys()]).toEqual(['cvt ', 'head', 'name'])
+    expect(read.get('name')).toEqual(tables.get('name'))
+    expect(read.get('cvt ')).toEqual(tables.get('cvt '))
+  })
+
+  it('should align tables and fill in the checksums', () => {
+    const sfnt = writeSfnt(tables)
+
+    expect(sfnt.readUInt32BE(0)).toBe(0x00010000)
+    expect(sfnt.readUInt16BE(4)).toBe(3)
+    expect(sfnt.length % 4).toBe(0)
+    for (let record = 12; record < 12 + 3 * 16; record += 16) {
+      expect(sfnt.readUInt32BE(record + 8) % 4).toBe(0)
+    }
+    expect(fontChecksum(sfnt)).toBe(0xb1b0afba)
+    // The source table is not changed
+    expect(head.readUInt32BE(8)).toBe(0x01010101)
+  })
+
+  it('should write the sfnt version', () => {
+    expect(writeSfnt(tables, 0x4f54544f).toString('latin1', 0, 4)).toBe('OTTO')
+  })
+
+  it('should pass TrueType data through', () => {
+    const sfnt = writeSfnt(tables)
+
+    expect(decodeSfnt(sfnt, 'ttf')).toBe(sfnt)
+    expect(encodeSfnt(sfnt, 'ttf')).toBe(sfnt)
+  })
+
+  it('should read the table tags without trailing spaces', () => {
+    expect(readTableTags(writeSfnt(tables), 'ttf')).toEqual(['cvt', 'head', 'name'])
+    expect(readTableTags(Buffer.from('<svg/>'), 'svg')).toEqual([])
+  })
+
+  it('should not decode SVG fonts', () => {
+    expect(decodeSfnt(Buffer.from('<svg/>'), 'svg')).toBeNull()
+  })
+
+  it('should throw error when encoding to SVG', () => {
+    expect(() => encodeSfnt(writeSfnt(tables), 'svg')).toThrow('Cannot encode an sfnt as svg')
+  })
+})
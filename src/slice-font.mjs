@@ -0,0 +1,351 @@
+import path from 'node:path'
+import { existsSync } from 'node:fs'
+import { readFile, writeFile } from 'node:fs/promises'
+import { TOP_USED_500_CHARS, TOP_USED_2500_CHARS, COMMONLY_USED_CHARS } from 'top-used-chars'
+import { ensureDir } from './ensure-dir.mjs'
+import { toCodePoints } from './code-points.mjs'
+import { resolveFontType, getExtType } from './detect-font-type.mjs'
+import {
+  prepareInput,
+  parseFontForSubsets,
+  subsetParsedFont,
+  serializeFont,
+  serializeFormats,
+} from './subset-font-buffer.mjs'
+import { toUnicodeRange, toFontUrl, createFontFaceRule } from './font-face-css.mjs'
+import { checkEmbedding, getFontLicense } from './font-license.mjs'
+
+export const DEFAULT_CHUNK_SIZE = 50 * 1024
+
+// Number of leading characters serialized to estimate bytes per glyph outline point
+const SAMPLE_SIZE = 200
+
+// Extra weight per glyph for its metrics, loca entry and cmap mapping, in outline points
+const GLYPH_OVERHEAD = 8
+
+/**
+ * Order code points so that the most frequently used characters share the first slices
+ * Latin-1 comes first, then the top-used-chars collections by frequency, then everything else
+ * by code point, which keeps the remaining slices within a few Unicode blocks
+ * @param {number[]} codePoints - Code points to order
+ * @returns {number[]} Ordered code points
+ */
+function orderCodePoints(codePoints) {
+  const remaining = new Set(codePoints)
+  const ordered = []
+  const take = codePoint => {
+    if (remaining.delete(codePoint)) {
+      ordered.push(codePoint)
+    }
+  }
+
+  const latin = codePoints.filter(codePoint => codePoint < 0x100).sort((a, b) => a - b)
+  latin.forEach(take)
+
+  for (const collection of [TOP_USED_500_CHARS, TOP_USED_2500_CHARS, COMMONLY_USED_CHARS]) {
+    toCodePoints(collection).forEach(take)
+  }
+
+  const rest = [...remaining].sort((a, b) => a - b)
+  rest.forEach(take)
+
+  return ordered
+}
+
+/**
+ * Split code points into a fixed number of slices of nearly equal length
+ * @param {number[]} codePoints - Ordered code points
+ * @param {number} chunkCount - Number of slices
+ * @returns {number[][]} Slices
+ */
+function splitByCount(codePoints, chunkCount) {
+  const count = Math.min(chunkCount, codePoints.length)
+  const chunks = []
+  let start = 0
+  for (let i = 0; i < count; i++) {
+    const end = start + Math.ceil((codePoints.length - start) / (count - i))
+    chunks.push(codePoints.slice(start, end))
+    start = end
+  }
+  return chunks
+}
+
+/**
+ * Split code points into slices whose estimated output size stays under chunkSize
+ * The size of a glyph is estimated from its outline point count, scaled by serializing a sample
+ * @param {number[]} codePoints - Ordered code points
+ * @param {number} chunkSize - Target slice size in bytes
+ * @param {Function} weightOf - Returns the weight of a code point's glyph
+ * @param {Function} measure - Serializes a subset and returns its size in bytes
+ * @returns {number[][]} Slices
+ */
+function splitBySize(codePoints, chunkSize, weightOf, measure) {
+  const sample = codePoints.slice(0, SAMPLE_SIZE)
+  const firstSize = measure(sample.slice(0, 1))
+  const sampleWeight = sample.slice(1).reduce((total, codePoint) => total + weightOf(codePoint), 0)
+  const bytesPerWeight = sampleWeight > 0 ? Math.max(measure(sample) - firstSize, 0) / sampleWeight : 0
+  // Fixed size of the tables every slice carries
+  const baseSize = Math.max(firstSize - weightOf(sample[0]) * bytesPerWeight, 0)
+
+  const chunks = []
+  let current = []
+  let size = baseSize
+  for (const codePoint of codePoints) {
+    const cost = weightOf(codePoint) * bytesPerWeight
+    if (current.length > 0 && size + cost > chunkSize) {
+      chunks.push(current)
+      current = []
+      size = baseSize
+    }
+    current.push(codePoint)
+    size += cost
+  }
+  if (current.length > 0) {
+    chunks.push(current)
+  }
+  return chunks
+}
+
+/**
+ * Validate slicing options
+ * @param {string[]} formats - Output formats
+ * @param {number} [chunkCount] - Number of slices
+ * @param {number} [chunkSize] - Target slice size in bytes
+ */
+function validateSliceOptions(formats, chunkCount, chunkSize) {
+  if (!Array.isArray(formats) || formats.length === 0) {
+    throw new Error('formats must be a non-empty array')
+  }
+  if (chunkCount !== undefined && chunkSize !== undefined) {
+    throw new Error('chunkCount and chunkSize cannot be used together')
+  }
+  if (chunkCount !== undefined && !(Number.isInteger(chunkCount) && chunkCount > 0)) {
+    throw new Error('chunkCount must be a positive integer')
+  }
+  if (chunkSize !== undefined && !(chunkSize > 0)) {
+    throw new Error('chunkSize must be a positive number')
+  }
+}
+
+/**
+ * 在内存中将字体按 unicode-range 切分为多个小字体（类似 Google Fonts 的中文字体分片）
+ *
+ * 字符按使用频率排序：Latin-1、top-used-chars 的常用字集合，其余字符按码位（即 Unicode 区块）排列，
+ * 再按分片数量或目标字节大小切分。浏览器只会下载页面实际用到的分片。
+ *
+ * @param {Object} options - 配置选项
+ * @param {Buffer|Uint8Array|ArrayBuffer} options.data - 输入字体数据
+ * @param {string} [options.inputType] - 输入字体格式，默认根据文件内容识别
+ * @param {string} [options.text] - 只切分这些字符，默认使用字体中的全部字符
+ * @param {string[]} [options.formats=['woff2']] - 每个分片输出的字体格式
+ * @param {number} [options.chunkCount] - 分片数量
+ * @param {number} [options.chunkSize=51200] - 每个分片的目标字节大小（按第一个格式估算），不能与 chunkCount 同时使用
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean} [options.allowRestricted=false] - 允许切分授权禁止嵌入或裁剪的字体，同 minifyFont
+ * @returns {Promise<Object>} 切分结果
+ * @returns {string} return.family - 字体名称（name 表中的 fontFamily）
+ * @returns {Array<Object>} return.slices - 分片列表
+ * @returns {number} return.slices[].index - 分片序号，从 0 开始
+ * @returns {number[]} return.slices[].codePoints - 分片包含的码位
+ * @returns {string} return.slices[].unicodeRange - CSS unicode-range 值
+ * @returns {Array<{format: string, data: Buffer}>} return.slices[].fonts - 各格式的字体数据
+ * @throws {Error} 参数无效、字体中没有可切分的字符或任一分片生成失败时抛出错误
+ * @throws {Error} 字体授权（OS/2 fsType）禁止嵌入或裁剪，且没有开启 allowRestricted 时抛出错误
+ *
+ * @example
+ * const { family, slices } = await sliceFont({
+ *   data: await readFile('./font.ttf'),
+ *   chunkCount: 50
+ * })
+ */
+export async function sliceFont({
+  data,
+  inputType,
+  text,
+  formats = ['woff2'],
+  chunkCount,
+  chunkSize,
+  inputOptions,
+  outputOptions,
+  allowRestricted,
+}) {
+  validateSliceOptions(formats, chunkCount, chunkSize)
+
+  const input = await prepareInput(data, inputType, formats)
+
+  // Parse the whole font once, to find the covered characters and their outline sizes and to subset every slice
+  const source = parseFontForSubsets(input.buffer, input.inputType, inputOptions)
+  const { ttf } = source
+  // Slicing always subsets the font
+  checkEmbedding(getFontLicense(ttf).embedding, true, allowRestricted)
+
+  const weights = new Map()
+  for (const glyph of ttf.glyf) {
+    const points = (glyph.contours || []).reduce((total, contour) => total + contour.length, 0)
+    for (const codePoint of glyph.unicode || []) {
+      weights.set(codePoint, points + GLYPH_OVERHEAD)
+    }
+  }
+
+  const requested = text ? [...new Set(toCodePoints(text))] : [...weights.keys()]
+  const codePoints = orderCodePoints(requested.filter(codePoint => weights.has(codePoint)))
+  if (codePoints.length === 0) {
+    throw new Error('No characters to slice: the font has no glyphs for the requested text')
+  }
+
+  const subsetText = chunk => chunk.map(codePoint => String.fromCodePoint(codePoint)).join('')
+  const chunks = chunkCount
+    ? splitByCount(codePoints, chunkCount)
+    : splitBySize(
+        codePoints,
+        chunkSize || DEFAULT_CHUNK_SIZE,
+        codePoint => weights.get(codePoint),
+        chunk => {
+          const { font, variationTables } = subsetParsedFont(source, subsetText(chunk))
+          return serializeFont(font, formats[0], outputOptions, null, variationTables).length
+        }
+      )
+
+  // Slices are built one at a time to keep memory flat for large CJK fonts
+  const slices = []
+  for (const [index, chunk] of chunks.entries()) {
+    const { font, subsetStats, variationTables } = subsetParsedFont(source, subsetText(chunk))
+    const results = serializeFormats(font, formats, {
+      input: input.buffer,
+      subsetStats,
+      outputOptions,
+      variationTables,
+    })
+
+    const failed = results.find(result => result.error)
+    if (failed) {
+      throw new Error(`Failed to generate slice ${index} (${failed.format}): ${failed.error.message}`)
+    }
+
+    slices.push({
+      index,
+      codePoints: chunk,
+      unicodeRange: toUnicodeRange(chunk),
+      fonts: results,
+    })
+  }
+
+  return {
+    family: ttf.name && ttf.name.fontFamily,
+    slices,
+  }
+}
+
+/**
+ * 将字体文件切分为多个 unicode-range 分片，并生成引用所有分片的 CSS 文件
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.input - 输入的字体文件路径
+ * @param {string} [options.outputDir] - 输出目录，默认为输入文件同级目录下的 output 文件夹
+ * @param {string} [options.family] - CSS 中的 font-family，默认使用字体自身的名称
+ * @param {string} [options.text] - 只切分这些字符，默认使用字体中的全部字符
+ * @param {string[]} [options.formats=['woff2']] - 每个分片输出的字体格式
+ * @param {number} [options.chunkCount] - 分片数量
+ * @param {number} [options.chunkSize=51200] - 每个分片的目标字节大小，不能与 chunkCount 同时使用
+ * @param {Function} [options.resolveFileName] - 自定义分片文件名 resolveFileName({ basename, index, ext }) => string
+ * @param {string} [options.cssFileName] - CSS 文件名，默认为 `${basename}.css`
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean} [options.allowRestricted=false] - 允许切分授权禁止嵌入或裁剪的字体，同 minifyFont
+ * @returns {Promise<Object>} 切分结果
+ * @returns {string} return.outputDir - 输出目录
+ * @returns {string} return.cssPath - CSS 文件路径
+ * @returns {string} return.css - CSS 内容
+ * @returns {Array<Object>} return.slices - 分片信息，包含 index、unicodeRange、chars（字符数）和 fonts（format、path、size）
+ * @throws {Error} 当 input 参数缺失或文件不存在时抛出错误
+ * @throws {Error} 参数无效或任一分片生成失败时抛出错误
+ * @throws {Error} 字体授权（OS/2 fsType）禁止嵌入或裁剪，且没有开启 allowRestricted 时抛出错误
+ *
+ * @example
+ * const result = await createFontSlices({
+ *   input: './font.ttf',
+ *   outputDir: './dist/fonts',
+ *   chunkSize: 40 * 1024
+ * })
+ * // dist/fonts/font.0.woff2, font.1.woff2, ... 以及 dist/fonts/font.css
+ */
+export async function createFontSlices({
+  input,
+  outputDir,
+  family,
+  text,
+  formats = ['woff2'],
+  chunkCount,
+  chunkSize,
+  resolveFileName,
+  cssFileName,
+  inputOptions,
+  outputOptions,
+  allowRestricted,
+}) {
+  if (!input) {
+    throw new Error('input parameter is required')
+  }
+  if (!existsSync(input)) {
+    throw new Error(`${input} is not exists`)
+  }
+
+  const inputBuffer = await readFile(input)
+  const result = await sliceFont({
+    data: inputBuffer,
+    inputType: resolveFontType(inputBuffer, getExtType(input), `the extension of ${input}`),
+    text,
+    formats,
+    chunkCount,
+    chunkSize,
+    inputOptions,
+    outputOptions,
+    allowRestricted,
+  })
+
+  const basename = path.basename(input, path.extname(input))
+  const targetDir = outputDir || path.resolve(path.dirname(input), './output')
+  const cssPath = path.resolve(targetDir, cssFileName || `${basename}.css`)
+  const fontFamily = family || result.family || basename
+  ensureDir(path.dirname(cssPath))
+
+  const slices = []
+  const rules = []
+  for (const { index, codePoints, unicodeRange, fonts } of result.slices) {
+    const files = []
+    for (const { format, data } of fonts) {
+      const fontPath = path.resolve(
+        targetDir,
+        typeof resolveFileName === 'function'
+          ? resolveFileName({ basename, index, ext: format })
+          : `${basename}.${index}.${format}`
+      )
+      ensureDir(path.dirname(fontPath))
+      await writeFile(fontPath, data)
+      files.push({ format, path: fontPath, size: data.length })
+    }
+
+    rules.push(
+      createFontFaceRule({
+        family: fontFamily,
+        sources: files.map(file => ({
+          url: toFontUrl(file.path, { baseDir: path.dirname(cssPath) }),
+          format: file.format,
+        })),
+        unicodeRange,
+      })
+    )
+    slices.push({ index, unicodeRange, chars: codePoints.length, fonts: files })
+  }
+
+  const css = `${rules.join('\n\n')}\n`
+  await writeFile(cssPath, css)
+
+  return {
+    outputDir: targetDir,
+    cssPath,
+    css,
+    slices,
+  }
+}
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { sliceFont } from './slice-font.mjs'
+
+// Mock dependencies
+vi.mock('fonteditor-core', () => ({
+  Font: {
+    create: vi.fn(),
+  },
+  woff2: {
+    init: vi.fn(),
+  },
+}))
+
+// Mock font data is not a real sfnt, treat it as a static font
+vi.mock('./variable-font.mjs', () => ({
+  readVariableFont: vi.fn(() => null),
+  subsetVariableFont: vi.fn(),
+  writeVariableFont: vi.fn(),
+}))
+
+vi.mock('top-used-chars', () => ({
+  TOP_USED_500_CHARS: '的一',
+  TOP_USED_2500_CHARS: '的一是了',
+  COMMONLY_USED_CHARS: '的一是了我',
+}))
+
+import { Font, woff2 } from 'fonteditor-core'
+
+// Font covering A-C, the first five top-used chars and 𠮷, each glyph with 10 outline points
+const FONT_CHARS = 'ABC𠮷我了是一的'
+const fontData = {
+  name: { fontFamily: 'Mock Sans' },
+  cmap: Object.fromEntries(Array.from(FONT_CHARS, (char, index) => [char.codePointAt(0), index + 1])),
+  glyf: [
+    { contours: [] },
+    ...Array.from(FONT_CHARS, char => ({
+      unicode: [char.codePointAt(0)],
+      contours: [new Array(10).fill({ x: 0, y: 0 })],
+    })),
+  ],
+}
+
+describe('sliceFont', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    // The font data is parsed once, subsets are created from copies of the parsed font
+    // Serialized size grows with the number of subset glyphs besides .notdef
+    vi.mocked(Font.create).mockImplementation(data => {
+      const ttf = Buffer.isBuffer(data) ? fontData : data
+      return {
+        get: () => ttf,
+        write: ({ type }) => Buffer.alloc(1000 + 100 * (ttf.glyf.length - 1), type),
+      }
+    })
+    vi.mocked(woff2.init).mockResolvedValue(undefined)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  // Code points of the fonts created from a parsed font, copies for the other formats included
+  const subsets = () =>
+    vi
+      .mocked(Font.create)
+      .mock.calls.filter(([data]) => !Buffer.isBuffer(data))
+      .map(([ttf]) => ttf.glyf.flatMap(glyph => glyph.unicode || []))
+
+  describe('Input Validation', () => {
+    it('should reject chunkCount and chunkSize together', async () => {
+      await expect(
+        sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkCount: 2, chunkSize: 1024 })
+      ).rejects.toThrow('chunkCount and chunkSize cannot be used together')
+    })
+
+    it('should reject an invalid chunkCount', async () => {
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkCount: 1.5 })).rejects.toThrow(
+        'chunkCount must be a positive integer'
+      )
+    })
+
+    it('should reject an invalid chunkSize', async () => {
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkSize: 0 })).rejects.toThrow(
+        'chunkSize must be a positive number'
+      )
+    })
+
+    it('should reject empty formats', async () => {
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf', formats: [] })).rejects.toThrow(
+        'formats must be a non-empty array'
+      )
+    })
+
+    it('should throw when the font covers none of the text', async () => {
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf', text: 'xyz' })).rejects.toThrow(
+        'No characters to slice'
+      )
+    })
+
+    it('should refuse fonts whose license forbids subsetting', async () => {
+      vi.mocked(Font.create).mockReturnValue({ get: () => ({ ...fontData, 'OS/2': { fsType: 0x0100 } }) })
+
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf' })).rejects.toThrow(
+        'The font license does not allow subsetting (OS/2 fsType 0x0100)'
+      )
+      expect(Font.create).toHaveBeenCalledOnce()
+    })
+
+    it('should slice restricted fonts with allowRestricted', async () => {
+      vi.mocked(Font.create).mockImplementation(() => ({
+        get: () => ({ ...fontData, 'OS/2': { fsType: 0x0102 } }),
+        write: () => Buffer.alloc(1000),
+      }))
+
+      const { slices } = await sliceFont({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        chunkCount: 2,
+        allowRestricted: true,
+      })
+
+      expect(slices).toHaveLength(2)
+    })
+  })
+
+  describe('Slicing', () => {
+    it('should order characters by Latin-1, then frequency, then code point', async () => {
+      const { slices } = await sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkCount: 1 })
+
+      expect(slices[0].codePoints).toEqual(Array.from('ABC的一是了我𠮷', char => char.codePointAt(0)))
+    })
+
+    it('should split into the requested number of slices', async () => {
+      const { family, slices } = await sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkCount: 3 })
+
+      expect(family).toBe('Mock Sans')
+      expect(slices.map(slice => slice.codePoints.length)).toEqual([3, 3, 3])
+      expect(slices.map(slice => slice.index)).toEqual([0, 1, 2])
+      expect(slices[0].unicodeRange).toBe('U+41-43')
+      expect(slices[1].unicodeRange).toBe('U+4E00, U+662F, U+7684')
+    })
+
+    it('should not create more slices than characters', async () => {
+      const { slices } = await sliceFont({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        text: 'AB',
+        chunkCount: 5,
+      })
+
+      expect(slices).toHaveLength(2)
+    })
+
+    it('should only slice the requested text', async () => {
+      const { slices } = await sliceFont({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        text: '𠮷A𠮷x',
+        chunkCount: 1,
+      })
+
+      expect(slices[0].codePoints).toEqual([0x41, 0x20bb7])
+    })
+
+    it('should pack slices up to the target byte size', async () => {
+      // 1000 bytes base + 100 bytes per character: at most 5 characters fit in 1500 bytes
+      const { slices } = await sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkSize: 1500 })
+
+      expect(slices.map(slice => slice.codePoints.length)).toEqual([5, 4])
+      // Measuring the slices does not parse the font again
+      expect(vi.mocked(Font.create).mock.calls.filter(([data]) => Buffer.isBuffer(data))).toHaveLength(1)
+    })
+
+    it('should parse the font once and subset each slice once for all formats', async () => {
+      const { slices } = await sliceFont({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        formats: ['woff2', 'woff'],
+        chunkCount: 2,
+      })
+
+      expect(vi.mocked(Font.create).mock.calls.filter(([data]) => Buffer.isBuffer(data))).toHaveLength(1)
+      // Every slice is subset once, then copied for the first format
+      const [first, second] = slices.map(slice => [...slice.codePoints].sort((a, b) => a - b))
+      expect(subsets().map(codePoints => codePoints.sort((a, b) => a - b))).toEqual([
+        first,
+        first,
+        second,
+        second,
+      ])
+      // The parsed font is left untouched
+      expect(fontData.glyf).toHaveLength([...FONT_CHARS].length + 1)
+      expect(woff2.init).toHaveBeenCalled()
+      slices.forEach(slice => expect(slice.fonts.map(font => font.format)).toEqual(['woff2', 'woff']))
+    })
+
+    it('should report the failed slice', async () => {
+      vi.mocked(Font.create).mockImplementation(data => ({
+        get: () => (Buffer.isBuffer(data) ? fontData : data),
+        write: () => {
+          throw new Error('write failed')
+        },
+      }))
+
+      await expect(sliceFont({ data: Buffer.from('x'), inputType: 'ttf', chunkCount: 2 })).rejects.toThrow(
+        'Failed to generate slice 0 (woff2): write failed'
+      )
+    })
+  })
+})
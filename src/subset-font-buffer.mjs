@@ -0,0 +1,452 @@
+import { Font, woff2 } from 'fonteditor-core'
+import { toCodePoints } from './code-points.mjs'
+import { VALID_FONT_TYPES, COLLECTION_TYPES, detectFontType, resolveFontType } from './detect-font-type.mjs'
+import { selectCollectionFace } from './font-collection.mjs'
+import { renameFont, renameNameTable, resolveNameOptions } from './font-names.mjs'
+import { checkEmbedding, getFontLicense } from './font-license.mjs'
+import { subsetLayoutFont, writeLayoutFont } from './layout-subset.mjs'
+import { readVariableFont, subsetVariableFont, writeVariableFont } from './variable-font.mjs'
+
+/**
+ * Normalize supported binary inputs to a Node.js Buffer
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - Font data
+ * @returns {Buffer} Buffer sharing memory with the input when possible
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) {
+    return data
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data)
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  }
+  throw new Error('data must be a Buffer, Uint8Array or ArrayBuffer')
+}
+
+/**
+ * Normalize font data, resolve and validate its type, and load the woff2 module when either side needs it
+ * The selected face of a collection is extracted, the face option is ignored for single fonts
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - Font data
+ * @param {string} [inputType] - Declared input font type
+ * @param {string[]} outputTypes - Output font types
+ * @param {number|string} [face] - Face index or PostScript name of a collection, the first face by default
+ * @returns {Promise<{buffer: Buffer, inputType: string, face: number|null, faces: number|null}>} Font data as
+ *   a Buffer, its resolved type, and the index of the extracted face and the number of faces, null for single fonts
+ * @throws {Error} When the input type is not supported
+ * @throws {Error} When the face is not in the collection
+ */
+export async function prepareInput(data, inputType, outputTypes, face) {
+  let buffer = toBuffer(data)
+  inputType = resolveFontType(buffer, inputType)
+
+  let collection = null
+  if (COLLECTION_TYPES.includes(inputType)) {
+    collection = selectCollectionFace(buffer, face ?? 0)
+    buffer = collection.sfnt
+    inputType = detectFontType(buffer)
+  }
+
+  if (!VALID_FONT_TYPES.includes(inputType)) {
+    throw new Error(`Invalid input font type: ${inputType}`)
+  }
+
+  if (inputType === 'woff2' || outputTypes.includes('woff2')) {
+    await woff2.init()
+  }
+
+  return { buffer, inputType, face: collection && collection.index, faces: collection && collection.count }
+}
+
+/**
+ * Parse font data, keeping only the glyphs needed by the text
+ * @param {Buffer} data - Font data
+ * @param {string} inputType - Input font type
+ * @param {string} [text] - Characters to keep, no subsetting when empty
+ * @param {Object} [inputOptions] - Font read options
+ * @returns {Font} Parsed font
+ */
+export function parseFont(data, inputType, text, inputOptions) {
+  return Font.create(data, {
+    ...inputOptions,
+    type: inputType,
+    subset: text && toCodePoints(text),
+  })
+}
+
+/**
+ * Serialize a parsed font to the given type
+ * @param {Font} font - Parsed font
+ * @param {string} outputType - Output font type
+ * @param {Object} [outputOptions] - Font write options, names renames the font, see renameFont
+ * @param {Map<string, Buffer|null>} [layoutTables] - Layout tables of a font parsed with subsetLayoutFont
+ * @param {Map<string, Buffer>} [variationTables] - Variation tables of a font parsed from a variable font
+ * @returns {Buffer} Output font data
+ */
+export function serializeFont(font, outputType, outputOptions, layoutTables, variationTables) {
+  const names = outputOptions && outputOptions.names
+  if (names) {
+    renameFont(font, names)
+  }
+
+  if (variationTables) {
+    const tables = new Map([...(layoutTables || []), ...variationTables])
+    // Variable fonts keep the source name table, which fonteditor-core does not write
+    if (names && tables.has('name')) {
+      tables.set('name', renameNameTable(tables.get('name'), names))
+    }
+    return writeVariableFont(font, outputType, outputOptions, tables)
+  }
+  if (layoutTables) {
+    return writeLayoutFont(font, outputType, outputOptions, layoutTables)
+  }
+
+  const outputBuffer = font.write({
+    ...outputOptions,
+    type: outputType,
+  })
+
+  // SVG fonts are written as strings
+  return typeof outputBuffer === 'string' ? Buffer.from(outputBuffer) : outputBuffer
+}
+
+/**
+ * Count the glyphs and characters kept by a subset, and list the requested characters the font lacks
+ * Subset parsing keeps the source maxp and cmap tables, so the counts before subsetting come for free
+ * @param {Font} font - Font parsed with parseFont
+ * @param {string} [text] - Requested characters, every character of the font when empty
+ * @returns {{glyphs: {before: number, after: number}, chars: {requested: number, covered: number, missing: number[]}}} Counts
+ */
+export function getSubsetStats(font, text) {
+  const ttf = font.get()
+  const cmap = ttf.cmap || {}
+  const codePoints = text ? [...new Set(toCodePoints(text))] : Object.keys(cmap).map(Number)
+  const missing = codePoints.filter(codePoint => cmap[codePoint] === undefined)
+
+  return {
+    glyphs: {
+      before: (ttf.maxp && ttf.maxp.numGlyphs) || ttf.glyf.length,
+      after: ttf.glyf.length,
+    },
+    chars: {
+      requested: codePoints.length,
+      covered: codePoints.length - missing.length,
+      missing,
+    },
+  }
+}
+
+/**
+ * List the glyphs fonteditor-core keeps when subsetting to the text: .notdef and the glyphs of the characters
+ * @param {Object<number, number>} cmap - Glyph ID by code point of the source font
+ * @param {string} text - Characters to keep
+ * @returns {number[]} Source glyph IDs, in glyph ID order
+ */
+function getKeptGlyphIds(cmap, text) {
+  const glyphIds = new Set([0])
+  toCodePoints(text).forEach(codePoint => cmap[codePoint] !== undefined && glyphIds.add(cmap[codePoint]))
+  return [...glyphIds].sort((a, b) => a - b)
+}
+
+/**
+ * List the source glyph of each glyph parseFont keeps when subsetting
+ * fonteditor-core keeps .notdef and the glyphs of the characters, in glyph ID order
+ * @param {Font} font - Font parsed with parseFont
+ * @param {string} [text] - Characters kept, every glyph is kept when empty
+ * @returns {number[]} Source glyph ID of each output glyph
+ * @throws {Error} When the glyphs do not match the parsed font
+ */
+function getSubsetGlyphIds(font, text) {
+  const ttf = font.get()
+  if (!text) {
+    return ttf.glyf.map((_, index) => index)
+  }
+
+  const sorted = getKeptGlyphIds(ttf.cmap || {}, text)
+  if (sorted.length !== ttf.glyf.length) {
+    throw new Error('Cannot match the subset glyphs to the variable font')
+  }
+  return sorted
+}
+
+/**
+ * Parse font data and subset it to the text, keeping its layout features when layout is set, and the
+ * variations of a variable font limited to the axes option
+ * @param {Buffer} data - Font data
+ * @param {string} inputType - Input font type
+ * @param {string} [text] - Characters to keep, no subsetting when empty
+ * @param {Object} [inputOptions] - Font read options
+ * @param {boolean|Object} [layout] - Layout option, see subsetLayoutFont
+ * @param {Object} [axes] - Axes option, see subsetVariableFont
+ * @returns {{font: Font, subsetStats: Object, layoutTables: Map<string, Buffer|null>|null,
+ *   variationTables: Map<string, Buffer>|null}} Parsed font, subset counts with the embedding permissions and
+ *   license names, and the tables to pass to serializeFont
+ * @throws {Error} When axes is set for a static font
+ */
+function parseSubset(data, inputType, text, inputOptions, layout, axes) {
+  const variable = readVariableFont(data, inputType, inputOptions)
+  if (!variable && axes) {
+    throw new Error('axes can only be set for variable fonts')
+  }
+  if (variable) {
+    // The decoded sfnt is parsed, so WOFF2 and EOT fonts are only decoded once
+    data = variable.sfnt
+    inputType = 'ttf'
+  }
+
+  let font
+  let subsetStats
+  let layoutTables = null
+  let glyphIds
+  if (layout) {
+    // Glyphs outside the subset are emptied rather than removed, count the retained ones
+    let glyphs
+    ;({ font, tables: layoutTables, glyphs } = subsetLayoutFont(data, inputType, text, layout, inputOptions))
+    subsetStats = getSubsetStats(font, text)
+    subsetStats.glyphs.after = glyphs.size
+    glyphIds = variable && font.get().glyf.map((_, index) => (glyphs.has(index) ? index : null))
+  } else {
+    font = parseFont(data, inputType, text, inputOptions)
+    subsetStats = getSubsetStats(font, text)
+    glyphIds = variable && getSubsetGlyphIds(font, text)
+  }
+  Object.assign(subsetStats, getFontLicense(font.get()))
+
+  const variationTables = variable && subsetVariableFont(font, variable.tables, glyphIds, axes, layoutTables)
+  return { font, subsetStats, layoutTables, variationTables: variationTables || null }
+}
+
+/**
+ * Parse a font once to take many subsets of it with subsetParsedFont
+ * Compound glyphs are converted to simple ones, as parsing with a subset does
+ * @param {Buffer} data - Font data, woff2 must be initialized
+ * @param {string} inputType - Input font type
+ * @param {Object} [inputOptions] - Font read options
+ * @returns {{ttf: Object, variable: {sfnt: Buffer, tables: Map<string, Buffer>}|null}} Parsed font object, and
+ *   the tables of a variable font, null for static fonts
+ */
+export function parseFontForSubsets(data, inputType, inputOptions) {
+  const variable = readVariableFont(data, inputType, inputOptions)
+  const font = variable
+    ? parseFont(variable.sfnt, 'ttf', undefined, { ...inputOptions, compound2simple: true })
+    : parseFont(data, inputType, undefined, { ...inputOptions, compound2simple: true })
+  return { ttf: font.get(), variable }
+}
+
+/**
+ * Subset a font parsed with parseFontForSubsets to the text, keeping the same glyphs as parseFont
+ * Only the kept glyphs are copied, the parsed font is left untouched for the next subset
+ * @param {{ttf: Object, variable: Object|null}} source - Font from parseFontForSubsets
+ * @param {string} text - Characters to keep
+ * @returns {{font: Font, subsetStats: Object, variationTables: Map<string, Buffer>|null}} Subset font, subset
+ *   counts with the embedding permissions and license names, and the tables to pass to serializeFont
+ */
+export function subsetParsedFont({ ttf, variable }, text) {
+  const glyphIds = getKeptGlyphIds(ttf.cmap || {}, text)
+  const { glyf, ...tables } = ttf
+  const font = Font.create(structuredClone({ ...tables, glyf: glyphIds.map(glyphId => glyf[glyphId]) }))
+  const subsetStats = Object.assign(getSubsetStats(font, text), getFontLicense(ttf))
+  const variationTables = variable && subsetVariableFont(font, variable.tables, glyphIds)
+  return { font, subsetStats, variationTables: variationTables || null }
+}
+
+/**
+ * Write a parsed font to every output type
+ * @param {Font} inputFont - Parsed font, written last so the other types get a copy of it
+ * @param {string[]} outputTypes - Output font types
+ * @param {Object} options - Output options
+ * @param {Buffer} options.input - Input font data, for the statistics
+ * @param {Object} options.subsetStats - Counts from getSubsetStats with the license
+ * @param {Object} [options.outputOptions] - Font write options
+ * @param {Map<string, Buffer|null>} [options.layoutTables] - Layout tables, see serializeFont
+ * @param {Map<string, Buffer>} [options.variationTables] - Variation tables, see serializeFont
+ * @returns {Array<{format: string, data?: Buffer, stats?: Object, error?: Error}>} Result of each type
+ */
+export function serializeFormats(
+  inputFont,
+  outputTypes,
+  { input, subsetStats, outputOptions, layoutTables, variationTables }
+) {
+  const lastIndex = outputTypes.length - 1
+  return outputTypes.map((format, index) => {
+    try {
+      if (!VALID_FONT_TYPES.includes(format)) {
+        throw new Error(`Invalid output font type: ${format}`)
+      }
+
+      // Writing updates some tables in place, give every format but the last its own copy
+      const font = index < lastIndex ? Font.create(structuredClone(inputFont.get())) : inputFont
+      const output = serializeFont(font, format, outputOptions, layoutTables, variationTables)
+      return { format, data: output, stats: createOutputStats(subsetStats, input, output) }
+    } catch (error) {
+      return { format, error }
+    }
+  })
+}
+
+/**
+ * Combine subset counts with the input and output sizes of one output
+ * @param {Object} subsetStats - Counts from getSubsetStats
+ * @param {Buffer} input - Input font data
+ * @param {Buffer} output - Output font data
+ * @returns {Object} Output statistics
+ */
+function createOutputStats(subsetStats, input, output) {
+  return {
+    inputSize: input.length,
+    outputSize: output.length,
+    ratio: input.length ? output.length / input.length : 0,
+    ...subsetStats,
+  }
+}
+
+/**
+ * Subset a font to a single type, returning the output statistics along with the data
+ * Backs subsetFontBuffer and minifyFont
+ * @param {Object} options - Same as subsetFontBuffer
+ * @returns {Promise<{data: Buffer, stats: Object}>} Output font data and statistics
+ */
+export async function subsetFontWithStats({
+  data,
+  inputType,
+  outputType,
+  text,
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  face,
+  allowRestricted,
+}) {
+  if (!VALID_FONT_TYPES.includes(outputType)) {
+    throw new Error(`Invalid output font type: ${outputType}`)
+  }
+  // Check the names before the font is parsed
+  if (outputOptions && outputOptions.names) {
+    resolveNameOptions(outputOptions.names)
+  }
+
+  const input = await prepareInput(data, inputType, [outputType], face)
+  const { font, subsetStats, layoutTables, variationTables } = parseSubset(
+    input.buffer,
+    input.inputType,
+    text,
+    inputOptions,
+    layout,
+    axes
+  )
+  checkEmbedding(subsetStats.embedding, Boolean(text), allowRestricted)
+  const output = serializeFont(font, outputType, outputOptions, layoutTables, variationTables)
+  return { data: output, stats: createOutputStats(subsetStats, input.buffer, output) }
+}
+
+/**
+ * 在内存中裁剪字体并转换格式，不读写文件系统
+ * 适用于构建流水线、Serverless 渲染等字体已经在内存中的场景
+ *
+ * @param {Object} options - 配置选项
+ * @param {Buffer|Uint8Array|ArrayBuffer} options.data - 输入字体数据
+ * @param {string} [options.inputType] - 输入字体格式（ttf, otf, eot, svg, woff, woff2, ttc, otc），默认根据文件内容识别
+ * @param {string} options.outputType - 输出字体格式（ttf, otf, eot, svg, woff, woff2）
+ * @param {string} [options.text] - 需要包含的文字内容，按 Unicode 码位裁剪；为空时不裁剪
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean|Object} [options.layout] - 保留 OpenType 排版特性（GSUB/GPOS），同 minifyFont
+ * @param {Object} [options.axes] - 可变字体的轴固定值或范围，如 { wght: 700 }，同 minifyFont
+ * @param {number|string} [options.face] - 字体集合（ttc/otc）中要裁剪的字体，索引或 PostScript 名称，同 minifyFont
+ * @param {boolean} [options.allowRestricted=false] - 允许处理授权禁止嵌入或裁剪的字体，同 minifyFont
+ * @returns {Promise<Buffer>} 输出字体数据
+ * @throws {Error} 不支持的字体格式时抛出错误
+ * @throws {Error} 文件内容与 inputType 不一致时抛出错误
+ * @throws {Error} 字体授权（OS/2 fsType）禁止嵌入或裁剪时抛出错误
+ *
+ * @example
+ * const woff2Buffer = await subsetFontBuffer({
+ *   data: await readFile('./font.ttf'),
+ *   inputType: 'ttf',
+ *   outputType: 'woff2',
+ *   text: 'Hello, World!'
+ * })
+ */
+export async function subsetFontBuffer(options) {
+  const { data } = await subsetFontWithStats(options)
+  return data
+}
+
+/**
+ * 在内存中裁剪字体，并一次性输出为多种格式
+ *
+ * 字体只解析和裁剪一次，再分别序列化为每种格式，适合体积很大的中文字体。
+ * 某个格式失败不会影响其他格式；解析失败时所有格式都会返回同一个错误。
+ *
+ * @param {Object} options - 配置选项
+ * @param {Buffer|Uint8Array|ArrayBuffer} options.data - 输入字体数据
+ * @param {string} [options.inputType] - 输入字体格式（ttf, otf, eot, svg, woff, woff2, ttc, otc），默认根据文件内容识别
+ * @param {string[]} options.outputTypes - 输出字体格式数组
+ * @param {string} [options.text] - 需要包含的文字内容，按 Unicode 码位裁剪；为空时不裁剪
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean|Object} [options.layout] - 保留 OpenType 排版特性（GSUB/GPOS），同 minifyFont
+ * @param {Object} [options.axes] - 可变字体的轴固定值或范围，如 { wght: 700 }，同 minifyFont
+ * @param {number|string} [options.face] - 字体集合（ttc/otc）中要裁剪的字体，索引或 PostScript 名称，同 minifyFont
+ * @param {boolean} [options.allowRestricted=false] - 允许处理授权禁止嵌入或裁剪的字体，同 minifyFont
+ * @returns {Promise<Array<Object>>} 与 outputTypes 一一对应的结果
+ * @returns {string} return[].format - 字体格式
+ * @returns {Buffer} [return[].data] - 成功时的输出字体数据
+ * @returns {Object} [return[].stats] - 成功时的统计信息：inputSize、outputSize（字节）、ratio（输出/输入）、
+ *   glyphs（裁剪前后的字形数 before/after）、chars（请求的字符数 requested、字体包含的字符数 covered
+ *   和字体缺少的字符码位 missing）、embedding（嵌入许可）和 license（授权信息），同 minifyFont
+ * @returns {Error} [return[].error] - 失败时的错误信息
+ *
+ * @example
+ * const results = await subsetFontToFormats({
+ *   data: await readFile('./font.ttf'),
+ *   inputType: 'ttf',
+ *   outputTypes: ['woff2', 'woff'],
+ *   text: '常用汉字'
+ * })
+ * // [{ format: 'woff2', data: <Buffer>, stats: { inputSize, outputSize, ratio, glyphs, chars } }, ...]
+ */
+export async function subsetFontToFormats({
+  data,
+  inputType,
+  outputTypes,
+  text,
+  inputOptions,
+  outputOptions,
+  layout,
+  axes,
+  face,
+  allowRestricted,
+}) {
+  let input
+  let inputFont
+  let subsetStats
+  let layoutTables
+  let variationTables
+  try {
+    if (outputOptions && outputOptions.names) {
+      resolveNameOptions(outputOptions.names)
+    }
+    // Initialize woff2 once instead of once per format
+    input = await prepareInput(data, inputType, outputTypes, face)
+    ;({
+      font: inputFont,
+      subsetStats,
+      layoutTables,
+      variationTables,
+    } = parseSubset(input.buffer, input.inputType, text, inputOptions, layout, axes))
+    checkEmbedding(subsetStats.embedding, Boolean(text), allowRestricted)
+  } catch (error) {
+    return outputTypes.map(format => ({ format, error }))
+  }
+
+  return serializeFormats(inputFont, outputTypes, {
+    input: input.buffer,
+    subsetStats,
+    outputOptions,
+    layoutTables,
+    variationTables,
+  })
+}
@@ -0,0 +1,635 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  subsetFontBuffer,
+  subsetFontToFormats,
+  subsetFontWithStats,
+  parseFontForSubsets,
+  subsetParsedFont,
+} from './subset-font-buffer.mjs'
+
+// Mock dependencies
+vi.mock('fonteditor-core', () => ({
+  Font: {
+    create: vi.fn(),
+  },
+  woff2: {
+    init: vi.fn(),
+  },
+}))
+
+vi.mock('./layout-subset.mjs', () => ({
+  subsetLayoutFont: vi.fn(),
+  writeLayoutFont: vi.fn(),
+}))
+
+vi.mock('./variable-font.mjs', () => ({
+  readVariableFont: vi.fn(),
+  subsetVariableFont: vi.fn(),
+  writeVariableFont: vi.fn(),
+}))
+
+import { Font, woff2 } from 'fonteditor-core'
+import { subsetLayoutFont, writeLayoutFont } from './layout-subset.mjs'
+import { readVariableFont, subsetVariableFont, writeVariableFont } from './variable-font.mjs'
+import { parseNameTable, readName, writeNameTable } from './font-names.mjs'
+
+// Font collection of TrueType and CFF faces, each with an empty glyf or CFF table
+function ttc() {
+  const faces = [
+    [0x00010000, 'glyf'],
+    [0x4f54544f, 'CFF '],
+  ].map(([version, tag]) => {
+    const face = Buffer.alloc(28)
+    face.writeUInt32BE(version, 0)
+    face.writeUInt16BE(1, 4)
+    face.write(tag, 12, 'latin1')
+    return face
+  })
+  const header = Buffer.alloc(20)
+  header.write('ttcf', 0, 'latin1')
+  header.writeUInt32BE(2, 8)
+  header.writeUInt32BE(20, 12)
+  header.writeUInt32BE(48, 16)
+  return Buffer.concat([header, ...faces])
+}
+
+describe('subsetFontBuffer', () => {
+  let mockFontInstance
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockFontInstance = {
+      write: vi.fn().mockReturnValue(Buffer.from('output-font-data')),
+      get: vi.fn().mockReturnValue({ glyf: [] }),
+    }
+
+    vi.mocked(Font.create).mockReturnValue(mockFontInstance)
+    vi.mocked(woff2.init).mockResolvedValue(undefined)
+    // Static fonts by default
+    vi.mocked(readVariableFont).mockReturnValue(null)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('Input Validation', () => {
+    it('should throw error for invalid input font type', async () => {
+      await expect(
+        subsetFontBuffer({ data: Buffer.from('x'), inputType: 'pdf', outputType: 'ttf' })
+      ).rejects.toThrow('Invalid input font type: pdf')
+    })
+
+    it('should throw error for invalid output font type', async () => {
+      await expect(
+        subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'pdf' })
+      ).rejects.toThrow('Invalid output font type: pdf')
+    })
+
+    it('should throw error for unsupported data', async () => {
+      await expect(
+        subsetFontBuffer({ data: 'font.ttf', inputType: 'ttf', outputType: 'ttf' })
+      ).rejects.toThrow('data must be a Buffer, Uint8Array or ArrayBuffer')
+    })
+  })
+
+  describe('Data Types', () => {
+    it('should accept a Buffer', async () => {
+      const data = Buffer.from('input-font-data')
+      await subsetFontBuffer({ data, inputType: 'ttf', outputType: 'woff' })
+
+      expect(Font.create).toHaveBeenCalledWith(data, expect.objectContaining({ type: 'ttf' }))
+    })
+
+    it('should accept a Uint8Array', async () => {
+      const data = new Uint8Array([1, 2, 3])
+      await subsetFontBuffer({ data, inputType: 'ttf', outputType: 'woff' })
+
+      const passed = vi.mocked(Font.create).mock.calls[0][0]
+      expect(Buffer.isBuffer(passed)).toBe(true)
+      expect([...passed]).toEqual([1, 2, 3])
+    })
+
+    it('should accept an ArrayBuffer', async () => {
+      const data = new Uint8Array([4, 5, 6]).buffer
+      await subsetFontBuffer({ data, inputType: 'ttf', outputType: 'woff' })
+
+      const passed = vi.mocked(Font.create).mock.calls[0][0]
+      expect(Buffer.isBuffer(passed)).toBe(true)
+      expect([...passed]).toEqual([4, 5, 6])
+    })
+  })
+
+  describe('Font Processing', () => {
+    it('should subset by code points and write the output type', async () => {
+      const result = await subsetFontBuffer({
+        data: Buffer.from('input-font-data'),
+        inputType: 'ttf',
+        outputType: 'woff2',
+        text: 'A𠮷',
+        inputOptions: { hinting: true },
+        outputOptions: { kerning: true },
+      })
+
+      expect(Font.create).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ hinting: true, type: 'ttf', subset: [0x41, 0x20bb7] })
+      )
+      expect(mockFontInstance.write).toHaveBeenCalledWith({ kerning: true, type: 'woff2' })
+      expect(result).toEqual(Buffer.from('output-font-data'))
+    })
+
+    it('should initialize woff2 only when needed', async () => {
+      await subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'woff' })
+      expect(woff2.init).not.toHaveBeenCalled()
+
+      await subsetFontBuffer({ data: Buffer.from('x'), inputType: 'woff2', outputType: 'ttf' })
+      expect(woff2.init).toHaveBeenCalledOnce()
+    })
+
+    it('should convert SVG string output to a Buffer', async () => {
+      mockFontInstance.write.mockReturnValue('<svg></svg>')
+
+      const result = await subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'svg' })
+
+      expect(Buffer.isBuffer(result)).toBe(true)
+      expect(result.toString()).toBe('<svg></svg>')
+    })
+  })
+
+  describe('Statistics', () => {
+    beforeEach(() => {
+      // 10 glyphs in the source font, 3 kept for "AB" plus .notdef
+      mockFontInstance.get.mockReturnValue({
+        maxp: { numGlyphs: 10 },
+        cmap: { 0x41: 1, 0x42: 2, 0x43: 3 },
+        glyf: [{}, { unicode: [0x41] }, { unicode: [0x42] }],
+      })
+    })
+
+    it('should report sizes, glyphs and characters', async () => {
+      const { data, stats } = await subsetFontWithStats({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text: 'ABB中',
+      })
+
+      expect(data).toEqual(Buffer.from('output-font-data'))
+      expect(stats).toEqual({
+        inputSize: 64,
+        outputSize: 16,
+        ratio: 0.25,
+        glyphs: { before: 10, after: 3 },
+        chars: { requested: 3, covered: 2, missing: [0x4e2d] },
+        embedding: { fsType: 0, permission: 'installable', subsetting: true, bitmapOnly: false },
+        license: { copyright: null, description: null, url: null },
+      })
+    })
+
+    it('should count every character of the font without text', async () => {
+      const { stats } = await subsetFontWithStats({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'woff',
+      })
+
+      expect(stats.chars).toEqual({ requested: 3, covered: 3, missing: [] })
+    })
+
+    it('should report statistics for each format', async () => {
+      mockFontInstance.write.mockImplementation(({ type }) => Buffer.from(type))
+
+      const results = await subsetFontToFormats({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'ttf'],
+        text: 'AB',
+      })
+
+      expect(results.map(result => result.stats.outputSize)).toEqual([5, 3])
+      results.forEach(result => expect(result.stats.glyphs).toEqual({ before: 10, after: 3 }))
+    })
+  })
+
+  describe('Layout Features', () => {
+    const layoutTables = new Map([['GSUB', Buffer.from('gsub')]])
+
+    beforeEach(() => {
+      mockFontInstance.get.mockReturnValue({
+        maxp: { numGlyphs: 10 },
+        cmap: { 0x41: 1, 0x42: 2 },
+        glyf: Array.from({ length: 10 }, () => ({})),
+      })
+      vi.mocked(subsetLayoutFont).mockReturnValue({
+        font: mockFontInstance,
+        tables: layoutTables,
+        glyphs: new Set([0, 1, 2, 3]),
+      })
+      vi.mocked(writeLayoutFont).mockReturnValue(Buffer.from('layout-font'))
+    })
+
+    it('should subset without renumbering glyphs and write the layout tables', async () => {
+      const layout = { features: ['liga'] }
+      const { data, stats } = await subsetFontWithStats({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text: 'AB',
+        inputOptions: { hinting: true },
+        outputOptions: { kerning: true },
+        layout,
+      })
+
+      expect(subsetLayoutFont).toHaveBeenCalledWith(expect.any(Buffer), 'ttf', 'AB', layout, {
+        hinting: true,
+      })
+      expect(writeLayoutFont).toHaveBeenCalledWith(mockFontInstance, 'woff', { kerning: true }, layoutTables)
+      expect(Font.create).not.toHaveBeenCalled()
+      expect(data).toEqual(Buffer.from('layout-font'))
+      expect(stats.glyphs).toEqual({ before: 10, after: 4 })
+    })
+
+    it('should write every format with the layout tables', async () => {
+      await subsetFontToFormats({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'ttf'],
+        text: 'AB',
+        layout: true,
+      })
+
+      expect(subsetLayoutFont).toHaveBeenCalledOnce()
+      expect(writeLayoutFont).toHaveBeenCalledTimes(2)
+      expect(writeLayoutFont).toHaveBeenLastCalledWith(mockFontInstance, 'ttf', undefined, layoutTables)
+    })
+
+    it('should not keep layout features by default', async () => {
+      await subsetFontBuffer({ data: Buffer.alloc(64), inputType: 'ttf', outputType: 'woff' })
+
+      expect(subsetLayoutFont).not.toHaveBeenCalled()
+      expect(writeLayoutFont).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Variable Fonts', () => {
+    const sfnt = Buffer.from('sfnt')
+    const tables = new Map([['fvar', Buffer.from('fvar')]])
+    const variationTables = new Map([['gvar', Buffer.from('gvar')]])
+
+    beforeEach(() => {
+      mockFontInstance.get.mockReturnValue({
+        maxp: { numGlyphs: 3 },
+        cmap: { 0x41: 1, 0x42: 2 },
+        glyf: [{}, {}, {}],
+      })
+      vi.mocked(readVariableFont).mockReturnValue({ sfnt, tables })
+      vi.mocked(subsetVariableFont).mockReturnValue(variationTables)
+      vi.mocked(writeVariableFont).mockReturnValue(Buffer.from('variable-font'))
+    })
+
+    it('should subset the variations and write the variation tables', async () => {
+      const axes = { wght: [300, 700] }
+      const data = await subsetFontBuffer({
+        data: Buffer.alloc(64),
+        inputType: 'woff2',
+        outputType: 'woff',
+        text: 'AB',
+        axes,
+      })
+
+      // The decoded TrueType data is parsed
+      expect(Font.create).toHaveBeenCalledWith(sfnt, expect.objectContaining({ type: 'ttf' }))
+      expect(subsetVariableFont).toHaveBeenCalledWith(mockFontInstance, tables, [0, 1, 2], axes, null)
+      expect(writeVariableFont).toHaveBeenCalledWith(mockFontInstance, 'woff', undefined, variationTables)
+      expect(data).toEqual(Buffer.from('variable-font'))
+    })
+
+    it('should write static instances as static fonts', async () => {
+      vi.mocked(subsetVariableFont).mockReturnValue(null)
+      const data = await subsetFontBuffer({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text: 'AB',
+        axes: { wght: 700 },
+      })
+
+      expect(writeVariableFont).not.toHaveBeenCalled()
+      expect(data).toEqual(Buffer.from('output-font-data'))
+    })
+
+    it('should write the layout and variation tables together', async () => {
+      const layoutTables = new Map([['GSUB', Buffer.from('gsub')]])
+      vi.mocked(subsetLayoutFont).mockReturnValue({
+        font: mockFontInstance,
+        tables: layoutTables,
+        glyphs: new Set([0, 2]),
+      })
+      await subsetFontBuffer({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'ttf',
+        text: 'B',
+        layout: true,
+      })
+
+      expect(subsetVariableFont).toHaveBeenCalledWith(
+        mockFontInstance,
+        tables,
+        [0, null, 2],
+        undefined,
+        layoutTables
+      )
+      expect(writeVariableFont).toHaveBeenCalledWith(
+        mockFontInstance,
+        'ttf',
+        undefined,
+        new Map([...layoutTables, ...variationTables])
+      )
+    })
+
+    it('should rename the source name table of variable fonts', async () => {
+      const name = writeNameTable([
+        { platformId: 3, encodingId: 1, languageId: 0x409, nameId: 1, value: Buffer.from('\0B') },
+      ])
+      vi.mocked(subsetVariableFont).mockReturnValue(new Map([...variationTables, ['name', name]]))
+
+      await subsetFontBuffer({
+        data: Buffer.alloc(64),
+        inputType: 'ttf',
+        outputType: 'woff2',
+        outputOptions: { names: { suffix: 'Subset' } },
+      })
+
+      const [, , , tables] = vi.mocked(writeVariableFont).mock.calls[0]
+      expect(readName(parseNameTable(tables.get('name')).records, 1)).toBe('B Subset')
+      expect(tables.get('gvar')).toEqual(Buffer.from('gvar'))
+    })
+
+    it('should throw error for axes of static fonts', async () => {
+      vi.mocked(readVariableFont).mockReturnValue(null)
+
+      await expect(
+        subsetFontBuffer({ data: Buffer.alloc(64), inputType: 'ttf', outputType: 'ttf', axes: { wght: 700 } })
+      ).rejects.toThrow('axes can only be set for variable fonts')
+    })
+  })
+
+  describe('Font Collections', () => {
+    it('should subset the first face by default', async () => {
+      await subsetFontBuffer({ data: ttc(), outputType: 'woff' })
+
+      const [data, options] = vi.mocked(Font.create).mock.calls[0]
+      expect(data.readUInt32BE(0)).toBe(0x00010000)
+      expect(options.type).toBe('ttf')
+    })
+
+    it('should subset the selected face', async () => {
+      await subsetFontBuffer({ data: ttc(), inputType: 'ttc', outputType: 'woff', face: 1 })
+
+      const [data, options] = vi.mocked(Font.create).mock.calls[0]
+      expect(data.toString('latin1', 0, 4)).toBe('OTTO')
+      expect(options.type).toBe('otf')
+    })
+
+    it('should throw error for faces outside the collection', async () => {
+      await expect(subsetFontBuffer({ data: ttc(), outputType: 'woff', face: 2 })).rejects.toThrow(
+        'Face 2 is outside the collection of 2 faces'
+      )
+    })
+  })
+
+  describe('Font Names', () => {
+    it('should rename the font before writing it', async () => {
+      const ttf = { glyf: [], name: { fontFamily: 'Brand Sans', fontSubFamily: 'Bold', licence: 'OFL' } }
+      mockFontInstance.get.mockReturnValue(ttf)
+      const outputOptions = { names: { suffix: 'Subset', strip: ['license'] } }
+
+      await subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'woff', outputOptions })
+
+      expect(ttf.name).toEqual({
+        fontFamily: 'Brand Sans Subset',
+        fontSubFamily: 'Bold',
+        fullName: 'Brand Sans Subset Bold',
+        postScriptName: 'BrandSansSubset-Bold',
+      })
+      expect(mockFontInstance.write).toHaveBeenCalledWith({ ...outputOptions, type: 'woff' })
+    })
+
+    it('should throw error for invalid names before parsing the font', async () => {
+      await expect(
+        subsetFontBuffer({
+          data: Buffer.from('x'),
+          inputType: 'ttf',
+          outputType: 'woff',
+          outputOptions: { names: { strip: ['legal'] } },
+        })
+      ).rejects.toThrow('Unknown name records "legal", use copyright, license, description, vendor')
+      expect(Font.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Embedding Permissions', () => {
+    const restrictedFont = fsType => mockFontInstance.get.mockReturnValue({ glyf: [], 'OS/2': { fsType } })
+
+    it('should refuse fonts with restricted license embedding', async () => {
+      restrictedFont(0x0002)
+
+      await expect(
+        subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'woff' })
+      ).rejects.toThrow(
+        'The font license does not allow embedding (OS/2 fsType 0x0002), ' +
+          'set allowRestricted (--force in the CLI) if you are licensed to embed it'
+      )
+      expect(mockFontInstance.write).not.toHaveBeenCalled()
+    })
+
+    it('should only refuse to subset no subsetting fonts', async () => {
+      restrictedFont(0x0100)
+
+      await expect(
+        subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'woff', text: 'AB' })
+      ).rejects.toThrow('The font license does not allow subsetting (OS/2 fsType 0x0100)')
+      await expect(
+        subsetFontBuffer({ data: Buffer.from('x'), inputType: 'ttf', outputType: 'woff' })
+      ).resolves.toEqual(Buffer.from('output-font-data'))
+    })
+
+    it('should subset restricted fonts with allowRestricted', async () => {
+      restrictedFont(0x0102)
+
+      const { stats } = await subsetFontWithStats({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text: 'AB',
+        allowRestricted: true,
+      })
+
+      expect(stats.embedding).toEqual({
+        fsType: 0x0102,
+        permission: 'restricted',
+        subsetting: false,
+        bitmapOnly: false,
+      })
+    })
+
+    it('should fail every format of a restricted font', async () => {
+      restrictedFont(0x0002)
+
+      const results = await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'woff'],
+      })
+
+      expect(results.map(result => result.error.message)).toEqual([
+        expect.stringContaining('does not allow embedding'),
+        expect.stringContaining('does not allow embedding'),
+      ])
+    })
+  })
+
+  describe('subsetFontToFormats', () => {
+    const parseCalls = () => vi.mocked(Font.create).mock.calls.filter(([data]) => Buffer.isBuffer(data))
+
+    it('should parse and subset the font only once for all formats', async () => {
+      const results = await subsetFontToFormats({
+        data: Buffer.from('input-font-data'),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'woff', 'ttf'],
+        text: 'ABC',
+      })
+
+      expect(parseCalls()).toHaveLength(1)
+      expect(parseCalls()[0][1]).toEqual(expect.objectContaining({ type: 'ttf', subset: [65, 66, 67] }))
+      expect(mockFontInstance.write).toHaveBeenCalledTimes(3)
+      expect(results.map(result => result.format)).toEqual(['woff2', 'woff', 'ttf'])
+      results.forEach(result => expect(result.data).toEqual(Buffer.from('output-font-data')))
+    })
+
+    it('should initialize woff2 only once', async () => {
+      await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'woff2',
+        outputTypes: ['woff2', 'woff2'],
+      })
+
+      expect(woff2.init).toHaveBeenCalledOnce()
+    })
+
+    it('should write every format but the last from its own copy', async () => {
+      await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'woff', 'ttf'],
+      })
+
+      const copies = vi.mocked(Font.create).mock.calls.filter(([data]) => !Buffer.isBuffer(data))
+      expect(copies).toHaveLength(2)
+      copies.forEach(([data]) => expect(data).toEqual({ glyf: [] }))
+    })
+
+    it('should report errors per format', async () => {
+      mockFontInstance.write.mockImplementation(({ type }) => {
+        if (type === 'eot') {
+          throw new Error('eot failed')
+        }
+        return Buffer.from(type)
+      })
+
+      const results = await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        outputTypes: ['woff', 'eot', 'pdf', 'ttf'],
+      })
+
+      expect(results[0]).toEqual({ format: 'woff', data: Buffer.from('woff'), stats: expect.any(Object) })
+      expect(results[1].error.message).toBe('eot failed')
+      expect(results[2].error.message).toBe('Invalid output font type: pdf')
+      expect(results[3]).toEqual({ format: 'ttf', data: Buffer.from('ttf'), stats: expect.any(Object) })
+    })
+
+    it('should report the parse error for every format', async () => {
+      vi.mocked(Font.create).mockImplementation(() => {
+        throw new Error('Invalid font data')
+      })
+
+      const results = await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'ttf',
+        outputTypes: ['woff2', 'woff'],
+      })
+
+      expect(results).toHaveLength(2)
+      results.forEach(result => expect(result.error.message).toBe('Invalid font data'))
+    })
+
+    it('should report an invalid input type for every format', async () => {
+      const results = await subsetFontToFormats({
+        data: Buffer.from('x'),
+        inputType: 'pdf',
+        outputTypes: ['woff2', 'woff'],
+      })
+
+      results.forEach(result => expect(result.error.message).toBe('Invalid input font type: pdf'))
+      expect(Font.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('subsetParsedFont', () => {
+    const parsed = () => ({
+      maxp: { numGlyphs: 4 },
+      cmap: { 0x41: 1, 0x42: 2, 0x43: 3 },
+      glyf: [{ name: '.notdef' }, { unicode: [0x41] }, { unicode: [0x42] }, { unicode: [0x43] }],
+    })
+
+    it('should parse the font once without a subset, converting compound glyphs', () => {
+      mockFontInstance.get.mockReturnValue(parsed())
+      const source = parseFontForSubsets(Buffer.from('x'), 'ttf', { hinting: true })
+
+      expect(Font.create).toHaveBeenCalledOnce()
+      expect(Font.create).toHaveBeenCalledWith(Buffer.from('x'), {
+        hinting: true,
+        compound2simple: true,
+        type: 'ttf',
+        subset: undefined,
+      })
+      expect(source).toEqual({ ttf: parsed(), variable: null })
+    })
+
+    it('should keep .notdef and the glyphs of the text without changing the parsed font', () => {
+      vi.mocked(Font.create).mockImplementation(ttf => ({ get: () => ttf }))
+      const ttf = parsed()
+
+      const { font, subsetStats, variationTables } = subsetParsedFont({ ttf, variable: null }, 'CAx')
+
+      expect(font.get().glyf).toEqual([{ name: '.notdef' }, { unicode: [0x41] }, { unicode: [0x43] }])
+      expect(font.get().glyf[1]).not.toBe(ttf.glyf[1])
+      expect(ttf).toEqual(parsed())
+      expect(subsetStats).toMatchObject({
+        glyphs: { before: 4, after: 3 },
+        chars: { requested: 3, covered: 2, missing: [0x78] },
+      })
+      expect(variationTables).toBeNull()
+    })
+
+    it('should subset the variations of a variable font to the kept glyphs', () => {
+      const sfnt = Buffer.from('sfnt')
+      const tables = new Map([['fvar', Buffer.from('fvar')]])
+      const variationTables = new Map([['gvar', Buffer.from('gvar')]])
+      vi.mocked(readVariableFont).mockReturnValue({ sfnt, tables })
+      vi.mocked(subsetVariableFont).mockReturnValue(variationTables)
+      mockFontInstance.get.mockReturnValue(parsed())
+
+      const source = parseFontForSubsets(Buffer.alloc(64), 'woff2')
+      const subset = subsetParsedFont(source, 'B')
+
+      expect(Font.create).toHaveBeenCalledWith(sfnt, expect.objectContaining({ type: 'ttf' }))
+      expect(subsetVariableFont).toHaveBeenCalledWith(mockFontInstance, tables, [0, 2])
+      expect(subset.variationTables).toBe(variationTables)
+    })
+  })
+})
@@ -0,0 +1,135 @@
+// Unicode blocks [start, end, name], sorted by start
+// Covers the blocks web fonts usually deal with, other code points fall into "Other"
+const UNICODE_BLOCKS = [
+  [0x0000, 0x007f, 'Basic Latin'],
+  [0x0080, 0x00ff, 'Latin-1 Supplement'],
+  [0x0100, 0x017f, 'Latin Extended-A'],
+  [0x0180, 0x024f, 'Latin Extended-B'],
+  [0x0250, 0x02af, 'IPA Extensions'],
+  [0x02b0, 0x02ff, 'Spacing Modifier Letters'],
+  [0x0300, 0x036f, 'Combining Diacritical Marks'],
+  [0x0370, 0x03ff, 'Greek and Coptic'],
+  [0x0400, 0x04ff, 'Cyrillic'],
+  [0x0500, 0x052f, 'Cyrillic Supplement'],
+  [0x0530, 0x058f, 'Armenian'],
+  [0x0590, 0x05ff, 'Hebrew'],
+  [0x0600, 0x06ff, 'Arabic'],
+  [0x0700, 0x074f, 'Syriac'],
+  [0x0900, 0x097f, 'Devanagari'],
+  [0x0e00, 0x0e7f, 'Thai'],
+  [0x0e80, 0x0eff, 'Lao'],
+  [0x0f00, 0x0fff, 'Tibetan'],
+  [0x1000, 0x109f, 'Myanmar'],
+  [0x10a0, 0x10ff, 'Georgian'],
+  [0x1100, 0x11ff, 'Hangul Jamo'],
+  [0x1e00, 0x1eff, 'Latin Extended Additional'],
+  [0x1f00, 0x1fff, 'Greek Extended'],
+  [0x2000, 0x206f, 'General Punctuation'],
+  [0x2070, 0x209f, 'Superscripts and Subscripts'],
+  [0x20a0, 0x20cf, 'Currency Symbols'],
+  [0x20d0, 0x20ff, 'Combining Diacritical Marks for Symbols'],
+  [0x2100, 0x214f, 'Letterlike Symbols'],
+  [0x2150, 0x218f, 'Number Forms'],
+  [0x2190, 0x21ff, 'Arrows'],
+  [0x2200, 0x22ff, 'Mathematical Operators'],
+  [0x2300, 0x23ff, 'Miscellaneous Technical'],
+  [0x2400, 0x243f, 'Control Pictures'],
+  [0x2460, 0x24ff, 'Enclosed Alphanumerics'],
+  [0x2500, 0x257f, 'Box Drawing'],
+  [0x2580, 0x259f, 'Block Elements'],
+  [0x25a0, 0x25ff, 'Geometric Shapes'],
+  [0x2600, 0x26ff, 'Miscellaneous Symbols'],
+  [0x2700, 0x27bf, 'Dingbats'],
+  [0x27c0, 0x27ef, 'Miscellaneous Mathematical Symbols-A'],
+  [0x27f0, 0x27ff, 'Supplemental Arrows-A'],
+  [0x2800, 0x28ff, 'Braille Patterns'],
+  [0x2900, 0x297f, 'Supplemental Arrows-B'],
+  [0x2980, 0x29ff, 'Miscellaneous Mathematical Symbols-B'],
+  [0x2a00, 0x2aff, 'Supplemental Mathematical Operators'],
+  [0x2b00, 0x2bff, 'Miscellaneous Symbols and Arrows'],
+  [0x2e80, 0x2eff, 'CJK Radicals Supplement'],
+  [0x2f00, 0x2fdf, 'Kangxi Radicals'],
+  [0x2ff0, 0x2fff, 'Ideographic Description Characters'],
+  [0x3000, 0x303f, 'CJK Symbols and Punctuation'],
+  [0x3040, 0x309f, 'Hiragana'],
+  [0x30a0, 0x30ff, 'Katakana'],
+  [0x3100, 0x312f, 'Bopomofo'],
+  [0x3130, 0x318f, 'Hangul Compatibility Jamo'],
+  [0x3190, 0x319f, 'Kanbun'],
+  [0x31a0, 0x31bf, 'Bopomofo Extended'],
+  [0x31c0, 0x31ef, 'CJK Strokes'],
+  [0x31f0, 0x31ff, 'Katakana Phonetic Extensions'],
+  [0x3200, 0x32ff, 'Enclosed CJK Letters and Months'],
+  [0x3300, 0x33ff, 'CJK Compatibility'],
+  [0x3400, 0x4dbf, 'CJK Unified Ideographs Extension A'],
+  [0x4dc0, 0x4dff, 'Yijing Hexagram Symbols'],
+  [0x4e00, 0x9fff, 'CJK Unified Ideographs'],
+  [0xa000, 0xa48f, 'Yi Syllables'],
+  [0xac00, 0xd7af, 'Hangul Syllables'],
+  [0xe000, 0xf8ff, 'Private Use Area'],
+  [0xf900, 0xfaff, 'CJK Compatibility Ideographs'],
+  [0xfb00, 0xfb4f, 'Alphabetic Presentation Forms'],
+  [0xfe00, 0xfe0f, 'Variation Selectors'],
+  [0xfe10, 0xfe1f, 'Vertical Forms'],
+  [0xfe20, 0xfe2f, 'Combining Half Marks'],
+  [0xfe30, 0xfe4f, 'CJK Compatibility Forms'],
+  [0xfe50, 0xfe6f, 'Small Form Variants'],
+  [0xfe70, 0xfeff, 'Arabic Presentation Forms-B'],
+  [0xff00, 0xffef, 'Halfwidth and Fullwidth Forms'],
+  [0xfff0, 0xffff, 'Specials'],
+  [0x1d400, 0x1d7ff, 'Mathematical Alphanumeric Symbols'],
+  [0x1f000, 0x1f02f, 'Mahjong Tiles'],
+  [0x1f0a0, 0x1f0ff, 'Playing Cards'],
+  [0x1f100, 0x1f1ff, 'Enclosed Alphanumeric Supplement'],
+  [0x1f200, 0x1f2ff, 'Enclosed Ideographic Supplement'],
+  [0x1f300, 0x1f5ff, 'Miscellaneous Symbols and Pictographs'],
+  [0x1f600, 0x1f64f, 'Emoticons'],
+  [0x1f680, 0x1f6ff, 'Transport and Map Symbols'],
+  [0x1f900, 0x1f9ff, 'Supplemental Symbols and Pictographs'],
+  [0x1fa70, 0x1faff, 'Symbols and Pictographs Extended-A'],
+  [0x20000, 0x2a6df, 'CJK Unified Ideographs Extension B'],
+  [0x2a700, 0x2b73f, 'CJK Unified Ideographs Extension C'],
+  [0x2b740, 0x2b81f, 'CJK Unified Ideographs Extension D'],
+  [0x2b820, 0x2ceaf, 'CJK Unified Ideographs Extension E'],
+  [0x2ceb0, 0x2ebef, 'CJK Unified Ideographs Extension F'],
+  [0x2f800, 0x2fa1f, 'CJK Compatibility Ideographs Supplement'],
+  [0x30000, 0x3134f, 'CJK Unified Ideographs Extension G'],
+  [0x31350, 0x323af, 'CJK Unified Ideographs Extension H'],
+  [0xe0100, 0xe01ef, 'Variation Selectors Supplement'],
+  [0xf0000, 0xfffff, 'Supplementary Private Use Area-A'],
+  [0x100000, 0x10ffff, 'Supplementary Private Use Area-B'],
+]
+
+/**
+ * Get the Unicode block name of a code point
+ * @param {number} codePoint - Code point
+ * @returns {string} Block name, "Other" for blocks not in the table
+ *
+ * @example
+ * getUnicodeBlock(0x4e2d) // 'CJK Unified Ideographs'
+ */
+export function getUnicodeBlock(codePoint) {
+  const block = UNICODE_BLOCKS.find(([start, end]) => codePoint >= start && codePoint <= end)
+  return block ? block[2] : 'Other'
+}
+
+/**
+ * Group code points by Unicode block
+ * @param {Iterable<number>} codePoints - Code points
+ * @returns {Array<{block: string, codePoints: number[]}>} Groups ordered by code point, code points sorted
+ *
+ * @example
+ * groupByUnicodeBlock([0x4e2d, 0x41, 0x4e00])
+ * // [{ block: 'Basic Latin', codePoints: [0x41] }, { block: 'CJK Unified Ideographs', codePoints: [0x4e00, 0x4e2d] }]
+ */
+export function groupByUnicodeBlock(codePoints) {
+  const groups = new Map()
+  for (const codePoint of [...codePoints].sort((a, b) => a - b)) {
+    const block = getUnicodeBlock(codePoint)
+    if (!groups.has(block)) {
+      groups.set(block, [])
+    }
+    groups.get(block).push(codePoint)
+  }
+  return Array.from(groups, ([block, blockCodePoints]) => ({ block, codePoints: blockCodePoints }))
+}
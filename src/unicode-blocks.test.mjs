@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { getUnicodeBlock, groupByUnicodeBlock } from './unicode-blocks.mjs'
+
+describe('getUnicodeBlock', () => {
+  it('should name the block of a code point', () => {
+    expect(getUnicodeBlock(0x41)).toBe('Basic Latin')
+    expect(getUnicodeBlock(0x4e00)).toBe('CJK Unified Ideographs')
+    expect(getUnicodeBlock(0x9fff)).toBe('CJK Unified Ideographs')
+    expect(getUnicodeBlock(0xff01)).toBe('Halfwidth and Fullwidth Forms')
+    expect(getUnicodeBlock(0x20bb7)).toBe('CJK Unified Ideographs Extension B')
+  })
+
+  it('should fall back to Other', () => {
+    expect(getUnicodeBlock(0x0800)).toBe('Other')
+  })
+})
+
+describe('groupByUnicodeBlock', () => {
+  it('should group sorted code points by block', () => {
+    expect(groupByUnicodeBlock([0x4e2d, 0x1f600, 0x41, 0x4e00, 0x42])).toEqual([
+      { block: 'Basic Latin', codePoints: [0x41, 0x42] },
+      { block: 'CJK Unified Ideographs', codePoints: [0x4e00, 0x4e2d] },
+      { block: 'Emoticons', codePoints: [0x1f600] },
+    ])
+  })
+
+  it('should return no groups for no code points', () => {
+    expect(groupByUnicodeBlock([])).toEqual([])
+  })
+})
@@ -0,0 +1,1359 @@
+import { decodeSfnt, readSfntTables, readTableTags, writeFontTables } from './sfnt.mjs'
+import { parseLayoutTable, writeLayoutTable } from './layout-tables.mjs'
+import {
+  decodeTuples,
+  encodeTuples,
+  parseAvar,
+  parseCvar,
+  parseFvar,
+  parseGvar,
+  parseItemVariationStore,
+  parseMetricsVariations,
+  parseMvar,
+  roundF2Dot14,
+  writeAvar,
+  writeCvar,
+  writeFvar,
+  writeGvar,
+  writeItemVariationStore,
+  writeMetricsVariations,
+  writeMvar,
+} from './variation-tables.mjs'
+
+/**
+ * Subsetting and instancing of TrueType variable fonts
+ *
+ * Variations of the retained glyphs are kept by default: the gvar data of a glyph is copied as is,
+ * and only decoded when fonteditor-core flattened the composite glyph it belongs to. Axes can be
+ * pinned to a value, which applies their deltas to the default outlines and metrics, or restricted
+ * to a range that includes the default value, which rescales the variation regions. A font with
+ * every axis pinned is a static instance and loses its variation tables.
+ */
+
+// Output types that can hold variation tables
+export const VARIABLE_OUTPUT_TYPES = ['ttf', 'woff', 'woff2', 'eot']
+
+// Tables copied from the source font when variations are kept
+const KEPT_TABLES = ['STAT', 'name']
+
+// Fields varied by MVAR value tags, as [table, field] of the fonteditor-core font
+const MVAR_FIELDS = {
+  hasc: ['OS/2', 'sTypoAscender'],
+  hdsc: ['OS/2', 'sTypoDescender'],
+  hlgp: ['OS/2', 'sTypoLineGap'],
+  hcla: ['OS/2', 'usWinAscent'],
+  hcld: ['OS/2', 'usWinDescent'],
+  xhgt: ['OS/2', 'sxHeight'],
+  cpht: ['OS/2', 'sCapHeight'],
+  sbxs: ['OS/2', 'ySubscriptXSize'],
+  sbys: ['OS/2', 'ySubscriptYSize'],
+  sbxo: ['OS/2', 'ySubscriptXOffset'],
+  sbyo: ['OS/2', 'ySubscriptYOffset'],
+  spxs: ['OS/2', 'ySuperscriptXSize'],
+  spys: ['OS/2', 'ySuperscriptYSize'],
+  spxo: ['OS/2', 'ySuperscriptXOffset'],
+  spyo: ['OS/2', 'ySuperscriptYOffset'],
+  strs: ['OS/2', 'yStrikeoutSize'],
+  stro: ['OS/2', 'yStrikeoutPosition'],
+  hcrs: ['hhea', 'caretSlopeRise'],
+  hcrn: ['hhea', 'caretSlopeRun'],
+  hcof: ['hhea', 'caretOffset'],
+  unds: ['post', 'underlineThickness'],
+  undo: ['post', 'underlinePosition'],
+}
+
+// OS/2 usWidthClass values 1 to 9, as wdth axis percentages
+const WIDTH_CLASSES = [50, 62.5, 75, 87.5, 100, 112.5, 125, 150, 200]
+
+// GPOS device fields and the value or anchor field their deltas apply to
+const DEVICE_FIELDS = {
+  xPlaDevice: 'xPlacement',
+  yPlaDevice: 'yPlacement',
+  xAdvDevice: 'xAdvance',
+  yAdvDevice: 'yAdvance',
+  xDevice: 'x',
+  yDevice: 'y',
+}
+
+// Device table format that points to a delta set of the GDEF ItemVariationStore
+const VARIATION_INDEX = 0x8000
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+const USE_MY_METRICS = 0x0200
+
+// Simple glyph flags
+const REPEAT_FLAG = 0x08
+const X_SHORT_VECTOR = 0x02
+const Y_SHORT_VECTOR = 0x04
+const X_IS_SAME_OR_POSITIVE = 0x10
+const Y_IS_SAME_OR_POSITIVE = 0x20
+
+// Number of phantom points gvar adds after the points of a glyph: left, right, top and bottom
+const PHANTOM_POINTS = 4
+
+/**
+ * Read the tables of a variable font
+ * Only the table directory is read for ttf, otf and woff, static fonts are not decoded
+ * @param {Buffer} data - Font data, woff2 must be initialized
+ * @param {string} inputType - Font type
+ * @param {Object} [inputOptions] - Font read options
+ * @returns {{sfnt: Buffer, tables: Map<string, Buffer>}|null} TrueType data and its tables, null for
+ *   static fonts
+ * @throws {Error} When the variable font has CFF2 outlines
+ */
+export function readVariableFont(data, inputType, inputOptions) {
+  const tags = readTableTags(data, inputType)
+  if (!tags.includes('fvar')) {
+    return null
+  }
+  if (!tags.includes('glyf')) {
+    throw new Error('Variable fonts with CFF2 outlines are not supported')
+  }
+
+  const sfnt = decodeSfnt(data, inputType, inputOptions)
+  return { sfnt, tables: readSfntTables(sfnt) }
+}
+
+/**
+ * Read the variation axes of a font
+ * @param {Buffer} data - Font data, woff2 must be initialized
+ * @param {string} inputType - Font type
+ * @returns {Array<{tag: string, minValue: number, defaultValue: number, maxValue: number}>|null} fvar
+ *   axes, null for static fonts
+ */
+export function readFontAxes(data, inputType) {
+  if (!readTableTags(data, inputType).includes('fvar')) {
+    return null
+  }
+  return parseFvar(readSfntTables(decodeSfnt(data, inputType)).get('fvar')).axes
+}
+
+/**
+ * Get the CSS font-weight of a font subset with the axes option
+ * @param {string|number} weight - font-weight of the source font, "min max" for variable fonts
+ * @param {Object<string, number|number[]>} [axes] - Axes option
+ * @returns {string|number} Pinned weight, restricted weight range, or the source weight
+ */
+export function getAxesWeight(weight, axes) {
+  const value = axes ? axes.wght : undefined
+  if (Array.isArray(value)) {
+    return value[0] === value[1] ? value[0] : `${value[0]} ${value[1]}`
+  }
+  return value === undefined ? weight : value
+}
+
+/**
+ * Map a normalized coordinate through an avar segment map
+ * @param {Array<number[]>} map - [from, to] pairs, sorted by from
+ * @param {number} value - Normalized coordinate
+ * @returns {number} Mapped coordinate
+ */
+function mapAvar(map, value) {
+  if (!map || !map.length) {
+    return value
+  }
+
+  const exact = map.find(([from]) => from === value)
+  if (exact) {
+    return exact[1]
+  }
+  if (value < map[0][0]) {
+    return value + map[0][1] - map[0][0]
+  }
+  const last = map[map.length - 1]
+  if (value > last[0]) {
+    return value + last[1] - last[0]
+  }
+  const index = map.findIndex(([from]) => from > value)
+  const [from0, to0] = map[index - 1]
+  const [from1, to1] = map[index]
+  return to0 + ((to1 - to0) * (value - from0)) / (from1 - from0)
+}
+
+/**
+ * Normalize a user coordinate of an axis before the avar mapping
+ * @param {Object} axis - fvar axis
+ * @param {number} value - User coordinate, within the axis range
+ * @returns {number} Normalized coordinate, from -1 to 1
+ */
+function normalizeDefault(axis, value) {
+  if (value < axis.defaultValue) {
+    return roundF2Dot14((value - axis.defaultValue) / (axis.defaultValue - axis.minValue))
+  }
+  if (value > axis.defaultValue) {
+    return roundF2Dot14((value - axis.defaultValue) / (axis.maxValue - axis.defaultValue))
+  }
+  return 0
+}
+
+/**
+ * Resolve the axes option against the axes of a font
+ * @param {{axes: Object[]}} fvar - Parsed fvar table
+ * @param {{version: number, maps: Array<Array<number[]>>}|null} avar - Parsed avar table
+ * @param {Object<string, number|number[]>} axes - Pinned value or [min, max] range by axis tag
+ * @returns {Array<Object|null>} Limit of each fvar axis: {value, pin} for pinned axes, {minValue,
+ *   maxValue, lo, hi} for restricted ones with lo and hi normalized, null when the axis is not limited
+ * @throws {Error} When the option is invalid for the font
+ */
+export function resolveAxisLimits(fvar, avar, axes) {
+  if (!axes || typeof axes !== 'object' || Array.isArray(axes)) {
+    throw new Error('axes must be an object of axis tags and values')
+  }
+  const tags = fvar.axes.map(axis => axis.tag)
+  Object.keys(axes).forEach(tag => {
+    if (!tags.includes(tag)) {
+      throw new Error(`Unknown axis "${tag}", the font has ${tags.join(', ')}`)
+    }
+  })
+  if (avar && avar.version !== 1 && Object.keys(axes).length) {
+    throw new Error(`avar version ${avar.version} is not supported`)
+  }
+
+  return fvar.axes.map((axis, index) => {
+    const value = axes[axis.tag]
+    if (value === undefined) {
+      return null
+    }
+
+    const map = avar && avar.maps[index]
+    const normalize = user => roundF2Dot14(mapAvar(map, normalizeDefault(axis, user)))
+    const range = `${axis.minValue}-${axis.maxValue}`
+    const [min, max] = Array.isArray(value) ? value : [value, value]
+    if (typeof min !== 'number' || typeof max !== 'number' || (Array.isArray(value) && value.length !== 2)) {
+      throw new Error(`Axis ${axis.tag} must be a number or a [min, max] range`)
+    }
+    if (min > max || min < axis.minValue || max > axis.maxValue) {
+      const given = min === max ? min : `${min}-${max}`
+      throw new Error(`Axis ${axis.tag} value ${given} is outside the range ${range}`)
+    }
+
+    if (min === max) {
+      return { value: min, pin: normalize(min) }
+    }
+    if (min > axis.defaultValue || max < axis.defaultValue) {
+      throw new Error(
+        `Axis ${axis.tag} range ${min}-${max} must include the default value ${axis.defaultValue}`
+      )
+    }
+    if (min === axis.minValue && max === axis.maxValue) {
+      return null
+    }
+    return { minValue: min, maxValue: max, lo: normalize(min), hi: normalize(max) }
+  })
+}
+
+/**
+ * Compute the scalar of one axis of a variation region at a coordinate
+ * @param {number[]} tent - [start, peak, end] of the axis
+ * @param {number} value - Normalized coordinate
+ * @returns {number} Scalar, from 0 to 1
+ */
+function tentScalar([start, peak, end], value) {
+  // Axes the region does not involve, and invalid ranges, are ignored
+  if (peak === 0 || value === peak || start > peak || peak > end || (start < 0 && end > 0)) {
+    return 1
+  }
+  if (value <= start || value >= end) {
+    return 0
+  }
+  return value < peak ? (value - start) / (peak - start) : (end - value) / (end - peak)
+}
+
+/**
+ * Restrict a positive tent to the coordinates up to hi, and rescale it so hi becomes 1
+ * @param {number[]} tent - [start, peak, end] with a positive peak
+ * @param {number} hi - Normalized upper limit
+ * @returns {Array<Array>} [tent, scale] pairs whose sum gives the variation of the tent within the limit
+ */
+function limitPositiveTent([start, peak, end], hi) {
+  if (start > peak || peak > end || start < 0) {
+    return [[[0, 0, 0], 1]]
+  }
+  if (hi <= start) {
+    return []
+  }
+
+  const rescale = value => roundF2Dot14(Math.min(1, value / hi))
+  if (peak > hi) {
+    // Only the rising side is left, it ends at hi with the scalar reached there
+    return [[[rescale(start), 1, 1], (hi - start) / (peak - start)]]
+  }
+  if (end <= hi) {
+    return [[[rescale(start), rescale(peak), rescale(end)], 1]]
+  }
+
+  // The falling side is cut at hi, a second tent peaking there keeps the scalar left at hi
+  const tents = [[[rescale(start), rescale(peak), 1], 1]]
+  const remainder = (end - hi) / (end - peak)
+  if (peak < hi && remainder > 0) {
+    tents.push([[rescale(peak), 1, 1], remainder])
+  }
+  return tents
+}
+
+/**
+ * Limit one axis of a variation region
+ * @param {number[]} tent - [start, peak, end] of the axis
+ * @param {Object} limit - Axis limit from resolveAxisLimits
+ * @returns {Array<Array>} [tent, scale] pairs, the tent is null when the axis is pinned
+ */
+function limitTent(tent, limit) {
+  if (limit.pin !== undefined) {
+    return [[null, tentScalar(tent, limit.pin)]]
+  }
+  const [start, peak, end] = tent
+  if (peak === 0) {
+    return [[tent, 1]]
+  }
+  if (peak > 0) {
+    return limitPositiveTent(tent, limit.hi)
+  }
+  // Negative tents are mirrored to the positive side and back
+  return limitPositiveTent([-end, -peak, -start], -limit.lo).map(([mirrored, scale]) => [
+    [-mirrored[2], -mirrored[1], -mirrored[0]],
+    scale,
+  ])
+}
+
+/**
+ * Limit a variation region to the axis limits, removing pinned axes
+ * @param {Array<number[]>} region - [start, peak, end] of each axis
+ * @param {Array<Object|null>} limits - Axis limits from resolveAxisLimits
+ * @returns {Array<{region: Array<number[]>, scale: number}>} Regions over the remaining axes, with the
+ *   scale of their deltas; a region without any peak applies everywhere
+ */
+function limitRegion(region, limits) {
+  let results = [{ region: [], scale: 1 }]
+  region.forEach((tent, axis) => {
+    const options = limits[axis] ? limitTent(tent, limits[axis]) : [[tent, 1]]
+    results = results.flatMap(result =>
+      options.map(([limited, scale]) => ({
+        region: limited ? [...result.region, limited] : result.region,
+        scale: result.scale * scale,
+      }))
+    )
+  })
+  return results.filter(result => result.scale !== 0)
+}
+
+/**
+ * Tell whether a region applies everywhere, as it does not involve any axis
+ * @param {Array<number[]>} region - [start, peak, end] of each axis
+ * @returns {boolean} Whether the region is constant
+ */
+function isConstantRegion(region) {
+  return region.every(tent => tent[1] === 0)
+}
+
+/**
+ * Key of a region, to merge tuples and store regions that became identical
+ * @param {Array<number[]>} region - [start, peak, end] of each axis
+ * @returns {string} Key
+ */
+function regionKey(region) {
+  return region.map(tent => tent.join(':')).join('/')
+}
+
+/**
+ * Limit tuple variations to the axis limits
+ * @param {Array<Object>} tuples - Tuples as from decodeTuples
+ * @param {Array<Object|null>} limits - Axis limits
+ * @param {Function} expand - Returns the deltas of a tuple for every point
+ * @returns {{base: number[][]|null, tuples: Array<Object>}} Deltas to apply to the default values
+ *   (null when there are none), and the tuples left with integer deltas
+ */
+export function limitTuples(tuples, limits, expand) {
+  const merged = new Map()
+  let base = null
+  const scaled = (deltas, scale) => deltas.map(values => values.map(delta => delta * scale))
+  const add = (target, deltas) =>
+    target.forEach((values, dimension) =>
+      values.forEach((_, index) => (values[index] += deltas[dimension][index]))
+    )
+
+  tuples.forEach(tuple =>
+    limitRegion(tuple.region, limits).forEach(({ region, scale }) => {
+      if (isConstantRegion(region)) {
+        const deltas = expand(tuple)
+        if (!base) {
+          base = deltas.map(values => values.map(() => 0))
+        }
+        add(base, scaled(deltas, scale))
+        return
+      }
+
+      const key = regionKey(region)
+      const existing = merged.get(key)
+      if (!existing) {
+        merged.set(key, { region, points: tuple.points, deltas: scaled(tuple.deltas, scale), tuple })
+      } else if (existing.points === tuple.points) {
+        add(existing.deltas, scaled(tuple.deltas, scale))
+      } else {
+        // Tuples with different point numbers are merged with explicit deltas
+        if (existing.points) {
+          existing.deltas = scaled(expand({ ...existing.tuple, deltas: existing.deltas }), 1)
+          existing.points = null
+        }
+        add(existing.deltas, scaled(expand(tuple), scale))
+      }
+    })
+  )
+
+  const limited = [...merged.values()]
+    .map(({ region, points, deltas }) => ({
+      region,
+      points,
+      deltas: deltas.map(values => values.map(Math.round)),
+    }))
+    .filter(tuple => tuple.deltas.some(values => values.some(Boolean)))
+  return { base, tuples: limited }
+}
+
+/**
+ * Limit an ItemVariationStore to the axis limits
+ * Delta-set indexes are kept, so the maps and device tables pointing to the store stay valid
+ * @param {Object} store - Store as from parseItemVariationStore
+ * @param {Array<Object|null>} limits - Axis limits
+ * @returns {{store: Object, defaults: number[][]}} Store over the remaining axes, and the delta of each
+ *   delta set that now applies everywhere, to add to the default values
+ */
+export function limitItemVariationStore(store, limits) {
+  const limitedRegions = store.regions.map(region => limitRegion(region, limits))
+  const regions = []
+  const regionIndexes = new Map()
+  const defaults = []
+
+  const varData = store.varData.map(({ regionIndexes: columns, rows }) => {
+    const indexes = []
+    const sums = rows.map(() => [])
+    const rowDefaults = rows.map(() => 0)
+    columns.forEach((regionIndex, column) =>
+      limitedRegions[regionIndex].forEach(({ region, scale }) => {
+        if (isConstantRegion(region)) {
+          rows.forEach((row, item) => (rowDefaults[item] += row[column] * scale))
+          return
+        }
+
+        const key = regionKey(region)
+        if (!regionIndexes.has(key)) {
+          regionIndexes.set(key, regions.length)
+          regions.push(region)
+        }
+        let position = indexes.indexOf(regionIndexes.get(key))
+        if (position < 0) {
+          position = indexes.push(regionIndexes.get(key)) - 1
+        }
+        rows.forEach(
+          (row, item) => (sums[item][position] = (sums[item][position] || 0) + row[column] * scale)
+        )
+      })
+    )
+    defaults.push(rowDefaults)
+    return {
+      regionIndexes: indexes,
+      rows: sums.map(row => indexes.map((_, position) => Math.round(row[position] || 0))),
+    }
+  })
+
+  return { store: { regions, varData }, defaults }
+}
+
+/**
+ * Keep only some delta sets of an ItemVariationStore
+ * @param {Object} store - Store as from parseItemVariationStore
+ * @param {Array<Array<number[]>>} maps - Delta-set index maps pointing to the store
+ * @returns {{store: Object, maps: Array<Array<number[]>>}} Store with the delta sets the maps use, and
+ *   the maps pointing to it
+ */
+function subsetItemVariationStore(store, maps) {
+  const used = store.varData.map(() => new Set())
+  maps.forEach(map => map.forEach(([outer, inner]) => used[outer] && used[outer].add(inner)))
+
+  const indexes = new Map()
+  const varData = []
+  used.forEach((inners, outer) => {
+    if (!inners.size) {
+      return
+    }
+    const items = [...inners].sort((a, b) => a - b)
+    items.forEach((inner, index) => indexes.set(`${outer}:${inner}`, [varData.length, index]))
+    const { regionIndexes, rows } = store.varData[outer]
+    varData.push({ regionIndexes, rows: items.map(inner => rows[inner]) })
+  })
+
+  // Regions no delta set uses anymore are removed
+  const regionMap = new Map()
+  const regions = []
+  varData.forEach(data => {
+    data.regionIndexes = data.regionIndexes.map(index => {
+      if (!regionMap.has(index)) {
+        regionMap.set(index, regions.push(store.regions[index]) - 1)
+      }
+      return regionMap.get(index)
+    })
+  })
+
+  return {
+    store: { regions, varData },
+    maps: maps.map(map => map.map(([outer, inner]) => indexes.get(`${outer}:${inner}`) || [0, 0])),
+  }
+}
+
+/**
+ * Read a glyph from the raw glyf table
+ * @param {Object} source - glyf and loca data, and whether loca has 32-bit offsets
+ * @param {number} glyphId - Glyph ID
+ * @returns {Object} {endPoints, coordinates} for simple and empty glyphs, {components} for composite
+ *   glyphs with the glyph ID, flags and 2x2 transform of each component
+ */
+function readGlyph({ glyf, loca, longLoca }, glyphId) {
+  const readLoca = index => (longLoca ? loca.readUInt32BE(index * 4) : loca.readUInt16BE(index * 2) * 2)
+  let position = readLoca(glyphId)
+  if (position >= readLoca(glyphId + 1)) {
+    return { endPoints: [], coordinates: [] }
+  }
+
+  const contourCount = glyf.readInt16BE(position)
+  position += 10
+  if (contourCount < 0) {
+    const components = []
+    let flags
+    do {
+      flags = glyf.readUInt16BE(position)
+      const component = { glyphId: glyf.readUInt16BE(position + 2), flags, a: 1, b: 0, c: 0, d: 1 }
+      position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2)
+      const read = () => {
+        position += 2
+        return glyf.readInt16BE(position - 2) / 16384
+      }
+      if (flags & WE_HAVE_A_SCALE) {
+        component.a = component.d = read()
+      } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+        component.a = read()
+        component.d = read()
+      } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+        component.a = read()
+        component.b = read()
+        component.c = read()
+        component.d = read()
+      }
+      components.push(component)
+    } while (flags & MORE_COMPONENTS)
+    return { components }
+  }
+
+  const endPoints = Array.from({ length: contourCount }, (_, index) =>
+    glyf.readUInt16BE(position + index * 2)
+  )
+  position += contourCount * 2
+  position += 2 + glyf.readUInt16BE(position)
+  const pointCount = contourCount ? endPoints[contourCount - 1] + 1 : 0
+
+  const flags = []
+  while (flags.length < pointCount) {
+    const flag = glyf[position++]
+    flags.push(flag)
+    if (flag & REPEAT_FLAG) {
+      for (let count = glyf[position++]; count > 0; count--) {
+        flags.push(flag)
+      }
+    }
+  }
+
+  const coordinates = flags.map(() => [0, 0])
+  ;[
+    [X_SHORT_VECTOR, X_IS_SAME_OR_POSITIVE],
+    [Y_SHORT_VECTOR, Y_IS_SAME_OR_POSITIVE],
+  ].forEach(([short, sameOrPositive], dimension) => {
+    let value = 0
+    flags.forEach((flag, index) => {
+      if (flag & short) {
+        value += flag & sameOrPositive ? glyf[position] : -glyf[position]
+        position++
+      } else if (!(flag & sameOrPositive)) {
+        value += glyf.readInt16BE(position)
+        position += 2
+      }
+      coordinates[index][dimension] = value
+    })
+  })
+  return { endPoints, coordinates }
+}
+
+/**
+ * Infer the deltas of the points a glyph tuple does not list, interpolating them within each contour
+ * @param {Object} glyph - Simple glyph from readGlyph
+ * @param {Object} tuple - Tuple as from decodeTuples
+ * @returns {number[][]} x and y deltas of every point, phantom points included
+ */
+function interpolateDeltas({ endPoints, coordinates }, tuple) {
+  const pointCount = coordinates.length + PHANTOM_POINTS
+  const deltas = tuple.deltas.map(() => new Array(pointCount).fill(0))
+  const referenced = new Array(pointCount).fill(false)
+  tuple.points.forEach((point, index) => {
+    if (point < pointCount) {
+      referenced[point] = true
+      deltas.forEach((values, dimension) => (values[point] = tuple.deltas[dimension][index]))
+    }
+  })
+
+  let start = 0
+  endPoints.forEach(end => {
+    const references = []
+    for (let point = start; point <= end; point++) {
+      if (referenced[point]) {
+        references.push(point)
+      }
+    }
+
+    if (references.length && references.length < end - start + 1) {
+      references.forEach((reference, index) => {
+        const next = references[(index + 1) % references.length]
+        for (
+          let point = reference === end ? start : reference + 1;
+          point !== next;
+          point = point === end ? start : point + 1
+        ) {
+          deltas.forEach((values, dimension) => {
+            let [c1, c2] = [coordinates[reference][dimension], coordinates[next][dimension]]
+            let [d1, d2] = [values[reference], values[next]]
+            if (c1 === c2) {
+              values[point] = d1 === d2 ? d1 : 0
+              return
+            }
+            if (c1 > c2) {
+              ;[c1, c2, d1, d2] = [c2, c1, d2, d1]
+            }
+            const coordinate = coordinates[point][dimension]
+            if (coordinate <= c1) {
+              values[point] = d1
+            } else if (coordinate >= c2) {
+              values[point] = d2
+            } else {
+              values[point] = d1 + ((coordinate - c1) * (d2 - d1)) / (c2 - c1)
+            }
+          })
+        }
+      })
+    }
+    start = end + 1
+  })
+  return deltas
+}
+
+/**
+ * Create a reader of the glyph variations of a font
+ * @param {Map<string, Buffer>} tables - Source tables
+ * @param {Object} gvar - Parsed gvar table
+ * @returns {{isComposite: Function, decode: Function, expand: Function, flatten: Function}} Reader
+ */
+function createGlyphVariations(tables, gvar) {
+  const source = {
+    glyf: tables.get('glyf'),
+    loca: tables.get('loca'),
+    longLoca: tables.get('head').readInt16BE(50) === 1,
+  }
+  const glyphs = new Map()
+  const getGlyph = glyphId => {
+    if (!glyphs.has(glyphId)) {
+      glyphs.set(glyphId, readGlyph(source, glyphId))
+    }
+    return glyphs.get(glyphId)
+  }
+
+  const decode = glyphId => {
+    const glyph = getGlyph(glyphId)
+    const pointCount = (glyph.components || glyph.coordinates).length + PHANTOM_POINTS
+    const data = gvar.glyphs[glyphId] || Buffer.alloc(0)
+    return decodeTuples(data, {
+      position: 0,
+      base: 0,
+      axisCount: gvar.axisCount,
+      sharedTuples: gvar.sharedTuples,
+      pointCount,
+    })
+  }
+
+  // Deltas of every point, points a composite tuple does not list do not move
+  const expand = (glyphId, tuple) => {
+    const glyph = getGlyph(glyphId)
+    if (glyph.components) {
+      return fillDeltas(tuple, glyph.components.length + PHANTOM_POINTS)
+    }
+    return tuple.points ? interpolateDeltas(glyph, tuple) : tuple.deltas
+  }
+
+  // Variations of a composite glyph turned into a simple glyph, with the points of its components
+  // in order, transformed like fonteditor-core transforms their outlines
+  const flattened = new Map()
+  const flatten = (glyphId, depth = 0) => {
+    if (flattened.has(glyphId)) {
+      return flattened.get(glyphId)
+    }
+    const glyph = getGlyph(glyphId)
+    const own = decode(glyphId).map(tuple => ({ region: tuple.region, deltas: expand(glyphId, tuple) }))
+    if (!glyph.components || depth > 8) {
+      const result = { pointCount: glyph.components ? 0 : glyph.coordinates.length, tuples: own }
+      flattened.set(glyphId, result)
+      return result
+    }
+
+    const children = glyph.components.map(component =>
+      component.glyphId === glyphId ? { pointCount: 0, tuples: [] } : flatten(component.glyphId, depth + 1)
+    )
+    const pointCount = children.reduce((count, child) => count + child.pointCount, 0)
+    const merged = new Map()
+    const getTuple = region => {
+      const key = regionKey(region)
+      if (!merged.has(key)) {
+        merged.set(key, {
+          region,
+          points: null,
+          deltas: [0, 1].map(() => new Array(pointCount + PHANTOM_POINTS).fill(0)),
+        })
+      }
+      return merged.get(key).deltas
+    }
+
+    let offset = 0
+    let metrics = null
+    glyph.components.forEach((component, index) => {
+      const child = children[index]
+      const { a, b, c, d } = component
+      child.tuples.forEach(({ region, deltas: [x, y] }) => {
+        const [targetX, targetY] = getTuple(region)
+        for (let point = 0; point < child.pointCount; point++) {
+          targetX[offset + point] += a * x[point] + c * y[point]
+          targetY[offset + point] += b * x[point] + d * y[point]
+        }
+      })
+      // The offset deltas of the component move all of its points
+      own.forEach(({ region, deltas: [x, y] }) => {
+        const [targetX, targetY] = getTuple(region)
+        for (let point = 0; point < child.pointCount; point++) {
+          targetX[offset + point] += x[index]
+          targetY[offset + point] += y[index]
+        }
+      })
+      if (component.flags & USE_MY_METRICS) {
+        metrics = child
+      }
+      offset += child.pointCount
+    })
+
+    // Phantom points come from the component whose metrics the composite uses
+    const phantoms = metrics
+      ? metrics.tuples.map(({ region, deltas }) => ({ region, deltas, from: metrics.pointCount }))
+      : own.map(({ region, deltas }) => ({ region, deltas, from: glyph.components.length }))
+    phantoms.forEach(({ region, deltas, from }) => {
+      const target = getTuple(region)
+      for (let phantom = 0; phantom < PHANTOM_POINTS; phantom++) {
+        target[0][pointCount + phantom] += deltas[0][from + phantom]
+        target[1][pointCount + phantom] += deltas[1][from + phantom]
+      }
+    })
+
+    const result = { pointCount, tuples: [...merged.values()] }
+    flattened.set(glyphId, result)
+    return result
+  }
+
+  return {
+    isComposite: glyphId => Boolean(getGlyph(glyphId).components),
+    decode,
+    expand,
+    flatten: glyphId => flatten(glyphId).tuples,
+  }
+}
+
+/**
+ * Recompute the bounding boxes and left side bearings of glyphs after their outlines moved
+ * @param {Object[]} glyf - Glyphs of the fonteditor-core font
+ */
+function updateBounds(glyf) {
+  const points = new Map()
+  const getPoints = (index, depth = 0) => {
+    if (points.has(index)) {
+      return points.get(index)
+    }
+    const glyph = glyf[index]
+    let result = []
+    if (glyph && glyph.compound && depth < 8) {
+      glyph.glyfs.forEach(({ glyphIndex, transform: { a, b, c, d, e, f } }) => {
+        if (glyphIndex !== index) {
+          getPoints(glyphIndex, depth + 1).forEach(({ x, y }) =>
+            result.push({ x: Math.round(x * a + y * c + e), y: Math.round(x * b + y * d + f) })
+          )
+        }
+      })
+    } else if (glyph && glyph.contours) {
+      result = glyph.contours.flat()
+    }
+    points.set(index, result)
+    return result
+  }
+
+  glyf.forEach((glyph, index) => {
+    const outline = getPoints(index)
+    if (!outline.length) {
+      return
+    }
+    glyph.xMin = Math.min(...outline.map(point => point.x))
+    glyph.yMin = Math.min(...outline.map(point => point.y))
+    glyph.xMax = Math.max(...outline.map(point => point.x))
+    glyph.yMax = Math.max(...outline.map(point => point.y))
+    glyph.leftSideBearing = glyph.xMin
+  })
+}
+
+/**
+ * Apply deltas to the default outline of a glyph
+ * @param {Object} glyph - Glyph of the fonteditor-core font
+ * @param {number[][]} deltas - x and y deltas of every point, phantom points included
+ */
+function applyGlyphDeltas(glyph, [x, y]) {
+  if (glyph.compound) {
+    glyph.glyfs.forEach((component, index) => {
+      component.transform.e = Math.round(component.transform.e + x[index])
+      component.transform.f = Math.round(component.transform.f + y[index])
+    })
+    return
+  }
+
+  let index = 0
+  ;(glyph.contours || []).forEach(contour =>
+    contour.forEach(point => {
+      point.x = Math.round(point.x + x[index])
+      point.y = Math.round(point.y + y[index])
+      index++
+    })
+  )
+}
+
+/**
+ * Limit the glyph variations of the output glyphs, and apply the deltas left at the default location
+ * @param {Object[]} glyf - Glyphs of the fonteditor-core font
+ * @param {Array<number|null>} glyphIds - Source glyph ID of each output glyph
+ * @param {Object} gvar - Parsed gvar table
+ * @param {Object} reader - Reader from createGlyphVariations
+ * @param {Array<Object|null>|null} limits - Axis limits, null when no axis is limited
+ * @returns {{glyphs: Array<Object[]|Buffer>, phantoms: Array<number[][]|null>}} Tuples of each glyph (raw
+ *   data when it did not change), and the phantom point deltas applied to each glyph
+ */
+function limitGlyphVariations(glyf, glyphIds, gvar, reader, limits) {
+  const phantoms = []
+  const glyphs = glyphIds.map((glyphId, index) => {
+    phantoms.push(null)
+    if (glyphId === null || !gvar.glyphs[glyphId] || !gvar.glyphs[glyphId].length) {
+      return []
+    }
+
+    const glyph = glyf[index]
+    const flattened = reader.isComposite(glyphId) && !glyph.compound
+    if (!limits && !flattened) {
+      return gvar.glyphs[glyphId]
+    }
+
+    const tuples = flattened ? reader.flatten(glyphId) : reader.decode(glyphId)
+    if (!limits) {
+      return tuples.map(tuple => ({ ...tuple, deltas: tuple.deltas.map(values => values.map(Math.round)) }))
+    }
+
+    const limited = limitTuples(tuples, limits, tuple => reader.expand(glyphId, tuple))
+    if (limited.base) {
+      applyGlyphDeltas(glyph, limited.base)
+      const count = limited.base[0].length - PHANTOM_POINTS
+      phantoms[index] = limited.base.map(values => values.slice(count))
+    }
+    return limited.tuples
+  })
+  return { glyphs, phantoms }
+}
+
+/**
+ * Build the gvar table of the output glyphs
+ * @param {Array<Object[]|Buffer>} glyphs - Tuples or raw data of each glyph
+ * @param {number} axisCount - Number of axes
+ * @param {number[][]|null} sharedTuples - Shared tuples of the source, used by raw data; null to pick
+ *   the peaks used most often
+ * @returns {Buffer} Table data
+ */
+function buildGvar(glyphs, axisCount, sharedTuples) {
+  if (!sharedTuples) {
+    const counts = new Map()
+    glyphs.forEach(tuples =>
+      tuples.forEach(({ region }) => {
+        const key = region.map(tent => roundF2Dot14(tent[1])).join()
+        counts.set(key, (counts.get(key) || 0) + 1)
+      })
+    )
+    sharedTuples = [...counts]
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 0x0fff)
+      .map(([key]) => (key ? key.split(',').map(Number) : []))
+  }
+
+  const index = new Map(sharedTuples.map((peak, position) => [peak.map(roundF2Dot14).join(), position]))
+  return writeGvar({
+    axisCount,
+    sharedTuples,
+    glyphs: glyphs.map(glyph =>
+      Buffer.isBuffer(glyph) ? glyph : encodeTuples(glyph, { sharedTuples: index })
+    ),
+  })
+}
+
+/**
+ * Read the advance delta-set index of a glyph from HVAR or VVAR
+ * @param {Array<number[]>|null} map - Advance map, null to use the glyph ID
+ * @param {number} glyphId - Glyph ID
+ * @returns {number[]} [outer, inner] index
+ */
+function getAdvanceIndex(map, glyphId) {
+  if (!map) {
+    return [0, glyphId]
+  }
+  return map[Math.min(glyphId, map.length - 1)]
+}
+
+/**
+ * Read the delta of a delta set
+ * @param {number[][]} defaults - Defaults from limitItemVariationStore
+ * @param {number[]} index - [outer, inner] index
+ * @returns {number} Delta, 0 when the index is out of range
+ */
+function getDefault(defaults, [outer, inner]) {
+  return (defaults[outer] && defaults[outer][inner]) || 0
+}
+
+/**
+ * Limit the axes of fvar and avar
+ * @param {Object} fvar - Parsed fvar table
+ * @param {Object|null} avar - Parsed avar table
+ * @param {Array<Object|null>} limits - Axis limits
+ * @returns {{fvar: Buffer, avar: Buffer|null}} Table data
+ */
+function limitAxisTables(fvar, avar, limits) {
+  const kept = fvar.axes.map((_, index) => !limits[index] || limits[index].pin === undefined)
+  const axes = fvar.axes
+    .map((axis, index) =>
+      limits[index] ? { ...axis, minValue: limits[index].minValue, maxValue: limits[index].maxValue } : axis
+    )
+    .filter((_, index) => kept[index])
+
+  // Named instances outside the limits are removed
+  const instances = fvar.instances
+    .filter(instance =>
+      instance.coordinates.every((value, index) => {
+        const limit = limits[index]
+        if (!limit) {
+          return true
+        }
+        return limit.pin === undefined
+          ? value >= limit.minValue && value <= limit.maxValue
+          : value === limit.value
+      })
+    )
+    .map(instance => ({ ...instance, coordinates: instance.coordinates.filter((_, index) => kept[index]) }))
+
+  let maps = null
+  if (avar) {
+    maps = avar.maps
+      .map((map, index) => {
+        const limit = limits[index]
+        if (!limit || !map.length) {
+          return map
+        }
+        // Coordinates are rescaled so the limits become -1 and 1 before and after the mapping
+        const axis = fvar.axes[index]
+        const loFrom = normalizeDefault(axis, limit.minValue)
+        const hiFrom = normalizeDefault(axis, limit.maxValue)
+        const limited = [
+          [-1, -1],
+          [0, 0],
+          [1, 1],
+        ]
+        map.forEach(([from, to]) => {
+          if (from > 0 && from < hiFrom) {
+            limited.push([roundF2Dot14(from / hiFrom), roundF2Dot14(to / limit.hi)])
+          } else if (from < 0 && from > loFrom) {
+            limited.push([roundF2Dot14(from / -loFrom), roundF2Dot14(to / -limit.lo)])
+          }
+        })
+        return limited.sort((a, b) => a[0] - b[0])
+      })
+      .filter((_, index) => kept[index])
+  }
+
+  return { fvar: writeFvar({ axes, instances }), avar: maps && writeAvar(maps) }
+}
+
+/**
+ * Give every point of a tuple a delta, points it does not list do not move
+ * @param {Object} tuple - Tuple as from decodeTuples
+ * @param {number} pointCount - Number of points
+ * @returns {number[][]} Deltas of each dimension for every point
+ */
+function fillDeltas(tuple, pointCount) {
+  if (!tuple.points) {
+    return tuple.deltas
+  }
+  const deltas = tuple.deltas.map(() => new Array(pointCount).fill(0))
+  tuple.points.forEach((point, index) =>
+    deltas.forEach((values, dimension) => (values[point] = tuple.deltas[dimension][index]))
+  )
+  return deltas
+}
+
+/**
+ * Apply the deltas MVAR has at the default location to the font metrics
+ * @param {Object} ttf - fonteditor-core font data
+ * @param {Array<{tag: string, outer: number, inner: number}>} records - MVAR value records
+ * @param {number[][]} defaults - Defaults from limitItemVariationStore
+ */
+function applyMetricsDeltas(ttf, records, defaults) {
+  records.forEach(({ tag, outer, inner }) => {
+    const field = MVAR_FIELDS[tag]
+    const table = field && ttf[field[0]]
+    if (table && typeof table[field[1]] === 'number') {
+      table[field[1]] = Math.round(table[field[1]] + getDefault(defaults, [outer, inner]))
+    }
+  })
+}
+
+/**
+ * Update the OS/2 and post fields that describe the pinned weight, width and slant
+ * @param {Object} ttf - fonteditor-core font data
+ * @param {Object} fvar - Parsed fvar table
+ * @param {Array<Object|null>} limits - Axis limits
+ */
+function applyAxisValues(ttf, fvar, limits) {
+  fvar.axes.forEach((axis, index) => {
+    const limit = limits[index]
+    if (!limit || limit.pin === undefined) {
+      return
+    }
+    if (axis.tag === 'wght' && ttf['OS/2']) {
+      ttf['OS/2'].usWeightClass = Math.min(1000, Math.max(1, Math.round(limit.value)))
+    } else if (axis.tag === 'wdth' && ttf['OS/2']) {
+      const distances = WIDTH_CLASSES.map(width => Math.abs(width - limit.value))
+      ttf['OS/2'].usWidthClass = distances.indexOf(Math.min(...distances)) + 1
+    } else if (axis.tag === 'slnt' && ttf.post) {
+      ttf.post.italicAngle = limit.value
+    }
+  })
+}
+
+/**
+ * Read the offset of the ItemVariationStore of a GDEF table
+ * @param {Buffer} gdef - GDEF data
+ * @returns {number} Offset, 0 when the table has no store
+ */
+function getGdefStoreOffset(gdef) {
+  return gdef.readUInt16BE(2) >= 3 ? gdef.readUInt32BE(14) : 0
+}
+
+/**
+ * Replace the ItemVariationStore of a GDEF table
+ * The store is cut off when it is the last subtable, otherwise the new one is added after the table
+ * @param {Buffer} gdef - GDEF data, version 1.3
+ * @param {Buffer|null} store - New store, null to remove it
+ * @returns {Buffer} GDEF data
+ */
+function replaceGdefStore(gdef, store) {
+  const offset = getGdefStoreOffset(gdef)
+  const others = [4, 6, 8, 10, 12].map(position => gdef.readUInt16BE(position))
+  const head = Buffer.from(others.every(other => other < offset) ? gdef.subarray(0, offset) : gdef)
+  head.writeUInt32BE(store ? head.length : 0, 14)
+  return store ? Buffer.concat([head, store]) : head
+}
+
+/**
+ * Apply the deltas of the GDEF ItemVariationStore at the default location to the GPOS values and
+ * anchors with variation devices
+ * @param {Buffer} data - GPOS data
+ * @param {number[][]} defaults - Defaults from limitItemVariationStore
+ * @param {boolean} removeDevices - Whether to remove the variation devices, for static instances
+ * @returns {Buffer} GPOS data
+ */
+function limitPositioning(data, defaults, removeDevices) {
+  const gpos = parseLayoutTable(data, 'GPOS')
+  const visited = new Set()
+  const visit = node => {
+    if (!node || typeof node !== 'object' || Buffer.isBuffer(node) || visited.has(node)) {
+      return
+    }
+    visited.add(node)
+    if (node instanceof Map || Array.isArray(node)) {
+      node.forEach(visit)
+      return
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (DEVICE_FIELDS[key]) {
+        if (value && value.readUInt16BE(4) === VARIATION_INDEX) {
+          const field = DEVICE_FIELDS[key]
+          const delta = getDefault(defaults, [value.readUInt16BE(0), value.readUInt16BE(2)])
+          node[field] = Math.round((node[field] || 0) + delta)
+          if (removeDevices) {
+            node[key] = null
+          }
+        }
+      } else if (/^valueFormat[12]?$/.test(key)) {
+        // Values with a device get the field the delta was added to
+        node[key] = value | ((value >> 4) & 0x0f)
+      } else {
+        visit(value)
+      }
+    })
+  }
+  gpos.lookups.forEach(lookup => visit(lookup.subtables))
+  return writeLayoutTable(gpos, 'GPOS')
+}
+
+/**
+ * Apply vertical advance and top side bearing deltas to vmtx
+ * @param {Buffer} vhea - vhea data, updated for the rewritten metrics
+ * @param {Buffer} vmtx - vmtx data
+ * @param {Object[]} glyf - Glyphs of the fonteditor-core font, with their new bounding boxes
+ * @param {number[]} yMax - Top of each glyph before the deltas
+ * @param {Array<number[]>} deltas - [advance, top] delta of each glyph
+ * @returns {{vhea: Buffer, vmtx: Buffer}} Table data, with a long metric for every glyph
+ */
+function limitVerticalMetrics(vhea, vmtx, glyf, yMax, deltas) {
+  const longCount = vhea.readUInt16BE(34)
+  const metrics = Buffer.alloc(glyf.length * 4)
+  glyf.forEach((glyph, index) => {
+    const long = Math.min(index, longCount - 1)
+    const advance = vmtx.readUInt16BE(long * 4)
+    const position = index < longCount ? index * 4 + 2 : longCount * 4 + (index - longCount) * 2
+    const topSideBearing = position + 2 <= vmtx.length ? vmtx.readInt16BE(position) : 0
+    const [advanceDelta, topDelta] = deltas[index]
+    const top = yMax[index] + topSideBearing + topDelta
+
+    metrics.writeUInt16BE(Math.max(0, Math.round(advance + advanceDelta)), index * 4)
+    metrics.writeInt16BE(Math.round(top - (glyph.yMax || 0)), index * 4 + 2)
+  })
+
+  const header = Buffer.from(vhea)
+  header.writeUInt16BE(glyf.length, 34)
+  return { vhea: header, vmtx: metrics }
+}
+
+/**
+ * Build the HVAR table of the output glyphs
+ * @param {{store: Object, maps: Array}} hvar - Parsed HVAR table, with its store limited
+ * @param {Array<number|null>} glyphIds - Source glyph ID of each output glyph
+ * @param {boolean} renumbered - Whether glyph IDs changed, the maps then only list the output glyphs
+ * @param {number} axisCount - Number of axes left
+ * @returns {Buffer} Table data
+ */
+function buildHvar(hvar, glyphIds, renumbered, axisCount) {
+  if (!renumbered) {
+    return writeMetricsVariations(hvar, axisCount)
+  }
+
+  // The advance map is written even when the source uses glyph IDs, as they change
+  const maps = hvar.maps.map((map, index) =>
+    map || index === 0 ? glyphIds.map(glyphId => getAdvanceIndex(map, glyphId || 0)) : null
+  )
+  const subset = subsetItemVariationStore(hvar.store, maps.filter(Boolean))
+  let next = 0
+  return writeMetricsVariations(
+    { store: subset.store, maps: maps.map(map => (map ? subset.maps[next++] : null)) },
+    axisCount
+  )
+}
+
+/**
+ * Subset the variations of a font to its output glyphs, and limit its axes
+ *
+ * The fonteditor-core font is updated in place with the deltas left at the default location of the
+ * limited axes: outlines, advances, metrics and control values. So are the layout tables of a font
+ * parsed with subsetLayoutFont, for GPOS values, GDEF and vmtx.
+ *
+ * @param {Font} font - Font parsed from the sfnt of readVariableFont
+ * @param {Map<string, Buffer>} tables - Tables from readVariableFont
+ * @param {Array<number|null>} glyphIds - Source glyph ID of each output glyph, null for glyphs emptied
+ *   by subsetLayoutFont
+ * @param {Object<string, number|number[]>} [axes] - Pinned value or [min, max] range by axis tag
+ * @param {Map<string, Buffer|null>} [layoutTables] - Tables from subsetLayoutFont, glyph IDs are then
+ *   unchanged
+ * @returns {Map<string, Buffer>|null} Variation tables to add to the written font, null for a static
+ *   instance
+ */
+export function subsetVariableFont(font, tables, glyphIds, axes, layoutTables) {
+  const ttf = font.get()
+  const fvar = parseFvar(tables.get('fvar'))
+  const avar = tables.has('avar') ? parseAvar(tables.get('avar')) : null
+  const limits = axes ? resolveAxisLimits(fvar, avar, axes) : fvar.axes.map(() => null)
+  const instancing = limits.some(Boolean)
+  const isStatic = limits.every(limit => limit && limit.pin !== undefined)
+  const axisCount = limits.filter(limit => !limit || limit.pin === undefined).length
+  const renumbered = !layoutTables
+  const output = new Map()
+
+  // vmtx follows the outlines, the top of the glyphs before the deltas gives their origin
+  const vhea = layoutTables && layoutTables.get('vhea')
+  const vmtx = layoutTables && layoutTables.get('vmtx')
+  const yMax = ttf.glyf.map(glyph => glyph.yMax || 0)
+
+  let phantoms = glyphIds.map(() => null)
+  if (tables.has('gvar')) {
+    const gvar = parseGvar(tables.get('gvar'))
+    const reader = createGlyphVariations(tables, gvar)
+    const limited = limitGlyphVariations(ttf.glyf, glyphIds, gvar, reader, instancing ? limits : null)
+    phantoms = limited.phantoms
+    if (!isStatic) {
+      output.set('gvar', buildGvar(limited.glyphs, axisCount, instancing ? null : gvar.sharedTuples))
+    }
+  }
+  if (instancing) {
+    updateBounds(ttf.glyf)
+  }
+
+  // Advances vary with HVAR when the font has it, otherwise with the phantom points
+  const hvar = tables.has('HVAR') && parseMetricsVariations(tables.get('HVAR'), 3)
+  if (hvar) {
+    if (instancing) {
+      const limited = limitItemVariationStore(hvar.store, limits)
+      hvar.store = limited.store
+      glyphIds.forEach((glyphId, index) => {
+        if (glyphId !== null) {
+          const glyph = ttf.glyf[index]
+          const delta = getDefault(limited.defaults, getAdvanceIndex(hvar.maps[0], glyphId))
+          glyph.advanceWidth = Math.max(0, Math.round(glyph.advanceWidth + delta))
+        }
+      })
+    }
+    if (!isStatic) {
+      output.set('HVAR', buildHvar(hvar, glyphIds, renumbered, axisCount))
+    }
+  } else if (instancing) {
+    phantoms.forEach((deltas, index) => {
+      if (deltas) {
+        const glyph = ttf.glyf[index]
+        glyph.advanceWidth = Math.max(0, Math.round(glyph.advanceWidth + deltas[0][1] - deltas[0][0]))
+      }
+    })
+  }
+
+  // Vertical metrics are only kept with the glyph IDs of subsetLayoutFont
+  if (vhea && vmtx) {
+    const vvar = tables.has('VVAR') && parseMetricsVariations(tables.get('VVAR'), 4)
+    let defaults = null
+    if (vvar && instancing) {
+      const limited = limitItemVariationStore(vvar.store, limits)
+      vvar.store = limited.store
+      defaults = limited.defaults
+    }
+    if (vvar && !isStatic) {
+      output.set('VVAR', writeMetricsVariations(vvar, axisCount))
+    }
+    if (instancing) {
+      const deltas = glyphIds.map((glyphId, index) => {
+        const phantom = phantoms[index]
+        const top = phantom ? phantom[1][2] : 0
+        if (glyphId === null) {
+          return [0, 0]
+        }
+        if (defaults) {
+          return [getDefault(defaults, getAdvanceIndex(vvar.maps[0], glyphId)), top]
+        }
+        return [phantom ? phantom[1][2] - phantom[1][3] : 0, top]
+      })
+      const limited = limitVerticalMetrics(vhea, vmtx, ttf.glyf, yMax, deltas)
+      layoutTables.set('vhea', limited.vhea)
+      layoutTables.set('vmtx', limited.vmtx)
+    }
+  }
+
+  if (tables.has('MVAR')) {
+    const mvar = parseMvar(tables.get('MVAR'))
+    if (instancing && mvar.store) {
+      const limited = limitItemVariationStore(mvar.store, limits)
+      applyMetricsDeltas(ttf, mvar.records, limited.defaults)
+      mvar.store = limited.store
+    }
+    if (!isStatic && mvar.store) {
+      output.set('MVAR', instancing ? writeMvar(mvar, axisCount) : tables.get('MVAR'))
+    }
+  }
+
+  // GPOS values vary with the GDEF store, only kept with layout features
+  const gdef = layoutTables && layoutTables.get('GDEF')
+  if (instancing && gdef && getGdefStoreOffset(gdef)) {
+    const limited = limitItemVariationStore(parseItemVariationStore(gdef, getGdefStoreOffset(gdef)), limits)
+    layoutTables.set(
+      'GDEF',
+      replaceGdefStore(gdef, isStatic ? null : writeItemVariationStore(limited.store, axisCount))
+    )
+    if (layoutTables.get('GPOS')) {
+      layoutTables.set('GPOS', limitPositioning(layoutTables.get('GPOS'), limited.defaults, isStatic))
+    }
+  }
+
+  // Control values vary with cvar, when the hinting instructions are kept
+  const cvt = ttf.cvt && ttf.cvt.length ? Buffer.from(ttf.cvt) : null
+  if (cvt && tables.has('cvar')) {
+    if (!instancing) {
+      output.set('cvar', tables.get('cvar'))
+    } else {
+      const count = cvt.length / 2
+      const tuples = parseCvar(tables.get('cvar'), fvar.axes.length, count)
+      const limited = limitTuples(tuples, limits, tuple => fillDeltas(tuple, count))
+      if (limited.base) {
+        limited.base[0].forEach((delta, index) =>
+          cvt.writeInt16BE(Math.round(cvt.readInt16BE(index * 2) + delta), index * 2)
+        )
+        ttf.cvt = Array.isArray(ttf.cvt) ? Array.from(cvt) : cvt
+      }
+      if (!isStatic && limited.tuples.length) {
+        output.set('cvar', writeCvar(limited.tuples))
+      }
+    }
+  }
+
+  applyAxisValues(ttf, fvar, limits)
+  if (isStatic) {
+    return null
+  }
+
+  if (instancing) {
+    const axisTables = limitAxisTables(fvar, avar, limits)
+    output.set('fvar', axisTables.fvar)
+    if (axisTables.avar) {
+      output.set('avar', axisTables.avar)
+    }
+  } else {
+    ;['fvar', 'avar'].forEach(tag => tables.has(tag) && output.set(tag, tables.get(tag)))
+  }
+  // fonteditor-core only writes the names it knows, axes and instances refer to the others
+  KEPT_TABLES.forEach(tag => tables.has(tag) && output.set(tag, tables.get(tag)))
+  return output
+}
+
+/**
+ * Serialize a font parsed from a variable font, adding its variation tables
+ * @param {Font} font - Parsed font
+ * @param {string} outputType - Output font type, one of VARIABLE_OUTPUT_TYPES
+ * @param {Object} [outputOptions] - Font write options
+ * @param {Map<string, Buffer|null>} tables - Tables from subsetVariableFont, and the layout tables
+ *   of subsetLayoutFont
+ * @returns {Buffer} Output font data
+ * @throws {Error} When the output type cannot hold variation tables
+ */
+export function writeVariableFont(font, outputType, outputOptions, tables) {
+  if (!VARIABLE_OUTPUT_TYPES.includes(outputType)) {
+    throw new Error(
+      `Font variations cannot be kept in ${outputType} fonts, pin every axis or use ${VARIABLE_OUTPUT_TYPES.join(', ')}`
+    )
+  }
+  return writeFontTables(font, outputType, outputOptions, tables)
+}
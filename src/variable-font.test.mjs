@@ -0,0 +1,280 @@
+import { describe, it, expect } from 'vitest'
+import { Font } from 'fonteditor-core'
+import {
+  getAxesWeight,
+  limitItemVariationStore,
+  limitTuples,
+  readFontAxes,
+  readVariableFont,
+  resolveAxisLimits,
+  subsetVariableFont,
+  writeVariableFont,
+} from './variable-font.mjs'
+import {
+  decodeTuples,
+  encodeTuples,
+  parseFvar,
+  parseGvar,
+  writeFvar,
+  writeGvar,
+  writeItemVariationStore,
+} from './variation-tables.mjs'
+import { parseLayoutTable } from './layout-tables.mjs'
+import { subsetLayoutFont, writeLayoutFont } from './layout-subset.mjs'
+import { readSfntTables, writeSfnt } from './sfnt.mjs'
+
+const WGHT = { tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900, flags: 0, nameId: 256 }
+const WDTH = { tag: 'wdth', minValue: 75, defaultValue: 100, maxValue: 100, flags: 0, nameId: 257 }
+
+// Deltas of the glyph "a" at wght 900: the right side and the advance move by 100
+const BOLD_DELTAS = [
+  [0, 0, 100, 100, 0, 100, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0],
+]
+
+// TrueType variable font with a wght axis and a 400 wide square "a" that widens to 500
+function createFont() {
+  const font = Font.create()
+  font.get().glyf.push({
+    name: 'a',
+    unicode: [0x61],
+    contours: [
+      [
+        { x: 0, y: 0, onCurve: true },
+        { x: 0, y: 500, onCurve: true },
+        { x: 400, y: 500, onCurve: true },
+        { x: 400, y: 0, onCurve: true },
+      ],
+    ],
+    xMin: 0,
+    yMin: 0,
+    xMax: 400,
+    yMax: 500,
+    advanceWidth: 500,
+    leftSideBearing: 0,
+  })
+
+  const tables = readSfntTables(Buffer.from(font.write({ type: 'ttf' })))
+  const glyph = encodeTuples([{ region: [[0, 1, 1]], points: null, deltas: BOLD_DELTAS }])
+  tables.set('fvar', writeFvar({ axes: [WGHT], instances: [] }))
+  tables.set(
+    'gvar',
+    writeGvar({
+      axisCount: 1,
+      sharedTuples: [],
+      glyphs: [Buffer.alloc(0), Buffer.concat([glyph, Buffer.alloc(2)])],
+    })
+  )
+  return writeSfnt(tables)
+}
+
+// GPOS as other tools write it: a kern feature with a PairPos format 1 subtable kerning "a a" by -50,
+// and a VariationIndex device pointing to the delta set 0/0 at an offset from the PairSet table
+const GPOS_WORDS = [
+  // Header: version 1.0, ScriptList, FeatureList and LookupList offsets
+  0x0001, 0x0000, 10, 30, 44,
+  // ScriptList, DFLT script, default LangSys with the feature 0
+  1, 0x4446, 0x4c54, 8, 4, 0, 0, 0xffff, 1, 0,
+  // FeatureList, kern feature with the lookup 0
+  1, 0x6b65, 0x726e, 8, 0, 1, 0,
+  // LookupList, PairPos lookup
+  1, 4, 2, 0, 1, 8,
+  // PairPos format 1: Coverage offset, valueFormat1 XAdvance | XAdvDevice, valueFormat2, PairSet offset
+  1, 12, 0x0044, 0, 1, 18,
+  // Coverage of the glyph 1
+  1, 1, 1,
+  // PairSet: second glyph 1, xAdvance -50, device offset from the PairSet
+  1, 1, -50, 8,
+  // VariationIndex device
+  0, 0, 0x8000,
+]
+
+// The variable font with GPOS kerning, whose GDEF store moves it from -50 to -250 at wght 900
+function createLayoutFont() {
+  const tables = readSfntTables(createFont())
+  const gdef = Buffer.alloc(18)
+  gdef.writeUInt32BE(0x00010003, 0)
+  gdef.writeUInt32BE(gdef.length, 14)
+  const store = { regions: [[[0, 1, 1]]], varData: [{ regionIndexes: [0], rows: [[-200]] }] }
+  tables.set('GDEF', Buffer.concat([gdef, writeItemVariationStore(store, 1)]))
+
+  const gpos = Buffer.alloc(GPOS_WORDS.length * 2)
+  GPOS_WORDS.forEach((word, index) => gpos.writeUInt16BE(word & 0xffff, index * 2))
+  tables.set('GPOS', gpos)
+  return writeSfnt(tables)
+}
+
+// Subset the font to "a" and write it as TrueType, static instances need no variation tables
+function subsetFont(data, axes) {
+  const { sfnt, tables } = readVariableFont(data, 'ttf')
+  const font = Font.create(sfnt, { type: 'ttf', subset: [0x61] })
+  const variationTables = subsetVariableFont(font, tables, [0, 1], axes)
+  const output = variationTables
+    ? writeVariableFont(font, 'ttf', {}, variationTables)
+    : Buffer.from(font.write({ type: 'ttf' }))
+  return { font, variationTables, output }
+}
+
+describe('resolveAxisLimits', () => {
+  const fvar = { axes: [WGHT, WDTH] }
+
+  it('should normalize pinned values', () => {
+    expect(resolveAxisLimits(fvar, null, { wght: 650, wdth: 75 })).toEqual([
+      { value: 650, pin: 0.5 },
+      { value: 75, pin: -1 },
+    ])
+  })
+
+  it('should normalize restricted ranges and leave full ranges unlimited', () => {
+    expect(resolveAxisLimits(fvar, null, { wght: [250, 650], wdth: [75, 100] })).toEqual([
+      { minValue: 250, maxValue: 650, lo: -0.5, hi: 0.5 },
+      null,
+    ])
+  })
+
+  it('should map the values through avar', () => {
+    const avar = {
+      version: 1,
+      maps: [
+        [
+          [-1, -1],
+          [0, 0],
+          [0.5, 0.25],
+          [1, 1],
+        ],
+        [],
+      ],
+    }
+    expect(resolveAxisLimits(fvar, avar, { wght: 650 })[0]).toEqual({ value: 650, pin: 0.25 })
+  })
+
+  it('should throw error for invalid axes', () => {
+    expect(() => resolveAxisLimits(fvar, null, [700])).toThrow(
+      'axes must be an object of axis tags and values'
+    )
+    expect(() => resolveAxisLimits(fvar, null, { opsz: 12 })).toThrow(
+      'Unknown axis "opsz", the font has wght, wdth'
+    )
+    expect(() => resolveAxisLimits(fvar, null, { wght: '700' })).toThrow(
+      'Axis wght must be a number or a [min, max] range'
+    )
+    expect(() => resolveAxisLimits(fvar, null, { wght: 1000 })).toThrow(
+      'Axis wght value 1000 is outside the range 100-900'
+    )
+    expect(() => resolveAxisLimits(fvar, null, { wght: [50, 700] })).toThrow(
+      'Axis wght value 50-700 is outside the range 100-900'
+    )
+    expect(() => resolveAxisLimits(fvar, null, { wght: [500, 700] })).toThrow(
+      'Axis wght range 500-700 must include the default value 400'
+    )
+  })
+})
+
+describe('limitTuples', () => {
+  const tuples = [{ region: [[0, 1, 1]], points: null, deltas: [[100, -40]] }]
+  const expand = tuple => tuple.deltas
+
+  it('should apply the deltas of pinned axes', () => {
+    expect(limitTuples(tuples, [{ value: 650, pin: 0.5 }], expand)).toEqual({ base: [[50, -20]], tuples: [] })
+  })
+
+  it('should rescale the regions of restricted axes', () => {
+    const { base, tuples: limited } = limitTuples(tuples, [{ lo: 0, hi: 0.5 }], expand)
+
+    expect(base).toBeNull()
+    expect(limited).toEqual([{ region: [[0, 1, 1]], points: null, deltas: [[50, -20]] }])
+  })
+
+  it('should drop tuples outside the restricted range', () => {
+    expect(limitTuples(tuples, [{ lo: -1, hi: 0 }], expand)).toEqual({ base: null, tuples: [] })
+  })
+})
+
+describe('limitItemVariationStore', () => {
+  it('should move the deltas of pinned axes to the defaults', () => {
+    const store = { regions: [[[0, 1, 1]]], varData: [{ regionIndexes: [0], rows: [[100], [-30]] }] }
+    const { store: limited, defaults } = limitItemVariationStore(store, [{ value: 900, pin: 1 }])
+
+    expect(defaults).toEqual([[100, -30]])
+    expect(limited.regions).toEqual([])
+  })
+})
+
+describe('getAxesWeight', () => {
+  it('should follow the wght axis', () => {
+    expect(getAxesWeight('100 900')).toBe('100 900')
+    expect(getAxesWeight('100 900', { wght: 700 })).toBe(700)
+    expect(getAxesWeight('100 900', { wght: [300, 700] })).toBe('300 700')
+    expect(getAxesWeight(400, { wdth: 75 })).toBe(400)
+  })
+})
+
+describe('variable fonts', () => {
+  const data = createFont()
+
+  it('should read the axes and tables of variable fonts only', () => {
+    expect(readFontAxes(data, 'ttf')).toEqual([WGHT])
+    expect(readVariableFont(data, 'ttf').tables.has('gvar')).toBe(true)
+
+    const tables = readSfntTables(data)
+    tables.delete('fvar')
+    tables.delete('gvar')
+    expect(readVariableFont(writeSfnt(tables), 'ttf')).toBeNull()
+    expect(readFontAxes(writeSfnt(tables), 'ttf')).toBeNull()
+  })
+
+  it('should keep the variations of the retained glyphs', () => {
+    const { output } = subsetFont(data)
+    const tables = readSfntTables(output)
+    const gvar = parseGvar(tables.get('gvar'))
+
+    expect(parseFvar(tables.get('fvar')).axes).toEqual([WGHT])
+    expect(decodeTuples(gvar.glyphs[1], { position: 0, base: 0, axisCount: 1, pointCount: 8 })).toEqual([
+      { region: [[0, 1, 1]], points: null, deltas: BOLD_DELTAS },
+    ])
+  })
+
+  it('should output a static instance when every axis is pinned', () => {
+    const { variationTables, output } = subsetFont(data, { wght: 650 })
+    const tables = readSfntTables(output)
+    const { glyf } = Font.create(output, { type: 'ttf' }).get()
+
+    expect(variationTables).toBeNull()
+    expect(tables.has('fvar')).toBe(false)
+    expect(tables.has('gvar')).toBe(false)
+    expect(glyf[1].xMax).toBe(450)
+    expect(glyf[1].advanceWidth).toBe(550)
+  })
+
+  it('should apply the GPOS deltas of pinned axes', () => {
+    const { sfnt, tables } = readVariableFont(createLayoutFont(), 'ttf')
+    const { font, tables: layoutTables, glyphs } = subsetLayoutFont(sfnt, 'ttf', 'a', true)
+    const glyphIds = font.get().glyf.map((_, index) => (glyphs.has(index) ? index : null))
+
+    expect(subsetVariableFont(font, tables, glyphIds, { wght: 650 }, layoutTables)).toBeNull()
+    const output = readSfntTables(writeLayoutFont(font, 'ttf', {}, layoutTables))
+    const gpos = parseLayoutTable(output.get('GPOS'), 'GPOS')
+    const [pair] = gpos.lookups[0].subtables[0].pairs.get(1)
+
+    expect(pair.value1).toEqual({ xAdvance: -150, xAdvDevice: null })
+    expect(output.get('GDEF').readUInt32BE(14)).toBe(0)
+  })
+
+  it('should narrow restricted axes', () => {
+    const { output } = subsetFont(data, { wght: [100, 650] })
+    const tables = readSfntTables(output)
+    const gvar = parseGvar(tables.get('gvar'))
+    const [tuple] = decodeTuples(gvar.glyphs[1], { position: 0, base: 0, axisCount: 1, pointCount: 8 })
+
+    expect(parseFvar(tables.get('fvar')).axes[0]).toMatchObject({ minValue: 100, maxValue: 650 })
+    expect(tuple.deltas[0]).toEqual([0, 0, 50, 50, 0, 50, 0, 0])
+  })
+
+  it('should throw error for formats that cannot hold variations', () => {
+    const { font, variationTables } = subsetFont(data)
+
+    expect(() => writeVariableFont(font, 'svg', {}, variationTables)).toThrow(
+      'Font variations cannot be kept in svg fonts, pin every axis or use ttf, woff, woff2, eot'
+    )
+  })
+})
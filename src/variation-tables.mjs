@@ -0,0 +1,826 @@
+/**
+ * Reading and writing of the OpenType font variation tables
+ *
+ * fvar and avar are parsed to plain objects. gvar is split into the raw variation data of each glyph,
+ * which subsetting copies as is, and tuple variations are decoded to explicit deltas only when they
+ * have to change. HVAR, VVAR, MVAR and GDEF share the ItemVariationStore read and written here.
+ */
+
+// Flags of the tuple variation count
+const SHARED_POINT_NUMBERS = 0x8000
+const COUNT_MASK = 0x0fff
+
+// Flags of a tuple variation header
+const EMBEDDED_PEAK_TUPLE = 0x8000
+const INTERMEDIATE_REGION = 0x4000
+const PRIVATE_POINT_NUMBERS = 0x2000
+const TUPLE_INDEX_MASK = 0x0fff
+
+// Control bytes of packed point numbers and packed deltas
+const POINTS_ARE_WORDS = 0x80
+const POINT_RUN_COUNT_MASK = 0x7f
+const DELTAS_ARE_ZERO = 0x80
+const DELTAS_ARE_WORDS = 0x40
+const DELTA_RUN_COUNT_MASK = 0x3f
+
+// gvar flag telling that the glyph data offsets are 32-bit
+const LONG_OFFSETS = 0x0001
+
+// ItemVariationData flag telling that the word columns hold 32-bit deltas
+const LONG_WORDS = 0x8000
+
+/**
+ * Read a 2.14 fixed point number
+ * @param {Buffer} data - Data
+ * @param {number} position - Position
+ * @returns {number} Value
+ */
+function readF2Dot14(data, position) {
+  return data.readInt16BE(position) / 16384
+}
+
+/**
+ * Round a value to the nearest 2.14 fixed point number, the precision of normalized coordinates
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+export function roundF2Dot14(value) {
+  return Math.round(value * 16384) / 16384
+}
+
+/**
+ * Write a 2.14 fixed point number
+ * @param {Buffer} data - Data
+ * @param {number} value - Value, rounded to the nearest representable number
+ * @param {number} position - Position
+ */
+function writeF2Dot14(data, value, position) {
+  data.writeInt16BE(Math.max(-0x8000, Math.min(0x7fff, Math.round(value * 16384))), position)
+}
+
+/**
+ * Parse an fvar table
+ * @param {Buffer} data - Table data
+ * @returns {{axes: Object[], instances: Object[]}} Axes ({tag, minValue, defaultValue, maxValue,
+ *   flags, nameId}) and named instances ({subfamilyNameId, flags, coordinates, postScriptNameId})
+ */
+export function parseFvar(data) {
+  const axesOffset = data.readUInt16BE(4)
+  const axisCount = data.readUInt16BE(8)
+  const axisSize = data.readUInt16BE(10)
+  const instanceCount = data.readUInt16BE(12)
+  const instanceSize = data.readUInt16BE(14)
+
+  const axes = Array.from({ length: axisCount }, (_, index) => {
+    const position = axesOffset + index * axisSize
+    return {
+      tag: data.toString('latin1', position, position + 4),
+      minValue: data.readInt32BE(position + 4) / 0x10000,
+      defaultValue: data.readInt32BE(position + 8) / 0x10000,
+      maxValue: data.readInt32BE(position + 12) / 0x10000,
+      flags: data.readUInt16BE(position + 16),
+      nameId: data.readUInt16BE(position + 18),
+    }
+  })
+
+  const instancesOffset = axesOffset + axisCount * axisSize
+  const instances = Array.from({ length: instanceCount }, (_, index) => {
+    const position = instancesOffset + index * instanceSize
+    const coordinates = axes.map(
+      (axis, axisIndex) => data.readInt32BE(position + 4 + axisIndex * 4) / 0x10000
+    )
+    const postScriptName = position + 4 + axisCount * 4
+    return {
+      subfamilyNameId: data.readUInt16BE(position),
+      flags: data.readUInt16BE(position + 2),
+      coordinates,
+      // The PostScript name ID is optional, the record size tells whether it is there
+      postScriptNameId: instanceSize >= axisCount * 4 + 6 ? data.readUInt16BE(postScriptName) : null,
+    }
+  })
+
+  return { axes, instances }
+}
+
+/**
+ * Write an fvar table
+ * @param {{axes: Object[], instances: Object[]}} fvar - Table from parseFvar
+ * @returns {Buffer} Table data
+ */
+export function writeFvar({ axes, instances }) {
+  const withPostScriptNames = instances.some(instance => instance.postScriptNameId !== null)
+  const instanceSize = axes.length * 4 + (withPostScriptNames ? 6 : 4)
+  const data = Buffer.alloc(16 + axes.length * 20 + instances.length * instanceSize)
+  data.writeUInt16BE(1, 0)
+  data.writeUInt16BE(16, 4)
+  data.writeUInt16BE(2, 6)
+  data.writeUInt16BE(axes.length, 8)
+  data.writeUInt16BE(20, 10)
+  data.writeUInt16BE(instances.length, 12)
+  data.writeUInt16BE(instanceSize, 14)
+
+  axes.forEach((axis, index) => {
+    const position = 16 + index * 20
+    data.write(axis.tag, position, 4, 'latin1')
+    data.writeInt32BE(Math.round(axis.minValue * 0x10000), position + 4)
+    data.writeInt32BE(Math.round(axis.defaultValue * 0x10000), position + 8)
+    data.writeInt32BE(Math.round(axis.maxValue * 0x10000), position + 12)
+    data.writeUInt16BE(axis.flags, position + 16)
+    data.writeUInt16BE(axis.nameId, position + 18)
+  })
+
+  instances.forEach((instance, index) => {
+    const position = 16 + axes.length * 20 + index * instanceSize
+    data.writeUInt16BE(instance.subfamilyNameId, position)
+    data.writeUInt16BE(instance.flags, position + 2)
+    instance.coordinates.forEach((value, axisIndex) =>
+      data.writeInt32BE(Math.round(value * 0x10000), position + 4 + axisIndex * 4)
+    )
+    if (withPostScriptNames) {
+      // 0xFFFF tells that the instance has no PostScript name
+      data.writeUInt16BE(
+        instance.postScriptNameId === null ? 0xffff : instance.postScriptNameId,
+        position + 4 + axes.length * 4
+      )
+    }
+  })
+  return data
+}
+
+/**
+ * Parse an avar table
+ * @param {Buffer} data - Table data
+ * @returns {{version: number, maps: Array<Array<number[]>>}} Table version, and the segment maps
+ *   of each axis as [from, to] pairs of normalized coordinates
+ */
+export function parseAvar(data) {
+  const version = data.readUInt16BE(0)
+  const axisCount = data.readUInt16BE(6)
+  const maps = []
+  let position = 8
+  for (let axis = 0; axis < axisCount; axis++) {
+    const count = data.readUInt16BE(position)
+    position += 2
+    const map = []
+    for (let index = 0; index < count; index++, position += 4) {
+      map.push([readF2Dot14(data, position), readF2Dot14(data, position + 2)])
+    }
+    maps.push(map)
+  }
+  return { version, maps }
+}
+
+/**
+ * Write a version 1 avar table
+ * @param {Array<Array<number[]>>} maps - Segment maps of each axis
+ * @returns {Buffer} Table data
+ */
+export function writeAvar(maps) {
+  const data = Buffer.alloc(8 + maps.reduce((size, map) => size + 2 + map.length * 4, 0))
+  data.writeUInt16BE(1, 0)
+  data.writeUInt16BE(maps.length, 6)
+  let position = 8
+  maps.forEach(map => {
+    data.writeUInt16BE(map.length, position)
+    position += 2
+    map.forEach(([from, to]) => {
+      writeF2Dot14(data, from, position)
+      writeF2Dot14(data, to, position + 2)
+      position += 4
+    })
+  })
+  return data
+}
+
+/**
+ * Parse a gvar table, keeping the variation data of each glyph raw
+ * @param {Buffer} data - Table data
+ * @returns {{axisCount: number, sharedTuples: number[][], glyphs: Buffer[]}} Axis count, shared peak
+ *   tuples, and the GlyphVariationData of each glyph (empty when the glyph has no variations)
+ */
+export function parseGvar(data) {
+  const axisCount = data.readUInt16BE(4)
+  const sharedTupleCount = data.readUInt16BE(6)
+  const sharedTuplesOffset = data.readUInt32BE(8)
+  const glyphCount = data.readUInt16BE(12)
+  const flags = data.readUInt16BE(14)
+  const dataOffset = data.readUInt32BE(16)
+
+  const sharedTuples = Array.from({ length: sharedTupleCount }, (_, index) =>
+    Array.from({ length: axisCount }, (_, axis) =>
+      readF2Dot14(data, sharedTuplesOffset + (index * axisCount + axis) * 2)
+    )
+  )
+
+  const readOffset =
+    flags & LONG_OFFSETS
+      ? index => data.readUInt32BE(20 + index * 4)
+      : index => data.readUInt16BE(20 + index * 2) * 2
+  const glyphs = Array.from({ length: glyphCount }, (_, index) =>
+    data.subarray(dataOffset + readOffset(index), dataOffset + readOffset(index + 1))
+  )
+
+  return { axisCount, sharedTuples, glyphs }
+}
+
+/**
+ * Write a gvar table
+ * @param {{axisCount: number, sharedTuples: number[][], glyphs: Buffer[]}} gvar - Table as from parseGvar
+ * @returns {Buffer} Table data
+ */
+export function writeGvar({ axisCount, sharedTuples, glyphs }) {
+  // Short offsets count 2-byte units, so they need every glyph data padded to an even length
+  const paddedSize = glyphs.reduce((size, glyph) => size + glyph.length + (glyph.length % 2), 0)
+  const longOffsets = paddedSize > 0x1fffe
+  const offsetSize = longOffsets ? 4 : 2
+  const sharedTuplesOffset = 20 + (glyphs.length + 1) * offsetSize
+  const dataOffset = sharedTuplesOffset + sharedTuples.length * axisCount * 2
+
+  const header = Buffer.alloc(dataOffset)
+  header.writeUInt16BE(1, 0)
+  header.writeUInt16BE(axisCount, 4)
+  header.writeUInt16BE(sharedTuples.length, 6)
+  header.writeUInt32BE(sharedTuplesOffset, 8)
+  header.writeUInt16BE(glyphs.length, 12)
+  header.writeUInt16BE(longOffsets ? LONG_OFFSETS : 0, 14)
+  header.writeUInt32BE(dataOffset, 16)
+
+  const chunks = [header]
+  let offset = 0
+  glyphs.forEach((glyph, index) => {
+    const chunk = !longOffsets && glyph.length % 2 ? Buffer.concat([glyph, Buffer.alloc(1)]) : glyph
+    if (longOffsets) {
+      header.writeUInt32BE(offset, 20 + index * 4)
+    } else {
+      header.writeUInt16BE(offset / 2, 20 + index * 2)
+    }
+    chunks.push(chunk)
+    offset += chunk.length
+  })
+  if (longOffsets) {
+    header.writeUInt32BE(offset, 20 + glyphs.length * 4)
+  } else {
+    header.writeUInt16BE(offset / 2, 20 + glyphs.length * 2)
+  }
+
+  sharedTuples.forEach((tuple, index) =>
+    tuple.forEach((value, axis) =>
+      writeF2Dot14(header, value, sharedTuplesOffset + (index * axisCount + axis) * 2)
+    )
+  )
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Read packed point numbers
+ * @param {Buffer} data - Data
+ * @param {number} position - Position of the point count
+ * @returns {{points: number[]|null, position: number}} Point numbers, null for all points, and the
+ *   position after them
+ */
+function readPackedPoints(data, position) {
+  let count = data[position++]
+  if (count & POINTS_ARE_WORDS) {
+    count = ((count & POINT_RUN_COUNT_MASK) << 8) | data[position++]
+  }
+  if (!count) {
+    return { points: null, position }
+  }
+
+  const points = []
+  let point = 0
+  while (points.length < count) {
+    const control = data[position++]
+    const runCount = (control & POINT_RUN_COUNT_MASK) + 1
+    for (let index = 0; index < runCount && points.length < count; index++) {
+      if (control & POINTS_ARE_WORDS) {
+        point += data.readUInt16BE(position)
+        position += 2
+      } else {
+        point += data[position++]
+      }
+      points.push(point)
+    }
+  }
+  return { points, position }
+}
+
+/**
+ * Write packed point numbers
+ * @param {number[]|null} points - Sorted point numbers, null for all points
+ * @returns {number[]} Bytes
+ */
+function writePackedPoints(points) {
+  if (!points) {
+    return [0]
+  }
+
+  const bytes = points.length < 0x80 ? [points.length] : [0x80 | (points.length >> 8), points.length & 0xff]
+  const differences = points.map((point, index) => point - (index ? points[index - 1] : 0))
+  for (let start = 0; start < differences.length;) {
+    const words = differences[start] > 0xff
+    let end = start
+    while (end < differences.length && end - start < 0x80 && differences[end] > 0xff === words) {
+      end++
+    }
+    bytes.push((words ? POINTS_ARE_WORDS : 0) | (end - start - 1))
+    differences
+      .slice(start, end)
+      .forEach(difference =>
+        words ? bytes.push(difference >> 8, difference & 0xff) : bytes.push(difference)
+      )
+    start = end
+  }
+  return bytes
+}
+
+/**
+ * Read packed deltas
+ * @param {Buffer} data - Data
+ * @param {number} position - Position of the first control byte
+ * @param {number} count - Number of deltas
+ * @returns {{deltas: number[], position: number}} Deltas and the position after them
+ */
+function readPackedDeltas(data, position, count) {
+  const deltas = []
+  while (deltas.length < count) {
+    const control = data[position++]
+    const runCount = (control & DELTA_RUN_COUNT_MASK) + 1
+    for (let index = 0; index < runCount && deltas.length < count; index++) {
+      if (control & DELTAS_ARE_ZERO) {
+        deltas.push(0)
+      } else if (control & DELTAS_ARE_WORDS) {
+        deltas.push(data.readInt16BE(position))
+        position += 2
+      } else {
+        deltas.push(data.readInt8(position++))
+      }
+    }
+  }
+  return { deltas, position }
+}
+
+/**
+ * Write packed deltas, as runs of zeros, bytes and words
+ * @param {number[]} deltas - Integer deltas
+ * @returns {number[]} Bytes
+ */
+function writePackedDeltas(deltas) {
+  const isByte = delta => delta >= -128 && delta <= 127
+  const bytes = []
+  for (let start = 0; start < deltas.length;) {
+    let end = start
+    if (deltas[start] === 0) {
+      while (end < deltas.length && end - start < 64 && deltas[end] === 0) {
+        end++
+      }
+      bytes.push(DELTAS_ARE_ZERO | (end - start - 1))
+    } else if (isByte(deltas[start])) {
+      // A byte run goes on over single zeros, two zeros in a row are cheaper as a zero run
+      while (
+        end < deltas.length &&
+        end - start < 64 &&
+        isByte(deltas[end]) &&
+        !(deltas[end] === 0 && deltas[end + 1] === 0)
+      ) {
+        end++
+      }
+      bytes.push(end - start - 1)
+      deltas.slice(start, end).forEach(delta => bytes.push(delta & 0xff))
+    } else {
+      // A word run goes on over single bytes, two bytes in a row are cheaper as a byte run
+      while (
+        end < deltas.length &&
+        end - start < 64 &&
+        deltas[end] !== 0 &&
+        !(isByte(deltas[end]) && end + 1 < deltas.length && isByte(deltas[end + 1]))
+      ) {
+        end++
+      }
+      bytes.push(DELTAS_ARE_WORDS | (end - start - 1))
+      deltas.slice(start, end).forEach(delta => bytes.push((delta >> 8) & 0xff, delta & 0xff))
+    }
+    start = end
+  }
+  return bytes
+}
+
+/**
+ * Infer the start and end of a region from its peak, for tuples without an intermediate region
+ * @param {number[]} peak - Peak coordinate of each axis
+ * @returns {Array<number[]>} [start, peak, end] of each axis
+ */
+function inferRegion(peak) {
+  return peak.map(value => [Math.min(value, 0), value, Math.max(value, 0)])
+}
+
+/**
+ * Decode tuple variations, as stored in gvar glyph data and cvar
+ * @param {Buffer} data - Data
+ * @param {Object} options
+ * @param {number} options.position - Position of the tuple variation count
+ * @param {number} options.base - Position the serialized data offset is relative to
+ * @param {number} options.axisCount - Number of axes
+ * @param {number[][]} [options.sharedTuples=[]] - Shared peak tuples of gvar
+ * @param {number} options.pointCount - Number of points, including the phantom points of glyphs
+ * @param {number} [options.dimensions=2] - Deltas per point, 2 for glyphs (x and y), 1 for cvar
+ * @returns {Array<{region: Array<number[]>, points: number[]|null, deltas: number[][]}>} Tuples: region
+ *   as [start, peak, end] of each axis, point numbers (null for all points), and the deltas of each
+ *   dimension for each point number
+ */
+export function decodeTuples(
+  data,
+  { position, base, axisCount, sharedTuples = [], pointCount, dimensions = 2 }
+) {
+  if (position >= data.length) {
+    return []
+  }
+
+  const countField = data.readUInt16BE(position)
+  let dataPosition = base + data.readUInt16BE(position + 2)
+  let header = position + 4
+
+  let sharedPoints = null
+  if (countField & SHARED_POINT_NUMBERS) {
+    ;({ points: sharedPoints, position: dataPosition } = readPackedPoints(data, dataPosition))
+  }
+
+  const tuples = []
+  for (let index = 0; index < (countField & COUNT_MASK); index++) {
+    const size = data.readUInt16BE(header)
+    const tupleIndex = data.readUInt16BE(header + 2)
+    header += 4
+
+    let peak
+    if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+      peak = Array.from({ length: axisCount }, (_, axis) => readF2Dot14(data, header + axis * 2))
+      header += axisCount * 2
+    } else {
+      peak = sharedTuples[tupleIndex & TUPLE_INDEX_MASK]
+    }
+
+    let region = inferRegion(peak)
+    if (tupleIndex & INTERMEDIATE_REGION) {
+      region = peak.map((value, axis) => [
+        readF2Dot14(data, header + axis * 2),
+        value,
+        readF2Dot14(data, header + (axisCount + axis) * 2),
+      ])
+      header += axisCount * 4
+    }
+
+    const end = dataPosition + size
+    let points = sharedPoints
+    let deltaPosition = dataPosition
+    if (tupleIndex & PRIVATE_POINT_NUMBERS) {
+      ;({ points, position: deltaPosition } = readPackedPoints(data, dataPosition))
+    }
+
+    const count = points ? points.length : pointCount
+    const deltas = []
+    for (let dimension = 0; dimension < dimensions; dimension++) {
+      let values
+      ;({ deltas: values, position: deltaPosition } = readPackedDeltas(data, deltaPosition, count))
+      deltas.push(values)
+    }
+
+    tuples.push({ region, points, deltas })
+    dataPosition = end
+  }
+  return tuples
+}
+
+/**
+ * Tell whether a region is the one inferred from its peak, so it needs no intermediate region
+ * @param {Array<number[]>} region - [start, peak, end] of each axis
+ * @returns {boolean} Whether the region can be stored as a peak only
+ */
+function isInferredRegion(region) {
+  return region.every(([start, peak, end]) => start === Math.min(peak, 0) && end === Math.max(peak, 0))
+}
+
+/**
+ * Encode tuple variations, as stored in gvar glyph data and cvar
+ * @param {Array<{region: Array<number[]>, points: number[]|null, deltas: number[][]}>} tuples - Tuples
+ *   as from decodeTuples, with integer deltas
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.sharedTuples] - Index of the shared peak tuples of gvar, by
+ *   peak coordinates joined with commas
+ * @param {number} [options.headerSize=0] - Bytes before the tuple variation count that the serialized
+ *   data offset counts, 4 for the version of cvar
+ * @returns {Buffer} Data starting at the tuple variation count, empty when there are no tuples
+ */
+export function encodeTuples(tuples, { sharedTuples = new Map(), headerSize = 0 } = {}) {
+  if (!tuples.length) {
+    return Buffer.alloc(0)
+  }
+
+  // Tuples with deltas for every point share one "all points" number list
+  const shareAllPoints = tuples.every(tuple => !tuple.points)
+  const headers = []
+  const serialized = shareAllPoints ? [0] : []
+
+  tuples.forEach(({ region, points, deltas }) => {
+    const body = shareAllPoints ? [] : writePackedPoints(points)
+    deltas.forEach(values => body.push(...writePackedDeltas(values)))
+
+    const peak = region.map(axis => axis[1])
+    const key = peak.map(roundF2Dot14).join()
+    const intermediate = !isInferredRegion(region)
+    let tupleIndex = (intermediate ? INTERMEDIATE_REGION : 0) | (shareAllPoints ? 0 : PRIVATE_POINT_NUMBERS)
+    const coordinates = []
+    if (sharedTuples.has(key)) {
+      tupleIndex |= sharedTuples.get(key)
+    } else {
+      tupleIndex |= EMBEDDED_PEAK_TUPLE
+      coordinates.push(...peak)
+    }
+    if (intermediate) {
+      coordinates.push(...region.map(axis => axis[0]), ...region.map(axis => axis[2]))
+    }
+
+    const header = Buffer.alloc(4 + coordinates.length * 2)
+    header.writeUInt16BE(body.length, 0)
+    header.writeUInt16BE(tupleIndex, 2)
+    coordinates.forEach((value, index) => writeF2Dot14(header, value, 4 + index * 2))
+    headers.push(header)
+    serialized.push(...body)
+  })
+
+  const count = Buffer.alloc(4)
+  count.writeUInt16BE((shareAllPoints ? SHARED_POINT_NUMBERS : 0) | tuples.length, 0)
+  count.writeUInt16BE(headerSize + 4 + headers.reduce((size, header) => size + header.length, 0), 2)
+  return Buffer.concat([count, ...headers, Buffer.from(serialized)])
+}
+
+/**
+ * Parse a cvar table
+ * @param {Buffer} data - Table data
+ * @param {number} axisCount - Number of axes
+ * @param {number} cvtCount - Number of control values in cvt
+ * @returns {Array<Object>} Tuples as from decodeTuples, with one dimension
+ */
+export function parseCvar(data, axisCount, cvtCount) {
+  return decodeTuples(data, { position: 4, base: 0, axisCount, pointCount: cvtCount, dimensions: 1 })
+}
+
+/**
+ * Write a cvar table
+ * @param {Array<Object>} tuples - Tuples as from decodeTuples, with one dimension of integer deltas
+ * @returns {Buffer} Table data
+ */
+export function writeCvar(tuples) {
+  const version = Buffer.alloc(4)
+  version.writeUInt16BE(1, 0)
+  return Buffer.concat([version, encodeTuples(tuples, { headerSize: 4 })])
+}
+
+/**
+ * Parse an ItemVariationStore
+ * @param {Buffer} data - Data
+ * @param {number} position - Position of the store
+ * @returns {{regions: Array<Array<number[]>>, varData: Array<{regionIndexes: number[], rows: number[][]}>}}
+ *   Regions as [start, peak, end] of each axis, and the delta rows of each ItemVariationData, a delta
+ *   for each of its regions
+ */
+export function parseItemVariationStore(data, position) {
+  const regionList = position + data.readUInt32BE(position + 2)
+  const axisCount = data.readUInt16BE(regionList)
+  const regionCount = data.readUInt16BE(regionList + 2)
+  const regions = Array.from({ length: regionCount }, (_, index) =>
+    Array.from({ length: axisCount }, (_, axis) => {
+      const record = regionList + 4 + (index * axisCount + axis) * 6
+      return [readF2Dot14(data, record), readF2Dot14(data, record + 2), readF2Dot14(data, record + 4)]
+    })
+  )
+
+  const varData = Array.from({ length: data.readUInt16BE(position + 6) }, (_, index) => {
+    let record = position + data.readUInt32BE(position + 8 + index * 4)
+    const itemCount = data.readUInt16BE(record)
+    const wordDeltaCount = data.readUInt16BE(record + 2)
+    const regionIndexCount = data.readUInt16BE(record + 4)
+    const regionIndexes = Array.from({ length: regionIndexCount }, (_, column) =>
+      data.readUInt16BE(record + 6 + column * 2)
+    )
+    record += 6 + regionIndexCount * 2
+
+    // Word columns come first, they are 32-bit and the others 16-bit with LONG_WORDS
+    const long = wordDeltaCount & LONG_WORDS
+    const wordCount = wordDeltaCount & ~LONG_WORDS
+    const wordSize = long ? 4 : 2
+    const rows = Array.from({ length: itemCount }, () =>
+      regionIndexes.map((_, column) => {
+        let delta
+        if (column < wordCount) {
+          delta = long ? data.readInt32BE(record) : data.readInt16BE(record)
+          record += wordSize
+        } else {
+          delta = long ? data.readInt16BE(record) : data.readInt8(record)
+          record += wordSize / 2
+        }
+        return delta
+      })
+    )
+    return { regionIndexes, rows }
+  })
+
+  return { regions, varData }
+}
+
+/**
+ * Write an ItemVariationStore
+ * @param {{regions: Array<Array<number[]>>, varData: Array<{regionIndexes: number[], rows: number[][]}>}} store -
+ *   Store as from parseItemVariationStore, with integer deltas
+ * @param {number} axisCount - Number of axes
+ * @returns {Buffer} Store data
+ */
+export function writeItemVariationStore({ regions, varData }, axisCount) {
+  const header = Buffer.alloc(8 + varData.length * 4)
+  header.writeUInt16BE(1, 0)
+  header.writeUInt32BE(header.length, 2)
+  header.writeUInt16BE(varData.length, 6)
+
+  const regionList = Buffer.alloc(4 + regions.length * axisCount * 6)
+  regionList.writeUInt16BE(axisCount, 0)
+  regionList.writeUInt16BE(regions.length, 2)
+  regions.forEach((region, index) =>
+    region.forEach((axis, axisIndex) =>
+      axis.forEach((value, field) =>
+        writeF2Dot14(regionList, value, 4 + (index * axisCount + axisIndex) * 6 + field * 2)
+      )
+    )
+  )
+
+  const chunks = [header, regionList]
+  let offset = header.length + regionList.length
+  varData.forEach(({ regionIndexes, rows }, index) => {
+    // Columns that need more than a byte (or more than 16 bits) are moved first, as words
+    const fits = (column, min, max) => rows.every(row => row[column] >= min && row[column] <= max)
+    const long = !regionIndexes.every((_, column) => fits(column, -0x8000, 0x7fff))
+    const [min, max] = long ? [-0x8000, 0x7fff] : [-128, 127]
+    const columns = regionIndexes.map((_, column) => column)
+    const words = columns.filter(column => !fits(column, min, max))
+    const order = [...words, ...columns.filter(column => fits(column, min, max))]
+    const wordSize = long ? 4 : 2
+
+    const chunk = Buffer.alloc(
+      6 +
+        order.length * 2 +
+        rows.length * (words.length * wordSize + (order.length - words.length) * (wordSize / 2))
+    )
+    chunk.writeUInt16BE(rows.length, 0)
+    chunk.writeUInt16BE(words.length | (long ? LONG_WORDS : 0), 2)
+    chunk.writeUInt16BE(order.length, 4)
+    order.forEach((column, position) => chunk.writeUInt16BE(regionIndexes[column], 6 + position * 2))
+
+    let position = 6 + order.length * 2
+    rows.forEach(row =>
+      order.forEach((column, orderIndex) => {
+        const word = orderIndex < words.length
+        if (long) {
+          word ? chunk.writeInt32BE(row[column], position) : chunk.writeInt16BE(row[column], position)
+        } else {
+          word ? chunk.writeInt16BE(row[column], position) : chunk.writeInt8(row[column], position)
+        }
+        position += word ? wordSize : wordSize / 2
+      })
+    )
+
+    header.writeUInt32BE(offset, 8 + index * 4)
+    chunks.push(chunk)
+    offset += chunk.length
+  })
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Parse a DeltaSetIndexMap
+ * @param {Buffer} data - Data
+ * @param {number} position - Position of the map
+ * @returns {Array<number[]>} [outer, inner] delta-set index of each item
+ */
+export function parseDeltaSetIndexMap(data, position) {
+  const format = data[position]
+  const entryFormat = data[position + 1]
+  const mapCount = format === 0 ? data.readUInt16BE(position + 2) : data.readUInt32BE(position + 2)
+  const entrySize = ((entryFormat >> 4) & 3) + 1
+  const innerBits = (entryFormat & 0xf) + 1
+  const start = position + (format === 0 ? 4 : 6)
+
+  return Array.from({ length: mapCount }, (_, index) => {
+    const entry = data.readUIntBE(start + index * entrySize, entrySize)
+    return [entry >>> innerBits, entry & ((1 << innerBits) - 1)]
+  })
+}
+
+/**
+ * Write a DeltaSetIndexMap in the smallest entry format
+ * @param {Array<number[]>} entries - [outer, inner] delta-set index of each item
+ * @returns {Buffer} Map data
+ */
+export function writeDeltaSetIndexMap(entries) {
+  const bitLength = value => Math.max(1, Math.ceil(Math.log2(value + 1)))
+  const innerBits = bitLength(Math.max(0, ...entries.map(entry => entry[1])))
+  const outerBits = bitLength(Math.max(0, ...entries.map(entry => entry[0])))
+  const entrySize = Math.ceil((innerBits + outerBits) / 8)
+  const format = entries.length > 0xffff ? 1 : 0
+  const start = format === 0 ? 4 : 6
+
+  const data = Buffer.alloc(start + entries.length * entrySize)
+  data[0] = format
+  data[1] = ((entrySize - 1) << 4) | (innerBits - 1)
+  if (format === 0) {
+    data.writeUInt16BE(entries.length, 2)
+  } else {
+    data.writeUInt32BE(entries.length, 2)
+  }
+  entries.forEach(([outer, inner], index) =>
+    data.writeUIntBE(outer * 2 ** innerBits + inner, start + index * entrySize, entrySize)
+  )
+  return data
+}
+
+/**
+ * Parse an HVAR or VVAR table
+ * @param {Buffer} data - Table data
+ * @param {number} mapCount - Number of delta-set index maps, 3 for HVAR (advance, lsb, rsb) and 4 for
+ *   VVAR (advance, tsb, bsb, vertical origin)
+ * @returns {{store: Object, maps: Array<Array<number[]>|null>}} ItemVariationStore, and the maps
+ *   (null when absent, the advance map then uses glyph IDs as inner indexes of the first data)
+ */
+export function parseMetricsVariations(data, mapCount) {
+  const store = parseItemVariationStore(data, data.readUInt32BE(4))
+  const maps = Array.from({ length: mapCount }, (_, index) => {
+    const offset = data.readUInt32BE(8 + index * 4)
+    return offset ? parseDeltaSetIndexMap(data, offset) : null
+  })
+  return { store, maps }
+}
+
+/**
+ * Write an HVAR or VVAR table
+ * @param {{store: Object, maps: Array<Array<number[]>|null>}} table - Table as from parseMetricsVariations
+ * @param {number} axisCount - Number of axes
+ * @returns {Buffer} Table data
+ */
+export function writeMetricsVariations({ store, maps }, axisCount) {
+  const header = Buffer.alloc(8 + maps.length * 4)
+  header.writeUInt16BE(1, 0)
+  const chunks = [header]
+  let offset = header.length
+  maps.forEach((map, index) => {
+    if (map) {
+      const chunk = writeDeltaSetIndexMap(map)
+      header.writeUInt32BE(offset, 8 + index * 4)
+      chunks.push(chunk)
+      offset += chunk.length
+    }
+  })
+  header.writeUInt32BE(offset, 4)
+  chunks.push(writeItemVariationStore(store, axisCount))
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Parse an MVAR table
+ * @param {Buffer} data - Table data
+ * @returns {{records: Array<{tag: string, outer: number, inner: number}>, store: Object|null}} Value
+ *   records and their ItemVariationStore
+ */
+export function parseMvar(data) {
+  const recordSize = data.readUInt16BE(6)
+  const storeOffset = data.readUInt16BE(10)
+  const records = Array.from({ length: data.readUInt16BE(8) }, (_, index) => {
+    const position = 12 + index * recordSize
+    return {
+      tag: data.toString('latin1', position, position + 4),
+      outer: data.readUInt16BE(position + 4),
+      inner: data.readUInt16BE(position + 6),
+    }
+  })
+  return { records, store: storeOffset ? parseItemVariationStore(data, storeOffset) : null }
+}
+
+/**
+ * Write an MVAR table
+ * @param {{records: Array<{tag: string, outer: number, inner: number}>, store: Object}} table - Table as
+ *   from parseMvar
+ * @param {number} axisCount - Number of axes
+ * @returns {Buffer} Table data
+ */
+export function writeMvar({ records, store }, axisCount) {
+  const header = Buffer.alloc(12 + records.length * 8)
+  header.writeUInt16BE(1, 0)
+  header.writeUInt16BE(8, 6)
+  header.writeUInt16BE(records.length, 8)
+  header.writeUInt16BE(header.length, 10)
+  // Records are sorted by tag for binary search
+  ;[...records]
+    .sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0))
+    .forEach(({ tag, outer, inner }, index) => {
+      header.write(tag, 12 + index * 8, 4, 'latin1')
+      header.writeUInt16BE(outer, 16 + index * 8)
+      header.writeUInt16BE(inner, 18 + index * 8)
+    })
+  return Buffer.concat([header, writeItemVariationStore(store, axisCount)])
+}
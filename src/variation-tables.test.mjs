@@ -0,0 +1,272 @@
+import { describe, it, expect } from 'vitest'
+import {
+  decodeTuples,
+  encodeTuples,
+  parseAvar,
+  parseCvar,
+  parseDeltaSetIndexMap,
+  parseFvar,
+  parseGvar,
+  parseItemVariationStore,
+  parseMetricsVariations,
+  parseMvar,
+  roundF2Dot14,
+  writeAvar,
+  writeCvar,
+  writeDeltaSetIndexMap,
+  writeFvar,
+  writeGvar,
+  writeItemVariationStore,
+  writeMetricsVariations,
+  writeMvar,
+} from './variation-tables.mjs'
+
+// Weight and width axes with two named instances
+function fvarTable() {
+  return {
+    axes: [
+      { tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900, flags: 0, nameId: 256 },
+      { tag: 'wdth', minValue: 75, defaultValue: 100, maxValue: 100, flags: 0, nameId: 257 },
+    ],
+    instances: [
+      { subfamilyNameId: 258, flags: 0, coordinates: [400, 100], postScriptNameId: 260 },
+      { subfamilyNameId: 259, flags: 0, coordinates: [700, 87.5], postScriptNameId: 261 },
+    ],
+  }
+}
+
+// Tuples of a glyph with 6 points: a peak at wght max, and an intermediate region with private points
+function glyphTuples() {
+  return [
+    {
+      region: [
+        [0, 1, 1],
+        [0, 0, 0],
+      ],
+      points: null,
+      deltas: [
+        [10, -20, 0, 300, 0, 0],
+        [0, 5, 5, 5, -1000, 0],
+      ],
+    },
+    {
+      region: [
+        [0, 0.5, 1],
+        [-1, -1, 0],
+      ],
+      points: null,
+      deltas: [
+        [1, 2, 3, 4, 5, 6],
+        [-1, -2, -3, -4, -5, -6],
+      ],
+    },
+  ]
+}
+
+function storeTable() {
+  return {
+    regions: [
+      [
+        [0, 1, 1],
+        [0, 0, 0],
+      ],
+      [
+        [0, 0, 0],
+        [-1, -1, 0],
+      ],
+    ],
+    varData: [
+      {
+        regionIndexes: [0, 1],
+        rows: [
+          [200, -5],
+          [-300, 100],
+        ],
+      },
+    ],
+  }
+}
+
+describe('roundF2Dot14', () => {
+  it('should round to the nearest 2.14 fixed number', () => {
+    expect(roundF2Dot14(0.5)).toBe(0.5)
+    expect(roundF2Dot14(1 / 3)).toBe(5461 / 16384)
+  })
+})
+
+describe('fvar and avar', () => {
+  it('should read back a written fvar table', () => {
+    const table = fvarTable()
+    expect(parseFvar(writeFvar(table))).toEqual(table)
+  })
+
+  it('should leave out the PostScript names when no instance has one', () => {
+    const table = fvarTable()
+    table.instances.forEach(instance => (instance.postScriptNameId = null))
+    const data = writeFvar(table)
+
+    // Instance records of 2 coordinates and no PostScript name ID
+    expect(data.readUInt16BE(14)).toBe(12)
+    expect(parseFvar(data)).toEqual(table)
+  })
+
+  it('should read back a written avar table', () => {
+    const maps = [
+      [
+        [-1, -1],
+        [0, 0],
+        [0.5, 0.75],
+        [1, 1],
+      ],
+      [],
+    ]
+    expect(parseAvar(writeAvar(maps))).toEqual({ version: 1, maps })
+  })
+})
+
+describe('tuple variations', () => {
+  it('should read back encoded tuples', () => {
+    const tuples = glyphTuples()
+    const data = encodeTuples(tuples)
+
+    expect(decodeTuples(data, { position: 0, base: 0, axisCount: 2, pointCount: 6 })).toEqual(tuples)
+  })
+
+  it('should keep private point numbers', () => {
+    const tuples = glyphTuples()
+    tuples[1].points = [1, 4]
+    tuples[1].deltas = [
+      [7, 8],
+      [-7, -8],
+    ]
+
+    const data = encodeTuples(tuples)
+
+    // No shared point numbers, the first tuple has a private list of all points
+    expect(data.readUInt16BE(0) & 0x8000).toBe(0)
+    expect(decodeTuples(data, { position: 0, base: 0, axisCount: 2, pointCount: 6 })).toEqual(tuples)
+  })
+
+  it('should refer to shared tuples', () => {
+    const tuples = glyphTuples()
+    const sharedTuples = [[1, 0]]
+    const data = encodeTuples(tuples, { sharedTuples: new Map([['1,0', 0]]) })
+
+    // The first tuple has no embedded peak
+    expect(data.readUInt16BE(6) & 0x8000).toBe(0)
+    expect(decodeTuples(data, { position: 0, base: 0, axisCount: 2, sharedTuples, pointCount: 6 })).toEqual(
+      tuples
+    )
+  })
+
+  it('should encode no tuples as empty data', () => {
+    expect(encodeTuples([])).toHaveLength(0)
+    expect(decodeTuples(Buffer.alloc(0), { position: 0, base: 0, axisCount: 2, pointCount: 6 })).toEqual([])
+  })
+})
+
+describe('gvar and cvar', () => {
+  it('should read back a written gvar table', () => {
+    const glyph = encodeTuples(glyphTuples())
+    // Short offsets count 2-byte units
+    const even = glyph.length % 2 ? Buffer.concat([glyph, Buffer.alloc(1)]) : glyph
+    const gvar = { axisCount: 2, sharedTuples: [[1, 0]], glyphs: [Buffer.alloc(0), even, even] }
+
+    expect(parseGvar(writeGvar(gvar))).toEqual(gvar)
+  })
+
+  it('should pad glyph data of odd sizes for short offsets', () => {
+    const data = writeGvar({
+      axisCount: 2,
+      sharedTuples: [],
+      glyphs: [Buffer.from([1, 2, 3]), Buffer.from([4])],
+    })
+
+    expect(data.readUInt16BE(14)).toBe(0)
+    expect(parseGvar(data).glyphs).toEqual([Buffer.from([1, 2, 3, 0]), Buffer.from([4, 0])])
+  })
+
+  it('should read back a written cvar table', () => {
+    const tuples = [
+      {
+        region: [
+          [0, 1, 1],
+          [0, 0, 0],
+        ],
+        points: null,
+        deltas: [[4, -4, 0]],
+      },
+    ]
+    expect(parseCvar(writeCvar(tuples), 2, 3)).toEqual(tuples)
+  })
+})
+
+describe('item variation store', () => {
+  it('should read back a written store', () => {
+    const store = storeTable()
+    expect(parseItemVariationStore(writeItemVariationStore(store, 2), 0)).toEqual(store)
+  })
+
+  it('should move the columns of word deltas first', () => {
+    const store = storeTable()
+    store.varData[0].regionIndexes = [1, 0]
+    store.varData[0].rows = store.varData[0].rows.map(([a, b]) => [b, a])
+    store.varData[0].rows[0][0] = -5
+
+    const { varData } = parseItemVariationStore(writeItemVariationStore(store, 2), 0)
+    expect(varData[0].regionIndexes).toEqual([0, 1])
+    expect(varData[0].rows).toEqual([
+      [200, -5],
+      [-300, 100],
+    ])
+  })
+
+  it('should store deltas beyond 16 bits as long words', () => {
+    const store = storeTable()
+    store.varData[0].rows[0][0] = 70000
+
+    expect(parseItemVariationStore(writeItemVariationStore(store, 2), 0)).toEqual(store)
+  })
+
+  it('should read back delta-set index maps', () => {
+    const entries = [
+      [0, 0],
+      [0, 300],
+      [2, 1],
+    ]
+    const data = writeDeltaSetIndexMap(entries)
+
+    // 9 inner bits and 2 outer bits fit in 2 bytes
+    expect(data[1]).toBe(0x18)
+    expect(parseDeltaSetIndexMap(data, 0)).toEqual(entries)
+  })
+})
+
+describe('HVAR and MVAR', () => {
+  it('should read back a written HVAR table', () => {
+    const table = {
+      store: storeTable(),
+      maps: [
+        [
+          [0, 0],
+          [0, 1],
+          [0, 1],
+        ],
+        null,
+        null,
+      ],
+    }
+    expect(parseMetricsVariations(writeMetricsVariations(table, 2), 3)).toEqual(table)
+  })
+
+  it('should read back a written MVAR table with sorted records', () => {
+    const records = [
+      { tag: 'xhgt', outer: 0, inner: 1 },
+      { tag: 'cpht', outer: 0, inner: 0 },
+    ]
+    const table = parseMvar(writeMvar({ records, store: storeTable() }, 2))
+
+    expect(table.records).toEqual([records[1], records[0]])
+    expect(table.store).toEqual(storeTable())
+  })
+})
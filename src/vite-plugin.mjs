@@ -0,0 +1,190 @@
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+import { extractText } from './scan-text.mjs'
+import { uniqueChars } from './code-points.mjs'
+import { extractAssetText, findFontAssets, subsetFontAsset, formatSubsetLog } from './bundle-fonts.mjs'
+
+/**
+ * Collect the text that the emitted HTML, JavaScript and CSS can render
+ * @param {Object} bundle - Rollup output bundle
+ * @returns {string} Unique characters
+ */
+function collectBundleText(bundle) {
+  return uniqueChars(
+    ...Object.values(bundle).map(file =>
+      file.type === 'chunk' ? extractText(file.code, 'script') : extractAssetText(file.fileName, file.source)
+    )
+  )
+}
+
+// Placeholders Rollup fills in asset file names
+const ASSET_PLACEHOLDER = /(\[(?:name|extname|ext|hash(?::\d+)?)\])/
+// Rollup's length of a [hash] without an explicit length
+const DEFAULT_HASH_LENGTH = 8
+
+/**
+ * Match an asset file name against the pattern it was built from
+ * @param {string} pattern - assetFileNames pattern, e.g. "assets/[name]-[hash][extname]"
+ * @returns {RegExp} Expression with one group per placeholder
+ */
+function createAssetNameMatcher(pattern) {
+  const source = pattern.split(ASSET_PLACEHOLDER).map((part, index) => {
+    if (index % 2 === 0) {
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+    if (part.startsWith('[hash')) {
+      const length = part.match(/\d+/)
+      return `([\\w-]{${length ? length[0] : DEFAULT_HASH_LENGTH}})`
+    }
+    return { '[name]': '(.+)', '[ext]': '([^./]*)', '[extname]': '((?:\\.[^./]*)?)' }[part]
+  })
+  return new RegExp(`^${source.join('')}$`)
+}
+
+/**
+ * Build the file name of a subset font asset, replacing the hash of the source font with the hash of the subset
+ * @param {Object} file - Rollup output asset
+ * @param {Object} output - Rollup output options
+ * @param {Buffer} data - Subset font data
+ * @returns {string} New file name, the same file name when it has no hash
+ */
+function getSubsetFileName(file, output, data) {
+  const { assetFileNames } = output
+  const { name, names, originalFileName, originalFileNames } = file
+  const pattern =
+    typeof assetFileNames === 'function'
+      ? assetFileNames({ type: 'asset', name, names, originalFileName, originalFileNames, source: data })
+      : assetFileNames
+  if (typeof pattern !== 'string' || !pattern.includes('[hash')) {
+    return file.fileName
+  }
+  const match = file.fileName.match(createAssetNameMatcher(pattern))
+  if (!match) {
+    return file.fileName
+  }
+
+  const hash = createHash('sha256').update(data).digest('base64url')
+  const values = match.slice(1)
+  return pattern
+    .split(ASSET_PLACEHOLDER)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part
+      }
+      const value = values[(index - 1) / 2]
+      return part.startsWith('[hash') ? hash.slice(0, value.length) : value
+    })
+    .join('')
+}
+
+/**
+ * Rename assets and rewrite the references to them in chunks and text assets
+ * Renamed assets are emitted again, Rolldown does not allow adding files to the bundle directly
+ * @param {Object} context - Plugin context
+ * @param {Object} bundle - Rollup output bundle
+ * @param {Map<string, string>} renames - New file names by old file name
+ */
+function renameAssets(context, bundle, renames) {
+  const replacements = [...renames].map(([from, to]) => [path.posix.basename(from), path.posix.basename(to)])
+  const rewrite = code => replacements.reduce((result, [from, to]) => result.replaceAll(from, to), code)
+
+  for (const [from, to] of renames) {
+    const { source, originalFileNames } = bundle[from]
+    delete bundle[from]
+    context.emitFile({
+      type: 'asset',
+      fileName: to,
+      source,
+      originalFileName: originalFileNames && originalFileNames[0],
+    })
+  }
+
+  for (const file of Object.values(bundle)) {
+    if (file.type === 'chunk') {
+      file.code = rewrite(file.code)
+      const importedAssets = file.viteMetadata && file.viteMetadata.importedAssets
+      for (const [from, to] of renames) {
+        if (importedAssets && importedAssets.delete(from)) {
+          importedAssets.add(to)
+        }
+      }
+    } else if (typeof file.source === 'string') {
+      file.source = rewrite(file.source)
+    }
+  }
+}
+
+/**
+ * Vite 插件：构建时把 CSS 中 @font-face 引用的字体裁剪为产物实际用到的字符
+ *
+ * 在 generateBundle 阶段从输出的 HTML、JS 和 CSS（content 属性）中提取文字，
+ * 裁剪被 @font-face 引用的字体资源并原地替换，格式不变。开发模式下不做处理，使用完整字体。
+ *
+ * 注意：
+ * - 文件名中的 [hash] 会按裁剪后的内容重新计算，HTML、CSS 和 JS 中的引用同步更新，但这些文件自身的文件名不变
+ * - 被内联为 data: URL 的字体（小于 build.assetsInlineLimit）不会裁剪
+ * - 运行时从接口获取的文字无法提取，请通过 text 选项补充
+ *
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.text] - 额外保留的字符，如运行时才出现的文字
+ * @param {Function} [options.filter] - 过滤要裁剪的字体，参数为资源文件名（如 assets/font-abc123.woff2），返回 false 时跳过
+ * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+ * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+ * @param {boolean|string} [options.cache=true] - 是否使用磁盘缓存，传入字符串时作为缓存目录
+ * @returns {Object} Vite 插件
+ *
+ * @example
+ * // vite.config.js
+ * import { defineConfig } from 'vite'
+ * import { viteMinifyFont } from 'minify-font/vite'
+ *
+ * export default defineConfig({
+ *   plugins: [viteMinifyFont({ text: '加载中请稍候' })],
+ * })
+ */
+export function viteMinifyFont({ text = '', filter, inputOptions, outputOptions, cache = true } = {}) {
+  let logger = console
+
+  return {
+    name: 'minify-font',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(config) {
+      logger = config.logger
+    },
+
+    async generateBundle(output, bundle) {
+      const assets = Object.values(bundle).filter(file => file.type === 'asset')
+      const fonts = findFontAssets(assets).filter(file => !filter || filter(file.fileName))
+      if (fonts.length === 0) {
+        return
+      }
+
+      const chars = uniqueChars(collectBundleText(bundle), text)
+      const renames = new Map()
+
+      for (const file of fonts) {
+        try {
+          const { data, stats } = await subsetFontAsset(file.fileName, file.source, {
+            text: chars,
+            inputOptions,
+            outputOptions,
+            cache,
+          })
+          file.source = data
+          logger.info(formatSubsetLog(file.fileName, stats))
+          const fileName = getSubsetFileName(file, output, data)
+          if (fileName !== file.fileName) {
+            renames.set(file.fileName, fileName)
+          }
+        } catch (error) {
+          // Keep the full font, a broken subset would be worse than a large one
+          this.warn(`Failed to subset ${file.fileName}, keeping the full font: ${error.message}`)
+        }
+      }
+
+      renameAssets(this, bundle, renames)
+    },
+  }
+}
@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { createHash } from 'node:crypto'
+import { viteMinifyFont } from './vite-plugin.mjs'
+
+vi.mock('./minify-font.mjs', () => ({
+  subsetFontCached: vi.fn(),
+}))
+
+import { subsetFontCached } from './minify-font.mjs'
+
+// sfnt data recognized as a TrueType font
+const TTF = Buffer.from([0x00, 0x01, 0x00, 0x00, 0, 0, 0, 0])
+
+const asset = (fileName, source) => ({ type: 'asset', fileName, source })
+const chunk = (fileName, code) => ({ type: 'chunk', fileName, code })
+
+function createBundle(files) {
+  return Object.fromEntries(files.map(file => [file.fileName, file]))
+}
+
+const css = `@font-face{font-family:Brand;src:url(/assets/brand-a1b2.woff2) format("woff2"),url("/assets/brand-a1b2.ttf?v=1#x") format("truetype")}
+@font-face{font-family:Icons;src:url(data:font/woff2;base64,AAAA)}
+h1::after{content:"！"}`
+
+describe('viteMinifyFont', () => {
+  let logger
+  let context
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(subsetFontCached).mockResolvedValue({
+      data: Buffer.from('subset'),
+      stats: { inputSize: 4096, outputSize: 1024, glyphs: { before: 100, after: 8 }, cached: false },
+    })
+    logger = { info: vi.fn() }
+    context = { warn: vi.fn() }
+  })
+
+  async function generate(plugin, bundle, outputOptions = {}) {
+    // Emitted files are added to the bundle, as Rollup does
+    context.emitFile = vi.fn(({ type, fileName, source }) => {
+      bundle[fileName] = { type, fileName, source }
+    })
+    plugin.configResolved({ logger })
+    await plugin.generateBundle.call(context, outputOptions, bundle)
+  }
+
+  it('should only apply to builds', () => {
+    const plugin = viteMinifyFont()
+
+    expect(plugin.name).toBe('minify-font')
+    expect(plugin.apply).toBe('build')
+    expect(plugin.enforce).toBe('post')
+  })
+
+  it('should subset the fonts of @font-face rules to the text of the bundle', async () => {
+    const bundle = createBundle([
+      asset('index.html', '<title>标题</title><h1>你好</h1><script>ignored()</script>'),
+      chunk('assets/index-x1.js', 'document.body.textContent="世界"'),
+      asset('assets/index-x2.css', css),
+      asset('assets/brand-a1b2.woff2', Buffer.from('wOF2-source')),
+      asset('assets/brand-a1b2.ttf', TTF),
+      asset('assets/unused-c3d4.ttf', TTF),
+    ])
+
+    await generate(viteMinifyFont({ text: 'ABC', cache: false }), bundle)
+
+    expect(subsetFontCached).toHaveBeenCalledTimes(2)
+    const [options, cache] = vi.mocked(subsetFontCached).mock.calls[1]
+    expect(options).toEqual({
+      data: TTF,
+      inputType: 'ttf',
+      outputType: 'ttf',
+      text: expect.any(String),
+      inputOptions: undefined,
+      outputOptions: undefined,
+    })
+    expect(cache).toBe(false)
+    expect([...options.text].sort()).toEqual([...' 标题你好世界！ABC'].sort())
+    expect(vi.mocked(subsetFontCached).mock.calls[0][0]).toMatchObject({
+      inputType: 'woff2',
+      outputType: 'woff2',
+    })
+
+    expect(bundle['assets/brand-a1b2.ttf'].source).toEqual(Buffer.from('subset'))
+    expect(bundle['assets/unused-c3d4.ttf'].source).toBe(TTF)
+    expect(logger.info).toHaveBeenCalledWith('[minify-font] assets/brand-a1b2.ttf: 4.0 KB → 1.0 KB, 8 glyphs')
+  })
+
+  it('should rename hashed fonts to the hash of the subset and update their references', async () => {
+    const hash = createHash('sha256').update('subset').digest('base64url').slice(0, 4)
+    const importedAssets = new Set(['assets/brand-a1b2.woff2'])
+    const bundle = createBundle([
+      asset('index.html', '<link rel="preload" href="/assets/brand-a1b2.woff2" as="font">'),
+      {
+        ...chunk('assets/index-x1.js', 'new URL("brand-a1b2.ttf", import.meta.url)'),
+        viteMetadata: { importedAssets },
+      },
+      asset('assets/index-x2.css', css),
+      asset('assets/brand-a1b2.woff2', Buffer.from('wOF2-source')),
+      { ...asset('assets/brand-a1b2.ttf', TTF), originalFileNames: ['src/brand.ttf'] },
+      asset('assets/unused-c3d4.ttf', TTF),
+    ])
+
+    await generate(viteMinifyFont(), bundle, { assetFileNames: 'assets/[name]-[hash:4][extname]' })
+
+    expect(Object.keys(bundle).sort()).toEqual(
+      [
+        'index.html',
+        'assets/index-x1.js',
+        'assets/index-x2.css',
+        `assets/brand-${hash}.woff2`,
+        `assets/brand-${hash}.ttf`,
+        'assets/unused-c3d4.ttf',
+      ].sort()
+    )
+    expect(context.emitFile).toHaveBeenCalledWith({
+      type: 'asset',
+      fileName: `assets/brand-${hash}.ttf`,
+      source: Buffer.from('subset'),
+      originalFileName: 'src/brand.ttf',
+    })
+    expect(bundle['assets/index-x2.css'].source).toContain(`url(/assets/brand-${hash}.woff2)`)
+    expect(bundle['assets/index-x2.css'].source).toContain(`url("/assets/brand-${hash}.ttf?v=1#x")`)
+    expect(bundle['index.html'].source).toContain(`href="/assets/brand-${hash}.woff2"`)
+    expect(bundle['assets/index-x1.js'].code).toBe(`new URL("brand-${hash}.ttf", import.meta.url)`)
+    expect([...importedAssets]).toEqual([`assets/brand-${hash}.woff2`])
+  })
+
+  it('should use the pattern returned by an assetFileNames function', async () => {
+    const assetFileNames = vi.fn(() => 'assets/[name].[hash:4].[ext]')
+    const bundle = createBundle([
+      asset('style.css', '@font-face{font-family:Brand;src:url(./brand.a1b2.ttf)}'),
+      { ...asset('assets/brand.a1b2.ttf', TTF), names: ['brand.ttf'] },
+    ])
+
+    await generate(viteMinifyFont(), bundle, { assetFileNames })
+
+    const hash = createHash('sha256').update('subset').digest('base64url').slice(0, 4)
+    expect(assetFileNames).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'asset', names: ['brand.ttf'], source: Buffer.from('subset') })
+    )
+    expect(bundle['style.css'].source).toBe(`@font-face{font-family:Brand;src:url(./brand.${hash}.ttf)}`)
+  })
+
+  it('should keep file names without a hash and of fonts that failed to subset', async () => {
+    const bundle = createBundle([asset('style.css', css), asset('assets/brand-a1b2.ttf', TTF)])
+
+    await generate(viteMinifyFont(), bundle, { assetFileNames: 'assets/[name]-a1b2[extname]' })
+    expect(Object.keys(bundle)).toEqual(['style.css', 'assets/brand-a1b2.ttf'])
+
+    vi.mocked(subsetFontCached).mockRejectedValue(new Error('Invalid font'))
+    await generate(viteMinifyFont(), bundle, { assetFileNames: 'assets/[name]-[hash:4][extname]' })
+    expect(Object.keys(bundle)).toEqual(['style.css', 'assets/brand-a1b2.ttf'])
+    expect(bundle['style.css'].source).toBe(css)
+  })
+
+  it('should pass the font options and use the cache by default', async () => {
+    const bundle = createBundle([asset('style.css', css), asset('assets/brand-a1b2.ttf', TTF)])
+
+    await generate(
+      viteMinifyFont({ inputOptions: { hinting: true }, outputOptions: { hinting: true } }),
+      bundle
+    )
+
+    expect(subsetFontCached).toHaveBeenCalledWith(
+      expect.objectContaining({ inputOptions: { hinting: true }, outputOptions: { hinting: true } }),
+      true
+    )
+  })
+
+  it('should skip fonts rejected by the filter', async () => {
+    const bundle = createBundle([
+      asset('style.css', css),
+      asset('assets/brand-a1b2.woff2', Buffer.from('wOF2-source')),
+      asset('assets/brand-a1b2.ttf', TTF),
+    ])
+
+    await generate(viteMinifyFont({ filter: fileName => fileName.endsWith('.ttf') }), bundle)
+
+    expect(subsetFontCached).toHaveBeenCalledTimes(1)
+    expect(subsetFontCached).toHaveBeenCalledWith(expect.objectContaining({ outputType: 'ttf' }), true)
+  })
+
+  it('should do nothing without referenced fonts', async () => {
+    const bundle = createBundle([asset('style.css', 'body{color:red}'), asset('assets/brand-a1b2.ttf', TTF)])
+
+    await generate(viteMinifyFont(), bundle)
+
+    expect(subsetFontCached).not.toHaveBeenCalled()
+  })
+
+  it('should keep the full font when subsetting fails', async () => {
+    vi.mocked(subsetFontCached).mockRejectedValue(new Error('Invalid font'))
+    const bundle = createBundle([asset('style.css', css), asset('assets/brand-a1b2.ttf', TTF)])
+
+    await generate(viteMinifyFont(), bundle)
+
+    expect(bundle['assets/brand-a1b2.ttf'].source).toBe(TTF)
+    expect(context.warn).toHaveBeenCalledWith(
+      'Failed to subset assets/brand-a1b2.ttf, keeping the full font: Invalid font'
+    )
+  })
+
+  it('should mark fonts served from the cache', async () => {
+    vi.mocked(subsetFontCached).mockResolvedValue({
+      data: Buffer.from('subset'),
+      stats: { inputSize: 4096, outputSize: 1024, glyphs: { before: 100, after: 8 }, cached: true },
+    })
+    const bundle = createBundle([asset('style.css', css), asset('assets/brand-a1b2.ttf', TTF)])
+
+    await generate(viteMinifyFont(), bundle)
+
+    expect(logger.info).toHaveBeenCalledWith(expect.stringMatching(/8 glyphs \(cached\)$/))
+  })
+})
@@ -0,0 +1,109 @@
+import { uniqueChars } from './code-points.mjs'
+import { COLLECTIONS } from './collections.mjs'
+import { extractAssetText, findFontAssets, subsetFontAsset, formatSubsetLog } from './bundle-fonts.mjs'
+
+const PLUGIN_NAME = 'MinifyFontWebpackPlugin'
+
+/**
+ * Webpack / Rspack 插件：构建时把 CSS 中 @font-face 引用的字体裁剪为产物实际用到的字符
+ *
+ * 在 processAssets 阶段（HTML 模板生成之后、realContentHash 之前）从输出的 JS、HTML 和 CSS
+ * （content 属性）中提取文字，裁剪被 @font-face 引用的字体资源并原地替换，格式和文件名不变。
+ * 开启 optimization.realContentHash（生产模式默认开启）时，文件名中的 [contenthash] 及所有引用会更新为裁剪后内容的 hash。
+ * mode 为 development 时不做处理，使用完整字体。
+ *
+ * 注意：
+ * - 只处理输出为 CSS 文件（如 mini-css-extract-plugin）中的 @font-face，style-loader 注入的样式不处理
+ * - 运行时才出现的文字无法提取，请通过 text 或 collection 补充
+ *
+ * @example
+ * // webpack.config.js
+ * import { MinifyFontWebpackPlugin } from 'minify-font/webpack'
+ *
+ * export default {
+ *   plugins: [new MinifyFontWebpackPlugin({ collection: 'top500', text: '加载中请稍候' })],
+ * }
+ */
+export class MinifyFontWebpackPlugin {
+  /**
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.text] - 额外保留的字符，如运行时才出现的文字
+   * @param {string} [options.collection] - 额外保留的预定义字符集：top500、top2500、commonlyUsed
+   * @param {Function} [options.filter] - 过滤要裁剪的字体，参数为资源文件名（如 static/media/font.3f2a.woff2），返回 false 时跳过
+   * @param {Object} [options.inputOptions] - 字体读取选项，同 minifyFont
+   * @param {Object} [options.outputOptions] - 字体写入选项，同 minifyFont
+   * @param {boolean|string} [options.cache=true] - 是否使用磁盘缓存，传入字符串时作为缓存目录
+   * @throws {Error} 字符集名称无效时抛出错误
+   */
+  constructor({ text = '', collection, filter, inputOptions, outputOptions, cache = true } = {}) {
+    if (collection && !COLLECTIONS[collection]) {
+      throw new Error(`Invalid collection "${collection}". Available: ${Object.keys(COLLECTIONS).join(', ')}`)
+    }
+
+    this.options = { text, collection, filter, inputOptions, outputOptions, cache }
+  }
+
+  /**
+   * Register the plugin on a webpack or Rspack compiler
+   * @param {Object} compiler - Compiler, its webpack property gives the Compilation and sources of the running bundler
+   */
+  apply(compiler) {
+    if (compiler.options.mode === 'development') {
+      return
+    }
+
+    const { Compilation } = compiler.webpack
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, compilation => {
+      compilation.hooks.processAssets.tapPromise(
+        // After HTML templates are emitted (OPTIMIZE_INLINE), before content hashes are recomputed (OPTIMIZE_HASH)
+        { name: PLUGIN_NAME, stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE },
+        () => this.subsetFonts(compiler, compilation)
+      )
+    })
+  }
+
+  /**
+   * Replace the fonts referenced by the emitted CSS with subsets of the emitted text
+   * @param {Object} compiler - Compiler
+   * @param {Object} compilation - Current compilation
+   */
+  async subsetFonts(compiler, compilation) {
+    const { text, collection, filter, inputOptions, outputOptions, cache } = this.options
+    const { sources, WebpackError } = compiler.webpack
+    const logger = compilation.getLogger(PLUGIN_NAME)
+
+    const files = compilation
+      .getAssets()
+      .map(asset => ({ fileName: asset.name, source: asset.source.source() }))
+    const fonts = findFontAssets(files).filter(file => !filter || filter(file.fileName))
+    if (fonts.length === 0) {
+      return
+    }
+
+    const chars = uniqueChars(
+      ...files.map(file => extractAssetText(file.fileName, file.source)),
+      collection ? COLLECTIONS[collection] : '',
+      text
+    )
+
+    for (const file of fonts) {
+      try {
+        const { data, stats } = await subsetFontAsset(file.fileName, file.source, {
+          text: chars,
+          inputOptions,
+          outputOptions,
+          cache,
+        })
+        compilation.updateAsset(file.fileName, new sources.RawSource(data))
+        logger.info(formatSubsetLog(file.fileName, stats))
+      } catch (error) {
+        // Keep the full font, a broken subset would be worse than a large one
+        compilation.warnings.push(
+          new WebpackError(
+            `${PLUGIN_NAME}: Failed to subset ${file.fileName}, keeping the full font: ${error.message}`
+          )
+        )
+      }
+    }
+  }
+}
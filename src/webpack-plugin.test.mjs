@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MinifyFontWebpackPlugin } from './webpack-plugin.mjs'
+import { COLLECTIONS } from './collections.mjs'
+
+vi.mock('./minify-font.mjs', () => ({
+  subsetFontCached: vi.fn(),
+}))
+
+import { subsetFontCached } from './minify-font.mjs'
+
+// sfnt data recognized as a TrueType font
+const TTF = Buffer.from([0x00, 0x01, 0x00, 0x00, 0, 0, 0, 0])
+
+const css =
+  '@font-face{font-family:Brand;src:url(media/brand.3f2a.ttf) format("truetype")}h1:after{content:"！"}'
+
+class RawSource {
+  constructor(data) {
+    this.data = data
+  }
+
+  source() {
+    return this.data
+  }
+}
+
+class WebpackError extends Error {}
+
+function createCompiler(mode = 'production') {
+  const compiler = {
+    options: { mode },
+    webpack: { Compilation: { PROCESS_ASSETS_STAGE_SUMMARIZE: 1000 }, sources: { RawSource }, WebpackError },
+    hooks: { thisCompilation: { tap: vi.fn() } },
+  }
+  return compiler
+}
+
+function createCompilation(assets) {
+  const compilation = {
+    assets: { ...assets },
+    warnings: [],
+    logger: { info: vi.fn() },
+    hooks: { processAssets: { tapPromise: vi.fn() } },
+    getLogger: () => compilation.logger,
+    getAssets: () =>
+      Object.entries(compilation.assets).map(([name, data]) => ({
+        name,
+        source: new RawSource(data),
+        info: {},
+      })),
+    updateAsset: vi.fn((name, source) => {
+      compilation.assets[name] = source.source()
+    }),
+  }
+  return compilation
+}
+
+// Apply the plugin and run its processAssets hook
+async function run(plugin, assets, mode) {
+  const compiler = createCompiler(mode)
+  const compilation = createCompilation(assets)
+  plugin.apply(compiler)
+
+  for (const [, callback] of compiler.hooks.thisCompilation.tap.mock.calls) {
+    callback(compilation)
+  }
+  for (const [, callback] of compilation.hooks.processAssets.tapPromise.mock.calls) {
+    await callback(compilation.assets)
+  }
+  return { compiler, compilation }
+}
+
+describe('MinifyFontWebpackPlugin', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(subsetFontCached).mockResolvedValue({
+      data: Buffer.from('subset'),
+      stats: { inputSize: 4096, outputSize: 1024, glyphs: { before: 100, after: 8 }, cached: false },
+    })
+  })
+
+  it('should process assets before the content hashes are recomputed', async () => {
+    const { compilation } = await run(new MinifyFontWebpackPlugin(), {})
+
+    expect(compilation.hooks.processAssets.tapPromise).toHaveBeenCalledWith(
+      { name: 'MinifyFontWebpackPlugin', stage: 1000 },
+      expect.any(Function)
+    )
+  })
+
+  it('should not subset fonts in development mode', async () => {
+    const { compiler } = await run(new MinifyFontWebpackPlugin(), {}, 'development')
+
+    expect(compiler.hooks.thisCompilation.tap).not.toHaveBeenCalled()
+  })
+
+  it('should replace the fonts of @font-face rules with subsets of the emitted text', async () => {
+    const { compilation } = await run(new MinifyFontWebpackPlugin({ text: 'ABC', cache: false }), {
+      'index.html': '<h1>你好</h1>',
+      'main.js': 'document.title="世界"',
+      'main.3c1d.css': css,
+      'media/brand.3f2a.ttf': TTF,
+      'media/unused.9b8e.ttf': TTF,
+    })
+
+    expect(subsetFontCached).toHaveBeenCalledTimes(1)
+    const [options, cache] = vi.mocked(subsetFontCached).mock.calls[0]
+    expect(options).toMatchObject({ data: TTF, inputType: 'ttf', outputType: 'ttf' })
+    expect([...options.text].sort()).toEqual([...' 你好世界！ABC'].sort())
+    expect(cache).toBe(false)
+
+    expect(compilation.updateAsset).toHaveBeenCalledTimes(1)
+    expect(compilation.assets['media/brand.3f2a.ttf']).toEqual(Buffer.from('subset'))
+    expect(compilation.assets['media/unused.9b8e.ttf']).toBe(TTF)
+    expect(compilation.logger.info).toHaveBeenCalledWith(
+      '[minify-font] media/brand.3f2a.ttf: 4.0 KB → 1.0 KB, 8 glyphs'
+    )
+  })
+
+  it('should keep the characters of a collection', async () => {
+    await run(new MinifyFontWebpackPlugin({ collection: 'top500' }), {
+      'main.css': css,
+      'media/brand.3f2a.ttf': TTF,
+    })
+
+    const [{ text }] = vi.mocked(subsetFontCached).mock.calls[0]
+    expect([...text]).toEqual(expect.arrayContaining([...COLLECTIONS.top500]))
+  })
+
+  it('should reject unknown collections', () => {
+    expect(() => new MinifyFontWebpackPlugin({ collection: 'top100' })).toThrow(
+      'Invalid collection "top100". Available: top500, top2500, commonlyUsed'
+    )
+  })
+
+  it('should skip fonts rejected by the filter', async () => {
+    await run(new MinifyFontWebpackPlugin({ filter: fileName => !fileName.includes('brand') }), {
+      'main.css': css,
+      'media/brand.3f2a.ttf': TTF,
+    })
+
+    expect(subsetFontCached).not.toHaveBeenCalled()
+  })
+
+  it('should warn and keep the full font when subsetting fails', async () => {
+    vi.mocked(subsetFontCached).mockRejectedValue(new Error('Invalid font'))
+
+    const { compilation } = await run(new MinifyFontWebpackPlugin(), {
+      'main.css': css,
+      'media/brand.3f2a.ttf': TTF,
+    })
+
+    expect(compilation.updateAsset).not.toHaveBeenCalled()
+    expect(compilation.warnings).toHaveLength(1)
+    expect(compilation.warnings[0]).toBeInstanceOf(WebpackError)
+    expect(compilation.warnings[0].message).toBe(
+      'MinifyFontWebpackPlugin: Failed to subset media/brand.3f2a.ttf, keeping the full font: Invalid font'
+    )
+  })
+})
@@ -0,0 +1,3 @@
+import './style.css'
+
+document.querySelector('#app').textContent = '只保留用到的字符'
@@ -1,8 +1,15 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest'
 import { minifyFont } from '../src/minify-font.mjs'
 import { createWebFonts } from '../src/create-web-fonts.mjs'
-import { existsSync, rmSync, mkdirSync, statSync } from 'node:fs'
-import { join, dirname } from 'node:path'
+import { subsetFontBuffer } from '../src/subset-font-buffer.mjs'
+import { createFontSlices } from '../src/slice-font.mjs'
+import { inspectFont } from '../src/inspect-font.mjs'
+import { viteMinifyFont } from '../src/vite-plugin.mjs'
+import { existsSync, rmSync, mkdirSync, statSync, readFileSync, copyFileSync, readdirSync } from 'node:fs'
+import { Font } from 'fonteditor-core'
+import { TOP_USED_2500_CHARS } from 'top-used-chars'
+import { build } from 'vite'
+import { join, dirname, basename } from 'node:path'
 import { fileURLToPath } from 'node:url'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -133,6 +140,128 @@ describe('Integration Tests with Real Font', () => {
     })
   })
 
+  describe('Astral Plane Characters', () => {
+    const readUnicodes = output => {
+      const font = Font.create(readFileSync(output), { type: 'ttf' })
+      return font.get().glyf.flatMap(glyph => glyph.unicode || [])
+    }
+
+    it('should not pull surrogate code units into the subset', async () => {
+      const output = join(OUTPUT_DIR, 'astral.ttf')
+
+      await minifyFont({
+        input: TEST_FONT,
+        output,
+        text: '你好𠮷😀𝐀',
+      })
+
+      const unicodes = readUnicodes(output)
+      expect(unicodes).toContain('你'.codePointAt(0))
+      expect(unicodes).toContain('好'.codePointAt(0))
+      expect(unicodes.some(code => code >= 0xd800 && code <= 0xdfff)).toBe(false)
+    })
+
+    it('should produce the same subset for astral text as for its BMP part', async () => {
+      const bmpOutput = join(OUTPUT_DIR, 'bmp.ttf')
+      const astralOutput = join(OUTPUT_DIR, 'astral-mixed.ttf')
+
+      await minifyFont({ input: TEST_FONT, output: bmpOutput, text: 'ABC你好' })
+      await minifyFont({ input: TEST_FONT, output: astralOutput, text: 'A𠮷B😀C你️好' })
+
+      const bmpUnicodes = readUnicodes(bmpOutput)
+      const astralUnicodes = readUnicodes(astralOutput).filter(code => code <= 0xffff && code !== 0xfe0f)
+      expect(astralUnicodes.sort()).toEqual(bmpUnicodes.sort())
+    })
+  })
+
+  describe('Font Type Detection', () => {
+    it('should subset fonts with unknown or upper case extensions', async () => {
+      const hashed = join(OUTPUT_DIR, 'a1b2c3.bin')
+      const upper = join(OUTPUT_DIR, 'FONT.TTF')
+      copyFileSync(TEST_FONT, hashed)
+      copyFileSync(TEST_FONT, upper)
+
+      for (const input of [hashed, upper]) {
+        const output = join(OUTPUT_DIR, `${basename(input)}.woff2`)
+        await minifyFont({ input, output, text: 'Hello' })
+        expect(statSync(output).size).toBeGreaterThan(0)
+      }
+    })
+
+    it('should read a woff2 font named .woff2 regardless of case', async () => {
+      const woff2Input = join(OUTPUT_DIR, 'source.WOFF2')
+      const output = join(OUTPUT_DIR, 'roundtrip.ttf')
+      await minifyFont({ input: TEST_FONT, output: woff2Input, text: 'Hello' })
+
+      await minifyFont({ input: woff2Input, output, text: 'Hello' })
+      expect(statSync(output).size).toBeGreaterThan(0)
+    })
+
+    it('should reject fonts whose content disagrees with the extension', async () => {
+      const woffInput = join(OUTPUT_DIR, 'mislabeled.ttf')
+      await minifyFont({ input: TEST_FONT, output: join(OUTPUT_DIR, 'real.woff'), text: 'Hello' })
+      copyFileSync(join(OUTPUT_DIR, 'real.woff'), woffInput)
+
+      await expect(
+        minifyFont({ input: woffInput, output: join(OUTPUT_DIR, 'out.ttf'), text: 'Hello' })
+      ).rejects.toThrow('Font type mismatch: content is woff')
+    })
+  })
+
+  describe('subsetFontBuffer', () => {
+    it('should produce the same bytes as the file based minifyFont', async () => {
+      const output = join(OUTPUT_DIR, 'file-based.woff')
+      const text = 'Hello, 你好'
+
+      await minifyFont({ input: TEST_FONT, output, text })
+      const buffer = await subsetFontBuffer({
+        data: readFileSync(TEST_FONT),
+        inputType: 'ttf',
+        outputType: 'woff',
+        text,
+      })
+
+      expect(Buffer.isBuffer(buffer)).toBe(true)
+      expect(buffer.equals(readFileSync(output))).toBe(true)
+    })
+
+    it('should accept Uint8Array input', async () => {
+      const data = new Uint8Array(readFileSync(TEST_FONT))
+      const buffer = await subsetFontBuffer({ data, inputType: 'ttf', outputType: 'woff2', text: 'ABC' })
+
+      expect(buffer.length).toBeGreaterThan(0)
+      expect(buffer.subarray(0, 4).toString('latin1')).toBe('wOF2')
+    })
+  })
+
+  describe('inspectFont', () => {
+    it('should describe the real font', async () => {
+      const info = await inspectFont(TEST_FONT)
+
+      expect(info.type).toBe('ttf')
+      expect(info.size).toBe(statSync(TEST_FONT).size)
+      expect(info.family).toBeTruthy()
+      expect(info.glyphs).toBeGreaterThan(info.chars / 2)
+      expect(info.tables).toEqual(expect.arrayContaining(['cmap', 'glyf', 'head', 'name']))
+      expect(info.blocks.map(group => group.block)).toContain('CJK Unified Ideographs')
+      expect(info.unitsPerEm).toBeGreaterThan(0)
+    })
+
+    it('should describe a subset in another format', async () => {
+      const output = join(OUTPUT_DIR, 'inspect.woff2')
+      await minifyFont({ input: TEST_FONT, output, text: 'ABC你好' })
+
+      const source = await inspectFont(TEST_FONT)
+      const info = await inspectFont(readFileSync(output))
+
+      expect(info.type).toBe('woff2')
+      expect(info.family).toBe(source.family)
+      expect(info.chars).toBe(5)
+      expect(info.glyphs).toBeLessThan(source.glyphs)
+      expect(info.hinting).toBe(false)
+    })
+  })
+
   describe('createWebFonts', () => {
     it('should create multiple web font formats', async () => {
       const result = await createWebFonts({
@@ -219,6 +348,128 @@ describe('Integration Tests with Real Font', () => {
         expect(font.success).toBe(true)
       })
     })
+
+    it('should keep generating other formats when one format is invalid', async () => {
+      const result = await createWebFonts({
+        input: TEST_FONT,
+        outputDir: OUTPUT_DIR,
+        text: 'Test',
+        formats: ['woff2', 'pdf', 'ttf'],
+      })
+
+      expect(result.fonts.map(font => font.success)).toEqual([true, false, true])
+      expect(result.fonts[1].error.message).toBe('Invalid output font type: pdf')
+      expect(existsSync(result.fonts[0].path)).toBe(true)
+      expect(existsSync(result.fonts[1].path)).toBe(false)
+    })
+
+    it('should produce the same files as minifyFont for each format', async () => {
+      const text = 'Hello, 你好'
+      const result = await createWebFonts({ input: TEST_FONT, outputDir: OUTPUT_DIR, text })
+
+      for (const font of result.fonts) {
+        const single = join(OUTPUT_DIR, `single.${font.format}`)
+        await minifyFont({ input: TEST_FONT, output: single, text })
+        expect(readFileSync(font.path).equals(readFileSync(single))).toBe(true)
+      }
+    })
+
+    it('should report a missing input for every format', async () => {
+      const result = await createWebFonts({
+        input: join(__dirname, 'missing.ttf'),
+        outputDir: OUTPUT_DIR,
+        text: 'Test',
+      })
+
+      result.fonts.forEach(font => {
+        expect(font.success).toBe(false)
+        expect(font.error.message).toContain('is not exists')
+      })
+    })
+  })
+
+  describe('createFontSlices', () => {
+    it('should split the text into slices with a CSS file', async () => {
+      const text = '你好世界，字体分片测试ABC'
+      const result = await createFontSlices({
+        input: TEST_FONT,
+        outputDir: OUTPUT_DIR,
+        text,
+        chunkCount: 3,
+      })
+
+      expect(result.slices).toHaveLength(3)
+      expect(result.slices.reduce((total, slice) => total + slice.chars, 0)).toBe([...new Set(text)].length)
+      expect(existsSync(result.cssPath)).toBe(true)
+      expect(readFileSync(result.cssPath, 'utf8')).toBe(result.css)
+
+      for (const slice of result.slices) {
+        const [file] = slice.fonts
+        expect(existsSync(file.path)).toBe(true)
+        expect(statSync(file.path).size).toBe(file.size)
+        expect(result.css).toContain(`url(${basename(file.path)}) format('woff2')`)
+        expect(result.css).toContain(`unicode-range: ${slice.unicodeRange};`)
+      }
+    })
+
+    it('should only contain the characters of each slice', async () => {
+      const result = await createFontSlices({
+        input: TEST_FONT,
+        outputDir: OUTPUT_DIR,
+        text: 'ABCDEF',
+        formats: ['ttf'],
+        chunkCount: 2,
+      })
+
+      const codes = result.slices.map(slice => {
+        const font = Font.create(readFileSync(slice.fonts[0].path), { type: 'ttf' })
+        return font
+          .get()
+          .glyf.flatMap(glyph => glyph.unicode || [])
+          .sort((a, b) => a - b)
+      })
+      expect(codes).toEqual([
+        [0x41, 0x42, 0x43],
+        [0x44, 0x45, 0x46],
+      ])
+    })
+
+    it('should keep slices near the target byte size', async () => {
+      const chunkSize = 20 * 1024
+      const result = await createFontSlices({
+        input: TEST_FONT,
+        outputDir: OUTPUT_DIR,
+        text: TOP_USED_2500_CHARS,
+        chunkSize,
+      })
+
+      expect(result.slices.length).toBeGreaterThan(1)
+      // The size is estimated from glyph outlines, allow some overshoot
+      result.slices.forEach(slice => expect(slice.fonts[0].size).toBeLessThan(chunkSize * 1.5))
+    })
+  })
+
+  describe('viteMinifyFont', () => {
+    it('should subset the font of the fixture project to the text it renders', async () => {
+      const outDir = join(OUTPUT_DIR, 'vite')
+      await build({
+        root: join(__dirname, 'fixtures/vite'),
+        configFile: false,
+        logLevel: 'silent',
+        build: { outDir, emptyOutDir: true },
+        plugins: [viteMinifyFont({ text: '加载中', cache: false })],
+      })
+
+      const fontFile = readdirSync(join(outDir, 'assets')).find(file => file.endsWith('.ttf'))
+      const font = readFileSync(join(outDir, 'assets', fontFile))
+      const cmap = Font.create(font, { type: 'ttf' }).get().cmap
+
+      expect(font.length).toBeLessThan(statSync(TEST_FONT).size / 10)
+      // Text of the HTML, the script, the CSS content property and the text option
+      for (const char of '你好世界只保留用到的字符！加载中') {
+        expect(cmap[char.codePointAt(0)]).toBeDefined()
+      }
+    })
   })
 
   describe('File Size Validation', () => {